@@ -119,6 +119,58 @@ const preloadData = async () => {
     }
 };
 
+// Resolve mcq_pool.subject_id / chapter_id from the free-text subject and chapter columns.
+// Only unambiguous name matches are linked; rows that match several subjects are left for manual tagging.
+const backfillMcqHierarchy = async () => {
+    try {
+        // 1. Subject + chapter pair that identifies exactly one chapter
+        const byChapter = await query(`
+            WITH matches AS (
+                SELECT m.id AS mcq_id, MIN(ch.id) AS chapter_id, MIN(s.id) AS subject_id
+                FROM mcq_pool m
+                JOIN subjects s ON LOWER(TRIM(s.name)) = LOWER(TRIM(m.subject))
+                    AND (m.category_id IS NULL OR s.category_id IS NULL OR s.category_id = m.category_id)
+                    AND (m.subject_id IS NULL OR m.subject_id = s.id)
+                JOIN chapters ch ON ch.subject_id = s.id AND LOWER(TRIM(ch.name)) = LOWER(TRIM(m.chapter))
+                WHERE m.chapter_id IS NULL AND m.subject IS NOT NULL AND m.chapter IS NOT NULL
+                GROUP BY m.id
+                HAVING COUNT(DISTINCT ch.id) = 1
+            )
+            UPDATE mcq_pool m SET chapter_id = matches.chapter_id, subject_id = matches.subject_id
+            FROM matches WHERE m.id = matches.mcq_id;`);
+
+        // 2. Subject name that identifies exactly one subject
+        const bySubject = await query(`
+            WITH matches AS (
+                SELECT m.id AS mcq_id, MIN(s.id) AS subject_id
+                FROM mcq_pool m
+                JOIN subjects s ON LOWER(TRIM(s.name)) = LOWER(TRIM(m.subject))
+                    AND (m.category_id IS NULL OR s.category_id IS NULL OR s.category_id = m.category_id)
+                WHERE m.subject_id IS NULL AND m.subject IS NOT NULL
+                GROUP BY m.id
+                HAVING COUNT(DISTINCT s.id) = 1
+            )
+            UPDATE mcq_pool m SET subject_id = matches.subject_id
+            FROM matches WHERE m.id = matches.mcq_id;`);
+
+        // 3. Chapter within an already-linked subject
+        const withinSubject = await query(`
+            UPDATE mcq_pool m SET chapter_id = ch.id
+            FROM chapters ch
+            WHERE m.chapter_id IS NULL AND m.subject_id = ch.subject_id
+              AND LOWER(TRIM(ch.name)) = LOWER(TRIM(m.chapter));`);
+
+        const linked = { chapters: byChapter.rowCount + withinSubject.rowCount, subjects: byChapter.rowCount + bySubject.rowCount };
+        if (linked.subjects > 0 || linked.chapters > 0) {
+            addToLog(`MCQ hierarchy backfill linked ${linked.subjects} subjects and ${linked.chapters} chapters`);
+        }
+        return linked;
+    } catch (err) {
+        addToLog(`MCQ hierarchy backfill failed: ${err.message}`, 'ERROR');
+        return { subjects: 0, chapters: 0 };
+    }
+};
+
 // Auto-create tables logic
 const initDB = async () => {
     try {
@@ -126,7 +178,7 @@ const initDB = async () => {
 
         // System Settings
         await query(`CREATE TABLE IF NOT EXISTS system_settings (key VARCHAR(50) PRIMARY KEY, value TEXT NOT NULL);`);
-        const defaults = { 'FREE_DAILY_LIMIT': '2', 'FREE_LIMIT_WINDOW_HOURS': '24', 'GROUP_SIZE_LIMIT': '10', 'MCQ_PER_SESSION': '10' };
+        const defaults = { 'FREE_DAILY_LIMIT': '2', 'FREE_LIMIT_WINDOW_HOURS': '24', 'GROUP_SIZE_LIMIT': '10', 'MCQ_PER_SESSION': '10', 'CLASSROOM_SIZE_LIMIT': '200' };
         for (const [key, value] of Object.entries(defaults)) {
             await query(`INSERT INTO system_settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO NOTHING;`, [key, value]);
         }
@@ -139,6 +191,7 @@ const initDB = async () => {
             await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'user';`);
             await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE;`);
             await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS sessions_left INTEGER DEFAULT 0;`);
+            await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS leaderboard_opt_out BOOLEAN DEFAULT FALSE;`);
         } catch (e) {
             console.log('Note: role/is_active/sessions_left column already exists or migration skipped.');
         }
@@ -417,6 +470,8 @@ const initDB = async () => {
         // Insert default settings if not exists
         await query(`INSERT INTO system_settings (key, value) VALUES ('GROUP_SIZE_LIMIT', '15') ON CONFLICT (key) DO UPDATE SET value = '15';`);
         await query(`INSERT INTO system_settings (key, value) VALUES ('REFERRAL_BONUS_DAYS', '7') ON CONFLICT (key) DO NOTHING;`);
+        // Days before a practiced question may be served to the same user again
+        await query(`INSERT INTO system_settings (key, value) VALUES ('PRACTICE_REPEAT_WINDOW_DAYS', '7') ON CONFLICT (key) DO NOTHING;`);
 
         // AI Fetch Logs (Requirement 6)
         await query(`CREATE TABLE IF NOT EXISTS ai_fetch_logs (
@@ -478,9 +533,146 @@ const initDB = async () => {
             );
         `);
         await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_question_hash_unique ON mcq_pool(question_hash);`);
+        // Adaptive difficulty: Elo rating and answer-rate counters per question (rating stays NULL until first answer)
+        try {
+            await query(`ALTER TABLE mcq_pool ADD COLUMN IF NOT EXISTS rating REAL;`);
+            await query(`ALTER TABLE mcq_pool ADD COLUMN IF NOT EXISTS attempts_count INTEGER DEFAULT 0;`);
+            await query(`ALTER TABLE mcq_pool ADD COLUMN IF NOT EXISTS correct_count INTEGER DEFAULT 0;`);
+        } catch (e) { console.log('MCQ pool rating migration: Handled.'); }
+        // Link pooled MCQs to the subjects/chapters hierarchy (the VARCHAR subject/chapter columns stay as display text)
+        try {
+            await query(`ALTER TABLE mcq_pool ADD COLUMN IF NOT EXISTS subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL;`);
+            await query(`ALTER TABLE mcq_pool ADD COLUMN IF NOT EXISTS chapter_id INTEGER REFERENCES chapters(id) ON DELETE SET NULL;`);
+            await query(`CREATE INDEX IF NOT EXISTS idx_mcq_pool_subject ON mcq_pool(subject_id);`);
+            await query(`CREATE INDEX IF NOT EXISTS idx_mcq_pool_chapter ON mcq_pool(chapter_id);`);
+        } catch (e) { console.log('MCQ pool hierarchy migration: Handled.'); }
+        await backfillMcqHierarchy();
 
         // History & Groups
         await query(`CREATE TABLE IF NOT EXISTS user_mcq_history (id SERIAL PRIMARY KEY, user_id INTEGER REFERENCES users(id), mcq_id INTEGER REFERENCES mcq_pool(id), is_correct BOOLEAN, attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP);`);
+
+        await query(`CREATE INDEX IF NOT EXISTS idx_history_user_mcq ON user_mcq_history(user_id, mcq_id, attempted_at);`);
+
+        // Practice Sessions (server-held answer keys for pooled and live AI questions)
+        await query(`CREATE TABLE IF NOT EXISTS practice_sessions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id),
+            source VARCHAR(20) DEFAULT 'pool',
+            topic TEXT,
+            questions JSONB NOT NULL,
+            answers JSONB DEFAULT '{}'::jsonb,
+            correct_count INTEGER DEFAULT 0,
+            total_questions INTEGER DEFAULT 0,
+            status VARCHAR(20) DEFAULT 'active',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            completed_at TIMESTAMP
+        );`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_practice_sessions_user ON practice_sessions(user_id, created_at DESC);`);
+
+        // Bookmarks & Notes (pooled MCQs by ID; live AI questions keep a snapshot of their content)
+        await query(`CREATE TABLE IF NOT EXISTS user_bookmarks (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            mcq_id INTEGER REFERENCES mcq_pool(id) ON DELETE CASCADE,
+            snapshot JSONB,
+            question_hash VARCHAR(64),
+            note TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+        await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_bookmarks_user_mcq ON user_bookmarks(user_id, mcq_id) WHERE mcq_id IS NOT NULL;`);
+        await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_bookmarks_user_snapshot ON user_bookmarks(user_id, question_hash) WHERE mcq_id IS NULL;`);
+
+        // Spaced Repetition Review Queue (SM-2 schedule per user and pooled MCQ)
+        await query(`CREATE TABLE IF NOT EXISTS user_review_queue (
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            mcq_id INTEGER REFERENCES mcq_pool(id) ON DELETE CASCADE,
+            ease_factor REAL DEFAULT 2.5,
+            interval_days INTEGER DEFAULT 0,
+            repetitions INTEGER DEFAULT 0,
+            lapses INTEGER DEFAULT 0,
+            due_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_reviewed_at TIMESTAMP,
+            PRIMARY KEY (user_id, mcq_id)
+        );`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_review_queue_due ON user_review_queue(user_id, due_at);`);
+        // Seed the queue from past wrong answers so existing users get a review backlog
+        await query(`INSERT INTO user_review_queue (user_id, mcq_id, lapses, last_reviewed_at)
+            SELECT user_id, mcq_id, COUNT(*), MAX(attempted_at) FROM user_mcq_history
+            WHERE is_correct = FALSE AND user_id IS NOT NULL AND mcq_id IS NOT NULL
+            GROUP BY user_id, mcq_id
+            ON CONFLICT (user_id, mcq_id) DO NOTHING;`);
+
+        // Mock Test Blueprints (sections: [{ name, subject_id, chapter_id, question_count, marks_per_correct, negative_marks }])
+        await query(`CREATE TABLE IF NOT EXISTS mock_test_blueprints (
+            id SERIAL PRIMARY KEY,
+            title VARCHAR(200) NOT NULL,
+            description TEXT,
+            category_id INTEGER REFERENCES categories(id),
+            paper_stage_id INTEGER REFERENCES papers_stages(id),
+            duration_minutes INTEGER NOT NULL DEFAULT 60,
+            marks_per_correct DECIMAL(6, 2) NOT NULL DEFAULT 1,
+            negative_marks DECIMAL(6, 2) NOT NULL DEFAULT 0,
+            sections JSONB NOT NULL DEFAULT '[]'::jsonb,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+
+        // Mock Test Attempts (server-timed; questions hold the answer key and per-question marks)
+        await query(`CREATE TABLE IF NOT EXISTS mock_test_attempts (
+            id SERIAL PRIMARY KEY,
+            blueprint_id INTEGER REFERENCES mock_test_blueprints(id) ON DELETE CASCADE,
+            user_id INTEGER REFERENCES users(id),
+            questions JSONB NOT NULL,
+            answers JSONB DEFAULT '{}'::jsonb,
+            status VARCHAR(20) DEFAULT 'in_progress',
+            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL,
+            submitted_at TIMESTAMP,
+            score DECIMAL(8, 2),
+            max_score DECIMAL(8, 2),
+            report JSONB
+        );`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_mock_attempts_user ON mock_test_attempts(user_id, started_at DESC);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_mock_attempts_blueprint ON mock_test_attempts(blueprint_id, status);`);
+
+        // Previous-Year Papers (questions live in mcq_pool; position keeps the original paper order)
+        await query(`CREATE TABLE IF NOT EXISTS previous_year_papers (
+            id SERIAL PRIMARY KEY,
+            title VARCHAR(300) NOT NULL,
+            year INTEGER NOT NULL,
+            category_id INTEGER REFERENCES categories(id),
+            paper_stage_id INTEGER REFERENCES papers_stages(id),
+            duration_minutes INTEGER NOT NULL DEFAULT 60,
+            marks_per_correct DECIMAL(6, 2) NOT NULL DEFAULT 1,
+            negative_marks DECIMAL(6, 2) NOT NULL DEFAULT 0,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT unique_paper_year UNIQUE (category_id, paper_stage_id, year, title)
+        );`);
+        await query(`CREATE TABLE IF NOT EXISTS previous_year_paper_questions (
+            paper_id INTEGER REFERENCES previous_year_papers(id) ON DELETE CASCADE,
+            position INTEGER NOT NULL,
+            mcq_id INTEGER REFERENCES mcq_pool(id) ON DELETE CASCADE,
+            section VARCHAR(200),
+            PRIMARY KEY (paper_id, position)
+        );`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_papers_stage_year ON previous_year_papers(paper_stage_id, year DESC);`);
+        // Mock attempts can also be taken on a past paper instead of a blueprint
+        try {
+            await query(`ALTER TABLE mock_test_attempts ADD COLUMN IF NOT EXISTS paper_id INTEGER REFERENCES previous_year_papers(id) ON DELETE CASCADE;`);
+            await query(`CREATE INDEX IF NOT EXISTS idx_mock_attempts_paper ON mock_test_attempts(paper_id, status);`);
+        } catch (e) { console.log('Mock attempts paper migration: Handled.'); }
+
+        // Per-user, per-subject skill ratings (Elo) for adaptive practice
+        await query(`CREATE TABLE IF NOT EXISTS user_skill_ratings (
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            subject VARCHAR(100) NOT NULL,
+            rating REAL DEFAULT 1200,
+            attempts INTEGER DEFAULT 0,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, subject)
+        );`);
         await query(`CREATE TABLE IF NOT EXISTS group_sessions (
             id VARCHAR(50) PRIMARY KEY, 
             creator_id INTEGER REFERENCES users(id), 
@@ -509,6 +701,320 @@ const initDB = async () => {
         } catch (e) { console.log('Group sessions migration: Handled.'); }
 
         await query(`CREATE TABLE IF NOT EXISTS group_participants (id SERIAL PRIMARY KEY, session_id VARCHAR(50) REFERENCES group_sessions(id), user_id INTEGER REFERENCES users(id), score INTEGER DEFAULT 0, joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP);`);
+        // One row per player per session, so rejoining is a no-op
+        await query(`DELETE FROM group_participants a USING group_participants b
+            WHERE a.session_id = b.session_id AND a.user_id = b.user_id AND a.id > b.id`);
+        await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_group_participants_session_user ON group_participants(session_id, user_id);`);
+
+        // Server-graded battle answers; a participant's score is the sum of their points
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS seconds_per_question INTEGER DEFAULT 30;`);
+
+        // Battle format and server-driven rounds: 'question' phase, then an 'intermission' before the next round
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS question_count INTEGER DEFAULT 10;`);
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS reveal_answers BOOLEAN DEFAULT TRUE;`);
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS current_round INTEGER DEFAULT 0;`);
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS round_phase VARCHAR(20);`);
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS phase_ends_at TIMESTAMP;`);
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;`);
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS finished_at TIMESTAMP;`);
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS results JSONB;`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_group_sessions_phase_due ON group_sessions(phase_ends_at) WHERE status = 'active';`);
+        await query(`CREATE TABLE IF NOT EXISTS group_answers (
+            session_id VARCHAR(50) REFERENCES group_sessions(id) ON DELETE CASCADE,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            question_index INTEGER NOT NULL,
+            question_id VARCHAR(100),
+            selected_option INTEGER,
+            is_correct BOOLEAN DEFAULT FALSE,
+            points INTEGER DEFAULT 0,
+            answered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (session_id, user_id, question_index)
+        );`);
+
+        // Rematches: the new lobby points back at the finished battle, which records the lobby it spawned
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS rematch_of VARCHAR(50);`);
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS rematch_code VARCHAR(50);`);
+
+        // Classroom mode: a moderating (non-playing) host, bigger rooms, teams and an optional fixed question set
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS mode VARCHAR(20) DEFAULT 'battle';`);
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS question_set JSONB;`);
+        await query(`ALTER TABLE group_participants ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'player';`);
+        await query(`ALTER TABLE group_participants ADD COLUMN IF NOT EXISTS team VARCHAR(50);`);
+
+        // Lobby management: locked lobbies refuse new players, kicked players cannot rejoin, and last_seen_at
+        // (polling clients) drives host migration and the clean-up of abandoned sessions
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS is_locked BOOLEAN DEFAULT FALSE;`);
+        await query(`ALTER TABLE group_sessions ADD COLUMN IF NOT EXISTS kicked_user_ids INTEGER[] DEFAULT '{}';`);
+        await query(`ALTER TABLE group_participants ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP;`);
+
+        // Async challenges: a frozen question snapshot (like group_sessions.mcq_data) that friends play later,
+        // one timed attempt per player, and a running head-to-head record per pair of players (both directions)
+        await query(`CREATE TABLE IF NOT EXISTS challenges (
+            id VARCHAR(50) PRIMARY KEY,
+            creator_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+            subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL,
+            chapter_id INTEGER REFERENCES chapters(id) ON DELETE SET NULL,
+            topic_name TEXT,
+            language VARCHAR(100) DEFAULT 'English',
+            question_count INTEGER NOT NULL,
+            seconds_per_question INTEGER DEFAULT 30,
+            mcq_data JSONB NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL
+        );`);
+        await query(`CREATE TABLE IF NOT EXISTS challenge_attempts (
+            id SERIAL PRIMARY KEY,
+            challenge_id VARCHAR(50) REFERENCES challenges(id) ON DELETE CASCADE,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            answers JSONB DEFAULT '{}'::jsonb,
+            status VARCHAR(20) DEFAULT 'in_progress',
+            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL,
+            submitted_at TIMESTAMP,
+            correct INTEGER,
+            time_taken_seconds INTEGER,
+            UNIQUE (challenge_id, user_id)
+        );`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_challenge_attempts_user ON challenge_attempts(user_id, started_at DESC);`);
+        await query(`CREATE TABLE IF NOT EXISTS challenge_head_to_head (
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            opponent_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            wins INTEGER DEFAULT 0,
+            losses INTEGER DEFAULT 0,
+            draws INTEGER DEFAULT 0,
+            last_challenge_id VARCHAR(50),
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, opponent_id)
+        );`);
+
+        // Payment reconciliation: a payments row per order from creation, settled once by the checkout callback,
+        // verify-payment, the webhook or the stale-order job; refunds and webhook deliveries are deduplicated
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS plan_id INTEGER REFERENCES subscription_plans(id) ON DELETE SET NULL;`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS currency VARCHAR(10) DEFAULT 'INR';`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS sessions_granted INTEGER DEFAULT 0;`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10, 2) DEFAULT 0;`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS failure_reason TEXT;`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMP;`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;`);
+        try {
+            await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_order ON payments(razorpay_order_id) WHERE razorpay_order_id IS NOT NULL;`);
+        } catch (e) { console.log('Note: duplicate razorpay_order_id rows in payments, idx_payments_order not created'); }
+        await query(`CREATE INDEX IF NOT EXISTS idx_payments_payment ON payments(razorpay_payment_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status, created_at);`);
+        await query(`ALTER TABLE payment_gateway_settings ADD COLUMN IF NOT EXISTS webhook_secret TEXT;`);
+        await query(`CREATE TABLE IF NOT EXISTS payment_refunds (
+            id SERIAL PRIMARY KEY,
+            payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+            gateway_refund_id VARCHAR(100) UNIQUE NOT NULL,
+            amount DECIMAL(10, 2) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+        await query(`CREATE TABLE IF NOT EXISTS payment_webhook_events (
+            id SERIAL PRIMARY KEY,
+            provider VARCHAR(50) NOT NULL,
+            event_id VARCHAR(100) NOT NULL,
+            event_type VARCHAR(100),
+            payload JSONB,
+            outcome VARCHAR(50),
+            attempts INTEGER DEFAULT 1,
+            received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            processed_at TIMESTAMP,
+            UNIQUE (provider, event_id)
+        );`);
+
+        // Payment gateways: which gateway took each payment (order/payment ids stay in the razorpay_* columns)
+        // and optional plan prices in other currencies for card payments, e.g. {"USD": 4.99}
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS gateway VARCHAR(20) DEFAULT 'razorpay';`);
+        await query(`ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS prices JSONB DEFAULT '{}'::jsonb;`);
+
+        // Time-based plans: 'sessions' packs, 'time' passes (unlimited until users.premium_expiry) and 'hybrid'
+        // plans whose sessions lapse at users.pass_sessions_expiry; payments snapshot what was granted for refunds
+        await query(`ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS plan_type VARCHAR(20) DEFAULT 'sessions';`);
+        await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS pass_sessions_left INTEGER DEFAULT 0;`);
+        await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS pass_sessions_expiry TIMESTAMP;`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS plan_type VARCHAR(20);`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS hours_granted INTEGER DEFAULT 0;`);
+        await query(`CREATE TABLE IF NOT EXISTS premium_transitions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            reason VARCHAR(30) NOT NULL,
+            expired_at TIMESTAMP NOT NULL,
+            sessions_forfeited INTEGER DEFAULT 0,
+            is_premium_after BOOLEAN NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (user_id, reason, expired_at)
+        );`);
+
+        // Auto-renewing plans: billing_interval 'month' | 'year' (NULL = one-off purchase), the gateway plan
+        // objects created for them, and one user_subscriptions row per gateway subscription. Each renewal is a
+        // captured payments row linked by subscription_id.
+        // Statuses: pending (checkout not finished) -> active <-> past_due (grace period) -> cancelled | expired;
+        // a pending checkout left unfinished becomes abandoned when the user starts another
+        await query(`ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS billing_interval VARCHAR(10);`);
+        await query(`ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS gateway_plan_ids JSONB DEFAULT '{}'::jsonb;`);
+        await query(`CREATE TABLE IF NOT EXISTS user_subscriptions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            plan_id INTEGER REFERENCES subscription_plans(id) ON DELETE SET NULL,
+            gateway VARCHAR(20) NOT NULL,
+            gateway_subscription_id VARCHAR(100) UNIQUE,
+            checkout_id VARCHAR(100),
+            amount DECIMAL(10, 2) NOT NULL,
+            currency VARCHAR(10) DEFAULT 'INR',
+            status VARCHAR(20) DEFAULT 'pending',
+            current_period_end TIMESTAMP,
+            grace_until TIMESTAMP,
+            cancel_at_period_end BOOLEAN DEFAULT FALSE,
+            cancelled_at TIMESTAMP,
+            ended_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_user_subscriptions_user ON user_subscriptions(user_id, status);`);
+        // At most one pending/active/past_due subscription per user; older duplicate checkouts are retired first
+        await query(`UPDATE user_subscriptions s SET status = 'abandoned', ended_at = NOW(), updated_at = NOW()
+            WHERE s.status = 'pending' AND EXISTS (
+                SELECT 1 FROM user_subscriptions o
+                WHERE o.user_id = s.user_id AND o.status IN ('pending', 'active', 'past_due') AND (o.status <> 'pending' OR o.id > s.id)
+            );`);
+        await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_user_subscriptions_live ON user_subscriptions(user_id)
+            WHERE status IN ('pending', 'active', 'past_due');`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS subscription_id INTEGER REFERENCES user_subscriptions(id) ON DELETE SET NULL;`);
+
+        // Coupons: percent or flat discounts and/or bonus sessions on one-off purchases. plan_ids NULL = every
+        // plan; max_redemptions / per_user_limit NULL = unlimited. payments keep the list price and discount, and
+        // coupon_redemptions gets one row per captured payment that used a code.
+        await query(`CREATE TABLE IF NOT EXISTS coupons (
+            id SERIAL PRIMARY KEY,
+            code VARCHAR(40) UNIQUE NOT NULL,
+            description TEXT,
+            discount_type VARCHAR(10) NOT NULL DEFAULT 'percent',
+            discount_value DECIMAL(10, 2) NOT NULL DEFAULT 0,
+            currency VARCHAR(10),
+            bonus_sessions INTEGER DEFAULT 0,
+            plan_ids INTEGER[],
+            max_redemptions INTEGER,
+            per_user_limit INTEGER DEFAULT 1,
+            first_purchase_only BOOLEAN DEFAULT FALSE,
+            starts_at TIMESTAMP,
+            expires_at TIMESTAMP,
+            is_active BOOLEAN DEFAULT TRUE,
+            redemption_count INTEGER DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+        await query(`CREATE TABLE IF NOT EXISTS coupon_redemptions (
+            id SERIAL PRIMARY KEY,
+            coupon_id INTEGER NOT NULL REFERENCES coupons(id),
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            payment_id INTEGER UNIQUE REFERENCES payments(id) ON DELETE CASCADE,
+            discount_amount DECIMAL(10, 2) DEFAULT 0,
+            bonus_sessions INTEGER DEFAULT 0,
+            redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_user ON coupon_redemptions(coupon_id, user_id);`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS coupon_id INTEGER REFERENCES coupons(id) ON DELETE SET NULL;`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS list_amount DECIMAL(10, 2);`);
+        await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) DEFAULT 0;`);
+
+        // GST invoices: buyer details users keep for future invoices, a gapless counter per financial year
+        // ('26-27') and one invoice per captured payment with the seller/buyer details and tax split frozen at issue
+        await query(`CREATE TABLE IF NOT EXISTS billing_profiles (
+            user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+            legal_name VARCHAR(200),
+            gstin VARCHAR(15),
+            address TEXT,
+            state VARCHAR(100),
+            postal_code VARCHAR(10),
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+        await query(`CREATE TABLE IF NOT EXISTS invoice_sequences (
+            financial_year VARCHAR(5) PRIMARY KEY,
+            last_number INTEGER NOT NULL DEFAULT 0
+        );`);
+        await query(`CREATE TABLE IF NOT EXISTS invoices (
+            id SERIAL PRIMARY KEY,
+            invoice_number VARCHAR(40) UNIQUE NOT NULL,
+            financial_year VARCHAR(5) NOT NULL,
+            sequence INTEGER NOT NULL,
+            payment_id INTEGER UNIQUE NOT NULL REFERENCES payments(id),
+            user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            invoice_date DATE NOT NULL,
+            currency VARCHAR(10) NOT NULL DEFAULT 'INR',
+            description TEXT,
+            sac_code VARCHAR(10),
+            buyer_name VARCHAR(200),
+            buyer_email VARCHAR(100),
+            buyer_gstin VARCHAR(15),
+            buyer_address TEXT,
+            buyer_state VARCHAR(100),
+            seller_name VARCHAR(200),
+            seller_gstin VARCHAR(15),
+            seller_address TEXT,
+            seller_state VARCHAR(100),
+            supply_type VARCHAR(20) NOT NULL,
+            gst_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+            discount_amount DECIMAL(10, 2) DEFAULT 0,
+            taxable_amount DECIMAL(10, 2) NOT NULL,
+            cgst_amount DECIMAL(10, 2) DEFAULT 0,
+            sgst_amount DECIMAL(10, 2) DEFAULT 0,
+            igst_amount DECIMAL(10, 2) DEFAULT 0,
+            total_amount DECIMAL(10, 2) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_invoices_user ON invoices(user_id, invoice_date DESC);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_invoices_date ON invoices(invoice_date);`);
+
+        // Gamification: XP ledger, running totals/streaks and admin-defined badges
+        await query(`CREATE TABLE IF NOT EXISTS user_xp_events (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            amount INTEGER NOT NULL,
+            source VARCHAR(30) NOT NULL,
+            ref VARCHAR(100),
+            category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+            subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_xp_events_user ON user_xp_events(user_id, created_at);`);
+        await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_xp_events_ref ON user_xp_events(user_id, source, ref) WHERE ref IS NOT NULL;`);
+        await query(`CREATE TABLE IF NOT EXISTS user_stats (
+            user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+            xp_total INTEGER DEFAULT 0,
+            current_streak INTEGER DEFAULT 0,
+            longest_streak INTEGER DEFAULT 0,
+            last_active_date DATE,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+        // rule_type: correct_answers | subject_correct | battles_played | battles_won | streak_days | xp_total | mock_tests_completed
+        await query(`CREATE TABLE IF NOT EXISTS badges (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            description TEXT,
+            icon VARCHAR(50) DEFAULT '🏅',
+            rule_type VARCHAR(30) NOT NULL,
+            threshold INTEGER NOT NULL DEFAULT 1,
+            subject_id INTEGER REFERENCES subjects(id) ON DELETE CASCADE,
+            xp_reward INTEGER DEFAULT 0,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`);
+        await query(`CREATE TABLE IF NOT EXISTS user_badges (
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            badge_id INTEGER REFERENCES badges(id) ON DELETE CASCADE,
+            awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, badge_id)
+        );`);
+        const badgeCount = await query('SELECT COUNT(*) FROM badges');
+        if (parseInt(badgeCount.rows[0].count) === 0) {
+            await query(`INSERT INTO badges (name, description, icon, rule_type, threshold, xp_reward) VALUES
+                ('First Steps', 'Answer 10 questions correctly', '🌱', 'correct_answers', 10, 20),
+                ('Centurion', 'Answer 100 questions correctly', '💯', 'correct_answers', 100, 100),
+                ('On Fire', 'Practice 7 days in a row', '🔥', 'streak_days', 7, 50),
+                ('Battle Ready', 'Play 10 group battles', '⚔️', 'battles_played', 10, 50),
+                ('Champion', 'Win 5 group battles', '🏆', 'battles_won', 5, 100)`);
+        }
 
         // Ensure Admin user exists
         const adminEmail = 'admin@examredy.in';
@@ -546,4 +1052,4 @@ const initDB = async () => {
 };
 
 // [AI-FETCH-DEBUG] Manual export if needed
-module.exports = { pool, query, initDB, logBuffer, addToLog };
+module.exports = { pool, query, initDB, logBuffer, addToLog, backfillMcqHierarchy };
@@ -0,0 +1,14 @@
+const { migrateAbsentHosts, closeAbandonedSessions } = require('../services/groupLobbyService');
+
+// Hand lobbies of absent hosts to another player and close sessions nobody is in any more
+module.exports = {
+    name: 'group-lobbies',
+    intervalMs: 30 * 1000,
+    run: async () => {
+        const migrated = await migrateAbsentHosts();
+        const closed = await closeAbandonedSessions();
+        if (migrated > 0 || closed > 0) {
+            console.log(`[Jobs] group-lobbies: migrated ${migrated} host(s), closed ${closed} abandoned session(s)`);
+        }
+    }
+};
@@ -0,0 +1,11 @@
+const { advanceDueSessions } = require('../services/groupRoundService');
+
+// Advance group battles whose round timer was lost (server restart, or the session ran on another instance)
+module.exports = {
+    name: 'group-rounds',
+    intervalMs: 10 * 1000,
+    run: async () => {
+        const advanced = await advanceDueSessions();
+        if (advanced > 0) console.log(`[Jobs] group-rounds: advanced ${advanced} overdue battle(s)`);
+    }
+};
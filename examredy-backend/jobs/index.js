@@ -0,0 +1,30 @@
+// Background jobs run on a fixed interval inside the web process.
+// A run is skipped while the previous run of the same job is still going.
+const JOBS = [
+    require('./groupRounds'),
+    require('./groupLobbies'),
+    require('./staleOrders'),
+    require('./premiumExpiry'),
+    require('./subscriptionGrace'),
+    require('./invoiceBackfill')
+];
+
+const startJobs = () => {
+    for (const job of JOBS) {
+        let running = false;
+        setInterval(async () => {
+            if (running) return;
+            running = true;
+            try {
+                await job.run();
+            } catch (error) {
+                console.error(`[Jobs] ${job.name} failed:`, error.message);
+            } finally {
+                running = false;
+            }
+        }, job.intervalMs);
+        console.log(`⏱️  Job scheduled: ${job.name} (every ${job.intervalMs / 1000}s)`);
+    }
+};
+
+module.exports = { startJobs };
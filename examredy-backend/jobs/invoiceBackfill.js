@@ -0,0 +1,11 @@
+const { issueMissingInvoices } = require('../services/invoiceService');
+
+// Invoice captured payments still without one: captures whose invoice failed, and those from before invoicing
+module.exports = {
+    name: 'invoice-backfill',
+    intervalMs: 10 * 60 * 1000,
+    run: async () => {
+        const issued = await issueMissingInvoices();
+        if (issued > 0) console.log(`[Jobs] invoice-backfill: issued ${issued} missing invoice(s)`);
+    }
+};
@@ -0,0 +1,13 @@
+const { expireEntitlements } = require('../services/entitlementService');
+
+// Forfeit hybrid-plan sessions past their expiry, close out ended time passes and record each downgrade
+module.exports = {
+    name: 'premium-expiry',
+    intervalMs: 5 * 60 * 1000,
+    run: async () => {
+        const { sessionsExpired, passesExpired } = await expireEntitlements();
+        if (sessionsExpired > 0 || passesExpired > 0) {
+            console.log(`[Jobs] premium-expiry: ${passesExpired} time pass(es) ended, ${sessionsExpired} hybrid balance(s) forfeited`);
+        }
+    }
+};
@@ -0,0 +1,13 @@
+const { reconcileStaleOrders } = require('../services/paymentService');
+
+// Capture orders whose payment went through without any callback or webhook reaching us; flag the rest 'stale'
+module.exports = {
+    name: 'stale-orders',
+    intervalMs: 10 * 60 * 1000,
+    run: async () => {
+        const { captured, flagged } = await reconcileStaleOrders();
+        if (captured > 0 || flagged > 0) {
+            console.log(`[Jobs] stale-orders: captured ${captured} order(s), flagged ${flagged} stale order(s)`);
+        }
+    }
+};
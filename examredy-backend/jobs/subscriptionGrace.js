@@ -0,0 +1,11 @@
+const { expireLapsedGrace } = require('../services/subscriptionService');
+
+// Cancel auto-renewing subscriptions whose grace period ended without a successful retry
+module.exports = {
+    name: 'subscription-grace',
+    intervalMs: 15 * 60 * 1000,
+    run: async () => {
+        const expired = await expireLapsedGrace();
+        if (expired > 0) console.log(`[Jobs] subscription-grace: expired ${expired} unpaid subscription(s)`);
+    }
+};
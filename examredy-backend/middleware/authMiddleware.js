@@ -22,8 +22,13 @@ const verifyToken = async (req, res, next) => {
 
             const decoded = jwt.verify(token, process.env.JWT_SECRET || 'examredy_secret_2026_fallback');
 
+            // Scoped tokens only work on the route that asks for that scope, and such routes only take scoped tokens
+            if ((decoded.scope || null) !== (req.tokenScope || null)) {
+                return res.status(401).json({ message: 'Not authorized, token not valid here' });
+            }
+
             // Fetch user from DB to ensure valid and attach to req
-            const result = await query('SELECT id, username, email, role, is_premium, premium_expiry, is_active, sessions_left FROM users WHERE id = $1', [decoded.id]);
+            const result = await query('SELECT id, username, email, role, is_premium, premium_expiry, is_active, sessions_left, pass_sessions_left, pass_sessions_expiry, leaderboard_opt_out FROM users WHERE id = $1', [decoded.id]);
 
             if (result.rows.length === 0) {
                 return res.status(401).json({ message: 'Not authorized, user not found' });
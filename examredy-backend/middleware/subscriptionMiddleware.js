@@ -1,21 +1,13 @@
+const { hasPremiumAccess } = require('../services/entitlementService');
+
 const subscriptionCheck = (req, res, next) => {
     // Access granted if:
     // 1. User is an Admin
-    // 2. User has sessions_left > 0
-    // 3. User has sessions_left === -1 (Unlimited)
-    const isPremium = req.user && (
-        req.user.role === 'admin' ||
-        req.user.sessions_left > 0 ||
-        req.user.sessions_left === -1
-    );
-
-    if (isPremium) {
-        req.isPremium = true;
-        next();
-    } else {
-        req.isPremium = false;
-        next();
-    }
+    // 2. User has sessions_left > 0, or sessions_left === -1 (Unlimited)
+    // 3. User has a time pass running (premium_expiry in the future)
+    // 4. User has hybrid-plan sessions left before they expire
+    req.isPremium = hasPremiumAccess(req.user);
+    next();
 };
 
 module.exports = { subscriptionCheck };
@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { query, logBuffer, addToLog } = require('../db');
+const { pool, query, logBuffer, addToLog, backfillMcqHierarchy } = require('../db');
 const { verifyToken, admin } = require('../middleware/authMiddleware');
 const { hashPassword, comparePassword, generateToken } = require('../utils/helpers');
+const { importPaper } = require('../services/paperService');
+const { BADGE_RULE_TYPES } = require('../services/gamificationService');
+const { issueRefund } = require('../services/paymentService');
+const { PLAN_TYPES } = require('../services/entitlementService');
+const { BILLING_INTERVALS } = require('../services/subscriptionService');
+const { parseCouponInput } = require('../services/couponService');
+const { listInvoicesForMonth, buildInvoiceRegister } = require('../services/invoiceService');
 
 // --- DIAGNOSTICS & LOGIN ---
 
@@ -415,16 +422,29 @@ router.put('/chapters/:id', async (req, res) => {
 // --- 7. MCQ MANAGEMENT ---
 
 router.get('/mcqs', async (req, res) => {
-    const { page = 1, limit = 20, status = 'all' } = req.query;
+    const { page = 1, limit = 20, status = 'all', subject_id, chapter_id, unlinked } = req.query;
     const offset = (page - 1) * limit;
+    const params = [limit, offset];
+    const conditions = [];
+    if (status === 'pending') conditions.push('is_approved = FALSE');
+    else if (status === 'approved') conditions.push('is_approved = TRUE');
+    if (subject_id) { params.push(subject_id); conditions.push(`subject_id = $${params.length}`); }
+    if (chapter_id) { params.push(chapter_id); conditions.push(`chapter_id = $${params.length}`); }
+    if (unlinked === 'true') conditions.push('subject_id IS NULL');
     let q = 'SELECT * FROM mcq_pool';
-    if (status === 'pending') q += ' WHERE is_approved = FALSE';
-    else if (status === 'approved') q += ' WHERE is_approved = TRUE';
+    if (conditions.length > 0) q += ` WHERE ${conditions.join(' AND ')}`;
     q += ' ORDER BY created_at DESC LIMIT $1 OFFSET $2';
-    const result = await query(q, [limit, offset]);
+    const result = await query(q, params);
     res.json(result.rows);
 });
 
+// Re-link free-text subject/chapter names to the hierarchy (e.g. after new subjects or chapters are added)
+router.post('/mcqs/backfill-hierarchy', async (req, res) => {
+    const linked = await backfillMcqHierarchy();
+    const remaining = await query('SELECT COUNT(*) FROM mcq_pool WHERE subject_id IS NULL');
+    res.json({ success: true, linked, unlinked: parseInt(remaining.rows[0].count) });
+});
+
 // --- 0. BULK APPROVAL SYSTEM ---
 router.put('/bulk-approve', async (req, res) => {
     try {
@@ -532,10 +552,10 @@ router.put('/mcqs/:id/approve', async (req, res) => {
 
 router.put('/mcqs/:id', async (req, res) => {
     try {
-        const { question, options, correct_option, explanation, category_id, subject, chapter, difficulty } = req.body;
+        const { question, options, correct_option, explanation, category_id, subject, chapter, difficulty, subject_id, chapter_id } = req.body;
         await query(
-            'UPDATE mcq_pool SET question=$1, options=$2, correct_option=$3, explanation=$4, category_id=$5, subject=$6, chapter=$7, difficulty=$8 WHERE id=$9',
-            [question, JSON.stringify(options), correct_option, explanation, category_id, subject, chapter, difficulty, req.params.id]
+            'UPDATE mcq_pool SET question=$1, options=$2, correct_option=$3, explanation=$4, category_id=$5, subject=$6, chapter=$7, difficulty=$8, subject_id=$9, chapter_id=$10 WHERE id=$11',
+            [question, JSON.stringify(options), correct_option, explanation, category_id, subject, chapter, difficulty, subject_id || null, chapter_id || null, req.params.id]
         );
         res.json({ success: true, message: 'MCQ updated' });
     } catch (e) { res.status(500).json({ error: e.message }); }
@@ -549,14 +569,16 @@ router.post('/mcqs/bulk', async (req, res) => {
         for (const m of mcqs) {
             const hash = crypto.createHash('sha256').update(m.question.trim().toLowerCase()).digest('hex');
             const result = await query(
-                `INSERT INTO mcq_pool (question, options, correct_option, explanation, category_id, subject, chapter, difficulty, is_approved, question_hash)
-                 SELECT $1, $2, $3, $4, $5, $6, $7, $8, TRUE, $9
+                `INSERT INTO mcq_pool (question, options, correct_option, explanation, category_id, subject, chapter, difficulty, is_approved, question_hash, subject_id, chapter_id)
+                 SELECT $1, $2, $3, $4, $5, $6, $7, $8, TRUE, $9, $10, $11
                  WHERE NOT EXISTS (SELECT 1 FROM mcq_pool WHERE question_hash = $9)
                  RETURNING id`,
-                [m.question, JSON.stringify(m.options), m.correct_option, m.explanation, m.category_id, m.subject, m.chapter, m.difficulty || 'medium', hash]
+                [m.question, JSON.stringify(m.options), m.correct_option, m.explanation, m.category_id, m.subject, m.chapter, m.difficulty || 'medium', hash, m.subject_id || null, m.chapter_id || null]
             );
             if (result.rows[0]) count++;
         }
+        // Link uploads that only carry subject/chapter names
+        await backfillMcqHierarchy();
         res.json({ success: true, message: `${count} MCQs uploaded successfully` });
     } catch (e) { res.status(500).json({ error: e.message }); }
 });
@@ -587,7 +609,11 @@ router.delete('/:table/:id', async (req, res) => {
         'languages': 'languages',
         'states': 'states',
         'categories': 'categories',
-        'ai-providers': 'ai_providers'
+        'ai-providers': 'ai_providers',
+        'mock-tests': 'mock_test_blueprints',
+        'papers': 'previous_year_papers',
+        'badges': 'badges',
+        'coupons': 'coupons'
     };
     const actualTable = tableMap[table] || table;
     if (!allowedTables.includes(table) && !tableMap[table]) return res.status(400).json({ message: 'Invalid table' });
@@ -686,12 +712,41 @@ router.get('/plans', async (req, res) => {
     } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// Prices in other currencies ({ "USD": 4.99 }); codes are upper-cased and non-positive prices dropped
+const parsePlanPrices = (prices) => Object.fromEntries(
+    Object.entries(prices || {})
+        .map(([currency, price]) => [String(currency).trim().toUpperCase(), parseFloat(price)])
+        .filter(([currency, price]) => /^[A-Z]{3}$/.test(currency) && currency !== 'INR' && price > 0)
+);
+
+// Nominal length of an auto-renewing plan's period; the gateway's period end is what is actually granted
+const BILLING_INTERVAL_HOURS = { month: 30 * 24, year: 365 * 24 };
+
+// Plan type with what it grants: session packs need sessions, time passes a duration, hybrid plans both.
+// Auto-renewing plans (billing_interval) must be time passes or hybrid plans and take their duration from the interval.
+const parsePlanShape = ({ plan_type, duration_hours, sessions_limit, billing_interval }) => {
+    const type = plan_type || 'sessions';
+    if (!PLAN_TYPES.includes(type)) return { error: `plan_type must be one of ${PLAN_TYPES.join(', ')}` };
+    const interval = billing_interval || null;
+    if (interval && !BILLING_INTERVALS.includes(interval)) return { error: `billing_interval must be one of ${BILLING_INTERVALS.join(', ')}` };
+    if (interval && type === 'sessions') return { error: 'Auto-renewing plans must be time passes or hybrid plans' };
+
+    const hours = interval ? BILLING_INTERVAL_HOURS[interval] : parseInt(duration_hours) || 0;
+    const sessions = parseInt(sessions_limit) || 0;
+    if (type !== 'sessions' && hours <= 0) return { error: 'Time passes and hybrid plans need a duration' };
+    if (type !== 'time' && sessions <= 0) return { error: 'Session packs and hybrid plans need a session count' };
+    return { type, hours, sessions: type === 'time' ? 0 : sessions, interval };
+};
+
 router.post('/plans', async (req, res) => {
     try {
-        const { name, price, is_active, sessions_limit, referral_bonus_sessions } = req.body;
+        const { name, price, is_active, referral_bonus_sessions, prices } = req.body;
+        const shape = parsePlanShape(req.body);
+        if (shape.error) return res.status(400).json({ error: shape.error });
+
         const result = await query(
-            'INSERT INTO subscription_plans (name, duration_hours, price, is_active, sessions_limit, referral_bonus_sessions) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-            [name, 1, price, is_active !== undefined ? is_active : true, parseInt(sessions_limit) || 0, parseInt(referral_bonus_sessions) || 0]
+            'INSERT INTO subscription_plans (name, plan_type, billing_interval, duration_hours, price, is_active, sessions_limit, referral_bonus_sessions, prices) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+            [name, shape.type, shape.interval, shape.hours, price, is_active !== undefined ? is_active : true, shape.sessions, parseInt(referral_bonus_sessions) || 0, JSON.stringify(parsePlanPrices(prices))]
         );
         res.status(201).json(result.rows[0]);
     } catch (e) {
@@ -701,12 +756,16 @@ router.post('/plans', async (req, res) => {
 
 router.put('/plans/:id', async (req, res) => {
     try {
-        const { name, price, is_active, sessions_limit, referral_bonus_sessions } = req.body;
-        console.log(`[ADMIN-PLANS] Updating plan ${req.params.id}:`, { name, price, is_active, sessions_limit, referral_bonus_sessions });
+        const { name, price, is_active, plan_type, billing_interval, duration_hours, sessions_limit, referral_bonus_sessions, prices } = req.body;
+        console.log(`[ADMIN-PLANS] Updating plan ${req.params.id}:`, { name, price, is_active, plan_type, billing_interval, duration_hours, sessions_limit, referral_bonus_sessions, prices });
+        const shape = parsePlanShape(req.body);
+        if (shape.error) return res.status(400).json({ success: false, error: shape.error });
 
+        // Already-sold plans keep what they granted (payments snapshot it); the change applies to new purchases.
+        // Running subscriptions keep billing their original price.
         const result = await query(
-            'UPDATE subscription_plans SET name=$1, price=$2, is_active=$3, sessions_limit=$4, referral_bonus_sessions=$5 WHERE id=$6 RETURNING *',
-            [name, parseFloat(price) || 0, is_active === true, parseInt(sessions_limit) || 0, parseInt(referral_bonus_sessions) || 0, parseInt(req.params.id)]
+            'UPDATE subscription_plans SET name=$1, price=$2, is_active=$3, plan_type=$4, billing_interval=$5, duration_hours=$6, sessions_limit=$7, referral_bonus_sessions=$8, prices=$9 WHERE id=$10 RETURNING *',
+            [name, parseFloat(price) || 0, is_active === true, shape.type, shape.interval, shape.hours, shape.sessions, parseInt(referral_bonus_sessions) || 0, JSON.stringify(parsePlanPrices(prices)), parseInt(req.params.id)]
         );
 
         if (result.rowCount === 0) {
@@ -729,6 +788,144 @@ router.put('/plans/:id/status', async (req, res) => {
     } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// Auto-renewing subscriptions, newest first; ?status= filters (active, past_due, cancelled, expired, pending)
+router.get('/subscriptions', async (req, res) => {
+    try {
+        const params = [];
+        let where = '';
+        if (req.query.status) {
+            params.push(req.query.status);
+            where = 'WHERE s.status = $1';
+        }
+        const result = await query(`
+            SELECT s.*, u.username, u.email, p.name AS plan_name, p.billing_interval
+            FROM user_subscriptions s
+            JOIN users u ON s.user_id = u.id
+            LEFT JOIN subscription_plans p ON s.plan_id = p.id
+            ${where}
+            ORDER BY s.created_at DESC
+            LIMIT 100
+        `, params);
+        res.json(result.rows);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Coupons with their redemption totals (deleting one that was redeemed fails; deactivate it instead)
+router.get('/coupons', async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT c.*,
+                COALESCE(SUM(r.discount_amount), 0) as total_discount
+            FROM coupons c
+            LEFT JOIN coupon_redemptions r ON r.coupon_id = c.id
+            GROUP BY c.id
+            ORDER BY c.created_at DESC
+        `);
+        res.json(result.rows);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+router.get('/coupons/:id/redemptions', async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT r.*, u.username, u.email, p.amount, p.list_amount, p.currency, p.status as payment_status
+            FROM coupon_redemptions r
+            JOIN users u ON r.user_id = u.id
+            JOIN payments p ON r.payment_id = p.id
+            WHERE r.coupon_id = $1
+            ORDER BY r.redeemed_at DESC
+            LIMIT 200
+        `, [req.params.id]);
+        res.json(result.rows);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+const COUPON_COLUMNS = 'code, description, discount_type, discount_value, currency, bonus_sessions, plan_ids, max_redemptions, per_user_limit, first_purchase_only, starts_at, expires_at, is_active';
+const couponParams = (v) => [v.code, v.description, v.discountType, v.discountValue, v.currency, v.bonusSessions, v.planIds,
+    v.maxRedemptions, v.perUserLimit, v.firstPurchaseOnly, v.startsAt, v.expiresAt, v.isActive];
+
+router.post('/coupons', async (req, res) => {
+    const parsed = parseCouponInput(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    try {
+        const result = await query(
+            `INSERT INTO coupons (${COUPON_COLUMNS}) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+            couponParams(parsed.values)
+        );
+        res.status(201).json(result.rows[0]);
+    } catch (e) {
+        if (e.code === '23505') return res.status(409).json({ error: 'A coupon with this code already exists' });
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.put('/coupons/:id', async (req, res) => {
+    const parsed = parseCouponInput(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    try {
+        const result = await query(
+            `UPDATE coupons SET (${COUPON_COLUMNS}, updated_at) = ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+             WHERE id = $14 RETURNING *`,
+            [...couponParams(parsed.values), req.params.id]
+        );
+        if (result.rowCount === 0) return res.status(404).json({ error: 'Coupon not found' });
+        res.json(result.rows[0]);
+    } catch (e) {
+        if (e.code === '23505') return res.status(409).json({ error: 'A coupon with this code already exists' });
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Invoices issued in ?month=YYYY-MM (default: the current month) with the month's tax totals
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const currentMonth = () => new Date(Date.now() + 330 * 60 * 1000).toISOString().slice(0, 7);
+
+router.get('/invoices', async (req, res) => {
+    const month = req.query.month || currentMonth();
+    if (!MONTH_PATTERN.test(month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+    try {
+        const invoices = await listInvoicesForMonth(month);
+        const totals = { taxable: 0, cgst: 0, sgst: 0, igst: 0, total: 0 };
+        invoices.filter(inv => inv.currency === 'INR').forEach(inv => {
+            totals.taxable += parseFloat(inv.taxable_amount);
+            totals.cgst += parseFloat(inv.cgst_amount);
+            totals.sgst += parseFloat(inv.sgst_amount);
+            totals.igst += parseFloat(inv.igst_amount);
+            totals.total += parseFloat(inv.total_amount);
+        });
+        Object.keys(totals).forEach(key => { totals[key] = Math.round(totals[key] * 100) / 100; });
+        res.json({ month, invoices, totals });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// The month's invoice register as CSV
+router.get('/invoices/export', async (req, res) => {
+    const month = req.query.month || currentMonth();
+    if (!MONTH_PATTERN.test(month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+    try {
+        const invoices = await listInvoicesForMonth(month);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="examredy-invoices-${month}.csv"`);
+        // BOM so spreadsheet apps read the sheet as UTF-8
+        res.send('\uFEFF' + buildInvoiceRegister(invoices));
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Recorded downgrades: ended time passes and forfeited hybrid sessions, newest first
+router.get('/premium-transitions', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const result = await query(`
+            SELECT t.*, u.username, u.email
+            FROM premium_transitions t
+            JOIN users u ON t.user_id = u.id
+            ORDER BY t.created_at DESC
+            LIMIT $1
+        `, [limit]);
+        res.json(result.rows);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
 router.get('/referrals', async (req, res) => {
     const result = await query(`
         SELECT r.*, u1.email as referrer_email, u2.email as referred_email 
@@ -759,6 +956,22 @@ router.get('/payments/transactions', async (req, res) => {
     res.json(result.rows);
 });
 
+// Refund a captured payment through the gateway that took it ({ amount } for a partial refund, else in full)
+router.post('/payments/:id/refund', async (req, res) => {
+    try {
+        const result = await issueRefund(parseInt(req.params.id), req.body.amount);
+        if (result.error) return res.status(result.error.status).json(result.error.body);
+        res.json({
+            message: result.refund.settled ? 'Refund processed' : 'Refund initiated; it is recorded once the gateway confirms it',
+            refund: result.refund,
+            payment: result.payment
+        });
+    } catch (e) {
+        console.error('[ADMIN-REFUND]', e);
+        res.status(500).json({ error: e.error?.description || e.message });
+    }
+});
+
 // --- 11. SYSTEM SETTINGS (ADS, PAYMENTS, LEGAL, GLOBAL, FREE LIMIT) ---
 
 router.get('/settings', async (req, res) => {
@@ -916,13 +1129,18 @@ router.post('/referrals/:id/grant', async (req, res) => {
 
 router.put('/settings/payments/:provider', async (req, res) => {
     const { provider } = req.params;
-    const { api_key, api_secret, is_active } = req.body;
+    const { api_key, api_secret, webhook_secret, is_active } = req.body;
 
     // If updating keys
     if (api_key !== undefined) {
         await query('UPDATE payment_gateway_settings SET api_key=$1, api_secret=$2 WHERE provider=$3', [api_key, api_secret, provider]);
     }
 
+    // Secret used to sign the gateway's webhook calls
+    if (webhook_secret !== undefined) {
+        await query('UPDATE payment_gateway_settings SET webhook_secret=$1 WHERE provider=$2', [webhook_secret || null, provider]);
+    }
+
     // If toggling status
     if (is_active !== undefined) {
         await query('UPDATE payment_gateway_settings SET is_active=$1 WHERE provider=$2', [is_active, provider]);
@@ -1048,6 +1266,207 @@ router.put('/legal-pages/:id', async (req, res) => {
     }
 });
 
+// --- 14. MOCK TESTS ---
+const normalizeMockSections = (sections) => {
+    if (!Array.isArray(sections) || sections.length === 0) return null;
+    const normalized = sections.map((s, i) => ({
+        name: s.name || `Section ${i + 1}`,
+        subject_id: s.subject_id ? parseInt(s.subject_id) : null,
+        chapter_id: s.chapter_id ? parseInt(s.chapter_id) : null,
+        question_count: parseInt(s.question_count) || 0,
+        marks_per_correct: s.marks_per_correct !== undefined && s.marks_per_correct !== '' ? parseFloat(s.marks_per_correct) : null,
+        negative_marks: s.negative_marks !== undefined && s.negative_marks !== '' ? parseFloat(s.negative_marks) : null
+    }));
+    return normalized.every(s => s.question_count > 0) ? normalized : null;
+};
+
+router.get('/mock-tests', async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT b.*, c.name as category_name,
+                (SELECT COUNT(*) FROM mock_test_attempts a WHERE a.blueprint_id = b.id) as attempts
+            FROM mock_test_blueprints b
+            LEFT JOIN categories c ON b.category_id = c.id
+            ORDER BY b.created_at DESC
+        `);
+        res.json(result.rows);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+router.post('/mock-tests', async (req, res) => {
+    const { title, description, category_id, paper_stage_id, duration_minutes, marks_per_correct, negative_marks, sections, is_active } = req.body;
+    const normalized = normalizeMockSections(sections);
+    if (!title || !normalized) {
+        return res.status(400).json({ error: 'title and at least one section with question_count are required' });
+    }
+    try {
+        const result = await query(
+            `INSERT INTO mock_test_blueprints (title, description, category_id, paper_stage_id, duration_minutes, marks_per_correct, negative_marks, sections, is_active)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+            [title, description || null, category_id || null, paper_stage_id || null, parseInt(duration_minutes) || 60,
+                parseFloat(marks_per_correct) || 1, parseFloat(negative_marks) || 0, JSON.stringify(normalized), is_active !== false]
+        );
+        res.status(201).json(result.rows[0]);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+router.put('/mock-tests/:id', async (req, res) => {
+    const { title, description, category_id, paper_stage_id, duration_minutes, marks_per_correct, negative_marks, sections, is_active } = req.body;
+    const normalized = normalizeMockSections(sections);
+    if (!title || !normalized) {
+        return res.status(400).json({ error: 'title and at least one section with question_count are required' });
+    }
+    try {
+        const result = await query(
+            `UPDATE mock_test_blueprints SET title=$1, description=$2, category_id=$3, paper_stage_id=$4, duration_minutes=$5,
+                marks_per_correct=$6, negative_marks=$7, sections=$8, is_active=$9
+             WHERE id=$10 RETURNING *`,
+            [title, description || null, category_id || null, paper_stage_id || null, parseInt(duration_minutes) || 60,
+                parseFloat(marks_per_correct) || 1, parseFloat(negative_marks) || 0, JSON.stringify(normalized), is_active !== false, req.params.id]
+        );
+        if (result.rowCount === 0) return res.status(404).json({ error: 'Mock test not found' });
+        res.json(result.rows[0]);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// --- 15. PREVIOUS-YEAR PAPERS ---
+router.get('/papers', async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT p.*, c.name as category_name, ps.name as paper_stage_name,
+                (SELECT COUNT(*) FROM previous_year_paper_questions pq WHERE pq.paper_id = p.id) as question_count
+            FROM previous_year_papers p
+            LEFT JOIN categories c ON p.category_id = c.id
+            LEFT JOIN papers_stages ps ON p.paper_stage_id = ps.id
+            ORDER BY p.year DESC, p.created_at DESC
+        `);
+        res.json(result.rows);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Body: { title, year, category_id, paper_stage_id, duration_minutes, marks_per_correct, negative_marks,
+//         questions: [{ question, options, correct_option, explanation, subject, chapter, subject_id, chapter_id, section }] } in paper order
+router.post('/papers/import', async (req, res) => {
+    const { title, year, category_id, paper_stage_id, duration_minutes, marks_per_correct, negative_marks, is_active, questions } = req.body;
+    if (!title || !parseInt(year) || !category_id) {
+        return res.status(400).json({ error: 'title, year and category_id are required' });
+    }
+    if (!Array.isArray(questions) || questions.length === 0) {
+        return res.status(400).json({ error: 'questions must be a non-empty array' });
+    }
+    const invalid = questions.findIndex(q =>
+        !q.question || !Array.isArray(q.options) || q.options.length < 2 ||
+        !Number.isInteger(q.correct_option) || q.correct_option < 0 || q.correct_option >= q.options.length
+    );
+    if (invalid !== -1) {
+        return res.status(400).json({ error: `Question ${invalid + 1} needs question text, at least 2 options and a valid correct_option index` });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const imported = await importPaper(client, {
+            title,
+            year: parseInt(year),
+            category_id,
+            paper_stage_id: paper_stage_id || null,
+            duration_minutes: parseInt(duration_minutes) || 60,
+            marks_per_correct: parseFloat(marks_per_correct) || 1,
+            negative_marks: parseFloat(negative_marks) || 0,
+            is_active: is_active !== false
+        }, questions);
+        if (imported.conflicts) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: `${imported.conflicts.length} question(s) already exist in the pool with a different or unapproved answer key`,
+                conflicts: imported.conflicts
+            });
+        }
+        await client.query('COMMIT');
+        const { paper, created, reused } = imported;
+
+        // Link questions that only carry subject/chapter names
+        await backfillMcqHierarchy();
+        res.status(201).json({ success: true, paper, message: `Imported ${questions.length} questions (${created} new, ${reused} already in pool)` });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        if (e.code === '23505') return res.status(409).json({ error: 'A paper with this title already exists for that exam, stage and year' });
+        res.status(500).json({ error: e.message });
+    } finally {
+        client.release();
+    }
+});
+
+router.put('/papers/:id', async (req, res) => {
+    const { title, year, category_id, paper_stage_id, duration_minutes, marks_per_correct, negative_marks, is_active } = req.body;
+    try {
+        const result = await query(
+            `UPDATE previous_year_papers SET title=$1, year=$2, category_id=$3, paper_stage_id=$4, duration_minutes=$5,
+                marks_per_correct=$6, negative_marks=$7, is_active=$8
+             WHERE id=$9 RETURNING *`,
+            [title, parseInt(year), category_id, paper_stage_id || null, parseInt(duration_minutes) || 60,
+                parseFloat(marks_per_correct) || 1, parseFloat(negative_marks) || 0, is_active !== false, req.params.id]
+        );
+        if (result.rowCount === 0) return res.status(404).json({ error: 'Paper not found' });
+        res.json(result.rows[0]);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// --- 16. BADGES & GAMIFICATION ---
+const validateBadge = ({ name, rule_type, threshold, subject_id }) => {
+    if (!name) return 'name is required';
+    if (!BADGE_RULE_TYPES.includes(rule_type)) return `rule_type must be one of ${BADGE_RULE_TYPES.join(', ')}`;
+    if (!(parseInt(threshold) > 0)) return 'threshold must be a positive number';
+    if (rule_type === 'subject_correct' && !subject_id) return 'subject_id is required for subject_correct badges';
+    return null;
+};
+
+router.get('/badges', async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT b.*, s.name as subject_name,
+                (SELECT COUNT(*) FROM user_badges ub WHERE ub.badge_id = b.id) as awarded_count
+            FROM badges b
+            LEFT JOIN subjects s ON b.subject_id = s.id
+            ORDER BY b.rule_type ASC, b.threshold ASC
+        `);
+        res.json({ badges: result.rows, ruleTypes: BADGE_RULE_TYPES });
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+router.post('/badges', async (req, res) => {
+    const error = validateBadge(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const { name, description, icon, rule_type, threshold, subject_id, xp_reward, is_active } = req.body;
+    try {
+        const result = await query(
+            `INSERT INTO badges (name, description, icon, rule_type, threshold, subject_id, xp_reward, is_active)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+            [name, description || null, icon || '🏅', rule_type, parseInt(threshold),
+                rule_type === 'subject_correct' ? subject_id : null, parseInt(xp_reward) || 0, is_active !== false]
+        );
+        res.status(201).json(result.rows[0]);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+router.put('/badges/:id', async (req, res) => {
+    const error = validateBadge(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const { name, description, icon, rule_type, threshold, subject_id, xp_reward, is_active } = req.body;
+    try {
+        const result = await query(
+            `UPDATE badges SET name=$1, description=$2, icon=$3, rule_type=$4, threshold=$5, subject_id=$6, xp_reward=$7, is_active=$8
+             WHERE id=$9 RETURNING *`,
+            [name, description || null, icon || '🏅', rule_type, parseInt(threshold),
+                rule_type === 'subject_correct' ? subject_id : null, parseInt(xp_reward) || 0, is_active !== false, req.params.id]
+        );
+        if (result.rowCount === 0) return res.status(404).json({ error: 'Badge not found' });
+        res.json(result.rows[0]);
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
 // ═══════════════════════════════════════════════
 // ADS MANAGEMENT ROUTES
 // ═══════════════════════════════════════════════
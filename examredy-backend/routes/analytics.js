@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/authMiddleware');
+const {
+    getOverview,
+    getAccuracyBreakdown,
+    getStreaks,
+    getActivityHeatmap,
+    getWeakestTopics,
+    getTrend
+} = require('../services/analyticsService');
+
+const clampInt = (value, fallback, min, max) => Math.min(max, Math.max(min, parseInt(value) || fallback));
+
+// @route   GET /api/analytics/dashboard
+// @desc    Everything the progress dashboard needs in one call
+// @access  Private
+router.get('/dashboard', verifyToken, async (req, res) => {
+    try {
+        const [overview, streak, bySubject, byDifficulty, heatmap, weakTopics, trend] = await Promise.all([
+            getOverview(req.user.id),
+            getStreaks(req.user.id),
+            getAccuracyBreakdown(req.user.id, 'subject'),
+            getAccuracyBreakdown(req.user.id, 'difficulty'),
+            getActivityHeatmap(req.user.id, 182),
+            getWeakestTopics(req.user.id),
+            getTrend(req.user.id, 'week', 12)
+        ]);
+        res.json({ overview, streak, bySubject, byDifficulty, heatmap, weakTopics, trend });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/analytics/overview
+// @desc    Totals, accuracy, group battle and mock test summary
+// @access  Private
+router.get('/overview', verifyToken, async (req, res) => {
+    try {
+        res.json(await getOverview(req.user.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/analytics/accuracy?by=subject|chapter|difficulty&subject_id=
+// @desc    Accuracy breakdown on pooled questions
+// @access  Private
+router.get('/accuracy', verifyToken, async (req, res) => {
+    const { by = 'subject', subject_id } = req.query;
+    try {
+        const rows = await getAccuracyBreakdown(req.user.id, by, { subjectId: subject_id || null });
+        if (!rows) {
+            return res.status(400).json({ message: 'by must be one of subject, chapter, difficulty' });
+        }
+        res.json(rows);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/analytics/streak
+// @desc    Current and longest daily study streak
+// @access  Private
+router.get('/streak', verifyToken, async (req, res) => {
+    try {
+        res.json(await getStreaks(req.user.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/analytics/heatmap?days=365
+// @desc    Daily answer counts for an activity heatmap
+// @access  Private
+router.get('/heatmap', verifyToken, async (req, res) => {
+    try {
+        res.json(await getActivityHeatmap(req.user.id, clampInt(req.query.days, 365, 7, 366)));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/analytics/weak-topics?limit=5&min_attempts=5&days=90
+// @desc    Chapters with the lowest recent accuracy
+// @access  Private
+router.get('/weak-topics', verifyToken, async (req, res) => {
+    try {
+        res.json(await getWeakestTopics(req.user.id, {
+            limit: clampInt(req.query.limit, 5, 1, 20),
+            minAttempts: clampInt(req.query.min_attempts, 5, 1, 100),
+            days: clampInt(req.query.days, 90, 1, 3650)
+        }));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/analytics/trend?period=day|week|month&points=12
+// @desc    Answered count and accuracy over time
+// @access  Private
+router.get('/trend', verifyToken, async (req, res) => {
+    try {
+        const trend = await getTrend(req.user.id, req.query.period || 'week', clampInt(req.query.points, 12, 1, 90));
+        if (!trend) {
+            return res.status(400).json({ message: 'period must be one of day, week, month' });
+        }
+        res.json(trend);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
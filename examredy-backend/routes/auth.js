@@ -3,6 +3,8 @@ const router = express.Router();
 const { query } = require('../db');
 const { hashPassword, comparePassword, generateToken } = require('../utils/helpers');
 const { verifyToken } = require('../middleware/authMiddleware');
+const { buildUserExport } = require('../services/userDataService');
+const { getUserProgress } = require('../services/gamificationService');
 const admin = require('../utils/firebaseAdmin');
 
 // @route   GET /api/auth
@@ -113,6 +115,52 @@ router.get('/me', verifyToken, async (req, res) => {
     res.json(req.user);
 });
 
+// @route   GET /api/auth/me/achievements
+// @desc    XP, level, daily streak and badges (earned and in progress)
+// @access  Private
+router.get('/me/achievements', verifyToken, async (req, res) => {
+    try {
+        res.json(await getUserProgress(req.user.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/me/export
+// @desc    Download the user's own data (profile, bookmarks, history, attempts) as JSON
+// @access  Private
+router.get('/me/export', verifyToken, async (req, res) => {
+    try {
+        const data = await buildUserExport(req.user.id);
+        res.setHeader('Content-Disposition', `attachment; filename="examredy-data-${req.user.id}.json"`);
+        res.json(data);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/auth/me/privacy
+// @desc    Show or hide the user on public leaderboards
+// @access  Private
+router.put('/me/privacy', verifyToken, async (req, res) => {
+    const { leaderboard_opt_out } = req.body;
+    if (typeof leaderboard_opt_out !== 'boolean') {
+        return res.status(400).json({ message: 'leaderboard_opt_out must be true or false' });
+    }
+    try {
+        const result = await query(
+            'UPDATE users SET leaderboard_opt_out = $1 WHERE id = $2 RETURNING leaderboard_opt_out',
+            [leaderboard_opt_out, req.user.id]
+        );
+        res.json({ message: 'Privacy settings updated', leaderboard_opt_out: result.rows[0].leaderboard_opt_out });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/auth/google
 // @desc    Authenticate with Google OAuth
 // @access  Public
@@ -0,0 +1,429 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { pool, query } = require('../db');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { parseBattleConfig, canHostSession, chargeHost } = require('../services/groupBattleService');
+const { buildFullQuestionSet } = require('../services/groupQuestionService');
+const { parsePoolFilters } = require('../services/practiceService');
+const {
+    CHALLENGE_TTL_DAYS,
+    SUBMIT_GRACE_SECONDS,
+    isExpired,
+    getQuestions,
+    getAttemptSeconds,
+    finalizeAttempt,
+    finalizeExpiredAttempts,
+    awardChallengeXp,
+    loadAttempts,
+    toPublicAttempt,
+    toPublicChallenge,
+    buildChallengeResults,
+    listRivals,
+    getHeadToHead
+} = require('../services/challengeService');
+
+const loadChallenge = async (db, code) => {
+    const result = await db.query(
+        `SELECT c.*, u.username as creator_name FROM challenges c
+         JOIN users u ON u.id = c.creator_id
+         WHERE c.id = $1`,
+        [String(code).toUpperCase()]
+    );
+    return result.rows[0] || null;
+};
+
+// Lock the user's attempt at a challenge, finalizing it first if its time ran out
+const loadAttempt = async (client, code, userId) => {
+    const challenge = await loadChallenge(client, code);
+    if (!challenge) return {};
+
+    const attemptRes = await client.query(
+        'SELECT * FROM challenge_attempts WHERE challenge_id = $1 AND user_id = $2 FOR UPDATE',
+        [challenge.id, userId]
+    );
+    let attempt = attemptRes.rows[0] || null;
+    let finalizedNow = false;
+    if (attempt && attempt.status === 'in_progress' && isExpired(attempt, SUBMIT_GRACE_SECONDS)) {
+        attempt = await finalizeAttempt(client, challenge, attempt, 'expired');
+        finalizedNow = true;
+    }
+    return { challenge, attempt, finalizedNow };
+};
+
+// Settle attempts abandoned past their time, then read everyone's attempts
+const loadSettledAttempts = async (challenge) => {
+    const client = await pool.connect();
+    let finalized;
+    try {
+        await client.query('BEGIN');
+        finalized = await finalizeExpiredAttempts(client, challenge);
+        await client.query('COMMIT');
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        throw error;
+    } finally {
+        client.release();
+    }
+    await Promise.all(finalized.map(attempt => awardChallengeXp(challenge, attempt)));
+    return loadAttempts(challenge.id);
+};
+
+// @route   POST /api/challenge
+// @desc    Create a challenge: freeze a question set for the selection (categoryId, subjectId, chapterId, ...,
+//          language, questionCount, secondsPerQuestion) that the creator plays first and friends play later
+// @access  Private (uses one Prime session)
+router.post('/', verifyToken, async (req, res) => {
+    const {
+        categoryId,
+        subjectId,
+        chapterId,
+        boardId,
+        classId,
+        streamId,
+        semesterId,
+        universityId,
+        paperStageId,
+        language = 'English'
+    } = req.body;
+
+    const config = parseBattleConfig({
+        questionCount: req.body.questionCount,
+        secondsPerQuestion: req.body.secondsPerQuestion
+    });
+    if (config.error) return res.status(config.error.status).json(config.error.body);
+
+    // Charged below, together with the insert, once the question set is ready
+    const allowed = canHostSession(req.user);
+    if (allowed.error) return res.status(allowed.error.status).json(allowed.error.body);
+
+    try {
+        const [categoryRes, subjectRes, chapterRes] = await Promise.all([
+            categoryId ? query('SELECT name FROM categories WHERE id = $1', [categoryId]) : Promise.resolve(null),
+            subjectId ? query('SELECT name FROM subjects WHERE id = $1', [subjectId]) : Promise.resolve(null),
+            chapterId ? query('SELECT name FROM chapters WHERE id = $1', [chapterId]) : Promise.resolve(null)
+        ]);
+        const categoryName = categoryRes?.rows?.[0]?.name;
+        const subjectName = subjectRes?.rows?.[0]?.name;
+        const chapterName = chapterRes?.rows?.[0]?.name;
+        let topic = 'General Knowledge';
+        if (chapterName && subjectName) topic = `${subjectName}: ${chapterName}`;
+        else if (subjectName) topic = subjectName;
+        else if (categoryName) topic = categoryName;
+
+        const questions = await buildFullQuestionSet({
+            creatorId: req.user.id,
+            filters: parsePoolFilters({
+                category_id: categoryId,
+                board_id: boardId,
+                class_id: classId,
+                stream_id: streamId,
+                university_id: universityId,
+                semester_id: semesterId,
+                paper_stage_id: paperStageId,
+                subject_id: subjectId,
+                chapter_id: chapterId
+            }),
+            topic,
+            language,
+            questionCount: config.questionCount
+        });
+        if (questions.length === 0) {
+            return res.status(500).json({ message: 'Failed to prepare questions for this selection.' });
+        }
+
+        const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const charged = await chargeHost(client, req.user.id);
+            if (charged.error) {
+                await client.query('ROLLBACK');
+                return res.status(charged.error.status).json(charged.error.body);
+            }
+            await client.query(
+                `INSERT INTO challenges (id, creator_id, category_id, subject_id, chapter_id, topic_name, language,
+                    question_count, seconds_per_question, mcq_data, expires_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW() + $11 * INTERVAL '1 day')`,
+                [code, req.user.id, categoryId || null, subjectId || null, chapterId || null, topic, language,
+                    questions.length, config.secondsPerQuestion, JSON.stringify(questions), CHALLENGE_TTL_DAYS]
+            );
+            await client.query('COMMIT');
+        } catch (error) {
+            try { await client.query('ROLLBACK'); } catch (e) { }
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        res.status(201).json({ message: 'Challenge created. Play it, then share the code.', code, questionCount: questions.length });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/challenge/mine
+// @desc    Challenges the user created or played, newest first (paginated)
+// @access  Private
+router.get('/mine', verifyToken, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+    try {
+        const result = await query(
+            `SELECT c.id, c.topic_name, c.question_count, c.created_at, c.expires_at, c.creator_id, u.username as creator_name,
+                a.status as my_status, a.correct as my_correct, a.time_taken_seconds as my_time,
+                (SELECT COUNT(*) FROM challenge_attempts x WHERE x.challenge_id = c.id AND x.status <> 'in_progress')::int as finished_players,
+                COUNT(*) OVER() as total_count
+             FROM challenges c
+             JOIN users u ON u.id = c.creator_id
+             LEFT JOIN challenge_attempts a ON a.challenge_id = c.id AND a.user_id = $1
+             WHERE c.creator_id = $1 OR a.id IS NOT NULL
+             ORDER BY COALESCE(a.started_at, c.created_at) DESC
+             OFFSET $2 LIMIT $3`,
+            [req.user.id, (page - 1) * limit, limit]
+        );
+        const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+        res.json({
+            challenges: result.rows.map(r => ({
+                code: r.id,
+                topic: r.topic_name,
+                questionCount: r.question_count,
+                createdAt: r.created_at,
+                expiresAt: r.expires_at,
+                creator: { userId: r.creator_id, username: r.creator_name },
+                isCreator: r.creator_id === req.user.id,
+                finishedPlayers: r.finished_players,
+                myAttempt: r.my_status ? { status: r.my_status, correct: r.my_correct, timeTakenSeconds: r.my_time } : null
+            })),
+            total,
+            page,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/challenge/head-to-head
+// @desc    The user's challenge records against every opponent (paginated)
+// @access  Private
+router.get('/head-to-head', verifyToken, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    try {
+        const { rivals, total } = await listRivals(req.user.id, { offset: (page - 1) * limit, limit });
+        res.json({ rivals, total, page, totalPages: Math.ceil(total / limit) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/challenge/head-to-head/:userId
+// @desc    Record against one opponent with the challenges both played
+// @access  Private
+router.get('/head-to-head/:userId', verifyToken, async (req, res) => {
+    const opponentId = parseInt(req.params.userId);
+    if (!opponentId || opponentId === req.user.id) {
+        return res.status(400).json({ message: 'Invalid opponent' });
+    }
+
+    try {
+        const record = await getHeadToHead(req.user.id, opponentId);
+        if (!record) return res.status(404).json({ message: 'User not found' });
+        res.json(record);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/challenge/:code
+// @desc    Challenge details and standings (no answers) with the user's own attempt status
+// @access  Private
+router.get('/:code', verifyToken, async (req, res) => {
+    try {
+        const challenge = await loadChallenge({ query }, req.params.code);
+        if (!challenge) return res.status(404).json({ message: 'Challenge not found' });
+
+        const attempts = await loadSettledAttempts(challenge);
+        res.json(toPublicChallenge(challenge, attempts, req.user.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/challenge/:code/start
+// @desc    Start (or resume) the user's timed attempt; friends can start once the creator has played
+// @access  Private
+router.post('/:code/start', verifyToken, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        let { challenge, attempt, finalizedNow } = await loadAttempt(client, req.params.code, req.user.id);
+
+        if (!challenge) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Challenge not found' });
+        }
+
+        if (!attempt) {
+            if (new Date(challenge.expires_at) < new Date()) {
+                await client.query('ROLLBACK');
+                return res.status(410).json({ message: 'This challenge has expired', code: 'CHALLENGE_EXPIRED' });
+            }
+            if (challenge.creator_id !== req.user.id) {
+                const creatorAttempt = await client.query(
+                    `SELECT 1 FROM challenge_attempts WHERE challenge_id = $1 AND user_id = $2 AND status <> 'in_progress'`,
+                    [challenge.id, challenge.creator_id]
+                );
+                if (creatorAttempt.rows.length === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ message: `${challenge.creator_name} has not played this challenge yet`, code: 'CHALLENGE_NOT_READY' });
+                }
+            }
+            const inserted = await client.query(
+                `INSERT INTO challenge_attempts (challenge_id, user_id, expires_at)
+                 VALUES ($1, $2, NOW() + $3 * INTERVAL '1 second')
+                 ON CONFLICT (challenge_id, user_id) DO NOTHING
+                 RETURNING *`,
+                [challenge.id, req.user.id, getAttemptSeconds(challenge)]
+            );
+            if (inserted.rows.length === 0) {
+                // A parallel request from the same user started it first
+                await client.query('ROLLBACK');
+                return res.status(409).json({ message: 'Attempt already started' });
+            }
+            attempt = inserted.rows[0];
+        }
+        await client.query('COMMIT');
+
+        if (finalizedNow) await awardChallengeXp(challenge, attempt);
+        res.json({ code: challenge.id, topic: challenge.topic_name, secondsPerQuestion: challenge.seconds_per_question, attempt: toPublicAttempt(challenge, attempt) });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// @route   POST /api/challenge/:code/answer
+// @desc    Save the answer to one question ({ question_index, selected_option }); answers can be changed until submit
+// @access  Private
+router.post('/:code/answer', verifyToken, async (req, res) => {
+    const { question_index, selected_option = null } = req.body;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const { challenge, attempt, finalizedNow } = await loadAttempt(client, req.params.code, req.user.id);
+
+        if (!attempt) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Attempt not found' });
+        }
+        if (attempt.status !== 'in_progress') {
+            await client.query('COMMIT');
+            if (finalizedNow) await awardChallengeXp(challenge, attempt);
+            return res.status(400).json({ message: 'Time is up. Your attempt has been submitted.', code: 'ATTEMPT_CLOSED', status: attempt.status });
+        }
+
+        const index = parseInt(question_index);
+        const question = getQuestions(challenge)[index];
+        if (!question) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Question not part of this challenge' });
+        }
+        const options = typeof question.options === 'string' ? JSON.parse(question.options) : question.options;
+        const selected = selected_option === null ? null : parseInt(selected_option);
+        if (selected !== null && (isNaN(selected) || selected < 0 || selected >= options.length)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Invalid option' });
+        }
+
+        await client.query(
+            `UPDATE challenge_attempts
+             SET answers = answers || jsonb_build_object($1::text, jsonb_build_object('selected_option', $2::int, 'answered_at', NOW()))
+             WHERE id = $3`,
+            [String(index), selected, attempt.id]
+        );
+        await client.query('COMMIT');
+
+        res.json({ message: 'Answer saved', question_index: index, selected_option: selected });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// @route   POST /api/challenge/:code/submit
+// @desc    Submit the attempt; returns the full results
+// @access  Private
+router.post('/:code/submit', verifyToken, async (req, res) => {
+    const client = await pool.connect();
+    let challenge;
+    let attempt;
+    let finalizedNow;
+    try {
+        await client.query('BEGIN');
+        ({ challenge, attempt, finalizedNow } = await loadAttempt(client, req.params.code, req.user.id));
+
+        if (!attempt) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Attempt not found' });
+        }
+        if (attempt.status === 'in_progress') {
+            attempt = await finalizeAttempt(client, challenge, attempt, 'submitted');
+            finalizedNow = true;
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        return res.status(500).json({ message: 'Server error submitting challenge' });
+    } finally {
+        client.release();
+    }
+
+    try {
+        const gamification = finalizedNow ? await awardChallengeXp(challenge, attempt) : null;
+        const attempts = await loadAttempts(challenge.id);
+        res.json({ ...buildChallengeResults(challenge, attempts, req.user.id), gamification });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/challenge/:code/results
+// @desc    Standings, the answer key with everyone's picks and the user's results per opponent (after playing)
+// @access  Private
+router.get('/:code/results', verifyToken, async (req, res) => {
+    try {
+        const challenge = await loadChallenge({ query }, req.params.code);
+        if (!challenge) return res.status(404).json({ message: 'Challenge not found' });
+
+        const attempts = await loadSettledAttempts(challenge);
+        const mine = attempts.find(a => a.user_id === req.user.id);
+        if (!mine || mine.status === 'in_progress') {
+            return res.status(403).json({ message: 'Play the challenge to see the results' });
+        }
+        res.json(buildChallengeResults(challenge, attempts, req.user.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,87 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../db');
+const { pool, query } = require('../db');
 const { verifyToken } = require('../middleware/authMiddleware');
 const crypto = require('crypto');
-const { generateMCQInitial } = require('../services/aiService');
+const { recordActivity, BATTLE_PLAYED_XP } = require('../services/gamificationService');
+const groupEvents = require('../services/groupEventService');
+const {
+    DEFAULT_SECONDS_PER_QUESTION,
+    parseBattleConfig,
+    canHostSession,
+    chargeHost,
+    loadParticipants,
+    loadSessionQuestions,
+    toPublicGroupQuestion,
+    gradeGroupAnswer,
+    refreshParticipantScore
+} = require('../services/groupBattleService');
+const { scheduleRound, advanceSession } = require('../services/groupRoundService');
+const { buildInitialQuestions, buildQuestionSet } = require('../services/groupQuestionService');
+const {
+    MODES,
+    TEAM_COUNT_RANGE,
+    getRoomLimit,
+    assignTeams,
+    pickTeamForNewcomer,
+    buildResultsSheet
+} = require('../services/groupClassroomService');
+const {
+    touchPresence,
+    transferHost,
+    removeParticipant,
+    publishLobbyChange
+} = require('../services/groupLobbyService');
+const { parsePoolFilters } = require('../services/practiceService');
+const { generateScopedToken } = require('../utils/helpers');
+
+// Questions players may see: everything up to the open round (prefetched questions stay hidden)
+const visibleQuestions = (session, questions) =>
+    questions.slice(0, session.status === 'active' ? session.current_round + 1 : questions.length).map(toPublicGroupQuestion);
+
+// Everything a client needs to render the lobby or battle (served by /status and the events snapshot)
+const buildSessionState = async (session, userId) => {
+    const [questions, participants, sizeLimit] = await Promise.all([
+        loadSessionQuestions(session),
+        loadParticipants(session.id, session.creator_id),
+        getRoomLimit(session.mode)
+    ]);
+    return {
+        status: session.status,
+        mode: session.mode || 'battle',
+        hostId: session.creator_id,
+        isLocked: !!session.is_locked,
+        sizeLimit,
+        questionSetSize: Array.isArray(session.question_set) ? session.question_set.length : 0,
+        categoryId: session.category_id,
+        subjectId: session.subject_id,
+        chapterId: session.chapter_id,
+        language: session.language,
+        isHost: session.creator_id === userId,
+        questionCount: session.question_count,
+        secondsPerQuestion: session.seconds_per_question || DEFAULT_SECONDS_PER_QUESTION,
+        revealAnswers: session.reveal_answers,
+        currentRound: session.current_round,
+        roundPhase: session.round_phase,
+        phaseEndsAt: session.phase_ends_at,
+        questions: session.status === 'finished' ? [] : visibleQuestions(session, questions),
+        results: session.status === 'finished' ? session.results : null,
+        rematchOf: session.rematch_of,
+        rematchCode: session.rematch_code,
+        participants
+    };
+};
+
+// EventSource cannot send headers, so the events stream takes a short-lived stream token as ?token=
+const streamScope = (code) => `group_events:${code}`;
+
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+        req.tokenScope = streamScope(req.params.code);
+    }
+    next();
+};
 
 // @route   GET /api/group
 // @desc    Group service health check
@@ -13,25 +91,74 @@ router.get('/', (req, res) => {
 });
 
 // @route   POST /api/group/create
-// @desc    Create a new group session
+// @desc    Create a new group session; mode 'classroom' makes the host a non-playing moderator of a larger room
 // @access  Private
 router.post('/create', verifyToken, async (req, res) => {
+    const mode = req.body?.mode || 'battle';
+    if (!MODES.includes(mode)) {
+        return res.status(400).json({ message: `mode must be one of: ${MODES.join(', ')}` });
+    }
+
     try {
         // Generate unique 6-char code
         const code = crypto.randomBytes(3).toString('hex').toUpperCase();
 
         const result = await query(
-            'INSERT INTO group_sessions (id, creator_id) VALUES ($1, $2) RETURNING *',
-            [code, req.user.id]
+            'INSERT INTO group_sessions (id, creator_id, mode) VALUES ($1, $2, $3) RETURNING *',
+            [code, req.user.id, mode]
         );
 
-        // Add creator as participant
+        // Add creator as participant (classroom hosts moderate instead of playing)
         await query(
-            'INSERT INTO group_participants (session_id, user_id) VALUES ($1, $2)',
-            [code, req.user.id]
+            'INSERT INTO group_participants (session_id, user_id, role) VALUES ($1, $2, $3)',
+            [code, req.user.id, mode === 'classroom' ? 'moderator' : 'player']
         );
 
-        res.json({ session: result.rows[0], code, isHost: true });
+        res.json({ session: result.rows[0], code, isHost: true, mode });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/group/history
+// @desc    "My Battles": finished battles the user played, newest first, with final ranks (paginated)
+// @access  Private
+router.get('/history', verifyToken, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+    try {
+        const result = await query(
+            `SELECT gs.id, gs.mode, gs.topic_name, gs.language, gs.question_count, gs.seconds_per_question, gs.started_at, gs.finished_at,
+                gs.creator_id, gs.results, COUNT(*) OVER() as total_count
+             FROM group_participants gp
+             JOIN group_sessions gs ON gs.id = gp.session_id
+             WHERE gp.user_id = $1 AND gs.status = 'finished'
+             ORDER BY gs.finished_at DESC
+             OFFSET $2 LIMIT $3`,
+            [req.user.id, (page - 1) * limit, limit]
+        );
+        const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+        const battles = result.rows.map(row => {
+            const standings = row.results?.standings || [];
+            const me = standings.find(p => p.userId === req.user.id);
+            return {
+                code: row.id,
+                mode: row.mode || 'battle',
+                topic: row.topic_name,
+                language: row.language,
+                questionCount: row.question_count,
+                secondsPerQuestion: row.seconds_per_question,
+                startedAt: row.started_at,
+                finishedAt: row.finished_at,
+                wasHost: row.creator_id === req.user.id,
+                myRank: me ? me.rank : null,
+                myScore: me ? me.score : 0,
+                participants: standings.map(({ userId, username, score, rank }) => ({ userId, username, score, rank }))
+            };
+        });
+        res.json({ battles, total, page, totalPages: Math.ceil(total / limit) });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error' });
@@ -39,7 +166,7 @@ router.post('/create', verifyToken, async (req, res) => {
 });
 
 // @route   GET /api/group/:code/status
-// @desc    Get session status and participants
+// @desc    Get session status and participants (polling fallback for /events)
 // @access  Private
 router.get('/:code/status', verifyToken, async (req, res) => {
     const { code } = req.params;
@@ -55,53 +182,74 @@ router.get('/:code/status', verifyToken, async (req, res) => {
             return res.status(404).json({ message: 'Session not found' });
         }
 
-        const session = sessionRes.rows[0];
+        // Polling clients stay present for host migration and abandoned-session clean-up
+        await touchPresence(code, req.user.id);
+        res.json(await buildSessionState(sessionRes.rows[0], req.user.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
-        const participantsRes = await query(`
-            SELECT u.username, u.id as user_id, gp.score
-            FROM group_participants gp
-            JOIN users u ON gp.user_id = u.id
-            WHERE gp.session_id = $1
-            ORDER BY gp.joined_at ASC
-        `, [code]);
+// @route   POST /api/group/:code/stream-token
+// @desc    Issue a short-lived token for opening the events stream of this session
+// @access  Private
+router.post('/:code/stream-token', verifyToken, (req, res) => {
+    res.json({ token: generateScopedToken(req.user.id, streamScope(req.params.code)), expiresIn: 60 });
+});
 
-        let questions = [];
-        if (session.status === 'active') {
-            if (session.mcq_data) {
-                // New logic: Use raw JSON data
-                questions = typeof session.mcq_data === 'string' ? JSON.parse(session.mcq_data) : session.mcq_data;
-            } else if (session.mcq_ids) {
-                // Backward compatibility: Fetch from DB
-                const ids = typeof session.mcq_ids === 'string' ? JSON.parse(session.mcq_ids) : session.mcq_ids;
-                const mcqRes = await query(`
-                    SELECT id, question, options, correct_option, explanation 
-                    FROM mcq_pool 
-                    WHERE id = ANY($1)
-                `, [ids]);
-                // Sort to match mcq_ids order
-                questions = ids.map(id => mcqRes.rows.find(r => r.id === id)).filter(Boolean);
-            }
+// @route   GET /api/group/:code/events
+// @desc    Live event stream (SSE): snapshot, participant_joined/left, kicked, lock, host_changed, session_closed, teams,
+//          question_set, battle_started, question, progress, scores, rematch
+// @access  Private (participants; stream token passed as ?token=)
+router.get('/:code/events', tokenFromQuery, verifyToken, async (req, res) => {
+    const { code } = req.params;
+    let subscriber;
+    try {
+        const sessionRes = await query('SELECT * FROM group_sessions WHERE id = $1 AND is_active = TRUE', [code]);
+        if (sessionRes.rows.length === 0) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        const member = await query('SELECT 1 FROM group_participants WHERE session_id = $1 AND user_id = $2', [code, req.user.id]);
+        if (member.rows.length === 0) {
+            return res.status(403).json({ message: 'Join the session first' });
         }
 
-        res.json({
-            status: session.status,
-            categoryId: session.category_id,
-            subjectId: session.subject_id,
-            chapterId: session.chapter_id,
-            language: session.language,
-            isHost: session.creator_id === req.user.id,
-            questions,
-            participants: participantsRes.rows.map(p => ({
-                username: p.username,
-                userId: p.user_id,
-                score: p.score,
-                isHost: p.user_id === session.creator_id
-            }))
-        });
+        const wasConnected = groupEvents.isUserConnected(code, req.user.id);
+        await touchPresence(code, req.user.id);
+        subscriber = groupEvents.subscribe(code, req.user.id, res);
+        groupEvents.send(subscriber, 'snapshot', await buildSessionState(sessionRes.rows[0], req.user.id));
+
+        if (!wasConnected) {
+            groupEvents.publish(code, 'participant_joined', {
+                userId: req.user.id,
+                username: req.user.username,
+                participants: await loadParticipants(code, sessionRes.rows[0].creator_id)
+            });
+        }
     } catch (error) {
         console.error(error);
-        res.status(500).json({ message: 'Server error' });
+        if (!subscriber) return res.status(500).json({ message: 'Server error' });
+        groupEvents.unsubscribe(code, subscriber);
+        return res.end();
     }
+
+    req.on('close', async () => {
+        groupEvents.unsubscribe(code, subscriber);
+        if (groupEvents.isUserConnected(code, req.user.id)) return;
+        try {
+            await touchPresence(code, req.user.id);
+            const sessionRes = await query('SELECT creator_id FROM group_sessions WHERE id = $1', [code]);
+            if (sessionRes.rows.length === 0) return;
+            groupEvents.publish(code, 'participant_left', {
+                userId: req.user.id,
+                username: req.user.username,
+                participants: await loadParticipants(code, sessionRes.rows[0].creator_id)
+            });
+        } catch (error) {
+            console.error(error);
+        }
+    });
 });
 
 // @route   POST /api/group/join
@@ -120,22 +268,39 @@ router.post('/join', verifyToken, async (req, res) => {
             return res.status(400).json({ message: 'Session already started or finished' });
         }
 
-        // Check group size limit
-        const participants = await query('SELECT count(*) FROM group_participants WHERE session_id = $1', [code]);
-        const count = parseInt(participants.rows[0].count);
+        // Players already in the lobby may always rejoin; everyone else needs an open, unlocked lobby
+        const existing = await query('SELECT 1 FROM group_participants WHERE session_id = $1 AND user_id = $2', [code, req.user.id]);
+        if (existing.rows.length > 0) {
+            return res.json({ message: 'Joined session', code, isHost: session.rows[0].creator_id === req.user.id });
+        }
+        if ((session.rows[0].kicked_user_ids || []).includes(req.user.id)) {
+            return res.status(403).json({ message: 'You were removed from this session by the host' });
+        }
+        if (session.rows[0].is_locked) {
+            return res.status(403).json({ message: 'The host has locked this lobby', code: 'LOBBY_LOCKED' });
+        }
 
-        const settings = await query('SELECT value FROM system_settings WHERE key = \'GROUP_SIZE_LIMIT\'');
-        const limit = parseInt(settings.rows[0].value || '10');
+        // Check group size limit (classrooms use their own, larger limit; moderators are not counted)
+        const participants = await query('SELECT count(*) FROM group_participants WHERE session_id = $1 AND role = \'player\'', [code]);
+        const count = parseInt(participants.rows[0].count);
+        const limit = await getRoomLimit(session.rows[0].mode);
 
         if (count >= limit) {
             return res.status(400).json({ message: 'Group full' });
         }
 
-        // Add participant
-        await query(
-            'INSERT INTO group_participants (session_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-            [code, req.user.id]
+        // Add participant; once teams are drawn, newcomers fill the smallest team
+        const added = await query(
+            'INSERT INTO group_participants (session_id, user_id, team) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+            [code, req.user.id, await pickTeamForNewcomer(pool, code)]
         );
+        if (added.rowCount > 0) {
+            groupEvents.publish(code, 'participant_joined', {
+                userId: req.user.id,
+                username: req.user.username,
+                participants: await loadParticipants(code, session.rows[0].creator_id)
+            });
+        }
 
         res.json({ message: 'Joined session', code, isHost: session.rows[0].creator_id === req.user.id });
     } catch (error) {
@@ -144,24 +309,43 @@ router.post('/join', verifyToken, async (req, res) => {
     }
 });
 
+// Run work(client) in a transaction holding the row lock of a lobby the caller hosts; work returns { error } to
+// roll back. A lobby started meanwhile (e.g. by a concurrent /start) is rejected.
+const withLockedLobby = async (code, userId, work) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const sessionRes = await client.query('SELECT * FROM group_sessions WHERE id = $1 FOR UPDATE', [code]);
+        const session = sessionRes.rows[0];
+        let result;
+        if (!session) result = { error: { status: 404, body: { message: 'Session not found' } } };
+        else if (session.creator_id !== userId) result = { error: { status: 403, body: { message: 'Only host can start' } } };
+        else if (session.status !== 'lobby') result = { error: { status: 400, body: { message: 'Battle already started or finished' } } };
+        else result = await work(client, session);
+        await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+        return result;
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
 // @route   POST /api/group/start
 // @desc    Start the battle (Host only)
 // @route   POST /api/group/start
-// @desc    Start the battle (Host only)
+// @desc    Start the battle (Host only); format: questionCount, secondsPerQuestion, revealAnswers
 // @access  Private
 router.post('/start', verifyToken, async (req, res) => {
     const {
         code,
-        categoryId,
         boardId,
         classId,
         streamId,
         semesterId,
         universityId,
-        paperStageId,
-        subjectId,
-        chapterId,
-        language = 'English'
+        paperStageId
     } = req.body;
 
     try {
@@ -172,19 +356,39 @@ router.post('/start', verifyToken, async (req, res) => {
         if (session.creator_id !== req.user.id) {
             return res.status(403).json({ message: 'Only host can start' });
         }
+        if (session.status !== 'lobby') {
+            return res.status(400).json({ message: 'Battle already started or finished' });
+        }
 
-        // PRIME CHECK
-        const creatorRes = await query('SELECT is_premium, sessions_left, role FROM users WHERE id = $1', [req.user.id]);
-        const creator = creatorRes.rows[0];
+        // Lobbies (e.g. rematches) carry stored settings; anything the host sends overrides them
+        const setting = (value, stored) => (value === undefined || value === null || value === '') ? stored : value;
+        const categoryId = setting(req.body.categoryId, session.category_id);
+        // A different category invalidates the stored subject and chapter
+        const sameCategory = String(categoryId) === String(session.category_id);
+        const subjectId = setting(req.body.subjectId, sameCategory ? session.subject_id : null);
+        const chapterId = setting(req.body.chapterId, sameCategory ? session.chapter_id : null);
+        const language = setting(req.body.language, session.language || 'English');
+        // A fixed question set loaded into the lobby replaces pool/AI questions and sets the question count
+        const questionSet = Array.isArray(session.question_set) && session.question_set.length > 0 ? session.question_set : null;
+
+        const config = parseBattleConfig({
+            questionCount: questionSet ? questionSet.length : setting(req.body.questionCount, session.question_count),
+            secondsPerQuestion: setting(req.body.secondsPerQuestion, session.seconds_per_question),
+            revealAnswers: setting(req.body.revealAnswers, session.reveal_answers)
+        });
+        if (config.error) return res.status(config.error.status).json(config.error.body);
 
-        if (creator.role !== 'admin') {
-            if (!creator.is_premium || creator.sessions_left <= 0) {
-                return res.status(403).json({ message: 'Prime subscription required or sessions exhausted.', code: 'SESSIONS_EXHAUSTED' });
+        if (session.mode === 'classroom') {
+            const players = await query('SELECT 1 FROM group_participants WHERE session_id = $1 AND role = \'player\' LIMIT 1', [code]);
+            if (players.rows.length === 0) {
+                return res.status(400).json({ message: 'Wait for at least one player to join' });
             }
-            const newSessions = creator.sessions_left - 1;
-            await query('UPDATE users SET sessions_left = $1, is_premium = $2 WHERE id = $3', [newSessions, newSessions > 0, req.user.id]);
         }
 
+        // PRIME CHECK: the session is charged below, together with the start, once the questions are ready
+        const allowed = canHostSession(req.user);
+        if (allowed.error) return res.status(allowed.error.status).json(allowed.error.body);
+
         // 1. Resolve Hierarchy IDs in Parallel
         const namePromises = [
             categoryId ? query('SELECT name FROM categories WHERE id = $1', [categoryId]) : Promise.resolve(null),
@@ -215,27 +419,69 @@ router.post('/start', verifyToken, async (req, res) => {
             else if (catName) topic = catName;
             else topic = topicParts.join(' ');
         }
+        if (questionSet && session.topic_name) topic = session.topic_name;
 
-        // 2. Generate 1st MCQ (Fast Start)
-        console.log(`[GroupBattle] START: Generating 1st MCQ for: ${topic}`);
-        const generatedMcqs = await generateMCQInitial(topic, 1, language);
+        // 2. Opening questions: approved pool questions for the selection first, else one AI question to start
+        //    quickly; the rest of the set is topped up in the background
+        console.log(`[GroupBattle] START: Preparing questions for: ${topic}`);
+        const initialQuestions = questionSet || await buildInitialQuestions({
+            creatorId: session.creator_id,
+            filters: parsePoolFilters({
+                category_id: categoryId,
+                board_id: boardId,
+                class_id: classId,
+                stream_id: streamId,
+                university_id: universityId,
+                semester_id: semesterId,
+                paper_stage_id: paperStageId,
+                subject_id: subjectId,
+                chapter_id: chapterId
+            }),
+            topic,
+            language,
+            questionCount: config.questionCount
+        });
 
-        if (!generatedMcqs || generatedMcqs.length === 0) {
-            return res.status(500).json({ message: 'Failed to generate initial question.' });
+        if (initialQuestions.length === 0) {
+            return res.status(500).json({ message: 'Failed to prepare questions for this selection.' });
         }
 
-        const firstQuestion = {
-            id: `live_${Date.now()}_0`,
-            ...generatedMcqs[0]
-        };
+        const questions = initialQuestions.slice(0, config.questionCount);
+        const firstQuestion = questions[0] = { ...questions[0], served_at: new Date().toISOString() };
 
-        // 3. Update session
-        await query(
-            'UPDATE group_sessions SET status = \'active\', category_id = $1, subject_id = $2, chapter_id = $3, topic_name = $4, language = $5, mcq_data = $6 WHERE id = $7',
-            [categoryId, subjectId, chapterId, topic, language, JSON.stringify([firstQuestion]), code]
-        );
+        // 3. Charge the host and open round 1 under the session's row lock, so concurrent starts charge once;
+        //    the server advances rounds from here
+        const result = await withLockedLobby(code, req.user.id, async (client) => {
+            const charged = await chargeHost(client, req.user.id);
+            if (charged.error) return charged;
+            const updated = await client.query(
+                `UPDATE group_sessions SET status = 'active', category_id = $1, subject_id = $2, chapter_id = $3, topic_name = $4, language = $5, mcq_data = $6,
+                    question_count = $7, seconds_per_question = $8, reveal_answers = $9,
+                    current_round = 0, round_phase = 'question', phase_ends_at = $10, started_at = NOW()
+                 WHERE id = $11 RETURNING *`,
+                [categoryId || null, subjectId || null, chapterId || null, topic, language, JSON.stringify(questions),
+                    config.questionCount, config.secondsPerQuestion, config.revealAnswers,
+                    new Date(new Date(firstQuestion.served_at).getTime() + config.secondsPerQuestion * 1000), code]
+            );
+            return { session: updated.rows[0] };
+        });
+        if (result.error) return res.status(result.error.status).json(result.error.body);
+        const started = result.session;
+        scheduleRound(started);
 
-        res.json({ message: 'Battle started', questions: [firstQuestion] });
+        const battle = {
+            language,
+            subjectId,
+            chapterId,
+            questionCount: started.question_count,
+            secondsPerQuestion: started.seconds_per_question,
+            revealAnswers: started.reveal_answers,
+            currentRound: 0,
+            phaseEndsAt: started.phase_ends_at,
+            questions: [toPublicGroupQuestion(firstQuestion)]
+        };
+        groupEvents.publish(code, 'battle_started', battle);
+        res.json({ message: 'Battle started', ...battle });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error starting battle' });
@@ -243,59 +489,312 @@ router.post('/start', verifyToken, async (req, res) => {
 });
 
 // @route   POST /api/group/:code/next
-// @desc    Get or generate next question (One-by-One, Atomic Sync)
+// @desc    Questions up to the open round (rounds are advanced by the server; polling fallback for /events)
 // @access  Private
 router.post('/:code/next', verifyToken, async (req, res) => {
     const { code } = req.params;
-    const { currentCount = 0 } = req.body; // Ignore incoming language, use DB session language
 
     try {
-        const sessionRes = await query('SELECT * FROM group_sessions WHERE id = $1', [code]);
-        if (sessionRes.rows.length === 0) return res.status(404).json({ message: 'Session not found' });
+        // Catch up on an overdue round in case its timer was lost
+        const session = await advanceSession(code);
+        if (!session) return res.status(404).json({ message: 'Session not found' });
 
-        const session = sessionRes.rows[0];
-        let currentQuestions = typeof session.mcq_data === 'string' ? JSON.parse(session.mcq_data) : (session.mcq_data || []);
+        const questions = await loadSessionQuestions(session);
+        res.json({
+            message: session.status === 'finished' ? 'Session complete' : 'Current round',
+            status: session.status,
+            currentRound: session.current_round,
+            roundPhase: session.round_phase,
+            phaseEndsAt: session.phase_ends_at,
+            questions: visibleQuestions(session, questions)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error fetching next question' });
+    }
+});
 
-        // 1. ATOMIC CHECK: If someone else already generated the next question, return it immediately
-        if (currentQuestions.length > currentCount) {
-            console.log(`[GroupBattle] NEXT: Question ${currentCount + 1} already generated by someone else. Syncing.`);
-            return res.json({ message: 'Synced existing question', questions: currentQuestions });
-        }
 
-        if (currentQuestions.length >= 10) {
-            return res.json({ message: 'Session complete', questions: currentQuestions });
+// Lobby the caller hosts, or an { error } to send back
+const loadHostedLobby = async (db, id, userId) => {
+    const sessionRes = await db.query('SELECT * FROM group_sessions WHERE id = $1 AND is_active = TRUE', [id]);
+    const session = sessionRes.rows[0];
+    if (!session) return { error: { status: 404, body: { message: 'Session not found' } } };
+    if (session.creator_id !== userId) return { error: { status: 403, body: { message: 'Only the host can change the lobby' } } };
+    if (session.status !== 'lobby') return { error: { status: 400, body: { message: 'Battle already started or finished' } } };
+    return { session };
+};
+
+// @route   PUT /api/group/:id/question-set
+// @desc    Load a fixed question set into the lobby: { questions: [{question, options, correct_option, explanation}] },
+//          { mcqIds } or { paperId }, with an optional title; an empty body clears it (Host only)
+// @access  Private
+router.put('/:id/question-set', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const lobby = await loadHostedLobby(pool, id, req.user.id);
+        if (lobby.error) return res.status(lobby.error.status).json(lobby.error.body);
+
+        const set = await buildQuestionSet(req.body || {});
+        if (set.error) return res.status(set.error.status).json(set.error.body);
+
+        const title = typeof req.body?.title === 'string' && req.body.title.trim() ? req.body.title.trim().slice(0, 200) : null;
+        await query(
+            'UPDATE group_sessions SET question_set = $1, question_count = COALESCE($2, question_count), topic_name = COALESCE($3, topic_name) WHERE id = $4',
+            [set.questions.length > 0 ? JSON.stringify(set.questions) : null, set.questions.length || null, title, id]
+        );
+        groupEvents.publish(id, 'question_set', { questionSetSize: set.questions.length, title });
+        res.json({ message: set.questions.length > 0 ? 'Question set saved' : 'Question set cleared', questionSetSize: set.questions.length });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/group/:id/teams
+// @desc    Split the classroom's players into { teamCount } random teams (0 removes the teams) (Host only)
+// @access  Private
+router.post('/:id/teams', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const teamCount = parseInt(req.body?.teamCount) || 0;
+    if (teamCount !== 0 && (teamCount < TEAM_COUNT_RANGE.min || teamCount > TEAM_COUNT_RANGE.max)) {
+        return res.status(400).json({ message: `teamCount must be 0 or between ${TEAM_COUNT_RANGE.min} and ${TEAM_COUNT_RANGE.max}` });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const lobby = await loadHostedLobby(client, id, req.user.id);
+        if (lobby.error) {
+            await client.query('ROLLBACK');
+            return res.status(lobby.error.status).json(lobby.error.body);
         }
+        if (lobby.session.mode !== 'classroom') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Teams are only available in classroom mode' });
+        }
+
+        const teams = await assignTeams(client, id, teamCount);
+        await client.query('COMMIT');
+
+        const participants = await loadParticipants(id, lobby.session.creator_id);
+        groupEvents.publish(id, 'teams', { teams, participants });
+        res.json({ teams, participants });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// @route   PUT /api/group/:id/teams/:userId
+// @desc    Move one player to another team: { team } (Host only)
+// @access  Private
+router.put('/:id/teams/:userId', verifyToken, async (req, res) => {
+    const { id, userId } = req.params;
+    const team = typeof req.body?.team === 'string' ? req.body.team.trim().slice(0, 50) : '';
+    if (!team) return res.status(400).json({ message: 'team is required' });
+
+    try {
+        const lobby = await loadHostedLobby(pool, id, req.user.id);
+        if (lobby.error) return res.status(lobby.error.status).json(lobby.error.body);
+
+        const updated = await query(
+            `UPDATE group_participants SET team = $1 WHERE session_id = $2 AND user_id = $3 AND role = 'player' RETURNING user_id`,
+            [team, id, parseInt(userId)]
+        );
+        if (updated.rows.length === 0) return res.status(404).json({ message: 'Player not found in this session' });
 
-        // 2. Resolve topic and language for AI (From DB session)
-        const sessionLang = session.language || 'English';
-        const topic = session.topic_name || 'General Knowledge';
+        const participants = await loadParticipants(id, lobby.session.creator_id);
+        groupEvents.publish(id, 'teams', { participants });
+        res.json({ participants });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
-        console.log(`[GroupBattle] NEXT: Generating question ${currentQuestions.length + 1} for: ${topic} in ${sessionLang}`);
-        const generatedMcqs = await generateMCQInitial(topic, 1, sessionLang);
+// Session the caller hosts (row locked for the transaction), or an { error } to send back
+const lockHostedSession = async (client, id, userId) => {
+    const sessionRes = await client.query('SELECT * FROM group_sessions WHERE id = $1 AND is_active = TRUE FOR UPDATE', [id]);
+    const session = sessionRes.rows[0];
+    if (!session) return { error: { status: 404, body: { message: 'Session not found' } } };
+    if (session.creator_id !== userId) return { error: { status: 403, body: { message: 'Only the host can do this' } } };
+    if (session.status === 'finished') return { error: { status: 400, body: { message: 'Battle already finished' } } };
+    return { session };
+};
 
-        if (!generatedMcqs || generatedMcqs.length === 0) {
-            return res.status(500).json({ message: 'Failed to generate next question.' });
+// @route   POST /api/group/:id/leave
+// @desc    Leave a lobby or running battle; a leaving host hands over to the next player, the last one out closes it
+// @access  Private
+router.post('/:id/leave', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const client = await pool.connect();
+    let result;
+    try {
+        await client.query('BEGIN');
+        const sessionRes = await client.query('SELECT * FROM group_sessions WHERE id = $1 FOR UPDATE', [id]);
+        const session = sessionRes.rows[0];
+        const member = session && await client.query('SELECT 1 FROM group_participants WHERE session_id = $1 AND user_id = $2', [id, req.user.id]);
+        if (!session || member.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Not a participant of this session' });
+        }
+        // Finished battles stay in everyone's history
+        if (session.status === 'finished') {
+            await client.query('ROLLBACK');
+            return res.json({ message: 'Left session' });
         }
 
-        const nextQuestion = {
-            id: `live_${Date.now()}_${currentQuestions.length}`,
-            ...generatedMcqs[0]
-        };
+        result = await removeParticipant(client, session, req.user.id);
+        await client.query('COMMIT');
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        return res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
 
-        const updatedQuestions = [...currentQuestions, nextQuestion];
+    try {
+        groupEvents.disconnectUser(id, req.user.id);
+        if (result.closed) {
+            groupEvents.publish(id, 'session_closed', { reason: 'empty' });
+        } else {
+            await publishLobbyChange(result.session, 'participant_left', { userId: req.user.id, username: req.user.username, left: true });
+            if (result.hostChanged) {
+                await publishLobbyChange(result.session, 'host_changed', { previousHostId: req.user.id, reason: 'host_left' });
+            }
+            // Everyone still playing may have answered the open round already
+            if (result.session.status === 'active') advanceSession(id).catch(error => console.error(error));
+        }
+    } catch (error) {
+        console.error(error);
+    }
+    res.json({ message: 'Left session', closed: result.closed, hostId: result.session.creator_id });
+});
 
-        await query(
-            'UPDATE group_sessions SET mcq_data = $1 WHERE id = $2',
-            [JSON.stringify(updatedQuestions), code]
+// @route   POST /api/group/:id/kick
+// @desc    Remove a participant who then cannot rejoin: { userId } (Host only)
+// @access  Private
+router.post('/:id/kick', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const userId = parseInt(req.body?.userId);
+    if (!Number.isInteger(userId)) return res.status(400).json({ message: 'userId is required' });
+    if (userId === req.user.id) return res.status(400).json({ message: 'Use leave to remove yourself' });
+
+    const client = await pool.connect();
+    let session;
+    try {
+        await client.query('BEGIN');
+        const hosted = await lockHostedSession(client, id, req.user.id);
+        if (hosted.error) {
+            await client.query('ROLLBACK');
+            return res.status(hosted.error.status).json(hosted.error.body);
+        }
+        session = hosted.session;
+
+        const removed = await client.query('DELETE FROM group_participants WHERE session_id = $1 AND user_id = $2 RETURNING user_id', [id, userId]);
+        if (removed.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Player not found in this session' });
+        }
+        await client.query(
+            `UPDATE group_sessions SET kicked_user_ids = array_append(COALESCE(kicked_user_ids, '{}'), $1) WHERE id = $2`,
+            [userId, id]
         );
+        await client.query('COMMIT');
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        return res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
 
-        res.json({ message: 'Next question ready', questions: updatedQuestions });
+    // The player is already removed; a failed notification must not lose the response
+    let participants = null;
+    try {
+        await publishLobbyChange(session, 'kicked', { userId });
+        groupEvents.disconnectUser(id, userId);
+        if (session.status === 'active') advanceSession(id).catch(error => console.error(error));
+        participants = await loadParticipants(id, session.creator_id);
     } catch (error) {
         console.error(error);
-        res.status(500).json({ message: 'Server error fetching next question' });
     }
+    res.json({ message: 'Player removed', participants });
+});
+
+// @route   POST /api/group/:id/lock
+// @desc    Lock or unlock the lobby for new players: { locked } (Host only)
+// @access  Private
+router.post('/:id/lock', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const locked = req.body?.locked === true || req.body?.locked === 'true';
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const hosted = await lockHostedSession(client, id, req.user.id);
+        if (hosted.error) {
+            await client.query('ROLLBACK');
+            return res.status(hosted.error.status).json(hosted.error.body);
+        }
+        await client.query('UPDATE group_sessions SET is_locked = $1 WHERE id = $2', [locked, id]);
+        await client.query('COMMIT');
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        return res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+
+    groupEvents.publish(id, 'lock', { locked });
+    res.json({ message: locked ? 'Lobby locked' : 'Lobby unlocked', locked });
 });
 
+// @route   POST /api/group/:id/transfer-host
+// @desc    Hand host rights to another participant: { userId } (Host only)
+// @access  Private
+router.post('/:id/transfer-host', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const userId = parseInt(req.body?.userId);
+    if (!Number.isInteger(userId)) return res.status(400).json({ message: 'userId is required' });
+
+    const client = await pool.connect();
+    let session;
+    try {
+        await client.query('BEGIN');
+        const hosted = await lockHostedSession(client, id, req.user.id);
+        if (hosted.error) {
+            await client.query('ROLLBACK');
+            return res.status(hosted.error.status).json(hosted.error.body);
+        }
+        const member = await client.query('SELECT 1 FROM group_participants WHERE session_id = $1 AND user_id = $2', [id, userId]);
+        if (member.rows.length === 0 || userId === req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Pick another participant of this session' });
+        }
+
+        session = await transferHost(client, hosted.session, userId);
+        await client.query('COMMIT');
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        return res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+
+    try {
+        await publishLobbyChange(session, 'host_changed', { previousHostId: req.user.id, reason: 'transfer' });
+    } catch (error) {
+        console.error(error);
+    }
+    res.json({ message: 'Host transferred', hostId: userId });
+});
 
 // @route   GET /api/group/:id/leaderboard
 // @desc    Get leaderboard for a session
@@ -307,7 +806,7 @@ router.get('/:id/leaderboard', verifyToken, async (req, res) => {
             SELECT u.username, gp.score, gp.joined_at
             FROM group_participants gp
             JOIN users u ON gp.user_id = u.id
-            WHERE gp.session_id = $1
+            WHERE gp.session_id = $1 AND gp.role = 'player'
             ORDER BY gp.score DESC
         `, [id]);
 
@@ -318,19 +817,235 @@ router.get('/:id/leaderboard', verifyToken, async (req, res) => {
     }
 });
 
+// @route   GET /api/group/:id/results
+// @desc    Final results snapshot of a finished battle with every player's per-question answers (also the history detail)
+// @access  Private (participants)
+router.get('/:id/results', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const member = await query('SELECT 1 FROM group_participants WHERE session_id = $1 AND user_id = $2', [id, req.user.id]);
+        if (member.rows.length === 0) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        const session = await advanceSession(id);
+        if (!session || session.status !== 'finished') {
+            return res.status(400).json({ message: 'Battle has not finished yet', status: session?.status });
+        }
+
+        const answers = await query(
+            `SELECT a.user_id, u.username, a.question_index, a.selected_option, a.is_correct, a.points, a.answered_at
+             FROM group_answers a
+             JOIN users u ON u.id = a.user_id
+             WHERE a.session_id = $1
+             ORDER BY a.question_index ASC, a.answered_at ASC`,
+            [id]
+        );
+        const byQuestion = (index) => answers.rows
+            .filter(a => a.question_index === index)
+            .map(({ question_index, ...a }) => a);
+
+        res.json({
+            code: session.id,
+            topic: session.topic_name,
+            rematchCode: session.rematch_code,
+            ...session.results,
+            questions: (session.results.questions || []).map(q => ({ ...q, answers: byQuestion(q.index) })),
+            myAnswers: answers.rows.filter(a => a.user_id === req.user.id)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/group/:id/results/sheet
+// @desc    Download the final results as a CSV sheet (per-player totals, teams and picks per question)
+// @access  Private (Host only)
+router.get('/:id/results/sheet', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const sessionRes = await query('SELECT * FROM group_sessions WHERE id = $1', [id]);
+        const session = sessionRes.rows[0];
+        if (!session || session.creator_id !== req.user.id) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        if (session.status !== 'finished' || !session.results) {
+            return res.status(400).json({ message: 'Battle has not finished yet' });
+        }
+
+        const answers = await query(
+            'SELECT user_id, question_index, selected_option, is_correct FROM group_answers WHERE session_id = $1',
+            [id]
+        );
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="examredy-results-${id}.csv"`);
+        // BOM so spreadsheet apps read the sheet as UTF-8
+        res.send('\uFEFF' + buildResultsSheet(session.results, answers.rows));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/group/:id/rematch
+// @desc    New lobby with the same players and battle settings; the caller hosts it. Repeated calls return the same lobby.
+// @access  Private (participants)
+router.post('/:id/rematch', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const sessionRes = await client.query('SELECT * FROM group_sessions WHERE id = $1 FOR UPDATE', [id]);
+        const previous = sessionRes.rows[0];
+        const member = previous && await client.query('SELECT 1 FROM group_participants WHERE session_id = $1 AND user_id = $2', [id, req.user.id]);
+        if (!previous || member.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        if (previous.status !== 'finished') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Battle has not finished yet' });
+        }
+        if (previous.mode === 'classroom' && previous.creator_id !== req.user.id && !previous.rematch_code) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Only the moderator can restart a classroom' });
+        }
+
+        // Someone already asked for the rematch: send everyone to the same lobby
+        if (previous.rematch_code) {
+            const existing = await client.query('SELECT creator_id FROM group_sessions WHERE id = $1', [previous.rematch_code]);
+            await client.query('COMMIT');
+            return res.json({ code: previous.rematch_code, isHost: existing.rows[0]?.creator_id === req.user.id, rematchOf: id });
+        }
+
+        const code = crypto.randomBytes(3).toString('hex').toUpperCase();
+        const created = await client.query(
+            `INSERT INTO group_sessions (id, creator_id, category_id, subject_id, chapter_id, topic_name, language,
+                question_count, seconds_per_question, reveal_answers, rematch_of, mode, question_set)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+            [code, req.user.id, previous.category_id, previous.subject_id, previous.chapter_id, previous.topic_name, previous.language,
+                previous.question_count, previous.seconds_per_question, previous.reveal_answers, id, previous.mode || 'battle',
+                previous.question_set ? JSON.stringify(previous.question_set) : null]
+        );
+        // Same players, roles and teams
+        await client.query(
+            `INSERT INTO group_participants (session_id, user_id, role, team)
+             SELECT $1, user_id, role, team FROM group_participants WHERE session_id = $2 ORDER BY (user_id = $3) DESC, joined_at ASC`,
+            [code, id, req.user.id]
+        );
+        await client.query('UPDATE group_sessions SET rematch_code = $1 WHERE id = $2', [code, id]);
+        await client.query('COMMIT');
+
+        groupEvents.publish(id, 'rematch', { code, hostId: req.user.id, hostName: req.user.username });
+        res.json({ code, isHost: true, rematchOf: id, session: created.rows[0] });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// @route   POST /api/group/:id/answer
+// @desc    Answer one battle question; graded on the server with a speed bonus, rejected after the deadline
+// @access  Private
+router.post('/:id/answer', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const questionIndex = parseInt(req.body.question_index);
+    if (!Number.isInteger(questionIndex) || questionIndex < 0) {
+        return res.status(400).json({ message: 'question_index is required' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // FOR SHARE: answers run side by side, but a round cannot close halfway through one
+        const sessionRes = await client.query('SELECT * FROM group_sessions WHERE id = $1 AND is_active = TRUE FOR SHARE', [id]);
+        if (sessionRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        const session = sessionRes.rows[0];
+        if (session.status !== 'active') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Battle is not running' });
+        }
+
+        const member = await client.query('SELECT role FROM group_participants WHERE session_id = $1 AND user_id = $2', [id, req.user.id]);
+        if (member.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Join the session first' });
+        }
+        if (member.rows[0].role === 'moderator') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'The moderator does not play' });
+        }
+
+        const questions = await loadSessionQuestions(session);
+        const result = await gradeGroupAnswer(client, session, questions, req.user.id, questionIndex, req.body.selected_option);
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.error.status).json(result.error.body);
+        }
+        await client.query('COMMIT');
+
+        groupEvents.publish(id, 'progress', {
+            userId: req.user.id,
+            username: req.user.username,
+            questionIndex,
+            answered: result.answered,
+            score: result.score
+        });
+        groupEvents.publish(id, 'scores', { participants: await loadParticipants(id, session.creator_id) });
+
+        // Closes the round early once everyone has answered
+        advanceSession(id).catch(error => console.error(error));
+
+        res.json(result);
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
 // @route   POST /api/group/:id/submit
-// @desc    Submit score for group session
+// @desc    Finish the battle for the caller; the final score is computed from their graded answers
 // @access  Private
 router.post('/:id/submit', verifyToken, async (req, res) => {
     const { id } = req.params;
-    const { score } = req.body; // Score derived from frontend or calculated backend?
 
     try {
-        await query(
-            'UPDATE group_participants SET score = $1 WHERE session_id = $2 AND user_id = $3',
-            [score, id, req.user.id]
-        );
-        res.json({ message: 'Score submitted' });
+        const member = await query('SELECT role FROM group_participants WHERE session_id = $1 AND user_id = $2', [id, req.user.id]);
+        if (member.rows.length === 0) {
+            return res.status(404).json({ message: 'Not a participant of this session' });
+        }
+        if (member.rows[0].role === 'moderator') {
+            return res.status(403).json({ message: 'The moderator does not play' });
+        }
+
+        const { score, answered } = await refreshParticipantScore(pool, id, req.user.id);
+
+        const sessionRes = await query('SELECT category_id, subject_id, creator_id, status FROM group_sessions WHERE id = $1', [id]);
+        const session = sessionRes.rows[0] || {};
+        groupEvents.publish(id, 'scores', { participants: await loadParticipants(id, session.creator_id) });
+
+        // Participation XP once per finished battle the caller answered in; badges are re-checked with it
+        if (session.status !== 'finished' || answered === 0) {
+            return res.json({ message: 'Score submitted', score, answered, gamification: null });
+        }
+        const gamification = await recordActivity(pool, req.user.id, [{
+            xp: BATTLE_PLAYED_XP,
+            source: 'battle',
+            ref: id,
+            categoryId: session.category_id,
+            subjectId: session.subject_id
+        }]);
+        res.json({ message: 'Score submitted', score, answered, gamification });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error' });
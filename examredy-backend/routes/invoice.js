@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('../db');
+const { verifyToken } = require('../middleware/authMiddleware');
+const {
+    getBillingProfile,
+    saveBillingProfile,
+    renderInvoiceHtml,
+    renderInvoicePdf
+} = require('../services/invoiceService');
+
+const invoiceFileName = (invoice, ext) => `examredy-invoice-${invoice.invoice_number.replace(/\//g, '-')}.${ext}`;
+
+// @route   GET /api/invoices
+// @desc    The current user's invoices, newest first
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+    try {
+        const result = await query(
+            `SELECT i.id, i.invoice_number, i.invoice_date, i.description, i.currency, i.total_amount, p.status as payment_status
+             FROM invoices i
+             JOIN payments p ON p.id = i.payment_id
+             WHERE i.user_id = $1
+             ORDER BY i.financial_year DESC, i.sequence DESC`,
+            [req.user.id]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/invoices/billing-details
+// @desc    Buyer details printed on the user's future invoices
+// @access  Private
+router.get('/billing-details', verifyToken, async (req, res) => {
+    try {
+        res.json(await getBillingProfile(req.user.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/invoices/billing-details
+// @desc    Save { legal_name, gstin, address, state, postal_code }; invoices already issued keep their details
+// @access  Private
+router.put('/billing-details', verifyToken, async (req, res) => {
+    try {
+        const saved = await saveBillingProfile(req.user.id, req.body);
+        if (saved.error) return res.status(saved.error.status).json(saved.error.body);
+        res.json(saved.profile);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/invoices/:id/download?format=pdf|html
+// @desc    Download an invoice as PDF (default) or printable HTML
+// @access  Private (Owner or Admin)
+router.get('/:id/download', verifyToken, async (req, res) => {
+    const invoiceId = Number(req.params.id);
+    if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+        return res.status(404).json({ message: 'Invoice not found' });
+    }
+    try {
+        const result = await query('SELECT * FROM invoices WHERE id = $1', [invoiceId]);
+        const invoice = result.rows[0];
+        if (!invoice || (invoice.user_id !== req.user.id && req.user.role !== 'admin')) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        if (req.query.format === 'html') {
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.setHeader('Content-Disposition', `inline; filename="${invoiceFileName(invoice, 'html')}"`);
+            return res.send(renderInvoiceHtml(invoice));
+        }
+        const pdf = await renderInvoicePdf(invoice);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoiceFileName(invoice, 'pdf')}"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/authMiddleware');
+const { parsePoolFilters } = require('../services/practiceService');
+const { PERIODS, getLeaderboard, getUserRank } = require('../services/leaderboardService');
+
+// @route   GET /api/leaderboard
+// @desc    Weekly, monthly or all-time ranking by points from correct answers, optionally scoped
+//          by category_id, board_id/class_id, paper_stage_id (exam) or subject_id; includes the caller's rank
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+    const period = req.query.period || 'week';
+    if (!PERIODS.includes(period)) {
+        return res.status(400).json({ message: `period must be one of: ${PERIODS.join(', ')}` });
+    }
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filters = parsePoolFilters(req.query);
+
+    try {
+        const [{ entries, total }, me] = await Promise.all([
+            getLeaderboard({ period, filters, offset: (page - 1) * limit, limit }),
+            getUserRank(req.user.id, { period, filters })
+        ]);
+        res.json({
+            period,
+            entries,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            me: { ...me, optedOut: !!req.user.leaderboard_opt_out }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,20 @@ const { pool, query } = require('../db');
 const { verifyToken, admin } = require('../middleware/authMiddleware');
 const { generateMCQInitial } = require('../services/aiService');
 const { subscriptionCheck } = require('../middleware/subscriptionMiddleware');
+const { reservePracticeQuota, parsePoolFilters, getRepeatWindowDays, drawPoolQuestions, createPracticeSession, recordDailyUsage } = require('../services/practiceService');
+const { getDueReviewQuestions, getReviewSummary } = require('../services/reviewService');
+const { getTargetRating, getUserSkills, ratingToDifficulty } = require('../services/skillService');
+const { recordPooledAnswer } = require('../services/answerService');
+const { recordActivity, xpForAnswer } = require('../services/gamificationService');
+const { hasPremiumAccess } = require('../services/entitlementService');
+const {
+    saveBookmark,
+    listBookmarks,
+    updateBookmarkNote,
+    deleteBookmark,
+    getBookmarkPracticeQuestions,
+    countBookmarks
+} = require('../services/bookmarkService');
 
 // @route   GET /api/mcq
 // @desc    MCQ health check
@@ -17,7 +31,7 @@ router.get('/', (req, res) => {
 // @desc    Generate MCQs using AI (Admin only)
 // @access  Admin
 router.post('/generate', verifyToken, admin, async (req, res) => {
-    const { topic, category_id, count } = req.body;
+    const { topic, category_id, subject_id = null, chapter_id = null, count } = req.body;
 
     if (!topic || !category_id) {
         return res.status(400).json({ message: 'Topic and Category are required' });
@@ -35,11 +49,11 @@ router.post('/generate', verifyToken, admin, async (req, res) => {
 
             try {
                 const result = await query(
-                    `INSERT INTO mcq_pool (question, options, correct_option, explanation, category_id, subject, chapter, is_approved, question_hash) 
-                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+                    `INSERT INTO mcq_pool (question, options, correct_option, explanation, category_id, subject, chapter, is_approved, question_hash, subject_id, chapter_id) 
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
                      ON CONFLICT (question_hash) DO NOTHING 
                      RETURNING *`,
-                    [mcq.question, JSON.stringify(mcq.options), mcq.correct_option, mcq.explanation, category_id, mcq.subject, mcq.chapter, true, hash]
+                    [mcq.question, JSON.stringify(mcq.options), mcq.correct_option, mcq.explanation, category_id, mcq.subject, mcq.chapter, true, hash, subject_id, chapter_id]
                 );
 
                 if (result.rows.length > 0) {
@@ -59,118 +73,74 @@ router.post('/generate', verifyToken, admin, async (req, res) => {
 });
 
 // @route   GET /api/mcq/practice
-// @desc    Get MCQs for practice
+// @desc    Get MCQs for practice (answer keys are kept server-side in a practice session)
+//          Filters: category_id, board_id, class_id, stream_id, university_id, semester_id, paper_stage_id, subject_id, chapter_id
+//          source=bookmarks draws from "My Bookmarks" instead of the pool (optionally narrowed by subject)
 // @access  Private (with limits)
 router.get('/practice', verifyToken, subscriptionCheck, async (req, res) => {
-    const { category_id, limit = 10 } = req.query;
+    const { limit = 10, include_review, adaptive = 'true', subject = null, source = 'pool' } = req.query;
+    const filters = parsePoolFilters(req.query);
     const client = await pool.connect(); // Use direct client for transaction
 
     try {
-        let sessionInfo = null;
-
-        // Free user check via Transaction (Avoid Race Condition)
-        if (!req.isPremium) {
-            await client.query('BEGIN');
-
-            const settingsResult = await client.query('SELECT key, value FROM free_limit_settings');
-            const settings = Object.fromEntries(settingsResult.rows.map(r => [r.key, r.value]));
-            const freeLimit = parseInt(settings['FREE_SESSIONS_COUNT'] || '2');
-            const mcqsPerSession = parseInt(settings['FREE_SESSION_MCQS'] || '10');
-            const totalAllowedFreeMcqs = freeLimit * mcqsPerSession;
-
-            // Check how many questions they have submitted today
-            const usageResult = await client.query(
-                `SELECT count FROM user_daily_usage WHERE user_id = $1 AND date = CURRENT_DATE`,
-                [req.user.id]
-            );
-
-            let dailyCount = 0;
-            if (usageResult.rows.length > 0) {
-                dailyCount = usageResult.rows[0].count;
+        // Nothing to practice: don't use up a session
+        if (source === 'bookmarks' && await countBookmarks(req.user.id, subject) === 0) {
+            return res.json({ sessionId: null, mcqs: [], sessionInfo: null, message: 'No bookmarked questions yet' });
+        }
+
+        // Questions are drawn before the quota is charged so an empty draw costs nothing
+        let reviewQs = [];
+        let skill = null;
+        let coverage = null;
+        const drawQuestions = async (requestedLimit) => {
+            if (source === 'bookmarks') {
+                return getBookmarkPracticeQuestions(req.user.id, requestedLimit, subject);
             }
 
-            if (dailyCount >= totalAllowedFreeMcqs) {
-                await client.query('ROLLBACK');
-                return res.status(403).json({
-                    message: 'Daily free limit reached',
-                    code: 'LIMIT_REACHED',
-                    popup: {
-                        heading: settings['POPUP_HEADING'],
-                        text: settings['POPUP_TEXT']
-                    }
-                });
+            // Due review cards fill up to half the set when requested; fresh pooled questions fill the rest
+            if (include_review === 'true') {
+                reviewQs = await getDueReviewQuestions(req.user.id, Math.ceil(requestedLimit / 2), { filters });
             }
 
-            // Calculate sessions used based on completed MCQs
-            const sessionsUsed = Math.floor(dailyCount / mcqsPerSession);
-            sessionInfo = { used: sessionsUsed, total: freeLimit, isPremium: false };
-
-            // Note: We no longer increment the count here. We increment it in /api/mcq/submit
-            await client.query('COMMIT');
-
-            // Override limit from query if free user
-            requestedLimit = mcqsPerSession;
-        } else {
-            // PRIME USER Logic: Decrement sessions_left
-            await client.query('BEGIN');
-            const userRes = await client.query('SELECT sessions_left FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
-            const sessions = userRes.rows[0].sessions_left;
-
-            if (sessions === 0) {
-                // No sessions left, block access
-                await client.query('ROLLBACK');
-                return res.status(403).json({ message: 'Sessions exhausted. Please renew.', code: 'SESSIONS_EXHAUSTED' });
-            } else if (sessions === -1) {
-                // Unlimited access - do nothing, no deduction
-                await client.query('ROLLBACK');
-            } else if (sessions > 0) {
-                // Deduct one session
-                await client.query('UPDATE users SET sessions_left = sessions_left - 1 WHERE id = $1', [req.user.id]);
-                await client.query('COMMIT');
+            // Adaptive mode aims fresh questions at the user's skill rating (subject rating if given)
+            if (adaptive !== 'false') {
+                const { userRating, targetRating } = await getTargetRating(req.user.id, subject);
+                skill = { rating: userRating, targetRating: Math.round(targetRating), difficulty: ratingToDifficulty(targetRating) };
             }
 
-            requestedLimit = parseInt(limit);
+            // Fresh questions skip anything answered within the repeat window
+            const fresh = await drawPoolQuestions({
+                userId: req.user.id,
+                filters,
+                limit: requestedLimit - reviewQs.length,
+                excludeIds: reviewQs.map(q => q.id),
+                targetRating: skill ? skill.targetRating : null,
+                windowDays: await getRepeatWindowDays()
+            });
+            coverage = fresh.coverage;
+            return [...reviewQs, ...fresh.questions];
+        };
+
+        const quota = await reservePracticeQuota(client, req, limit, drawQuestions);
+        if (quota.error) {
+            return res.status(quota.error.status).json(quota.error.body);
         }
+        const { sessionInfo, drawn: rows } = quota;
 
-        // Optimized Random Fetch (SYSTEM Sampling - ID based random is better but complex to implement without gap analysis, SYSTEM is fast for large tables)
-        // For strict correctness with gaps, we often use: WHERE id IN (SELECT id FROM mcq_pool ORDER BY RANDOM() LIMIT N) - still slow?
-        // Let's use TABLESAMPLE if supported (Postgres 9.5+) or OFFSET-LIMIT optimization logic requested.
-        // Requested Logic: "SELECT * FROM mcq_pool ... AND id >= (SELECT FLOOR(RANDOM() * MAX(id))) LIMIT 10"
-
-        // Simpler reliable approach for moderate datasets without heavy performance hit like direct ORDER BY RANDOM():
-        // We will stick to ORDER BY RANDOM() LIMIT 10 IF dataset is small (<10k), but user asked to REMOVE IT due to scale.
-        // Let's implement the suggested ID seeking approach.
-
-        // Fallback for empty table check
-        const maxIdResult = await query('SELECT MAX(id) FROM mcq_pool');
-        const maxId = maxIdResult.rows[0].max;
-
-        let result;
-        if (!maxId) {
-            result = { rows: [] };
-        } else {
-            // Try to fetch starting from a random ID
-            const randomId = Math.floor(Math.random() * maxId);
-            result = await query(
-                `SELECT id, question, options, subject, chapter 
-                 FROM mcq_pool 
-                 WHERE category_id = $1 AND is_approved = TRUE AND id >= $2
-                 LIMIT $3`,
-                [category_id, randomId, requestedLimit]
-            );
-
-            if (result.rows.length < requestedLimit) {
-                const fallback = await query(
-                    'SELECT id, question, options, subject, chapter FROM mcq_pool WHERE category_id = $1 AND is_approved = TRUE LIMIT $2',
-                    [category_id, requestedLimit]
-                );
-                result = fallback;
-            }
+        if (rows.length === 0) {
+            return res.json({ sessionId: null, mcqs: [], sessionInfo, skill, coverage, message: 'No questions match these filters' });
+        }
+
+        if (source === 'bookmarks') {
+            const { sessionId, mcqs } = await createPracticeSession(req.user.id, 'bookmarks', rows);
+            return res.json({ sessionId, mcqs, sessionInfo });
         }
 
-        res.json({ mcqs: result.rows, sessionInfo });
+        const { sessionId, mcqs } = await createPracticeSession(req.user.id, reviewQs.length > 0 ? 'mixed' : 'pool', rows);
+
+        res.json({ sessionId, mcqs, sessionInfo, skill, coverage });
     } catch (error) {
-        if (!req.isPremium) await client.query('ROLLBACK');
+        try { await client.query('ROLLBACK'); } catch (e) { }
         console.error(error);
         res.status(500).json({ message: 'Server error' });
     } finally {
@@ -191,84 +161,26 @@ router.post('/generate-practice', verifyToken, subscriptionCheck, async (req, re
     const client = await pool.connect();
 
     try {
-        let requestedLimit = limit;
-        let sessionInfo = null;
-        // Free user check via Transaction (Avoid Race Condition)
-        if (!req.isPremium) {
-            await client.query('BEGIN');
-
-            const settingsResult = await client.query('SELECT key, value FROM free_limit_settings');
-            const settings = Object.fromEntries(settingsResult.rows.map(r => [r.key, r.value]));
-            const freeLimit = parseInt(settings['FREE_SESSIONS_COUNT'] || '2');
-            const mcqsPerSession = parseInt(settings['FREE_SESSION_MCQS'] || '10');
-            const totalAllowedFreeMcqs = freeLimit * mcqsPerSession;
-
-            // Check how many questions they have submitted today
-            const usageResult = await client.query(
-                `SELECT count FROM user_daily_usage WHERE user_id = $1 AND date = CURRENT_DATE`,
-                [req.user.id]
-            );
-
-            let dailyCount = 0;
-            if (usageResult.rows.length > 0) {
-                dailyCount = usageResult.rows[0].count;
-            }
-
-            if (dailyCount >= totalAllowedFreeMcqs) {
-                await client.query('ROLLBACK');
-                return res.status(403).json({
-                    message: 'Daily free limit reached',
-                    code: 'LIMIT_REACHED',
-                    popup: {
-                        heading: settings['POPUP_HEADING'],
-                        text: settings['POPUP_TEXT']
-                    }
-                });
-            }
-
-            // Calculate sessions used based on completed MCQs
-            const sessionsUsed = Math.floor(dailyCount / mcqsPerSession);
-            sessionInfo = { used: sessionsUsed, total: freeLimit, isPremium: false };
-
-            // Note: We no longer increment the count here. We increment it in /api/mcq/submit
-            await client.query('COMMIT');
-
-            // Override limit from query if free user
-            requestedLimit = mcqsPerSession;
-        } else {
-            // PRIME USER Logic: Decrement sessions_left
-            await client.query('BEGIN');
-            const userRes = await client.query('SELECT sessions_left FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
-            const sessions = userRes.rows[0].sessions_left;
-
-            if (sessions > 0) {
-                await client.query('UPDATE users SET sessions_left = sessions_left - 1 WHERE id = $1', [req.user.id]);
-                await client.query('COMMIT');
-            } else if (sessions === 0) {
-                await client.query('ROLLBACK');
-                return res.status(403).json({ message: 'Sessions exhausted. Please renew.', code: 'SESSIONS_EXHAUSTED' });
-            } else {
-                // Unlimited (-1)
-                await client.query('COMMIT');
-            }
-
-            requestedLimit = parseInt(limit);
+        const quota = await reservePracticeQuota(client, req, limit);
+        if (quota.error) {
+            return res.status(quota.error.status).json(quota.error.body);
         }
+        const { requestedLimit, sessionInfo } = quota;
 
-        // Generate MCQs ON THE FLY without saving to DB
+        // Generate MCQs ON THE FLY without saving to the pool
         const generatedQs = await generateMCQInitial(topic, requestedLimit, language);
 
-        // Ensure IDs exist for MCQSession.jsx component tracking (synthetic IDs)
+        // Synthetic IDs for MCQSession.jsx tracking; answer keys stay in practice_sessions
         const finalQs = generatedQs.map((q, idx) => ({
             id: `live_${Date.now()}_${idx}`,
             ...q
         }));
 
-        res.json({ mcqs: finalQs, sessionInfo });
+        const { sessionId, mcqs } = await createPracticeSession(req.user.id, 'live', finalQs, topic);
+
+        res.json({ sessionId, mcqs, sessionInfo });
     } catch (error) {
-        if (!req.isPremium) {
-            try { await client.query('ROLLBACK'); } catch (e) { }
-        }
+        try { await client.query('ROLLBACK'); } catch (e) { }
         console.error('Live Generataion Error:', error);
         res.status(500).json({ message: 'Error generating practice session' });
     } finally {
@@ -276,64 +188,274 @@ router.post('/generate-practice', verifyToken, subscriptionCheck, async (req, re
     }
 });
 
+// @route   GET /api/mcq/review/summary
+// @desc    Count of due and scheduled review questions for the user
+// @access  Private
+router.get('/review/summary', verifyToken, async (req, res) => {
+    try {
+        res.json(await getReviewSummary(req.user.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/mcq/review
+// @desc    Start a review session from the user's due spaced-repetition questions
+// @access  Private (with limits)
+router.get('/review', verifyToken, subscriptionCheck, async (req, res) => {
+    const { limit = 10 } = req.query;
+    const filters = parsePoolFilters(req.query);
+
+    const client = await pool.connect();
+
+    try {
+        // Due questions in the filtered scope are fetched before the quota is charged, so an empty queue doesn't burn a session
+        const quota = await reservePracticeQuota(client, req, limit,
+            (requestedLimit) => getDueReviewQuestions(req.user.id, requestedLimit, { filters }));
+        if (quota.error) {
+            return res.status(quota.error.status).json(quota.error.body);
+        }
+        const { sessionInfo, drawn: dueQs } = quota;
+
+        if (dueQs.length === 0) {
+            const summary = await getReviewSummary(req.user.id);
+            return res.json({ sessionId: null, mcqs: [], sessionInfo: null, nextDueAt: summary.nextDueAt });
+        }
+
+        const { sessionId, mcqs } = await createPracticeSession(req.user.id, 'review', dueQs);
+
+        res.json({ sessionId, mcqs, sessionInfo });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// @route   GET /api/mcq/skills
+// @desc    The user's adaptive skill rating per subject
+// @access  Private
+router.get('/skills', verifyToken, async (req, res) => {
+    try {
+        res.json(await getUserSkills(req.user.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/mcq/bookmarks
+// @desc    "My Bookmarks" with notes (paginated, optional subject filter)
+// @access  Private
+router.get('/bookmarks', verifyToken, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    try {
+        const { bookmarks, total } = await listBookmarks(req.user.id, {
+            subject: req.query.subject || null,
+            offset: (page - 1) * limit,
+            limit
+        });
+        res.json({ bookmarks, total, page, totalPages: Math.ceil(total / limit) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/mcq/bookmarks
+// @desc    Bookmark an MCQ with an optional note (live questions need their session_id)
+// @access  Private
+router.post('/bookmarks', verifyToken, async (req, res) => {
+    const { mcq_id, session_id, note } = req.body;
+    if (!mcq_id) {
+        return res.status(400).json({ message: 'mcq_id is required' });
+    }
+    try {
+        const result = await saveBookmark(req.user.id, { mcqId: mcq_id, sessionId: session_id, note });
+        if (result.error) {
+            return res.status(result.error.status).json(result.error.body);
+        }
+        res.status(201).json(result.bookmark);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/mcq/bookmarks/:id
+// @desc    Edit (or clear) the note on a bookmark
+// @access  Private
+router.put('/bookmarks/:id', verifyToken, async (req, res) => {
+    try {
+        const bookmark = await updateBookmarkNote(req.user.id, req.params.id, req.body.note);
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+        res.json(bookmark);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/mcq/bookmarks/:id
+// @desc    Remove a bookmark
+// @access  Private
+router.delete('/bookmarks/:id', verifyToken, async (req, res) => {
+    try {
+        if (!await deleteBookmark(req.user.id, req.params.id)) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+        res.json({ message: 'Bookmark removed' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Non-negative integer from a request field (number or digit string), else null
+const toIndex = (value) => /^\d+$/.test(String(value)) ? Number(value) : null;
+
 // @route   POST /api/mcq/submit
-// @desc    Submit answer and get result
+// @desc    Submit an answer to a question of the user's practice session and get the result (graded against the
+//          session's stored answer key; each question can be answered once)
 // @access  Private
 router.post('/submit', verifyToken, async (req, res) => {
-    const { mcq_id, selected_option } = req.body;
+    const { mcq_id } = req.body;
+    const isLive = typeof mcq_id === 'string' && mcq_id.startsWith('live_');
+
+    // Every answer is graded inside its session: outside one it could be resubmitted for XP, history and
+    // ratings, and would hand out the answer key
+    const sessionId = toIndex(req.body.session_id);
+    if (!sessionId) {
+        return res.status(400).json({ message: 'session_id is required' });
+    }
+    const selectedOption = toIndex(req.body.selected_option);
+    if (selectedOption === null) {
+        return res.status(400).json({ message: 'selected_option must be an option index' });
+    }
+
+    const client = await pool.connect();
 
     try {
-        // Check if synthetic ID
-        if (typeof mcq_id === 'string' && mcq_id.startsWith('live_')) {
-            // For live-generated MCQs, we can't look up correct answer in DB.
-            // Client MUST send the known correct option OR we don't track history for them yet.
-            const { actual_correct_option } = req.body;
-            const isCorrect = actual_correct_option === selected_option;
-
-            // Insert or update daily usage for free users answering live questions
-            if (!req.user.is_premium) {
-                await query(`
-                    INSERT INTO user_daily_usage (user_id, date, count)
-                    VALUES ($1, CURRENT_DATE, 1)
-                    ON CONFLICT (user_id, date)
-                    DO UPDATE SET count = user_daily_usage.count + 1
-                `, [req.user.id]);
-            }
+        await client.query('BEGIN');
 
-            return res.json({
-                is_correct: isCorrect,
-                correct_option: actual_correct_option
-            });
+        const sessionRes = await client.query(
+            'SELECT * FROM practice_sessions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+            [sessionId, req.user.id]
+        );
+        if (sessionRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Practice session not found' });
         }
 
-        const result = await query('SELECT * FROM mcq_pool WHERE id = $1', [mcq_id]);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'MCQ not found' });
+        const session = sessionRes.rows[0];
+        if (session.status !== 'active') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Practice session already completed' });
         }
 
-        const mcq = result.rows[0];
-        const isCorrect = mcq.correct_option === selected_option;
+        const mcq = session.questions.find(q => String(q.id) === String(mcq_id));
+        if (!mcq) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'MCQ not part of this session' });
+        }
+        if (session.answers[String(mcq_id)]) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Question already answered' });
+        }
+        if (Array.isArray(mcq.options) && selectedOption >= mcq.options.length) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'selected_option must be an option index' });
+        }
 
-        // Save history
-        await query(
-            'INSERT INTO user_mcq_history (user_id, mcq_id, is_correct) VALUES ($1, $2, $3)',
-            [req.user.id, mcq_id, isCorrect]
+        const isCorrect = Number(mcq.correct_option) === selectedOption;
+
+        await client.query(
+            `UPDATE practice_sessions 
+             SET answers = answers || jsonb_build_object($1::text, jsonb_build_object('selected_option', $2::int, 'is_correct', $3::boolean, 'answered_at', NOW())),
+                 correct_count = correct_count + $4
+             WHERE id = $5`,
+            [String(mcq_id), selectedOption, isCorrect, isCorrect ? 1 : 0, sessionId]
         );
 
-        // Insert or update daily usage for free users answering pooled questions
-        if (!req.user.is_premium) {
-            await query(`
-                INSERT INTO user_daily_usage (user_id, date, count)
-                VALUES ($1, CURRENT_DATE, 1)
-                ON CONFLICT (user_id, date)
-                DO UPDATE SET count = user_daily_usage.count + 1
-            `, [req.user.id]);
+        // Save history, review schedule and skill ratings for pooled questions only (live questions have no mcq_pool row)
+        let skill = null;
+        let pooled = null;
+        if (!isLive) {
+            const recorded = await recordPooledAnswer(client, req.user.id, mcq_id, isCorrect);
+            skill = recorded ? recorded.skill : null;
+            pooled = recorded ? recorded.mcq : null;
+        }
+
+        // Streak and XP: session answers can't be resubmitted
+        const gamification = await recordActivity(client, req.user.id, [{
+            xp: isCorrect ? xpForAnswer(pooled ? pooled.difficulty : null) : 0,
+            source: 'answer',
+            ref: `practice:${sessionId}:${mcq_id}`,
+            categoryId: pooled ? pooled.category_id : null,
+            subjectId: pooled ? pooled.subject_id : null
+        }]);
+
+        // Insert or update daily usage for free users
+        if (!hasPremiumAccess(req.user)) {
+            await recordDailyUsage(req.user.id, client);
         }
 
+        await client.query('COMMIT');
+
         res.json({
             is_correct: isCorrect,
             explanation: mcq.explanation,
-            correct_option: mcq.correct_option
+            correct_option: mcq.correct_option,
+            skill,
+            gamification
+        });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// @route   POST /api/mcq/sessions/:id/complete
+// @desc    Close a practice session and return its server-graded result
+// @access  Private
+router.post('/sessions/:id/complete', verifyToken, async (req, res) => {
+    const sessionId = toIndex(req.params.id);
+    if (!sessionId) {
+        return res.status(400).json({ message: 'Invalid practice session id' });
+    }
+
+    try {
+        const result = await query(
+            `UPDATE practice_sessions 
+             SET status = 'completed', completed_at = COALESCE(completed_at, NOW())
+             WHERE id = $1 AND user_id = $2
+             RETURNING *`,
+            [sessionId, req.user.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Practice session not found' });
+        }
+
+        const session = result.rows[0];
+        res.json({
+            sessionId: session.id,
+            score: session.correct_count,
+            total: session.total_questions,
+            answered: Object.keys(session.answers || {}).length,
+            questions: session.questions.map(q => ({
+                ...q,
+                selected_option: session.answers[String(q.id)]?.selected_option ?? null,
+                is_correct: session.answers[String(q.id)]?.is_correct ?? false
+            }))
         });
     } catch (error) {
         console.error(error);
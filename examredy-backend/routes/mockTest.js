@@ -0,0 +1,264 @@
+const express = require('express');
+const router = express.Router();
+const { pool, query } = require('../db');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { subscriptionCheck } = require('../middleware/subscriptionMiddleware');
+const {
+    SUBMIT_GRACE_SECONDS,
+    isExpired,
+    buildAttemptQuestions,
+    findOpenAttempt,
+    startAttempt,
+    getAttemptBlueprint,
+    toPublicAttempt,
+    finalizeAttempt,
+    getPercentile
+} = require('../services/mockTestService');
+
+// Lock an attempt owned by the user, finalizing it first if its time ran out
+const loadAttempt = async (client, attemptId, userId) => {
+    const attemptRes = await client.query(
+        'SELECT * FROM mock_test_attempts WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [attemptId, userId]
+    );
+    if (attemptRes.rows.length === 0) return {};
+
+    let attempt = attemptRes.rows[0];
+    const blueprint = await getAttemptBlueprint(client, attempt);
+
+    if (attempt.status === 'in_progress' && isExpired(attempt, SUBMIT_GRACE_SECONDS)) {
+        attempt = await finalizeAttempt(client, attempt, blueprint, 'expired');
+    }
+    return { attempt, blueprint };
+};
+
+// @route   GET /api/mock-tests
+// @desc    List active mock tests (optionally by category)
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+    const { category_id } = req.query;
+    try {
+        const result = await query(
+            `SELECT id, title, description, category_id, paper_stage_id, duration_minutes, marks_per_correct, negative_marks, sections
+             FROM mock_test_blueprints
+             WHERE is_active = TRUE AND ($1::int IS NULL OR category_id = $1)
+             ORDER BY created_at DESC`,
+            [category_id || null]
+        );
+        res.json(result.rows.map(b => ({
+            ...b,
+            totalQuestions: b.sections.reduce((sum, s) => sum + (parseInt(s.question_count) || 0), 0)
+        })));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/mock-tests/attempts
+// @desc    The user's mock test and past paper attempts
+// @access  Private
+router.get('/attempts', verifyToken, async (req, res) => {
+    try {
+        const result = await query(
+            `SELECT a.id, a.blueprint_id, a.paper_id, COALESCE(b.title, p.title) as title, p.year,
+                a.status, a.started_at, a.expires_at, a.submitted_at, a.score, a.max_score
+             FROM mock_test_attempts a
+             LEFT JOIN mock_test_blueprints b ON a.blueprint_id = b.id
+             LEFT JOIN previous_year_papers p ON a.paper_id = p.id
+             WHERE a.user_id = $1
+             ORDER BY a.started_at DESC
+             LIMIT 50`,
+            [req.user.id]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/mock-tests/:id/start
+// @desc    Start (or resume) a timed attempt; uses one Prime session
+// @access  Private (Prime)
+router.post('/:id/start', verifyToken, subscriptionCheck, async (req, res) => {
+    if (!req.isPremium) {
+        return res.status(403).json({ message: 'Prime subscription required for mock tests.', code: 'SESSIONS_EXHAUSTED' });
+    }
+
+    const client = await pool.connect();
+    try {
+        const blueprintRes = await client.query('SELECT * FROM mock_test_blueprints WHERE id = $1 AND is_active = TRUE', [req.params.id]);
+        if (blueprintRes.rows.length === 0) {
+            return res.status(404).json({ message: 'Mock test not found' });
+        }
+        const blueprint = blueprintRes.rows[0];
+
+        // Resume an unfinished attempt instead of charging a new session
+        const open = await findOpenAttempt(client, req.user.id, 'blueprint_id', blueprint.id);
+        if (open) {
+            return res.json({ resumed: true, attempt: toPublicAttempt(open, blueprint) });
+        }
+
+        const questions = await buildAttemptQuestions(req.user.id, blueprint);
+        if (questions.length === 0) {
+            return res.status(400).json({ message: 'Not enough questions available for this mock test yet' });
+        }
+
+        const started = await startAttempt(client, req.user.id, {
+            source: 'blueprint_id',
+            sourceId: blueprint.id,
+            questions,
+            durationMinutes: blueprint.duration_minutes
+        });
+        if (started.error) {
+            return res.status(started.error.status).json(started.error.body);
+        }
+
+        res.status(started.resumed ? 200 : 201).json({ resumed: started.resumed, attempt: toPublicAttempt(started.attempt, blueprint) });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error starting mock test' });
+    } finally {
+        client.release();
+    }
+});
+
+// @route   GET /api/mock-tests/attempts/:id
+// @desc    Current state of an attempt (auto-submits when time is up)
+// @access  Private
+router.get('/attempts/:id', verifyToken, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { attempt, blueprint } = await loadAttempt(client, req.params.id, req.user.id);
+        await client.query('COMMIT');
+
+        if (!attempt) return res.status(404).json({ message: 'Attempt not found' });
+        res.json(toPublicAttempt(attempt, blueprint));
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// @route   POST /api/mock-tests/attempts/:id/answer
+// @desc    Save (or clear) an answer; rejected once the server-side timer has run out
+// @access  Private
+router.post('/attempts/:id/answer', verifyToken, async (req, res) => {
+    const { mcq_id, selected_option = null, time_spent_seconds = 0 } = req.body;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const { attempt } = await loadAttempt(client, req.params.id, req.user.id);
+
+        if (!attempt) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Attempt not found' });
+        }
+        if (attempt.status !== 'in_progress') {
+            await client.query('COMMIT');
+            return res.status(400).json({ message: 'Time is up. The test has been submitted.', code: 'ATTEMPT_CLOSED', status: attempt.status });
+        }
+
+        const question = attempt.questions.find(q => String(q.id) === String(mcq_id));
+        if (!question) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'MCQ not part of this attempt' });
+        }
+
+        // Per-question time accumulates across visits, capped at the test duration
+        const previous = attempt.answers[String(mcq_id)] || {};
+        const maxSeconds = Math.floor((new Date(attempt.expires_at) - new Date(attempt.started_at)) / 1000);
+        const timeSpent = Math.min(maxSeconds, (previous.time_spent_seconds || 0) + Math.max(0, parseInt(time_spent_seconds) || 0));
+
+        await client.query(
+            `UPDATE mock_test_attempts
+             SET answers = answers || jsonb_build_object($1::text, jsonb_build_object('selected_option', $2::int, 'time_spent_seconds', $3::int, 'answered_at', NOW()))
+             WHERE id = $4`,
+            [String(mcq_id), selected_option, timeSpent, attempt.id]
+        );
+        await client.query('COMMIT');
+
+        res.json({ message: 'Answer saved', mcq_id, selected_option, time_spent_seconds: timeSpent });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// @route   POST /api/mock-tests/attempts/:id/submit
+// @desc    Submit an attempt and get the scored report
+// @access  Private
+router.post('/attempts/:id/submit', verifyToken, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        let { attempt, blueprint } = await loadAttempt(client, req.params.id, req.user.id);
+
+        if (!attempt) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Attempt not found' });
+        }
+        if (attempt.status === 'in_progress') {
+            attempt = await finalizeAttempt(client, attempt, blueprint, 'submitted');
+        }
+        await client.query('COMMIT');
+
+        const ranking = await getPercentile(attempt);
+        res.json({ attemptId: attempt.id, status: attempt.status, ...attempt.report, ...ranking, gamification: attempt.gamification || null });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error submitting mock test' });
+    } finally {
+        client.release();
+    }
+});
+
+// @route   GET /api/mock-tests/attempts/:id/report
+// @desc    Scored report with section-wise accuracy, time per question and percentile
+// @access  Private
+router.get('/attempts/:id/report', verifyToken, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { attempt } = await loadAttempt(client, req.params.id, req.user.id);
+        await client.query('COMMIT');
+
+        if (!attempt) return res.status(404).json({ message: 'Attempt not found' });
+        if (attempt.status === 'in_progress') {
+            return res.status(400).json({ message: 'Attempt is still in progress' });
+        }
+
+        // Explanations are only revealed with the report
+        const ranking = await getPercentile(attempt);
+        const keyById = new Map(attempt.questions.map(q => [String(q.id), q]));
+        res.json({
+            attemptId: attempt.id,
+            status: attempt.status,
+            ...attempt.report,
+            questions: attempt.report.questions.map(r => {
+                const q = keyById.get(String(r.id)) || {};
+                return { ...r, question: q.question, options: q.options, explanation: q.explanation, subject: q.subject, chapter: q.chapter };
+            }),
+            ...ranking
+        });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { pool, query } = require('../db');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { subscriptionCheck } = require('../middleware/subscriptionMiddleware');
+const { getPaperQuestions, buildPaperAttemptQuestions, paperToBlueprint } = require('../services/paperService');
+const { toPublicAttempt, findOpenAttempt, startAttempt } = require('../services/mockTestService');
+
+// @route   GET /api/papers
+// @desc    List previous-year papers (filter by category, stage and year)
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+    const { category_id, paper_stage_id, year } = req.query;
+    let q = `SELECT p.id, p.title, p.year, p.category_id, p.paper_stage_id, ps.name as paper_stage_name,
+                p.duration_minutes, p.marks_per_correct, p.negative_marks,
+                (SELECT COUNT(*) FROM previous_year_paper_questions pq WHERE pq.paper_id = p.id)::int as question_count
+             FROM previous_year_papers p
+             LEFT JOIN papers_stages ps ON p.paper_stage_id = ps.id
+             WHERE p.is_active = TRUE`;
+    const params = [];
+    if (category_id) { params.push(category_id); q += ` AND p.category_id = $${params.length}`; }
+    if (paper_stage_id) { params.push(paper_stage_id); q += ` AND p.paper_stage_id = $${params.length}`; }
+    if (year) { params.push(year); q += ` AND p.year = $${params.length}`; }
+    q += ' ORDER BY p.year DESC, p.title ASC';
+
+    try {
+        const result = await query(q, params);
+        res.json(result.rows);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/papers/:id
+// @desc    Browse a paper question by question, with answers and explanations (paginated)
+// @access  Private
+router.get('/:id', verifyToken, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    try {
+        const paperRes = await query(
+            `SELECT p.*, ps.name as paper_stage_name,
+                (SELECT COUNT(*) FROM previous_year_paper_questions pq WHERE pq.paper_id = p.id)::int as question_count
+             FROM previous_year_papers p
+             LEFT JOIN papers_stages ps ON p.paper_stage_id = ps.id
+             WHERE p.id = $1 AND p.is_active = TRUE`,
+            [req.params.id]
+        );
+        if (paperRes.rows.length === 0) {
+            return res.status(404).json({ message: 'Paper not found' });
+        }
+        const paper = paperRes.rows[0];
+        const questions = await getPaperQuestions(paper.id, { offset: (page - 1) * limit, limit });
+
+        res.json({
+            paper,
+            questions,
+            page,
+            totalPages: Math.ceil(paper.question_count / limit)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/papers/:id/start
+// @desc    Take a full paper as a timed test (answer/submit/report via /api/mock-tests/attempts/:id)
+// @access  Private (Prime)
+router.post('/:id/start', verifyToken, subscriptionCheck, async (req, res) => {
+    if (!req.isPremium) {
+        return res.status(403).json({ message: 'Prime subscription required for timed papers.', code: 'SESSIONS_EXHAUSTED' });
+    }
+
+    const client = await pool.connect();
+    try {
+        const paperRes = await client.query('SELECT * FROM previous_year_papers WHERE id = $1 AND is_active = TRUE', [req.params.id]);
+        if (paperRes.rows.length === 0) {
+            return res.status(404).json({ message: 'Paper not found' });
+        }
+        const paper = paperRes.rows[0];
+
+        // Resume an unfinished attempt instead of charging a new session
+        const open = await findOpenAttempt(client, req.user.id, 'paper_id', paper.id);
+        if (open) {
+            return res.json({ resumed: true, attempt: toPublicAttempt(open, paperToBlueprint(paper, open.questions)) });
+        }
+
+        const questions = buildPaperAttemptQuestions(paper, await getPaperQuestions(paper.id));
+        if (questions.length === 0) {
+            return res.status(400).json({ message: 'This paper has no questions yet' });
+        }
+
+        const started = await startAttempt(client, req.user.id, {
+            source: 'paper_id',
+            sourceId: paper.id,
+            questions,
+            durationMinutes: paper.duration_minutes
+        });
+        if (started.error) {
+            return res.status(started.error.status).json(started.error.body);
+        }
+
+        const { attempt, resumed } = started;
+        res.status(resumed ? 200 : 201).json({ resumed, attempt: toPublicAttempt(attempt, paperToBlueprint(paper, attempt.questions)) });
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(error);
+        res.status(500).json({ message: 'Server error starting paper' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
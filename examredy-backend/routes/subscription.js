@@ -1,30 +1,42 @@
 const express = require('express');
 const router = express.Router();
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
-const { pool, query } = require('../db');
+const { query } = require('../db');
 const { verifyToken, admin } = require('../middleware/authMiddleware');
-
-const getRazorpayInstance = async () => {
-    const res = await query("SELECT api_key, api_secret FROM payment_gateway_settings WHERE provider = 'razorpay' AND is_active = TRUE");
-
-    const key_id = res.rows[0]?.api_key || process.env.RAZORPAY_KEY_ID || 'rzp_test_placeholder';
-    const key_secret = res.rows[0]?.api_secret || process.env.RAZORPAY_KEY_SECRET || 'secret_placeholder';
-
-    return new Razorpay({
-        key_id,
-        key_secret
-    });
-};
+const { getGateway, resolveGateway } = require('../services/paymentGatewayService');
+const {
+    quoteOrder,
+    createOrder,
+    capturePayment,
+    failPayment,
+    refundPayment,
+    beginWebhookEvent,
+    completeWebhookEvent
+} = require('../services/paymentService');
+const {
+    startSubscription,
+    recordCharge,
+    recordChargeFailure,
+    recordSubscriptionUpdate,
+    recordSubscriptionEnd,
+    cancelSubscription,
+    getSubscriptionStatus
+} = require('../services/subscriptionService');
+
+// Currency codes from the client, e.g. ' usd' -> 'USD'; INR when none is given
+const toCurrency = (value) => String(value || '').trim().toUpperCase() || 'INR';
 
 // @route   GET /api/subscription/config
-// @desc    Get public config (Razorpay ID)
+// @desc    Get public config: Razorpay key ID, the gateway used for INR and whether card payments in other
+//          currencies (Stripe) are available
 // @access  Public
 router.get('/config', async (req, res) => {
     try {
-        const result = await query("SELECT api_key FROM payment_gateway_settings WHERE provider = 'razorpay' AND is_active = TRUE");
-        const key_id = result.rows[0]?.api_key || process.env.RAZORPAY_KEY_ID || 'rzp_test_placeholder';
-        res.json({ key_id });
+        const [{ key_id }, resolved, stripeEnabled] = await Promise.all([
+            getGateway('razorpay').publicConfig(),
+            resolveGateway('INR'),
+            getGateway('stripe').isConfigured()
+        ]);
+        res.json({ key_id, provider: resolved.gateway?.provider || null, internationalCards: stripeEnabled });
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
     }
@@ -69,10 +81,10 @@ router.post('/plans', verifyToken, admin, async (req, res) => {
 
 // @route   GET /api/subscription/initiate-payment
 // @desc    Server-side payment page — used by Flutter WebView to navigate directly
-//          Creates Razorpay order + renders auto-submit HTML form to Razorpay
+//          Creates the order + renders auto-submit HTML form to Razorpay (or redirects to Stripe Checkout)
 // @access  Private (token in query param)
 router.get('/initiate-payment', async (req, res) => {
-    const { token, planId } = req.query;
+    const { token, planId, currency, coupon } = req.query;
     const frontendUrl = process.env.FRONTEND_URL || 'https://examredy-frontend.vercel.app';
 
     if (!token || !planId) {
@@ -84,6 +96,7 @@ router.get('/initiate-payment', async (req, res) => {
     try {
         const jwt = require('jsonwebtoken');
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.scope) throw new Error('Scoped token');
         userId = decoded.id || decoded.userId;
     } catch (e) {
         return res.redirect(`${frontendUrl}/prime?payment=failed&reason=auth_failed`);
@@ -96,16 +109,15 @@ router.get('/initiate-payment', async (req, res) => {
         }
         const plan = planResult.rows[0];
 
-        const rzp = await getRazorpayInstance();
-        const amountPaise = Math.round(parseFloat(plan.price) * 100);
-        const order = await rzp.orders.create({
-            amount: amountPaise,
-            currency: 'INR',
-            receipt: `order_rcptid_${Date.now()}_${userId}`
-        });
-
-        const gatewayRes = await query("SELECT api_key FROM payment_gateway_settings WHERE provider = 'razorpay' AND is_active = TRUE");
-        const key_id = gatewayRes.rows[0]?.api_key || process.env.RAZORPAY_KEY_ID || '';
+        const created = await createOrder(userId, plan, toCurrency(currency), coupon || null);
+        if (created.error) {
+            const reason = (created.error.body.code || '').startsWith('COUPON_') ? 'coupon_invalid' : 'gateway_unavailable';
+            return res.redirect(`${frontendUrl}/prime?payment=failed&reason=${reason}`);
+        }
+        // Hosted gateways (Stripe Checkout) take over from here
+        if (created.checkout.url) return res.redirect(created.checkout.url);
+        const order = created.checkout;
+        const key_id = order.key_id;
 
         const userRes = await query('SELECT username, email FROM users WHERE id = $1', [userId]);
         const user = userRes.rows[0] || {};
@@ -152,11 +164,41 @@ router.get('/initiate-payment', async (req, res) => {
     }
 });
 
+// @route   POST /api/subscription/validate-coupon
+// @desc    Check a coupon for { code, planId, currency } and return the price it gives
+// @access  Private
+router.post('/validate-coupon', verifyToken, async (req, res) => {
+    const { code, planId } = req.body;
+    const currency = toCurrency(req.body.currency);
+    if (!code) return res.status(400).json({ message: 'Enter a coupon code', code: 'COUPON_INVALID' });
+    try {
+        const planResult = await query('SELECT * FROM subscription_plans WHERE id = $1 AND is_active = TRUE', [planId]);
+        if (planResult.rows.length === 0) return res.status(404).json({ message: 'Plan not found' });
+
+        const quote = await quoteOrder(req.user.id, planResult.rows[0], currency, code);
+        if (quote.error) return res.status(quote.error.status).json(quote.error.body);
+        res.json({
+            code: quote.coupon.code,
+            description: quote.coupon.description,
+            currency,
+            listAmount: quote.listAmount,
+            discount: quote.discount,
+            amount: quote.amount,
+            bonusSessions: quote.bonusSessions
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/subscription/create-order
-// @desc    Create Razorpay order
+// @desc    Create an order for { planId, currency, couponCode? } with the active gateway. Razorpay returns the
+//          order for checkout.js; Stripe returns { provider: 'stripe', url } to redirect to
 // @access  Private
 router.post('/create-order', verifyToken, async (req, res) => {
-    const { planId } = req.body;
+    const { planId, couponCode } = req.body;
+    const currency = toCurrency(req.body.currency);
     try {
         const planResult = await query('SELECT * FROM subscription_plans WHERE id = $1', [planId]);
         if (planResult.rows.length === 0) {
@@ -164,21 +206,10 @@ router.post('/create-order', verifyToken, async (req, res) => {
         }
         const plan = planResult.rows[0];
 
-        const rzp = await getRazorpayInstance();
-
-        // Ensure price is a number and convert to paise (cents) correctly
-        const amountPaise = Math.round(parseFloat(plan.price) * 100);
-
-        console.log(`Creating order for plan ${planId}, amount: ${amountPaise} paise`);
-
-        const options = {
-            amount: amountPaise,
-            currency: "INR",
-            receipt: `order_rcptid_${Date.now()}_${req.user.id}`
-        };
-
-        const order = await rzp.orders.create(options);
-        res.json(order);
+        console.log(`Creating order for plan ${planId} in ${currency}`);
+        const created = await createOrder(req.user.id, plan, currency, couponCode || null);
+        if (created.error) return res.status(created.error.status).json(created.error.body);
+        res.json(created.checkout);
     } catch (error) {
         console.error('Order creation error details:', error);
         res.status(500).json({
@@ -189,84 +220,100 @@ router.post('/create-order', verifyToken, async (req, res) => {
 });
 
 // @route   POST /api/subscription/verify-payment
-// @desc    Verify Razorpay payment and activate subscription
+// @desc    Verify a completed checkout and activate the subscription. Razorpay: razorpay_order_id,
+//          razorpay_payment_id, razorpay_signature; Stripe: provider 'stripe', session_id
 // @access  Private
 router.post('/verify-payment', verifyToken, async (req, res) => {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, planId } = req.body;
+    const gateway = getGateway(req.body.provider || 'razorpay');
+    if (!gateway) return res.status(400).json({ message: 'Unknown payment provider' });
 
-    // Get dynamic secret
-    const gatewayRes = await query("SELECT api_secret FROM payment_gateway_settings WHERE provider = 'razorpay' AND is_active = TRUE");
-    const key_secret = gatewayRes.rows[0]?.api_secret || process.env.RAZORPAY_KEY_SECRET || 'secret_placeholder';
+    try {
+        const verified = await gateway.verifyCheckout(req.body);
+        if (!verified) {
+            return res.status(400).json({ message: gateway.provider === 'razorpay' ? 'Invalid signature' : 'Payment not completed' });
+        }
 
-    // Verify signature
-    const hmac = crypto.createHmac('sha256', key_secret);
-    hmac.update(razorpay_order_id + "|" + razorpay_payment_id);
-    const generated_signature = hmac.digest('hex');
+        // The webhook may have activated the plan already; either way it is granted once
+        const result = await capturePayment({
+            orderId: verified.orderId,
+            paymentId: verified.paymentId,
+            userId: req.user.id,
+            provider: gateway.provider,
+            source: 'verify-payment'
+        });
+        if (result.error) return res.status(result.error.status).json(result.error.body);
 
-    if (generated_signature !== razorpay_signature) {
-        return res.status(400).json({ message: 'Invalid signature' });
+        res.json({ message: 'Payment verified and subscription activated' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
     }
+});
 
-    const client = await pool.connect();
-
+// @route   GET /api/subscription/status
+// @desc    Current Prime access (sessions, time pass, hybrid sessions) and the latest auto-renewing subscription
+// @access  Private
+router.get('/status', verifyToken, async (req, res) => {
     try {
-        await client.query('BEGIN');
-
-        // 1. Get Plan
-        const planResult = await client.query('SELECT * FROM subscription_plans WHERE id = $1', [planId]);
-        const plan = planResult.rows[0];
+        res.json(await getSubscriptionStatus(req.user.id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
-        // 2. Record Payment
-        await client.query(
-            'INSERT INTO payments (user_id, razorpay_order_id, razorpay_payment_id, amount, status) VALUES ($1, $2, $3, $4, $5)',
-            [req.user.id, razorpay_order_id, razorpay_payment_id, plan.price, 'captured']
-        );
+// @route   POST /api/subscription/subscriptions
+// @desc    Start an auto-renewing subscription to { planId, currency }. Razorpay returns { subscription_id, key_id,
+//          short_url } for checkout.js; Stripe returns { provider: 'stripe', url } to redirect to
+// @access  Private
+router.post('/subscriptions', verifyToken, async (req, res) => {
+    const currency = toCurrency(req.body.currency);
+    try {
+        const planResult = await query('SELECT * FROM subscription_plans WHERE id = $1 AND is_active = TRUE', [req.body.planId]);
+        if (planResult.rows.length === 0) return res.status(404).json({ message: 'Plan not found' });
 
-        // 3. Activate Subscription for User
-        // Grant sessions from the plan
-        await client.query(
-            'UPDATE users SET is_premium = TRUE, sessions_left = sessions_left + $1 WHERE id = $2',
-            [plan.sessions_limit, req.user.id]
-        );
+        const started = await startSubscription(req.user.id, planResult.rows[0], currency);
+        if (started.error) return res.status(started.error.status).json(started.error.body);
+        res.status(201).json(started.checkout);
+    } catch (error) {
+        console.error('Subscription creation error:', error);
+        res.status(500).json({ message: 'Failed to start subscription', error: error.description || error.message });
+    }
+});
 
-        // 4. CHECK REFERRAL REWARD
-        const sysResult = await client.query("SELECT key, value FROM system_settings WHERE key IN ('REFERRAL_ENABLED', 'REFERRAL_REWARD_TYPE', 'REFERRAL_REWARD_DURATION', 'REFERRAL_MIN_PURCHASE_RS')");
-        const sys = Object.fromEntries(sysResult.rows.map(r => [r.key, r.value]));
-
-        if (sys.REFERRAL_ENABLED === 'true' && plan.price >= parseFloat(sys.REFERRAL_MIN_PURCHASE_RS || 0)) {
-            const referralCheck = await client.query(
-                `SELECT * FROM referrals WHERE referred_user_id = $1 AND reward_given = FALSE`,
-                [req.user.id]
-            );
-
-            if (referralCheck.rows.length > 0) {
-                const referrerId = referralCheck.rows[0].referrer_id;
-                const refId = referralCheck.rows[0].id;
-
-                // Grant referral bonus sessions to referrer
-                if (plan.referral_bonus_sessions > 0) {
-                    await client.query(`UPDATE users SET sessions_left = sessions_left + $1, is_premium = TRUE WHERE id = $2`, [plan.referral_bonus_sessions, referrerId]);
-                }
-
-                // Grant referral bonus sessions to referred user as well (optional, using plan's bonus)
-                if (plan.referral_bonus_sessions > 0) {
-                    await client.query(`UPDATE users SET sessions_left = sessions_left + $1 WHERE id = $2`, [plan.referral_bonus_sessions, req.user.id]);
-                }
-
-                // Mark reward given
-                await client.query(`UPDATE referrals SET reward_given = TRUE, status = 'completed' WHERE id = $1`, [refId]);
-            }
-        }
+// @route   POST /api/subscription/subscriptions/verify
+// @desc    Confirm a finished subscription checkout and grant the first period. Razorpay: razorpay_payment_id,
+//          razorpay_subscription_id, razorpay_signature; Stripe: provider 'stripe', session_id
+// @access  Private
+router.post('/subscriptions/verify', verifyToken, async (req, res) => {
+    const gateway = getGateway(req.body.provider || 'razorpay');
+    if (!gateway) return res.status(400).json({ message: 'Unknown payment provider' });
 
-        await client.query('COMMIT');
-        res.json({ message: 'Payment verified and subscription activated' });
+    try {
+        const verified = await gateway.verifySubscriptionCheckout(req.body);
+        if (!verified) return res.status(400).json({ message: 'Subscription payment not completed' });
 
+        // The renewal webhook may have recorded the charge already; either way it is granted once
+        const result = await recordCharge({ provider: gateway.provider, ...verified, userId: req.user.id, source: 'checkout' });
+        if (result.error) return res.status(result.error.status).json(result.error.body);
+        res.json({ message: 'Subscription activated', ...(await getSubscriptionStatus(req.user.id)) });
     } catch (error) {
-        await client.query('ROLLBACK');
         console.error(error);
         res.status(500).json({ message: 'Server error' });
-    } finally {
-        client.release();
+    }
+});
+
+// @route   POST /api/subscription/subscriptions/cancel
+// @desc    Stop auto-renewal; access continues until the end of the paid period
+// @access  Private
+router.post('/subscriptions/cancel', verifyToken, async (req, res) => {
+    try {
+        const cancelled = await cancelSubscription(req.user.id);
+        if (cancelled.error) return res.status(cancelled.error.status).json(cancelled.error.body);
+        res.json({ message: 'Auto-renewal cancelled', ...(await getSubscriptionStatus(req.user.id)) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Failed to cancel subscription', error: error.description || error.message });
     }
 });
 
@@ -280,104 +327,33 @@ router.post('/payment-callback', async (req, res) => {
         razorpay_signature,
     } = req.body;
 
-    // planId can come from query param (we put it in callback_url) or body
-    const planId = req.query.planId || req.body.planId;
-
     const frontendUrl = process.env.FRONTEND_URL || 'https://examredy-frontend.vercel.app';
 
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature || !planId) {
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
         return res.redirect(`${frontendUrl}/prime?payment=failed&reason=missing_params`);
     }
 
     try {
-        // Get dynamic secret
-        const gatewayRes = await query("SELECT api_secret FROM payment_gateway_settings WHERE provider = 'razorpay' AND is_active = TRUE");
-        const key_secret = gatewayRes.rows[0]?.api_secret || process.env.RAZORPAY_KEY_SECRET || 'secret_placeholder';
-
-        // Verify signature
-        const hmac = require('crypto').createHmac('sha256', key_secret);
-        hmac.update(razorpay_order_id + "|" + razorpay_payment_id);
-        const generated_signature = hmac.digest('hex');
-
-        if (generated_signature !== razorpay_signature) {
+        if (!(await getGateway('razorpay').verifyCheckout(req.body))) {
             return res.redirect(`${frontendUrl}/prime?payment=failed&reason=invalid_signature`);
         }
 
-        // Find user by looking up the order in payments table or from razorpay order notes
-        // We need to get the user_id from the order — look it up via Razorpay order ID
-        const rzp = await getRazorpayInstance();
-        const order = await rzp.orders.fetch(razorpay_order_id);
-        const receiptParts = order.receipt?.split('_') || [];
-        // receipt format: order_rcptid_{timestamp}_{userId}
-        const userId = receiptParts[receiptParts.length - 1];
-
-        if (!userId || isNaN(parseInt(userId))) {
-            return res.redirect(`${frontendUrl}/prime?payment=failed&reason=user_not_found`);
+        // The user and plan are those of the order (our payments row, else the Razorpay order's notes)
+        const result = await capturePayment({
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            provider: 'razorpay',
+            source: 'payment-callback'
+        });
+        if (result.error) {
+            const reason = result.error.body.code === 'ORDER_UNKNOWN' ? 'order_not_found'
+                : result.error.body.code === 'COUPON_REJECTED' ? 'coupon_rejected'
+                : result.error.status === 404 ? 'plan_not_found' : 'server_error';
+            return res.redirect(`${frontendUrl}/prime?payment=failed&reason=${reason}`);
         }
 
-        const client = await pool.connect();
-        try {
-            await client.query('BEGIN');
-
-            // 1. Get Plan
-            const planResult = await client.query('SELECT * FROM subscription_plans WHERE id = $1', [planId]);
-            if (planResult.rows.length === 0) {
-                await client.query('ROLLBACK');
-                return res.redirect(`${frontendUrl}/prime?payment=failed&reason=plan_not_found`);
-            }
-            const plan = planResult.rows[0];
-
-            // 2. Check not already processed (idempotency)
-            const existingPayment = await client.query(
-                'SELECT id FROM payments WHERE razorpay_payment_id = $1', [razorpay_payment_id]
-            );
-            if (existingPayment.rows.length > 0) {
-                await client.query('ROLLBACK');
-                return res.redirect(`${frontendUrl}/prime?payment=success`);
-            }
-
-            // 3. Record Payment
-            await client.query(
-                'INSERT INTO payments (user_id, razorpay_order_id, razorpay_payment_id, amount, status) VALUES ($1, $2, $3, $4, $5)',
-                [userId, razorpay_order_id, razorpay_payment_id, plan.price, 'captured']
-            );
-
-            // 4. Activate Subscription
-            await client.query(
-                'UPDATE users SET is_premium = TRUE, sessions_left = sessions_left + $1 WHERE id = $2',
-                [plan.sessions_limit, userId]
-            );
-
-            // 5. Referral Reward
-            const sysResult = await client.query("SELECT key, value FROM system_settings WHERE key IN ('REFERRAL_ENABLED', 'REFERRAL_REWARD_TYPE', 'REFERRAL_REWARD_DURATION', 'REFERRAL_MIN_PURCHASE_RS')");
-            const sys = Object.fromEntries(sysResult.rows.map(r => [r.key, r.value]));
-
-            if (sys.REFERRAL_ENABLED === 'true' && plan.price >= parseFloat(sys.REFERRAL_MIN_PURCHASE_RS || 0)) {
-                const referralCheck = await client.query(
-                    `SELECT * FROM referrals WHERE referred_user_id = $1 AND reward_given = FALSE`, [userId]
-                );
-                if (referralCheck.rows.length > 0) {
-                    const referrerId = referralCheck.rows[0].referrer_id;
-                    const refId = referralCheck.rows[0].id;
-                    if (plan.referral_bonus_sessions > 0) {
-                        await client.query(`UPDATE users SET sessions_left = sessions_left + $1, is_premium = TRUE WHERE id = $2`, [plan.referral_bonus_sessions, referrerId]);
-                        await client.query(`UPDATE users SET sessions_left = sessions_left + $1 WHERE id = $2`, [plan.referral_bonus_sessions, userId]);
-                    }
-                    await client.query(`UPDATE referrals SET reward_given = TRUE, status = 'completed' WHERE id = $1`, [refId]);
-                }
-            }
-
-            await client.query('COMMIT');
-            console.log(`[PAYMENT-CALLBACK] Payment verified for user ${userId}, plan ${planId}`);
-            return res.redirect(`${frontendUrl}/prime?payment=success`);
-
-        } catch (error) {
-            await client.query('ROLLBACK');
-            console.error('[PAYMENT-CALLBACK] Error:', error);
-            return res.redirect(`${frontendUrl}/prime?payment=failed&reason=server_error`);
-        } finally {
-            client.release();
-        }
+        console.log(`[PAYMENT-CALLBACK] Payment verified for user ${result.payment.user_id}, plan ${result.payment.plan_id}`);
+        return res.redirect(`${frontendUrl}/prime?payment=success`);
 
     } catch (error) {
         console.error('[PAYMENT-CALLBACK] Fatal error:', error);
@@ -385,5 +361,59 @@ router.post('/payment-callback', async (req, res) => {
     }
 });
 
+// @route   POST /api/subscription/webhook/:provider
+// @desc    Gateway webhooks (Razorpay: payment.captured, payment.failed, refund.processed, subscription.*; Stripe:
+//          checkout.session.*, refund.*, invoice.paid, invoice.payment_failed, customer.subscription.*), signed with
+//          the gateway's webhook secret. Settles orders and renewals even when the browser never returns;
+//          redeliveries are recognised by event id
+// @access  Public (the gateway calls this)
+router.post('/webhook/:provider', async (req, res) => {
+    const gateway = getGateway(req.params.provider);
+    if (!gateway) return res.status(404).json({ message: 'Unknown payment provider' });
+
+    try {
+        const event = await gateway.parseWebhook(req.rawBody || Buffer.alloc(0), req.headers);
+        if (event === null) return res.status(503).json({ message: 'Webhook secret not configured' });
+        if (!event.valid) return res.status(400).json({ message: 'Invalid signature' });
+
+        if (!(await beginWebhookEvent(gateway.provider, event.eventId, event.event, event.payload))) {
+            return res.json({ message: 'Event already processed' });
+        }
+
+        let outcome = 'ignored';
+        if (event.type === 'captured' && event.orderId) {
+            const result = await capturePayment({ orderId: event.orderId, paymentId: event.paymentId, provider: gateway.provider, source: `${gateway.provider} webhook` });
+            outcome = result.error ? (result.error.body.code === 'COUPON_REJECTED' ? 'rejected' : 'unmatched')
+                : result.alreadyCaptured ? 'duplicate' : 'captured';
+        } else if (event.type === 'failed' && event.orderId) {
+            const failed = await failPayment({ orderId: event.orderId, paymentId: event.paymentId, reason: event.reason });
+            outcome = failed ? 'failed' : 'unchanged';
+        } else if (event.type === 'refunded' && event.paymentId) {
+            const result = await refundPayment({ paymentId: event.paymentId, refundId: event.refundId, amount: event.amount });
+            outcome = result.error ? 'unmatched' : result.alreadyRecorded ? 'duplicate' : result.payment.status;
+        } else if (event.type === 'subscription_charged' && event.charge) {
+            const result = await recordCharge({ provider: gateway.provider, ...event, source: `${gateway.provider} webhook` });
+            outcome = result.error ? 'unmatched' : result.alreadyRecorded ? 'duplicate' : 'renewed';
+        } else if (event.type === 'subscription_charge_failed') {
+            const result = await recordChargeFailure({ provider: gateway.provider, ...event });
+            outcome = result.error ? 'unmatched' : result.changed ? 'past_due' : 'unchanged';
+        } else if (event.type === 'subscription_updated') {
+            const result = await recordSubscriptionUpdate({ provider: gateway.provider, ...event });
+            outcome = result.error ? 'unmatched' : result.changed ? 'updated' : 'unchanged';
+        } else if (event.type === 'subscription_ended') {
+            const result = await recordSubscriptionEnd({ provider: gateway.provider, ...event });
+            outcome = result.error ? 'unmatched' : result.changed ? result.subscription.status : 'unchanged';
+        }
+
+        await completeWebhookEvent(gateway.provider, event.eventId, outcome);
+        if (outcome === 'unmatched') console.warn(`[Webhook] ${gateway.provider} ${event.event} ${event.eventId} did not match a payment`);
+        res.json({ message: 'Webhook processed', outcome });
+    } catch (error) {
+        // A non-2xx response makes the gateway retry the delivery
+        console.error(`[Webhook] ${gateway.provider} error:`, error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 module.exports = router;
 
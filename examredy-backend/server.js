@@ -7,6 +7,7 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { pool, initDB } = require('./db');
+const { startJobs } = require('./jobs');
 
 const app = express();
 
@@ -39,8 +40,11 @@ const globalLimiter = rateLimit({
 });
 app.use(globalLimiter);
 
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body for payment webhook signature checks
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
+// Never write tokens passed in query strings to the access log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/gi, '$1[redacted]'));
 app.use(morgan('combined'));
 
 // 1. Root Route
@@ -72,11 +76,17 @@ app.use('/api/admin', require('./routes/admin'));
 app.use('/api/structure', require('./routes/structure'));
 app.use('/api/mcq', require('./routes/mcq'));
 app.use('/api/subscription', require('./routes/subscription'));
+app.use('/api/invoices', require('./routes/invoice'));
 app.use('/api/group', require('./routes/group'));
+app.use('/api/challenge', require('./routes/challenge'));
 app.use('/api/referral', require('./routes/referral'));
 app.use('/api/ai-fetch', require('./routes/aiFetch'));
 app.use('/api/ads', require('./routes/ads'));
 app.use('/api/settings', require('./routes/settings'));
+app.use('/api/mock-tests', require('./routes/mockTest'));
+app.use('/api/papers', require('./routes/papers'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/leaderboard', require('./routes/leaderboard'));
 
 // 4. 404 Catch-all Handler
 app.use((req, res, next) => {
@@ -117,6 +127,9 @@ const startServer = async () => {
             await initDB();
             console.log('✅ Tables Initialized');
 
+            // D. Background jobs need the schema in place
+            startJobs();
+
         } catch (dbError) {
             console.error('⚠️ Database Initialization Failed:', dbError.message);
             console.error('Server is running in Fallback Mode (No DB).');
@@ -166,6 +166,7 @@ const generateMCQInitial = async (topic, count = 5, language = 'English') => {
     }
 };
 
+// Placeholder MCQs when no provider answers; is_mock lets callers that need real questions skip them
 const fallbackMock = (topic, count, language, errorMsg = '') => {
     return Array.from({ length: count }).map((_, i) => ({
         question: `[MOCK - ${language}] ${topic} practice question ${i + 1}?`,
@@ -173,7 +174,8 @@ const fallbackMock = (topic, count, language, errorMsg = '') => {
         correct_option: 0,
         explanation: `This is a fallback mock explanation for ${topic} in ${language}. ${errorMsg}`,
         subject: topic,
-        chapter: 'General'
+        chapter: 'General',
+        is_mock: true
     }));
 };
 
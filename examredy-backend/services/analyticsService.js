@@ -0,0 +1,189 @@
+const { query } = require('../db');
+
+// Every graded answer of a user ($1): pooled answers from history plus live AI answers kept in practice sessions
+const ANSWER_EVENTS_SQL = `
+    SELECT attempted_at AS at, is_correct FROM user_mcq_history WHERE user_id = $1
+    UNION ALL
+    SELECT (a.value->>'answered_at')::timestamptz::timestamp, (a.value->>'is_correct')::boolean
+    FROM practice_sessions ps CROSS JOIN LATERAL jsonb_each(ps.answers) a
+    WHERE ps.user_id = $1 AND a.key LIKE 'live\\_%'`;
+
+// Days with any study activity: answers, group battles or mock tests
+const ACTIVITY_DAYS_SQL = `
+    SELECT at::date AS day FROM (${ANSWER_EVENTS_SQL}) e
+    UNION
+    SELECT joined_at::date FROM group_participants WHERE user_id = $1
+    UNION
+    SELECT started_at::date FROM mock_test_attempts WHERE user_id = $1`;
+
+const ACCURACY_GROUPS = {
+    subject: { select: `COALESCE(m.subject, 'Uncategorized') as subject, m.subject_id`, groupBy: 'COALESCE(m.subject, \'Uncategorized\'), m.subject_id' },
+    chapter: {
+        select: `COALESCE(m.subject, 'Uncategorized') as subject, COALESCE(m.chapter, 'General') as chapter, m.subject_id, m.chapter_id`,
+        groupBy: 'COALESCE(m.subject, \'Uncategorized\'), COALESCE(m.chapter, \'General\'), m.subject_id, m.chapter_id'
+    },
+    difficulty: { select: `COALESCE(m.difficulty, 'medium') as difficulty`, groupBy: 'COALESCE(m.difficulty, \'medium\')' }
+};
+
+const TREND_PERIODS = ['day', 'week', 'month'];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const percent = (correct, total) => (total > 0 ? round1((correct / total) * 100) : 0);
+
+const getOverview = async (userId) => {
+    const [answers, groups, mocks] = await Promise.all([
+        query(
+            `SELECT COUNT(*) as answered, COUNT(*) FILTER (WHERE is_correct) as correct,
+                COUNT(*) FILTER (WHERE at >= CURRENT_DATE - 6) as answered_7d,
+                COUNT(*) FILTER (WHERE at >= CURRENT_DATE - 6 AND is_correct) as correct_7d
+             FROM (${ANSWER_EVENTS_SQL}) e`,
+            [userId]
+        ),
+        // A win is the top score in a battle with at least two players
+        query(
+            `SELECT COUNT(*) as played, COALESCE(AVG(gp.score), 0) as avg_score,
+                COUNT(*) FILTER (WHERE gp.score > 0 AND gp.score = (SELECT MAX(o.score) FROM group_participants o WHERE o.session_id = gp.session_id)
+                    AND (SELECT COUNT(*) FROM group_participants o WHERE o.session_id = gp.session_id) > 1) as wins
+             FROM group_participants gp WHERE gp.user_id = $1`,
+            [userId]
+        ),
+        query(
+            `SELECT COUNT(*) as taken, COALESCE(AVG(score / NULLIF(max_score, 0)) * 100, 0) as avg_percent
+             FROM mock_test_attempts WHERE user_id = $1 AND status IN ('submitted', 'expired')`,
+            [userId]
+        )
+    ]);
+
+    const a = answers.rows[0];
+    const g = groups.rows[0];
+    const m = mocks.rows[0];
+    return {
+        answered: parseInt(a.answered),
+        correct: parseInt(a.correct),
+        accuracy: percent(parseInt(a.correct), parseInt(a.answered)),
+        last7Days: { answered: parseInt(a.answered_7d), accuracy: percent(parseInt(a.correct_7d), parseInt(a.answered_7d)) },
+        groups: { played: parseInt(g.played), wins: parseInt(g.wins), averageScore: round1(parseFloat(g.avg_score)) },
+        mockTests: { taken: parseInt(m.taken), averagePercent: round1(parseFloat(m.avg_percent)) }
+    };
+};
+
+// Accuracy on pooled questions grouped by subject, chapter or difficulty
+const getAccuracyBreakdown = async (userId, by = 'subject', { subjectId = null } = {}) => {
+    const group = ACCURACY_GROUPS[by];
+    if (!group) return null;
+
+    const result = await query(
+        `SELECT ${group.select}, COUNT(*) as answered, COUNT(*) FILTER (WHERE h.is_correct) as correct, MAX(h.attempted_at) as last_attempted_at
+         FROM user_mcq_history h
+         JOIN mcq_pool m ON m.id = h.mcq_id
+         WHERE h.user_id = $1 AND ($2::int IS NULL OR m.subject_id = $2)
+         GROUP BY ${group.groupBy}
+         ORDER BY answered DESC`,
+        [userId, subjectId]
+    );
+    return result.rows.map(r => ({
+        ...r,
+        answered: parseInt(r.answered),
+        correct: parseInt(r.correct),
+        accuracy: percent(parseInt(r.correct), parseInt(r.answered))
+    }));
+};
+
+// Consecutive active days (gaps-and-islands). The current streak survives until a full day is missed.
+const getStreaks = async (userId) => {
+    const result = await query(
+        `WITH days AS (SELECT DISTINCT day FROM (${ACTIVITY_DAYS_SQL}) d),
+              islands AS (SELECT day, day - (ROW_NUMBER() OVER (ORDER BY day))::int AS grp FROM days)
+         SELECT MIN(day) as start_date, MAX(day) as end_date, COUNT(*) as length
+         FROM islands GROUP BY grp ORDER BY end_date DESC`,
+        [userId]
+    );
+    const runs = result.rows.map(r => ({ ...r, length: parseInt(r.length) }));
+    const latest = runs[0];
+
+    const yesterday = new Date();
+    yesterday.setHours(0, 0, 0, 0);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const isCurrent = latest && new Date(latest.end_date) >= yesterday;
+
+    return {
+        current: isCurrent ? latest.length : 0,
+        longest: runs.reduce((max, r) => Math.max(max, r.length), 0),
+        lastActiveDate: latest ? latest.end_date : null,
+        activeDays: runs.reduce((sum, r) => sum + r.length, 0)
+    };
+};
+
+// Answers per day for a calendar heatmap (days without activity are omitted)
+const getActivityHeatmap = async (userId, days = 365) => {
+    const result = await query(
+        `SELECT at::date as date, COUNT(*) as answered, COUNT(*) FILTER (WHERE is_correct) as correct
+         FROM (${ANSWER_EVENTS_SQL}) e
+         WHERE at >= CURRENT_DATE - $2::int
+         GROUP BY at::date
+         ORDER BY date ASC`,
+        [userId, days - 1]
+    );
+    return result.rows.map(r => ({ date: r.date, answered: parseInt(r.answered), correct: parseInt(r.correct) }));
+};
+
+// Lowest-accuracy chapters with enough recent answers to be meaningful
+const getWeakestTopics = async (userId, { limit = 5, minAttempts = 5, days = 90 } = {}) => {
+    const result = await query(
+        `SELECT COALESCE(m.subject, 'Uncategorized') as subject, COALESCE(m.chapter, 'General') as chapter, m.subject_id, m.chapter_id,
+            COUNT(*) as answered, COUNT(*) FILTER (WHERE h.is_correct) as correct
+         FROM user_mcq_history h
+         JOIN mcq_pool m ON m.id = h.mcq_id
+         WHERE h.user_id = $1 AND h.attempted_at >= CURRENT_DATE - $2::int
+         GROUP BY COALESCE(m.subject, 'Uncategorized'), COALESCE(m.chapter, 'General'), m.subject_id, m.chapter_id
+         HAVING COUNT(*) >= $3
+         ORDER BY COUNT(*) FILTER (WHERE h.is_correct)::float / COUNT(*) ASC, COUNT(*) DESC
+         LIMIT $4`,
+        [userId, days, minAttempts, limit]
+    );
+    return result.rows.map(r => ({
+        ...r,
+        answered: parseInt(r.answered),
+        correct: parseInt(r.correct),
+        accuracy: percent(parseInt(r.correct), parseInt(r.answered))
+    }));
+};
+
+// Answered count and accuracy per day/week/month, oldest first, including empty periods
+const getTrend = async (userId, period = 'week', points = 12) => {
+    if (!TREND_PERIODS.includes(period)) return null;
+
+    const result = await query(
+        `WITH periods AS (
+            SELECT generate_series(
+                date_trunc('${period}', CURRENT_DATE) - ($2::int - 1) * INTERVAL '1 ${period}',
+                date_trunc('${period}', CURRENT_DATE),
+                INTERVAL '1 ${period}'
+            ) AS period_start
+         ),
+         events AS (
+            SELECT date_trunc('${period}', at) AS period_start, is_correct FROM (${ANSWER_EVENTS_SQL}) e
+         )
+         SELECT p.period_start::date as period_start, COUNT(e.is_correct) as answered, COUNT(*) FILTER (WHERE e.is_correct) as correct
+         FROM periods p
+         LEFT JOIN events e ON e.period_start = p.period_start
+         GROUP BY p.period_start
+         ORDER BY p.period_start ASC`,
+        [userId, points]
+    );
+    return result.rows.map(r => ({
+        periodStart: r.period_start,
+        answered: parseInt(r.answered),
+        correct: parseInt(r.correct),
+        accuracy: percent(parseInt(r.correct), parseInt(r.answered))
+    }));
+};
+
+module.exports = {
+    getOverview,
+    getAccuracyBreakdown,
+    getStreaks,
+    getActivityHeatmap,
+    getWeakestTopics,
+    getTrend
+};
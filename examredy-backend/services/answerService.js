@@ -0,0 +1,20 @@
+const { scheduleReview } = require('./reviewService');
+const { updateSkillRatings } = require('./skillService');
+
+// Record a graded answer to a pooled MCQ: history row, review schedule and skill ratings.
+// Must run inside the caller's transaction. Returns null when the MCQ is no longer in the pool.
+const recordPooledAnswer = async (client, userId, mcqId, isCorrect) => {
+    const poolRes = await client.query('SELECT id, subject, difficulty, rating, category_id, subject_id FROM mcq_pool WHERE id = $1 FOR UPDATE', [mcqId]);
+    if (poolRes.rows.length === 0) return null;
+
+    await client.query(
+        'INSERT INTO user_mcq_history (user_id, mcq_id, is_correct) VALUES ($1, $2, $3)',
+        [userId, mcqId, isCorrect]
+    );
+    await scheduleReview(client, userId, mcqId, isCorrect);
+    const skill = await updateSkillRatings(client, userId, poolRes.rows[0], isCorrect);
+
+    return { skill, mcq: poolRes.rows[0] };
+};
+
+module.exports = { recordPooledAnswer };
@@ -0,0 +1,144 @@
+const { query } = require('../db');
+const { questionHash } = require('../utils/helpers');
+
+// Pooled bookmarks read the live pool row; snapshot bookmarks read their stored copy
+const BOOKMARK_COLUMNS = `b.id, b.mcq_id, b.note, b.created_at, b.updated_at,
+    COALESCE(m.question, b.snapshot->>'question') as question,
+    COALESCE(m.options, b.snapshot->'options') as options,
+    COALESCE(m.correct_option, (b.snapshot->>'correct_option')::int) as correct_option,
+    COALESCE(m.explanation, b.snapshot->>'explanation') as explanation,
+    COALESCE(m.subject, b.snapshot->>'subject') as subject,
+    COALESCE(m.chapter, b.snapshot->>'chapter') as chapter`;
+
+const MAX_NOTE_LENGTH = 2000;
+
+const cleanNote = (note) => (typeof note === 'string' ? note.trim().substring(0, MAX_NOTE_LENGTH) : null);
+
+// Bookmark a pooled MCQ, or a live question from one of the user's practice sessions (stored as a snapshot).
+// Re-bookmarking keeps the row and only replaces the note when one is given.
+// Returns { error: { status, body } } on failure, otherwise { bookmark }.
+const saveBookmark = async (userId, { mcqId, sessionId = null, note }) => {
+    const isLive = typeof mcqId === 'string' && mcqId.startsWith('live_');
+    const cleanedNote = cleanNote(note);
+
+    if (!isLive) {
+        const poolRes = await query('SELECT id FROM mcq_pool WHERE id = $1', [mcqId]);
+        if (poolRes.rows.length === 0) {
+            return { error: { status: 404, body: { message: 'MCQ not found' } } };
+        }
+        const result = await query(
+            `INSERT INTO user_bookmarks (user_id, mcq_id, note)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (user_id, mcq_id) WHERE mcq_id IS NOT NULL
+             DO UPDATE SET note = COALESCE(EXCLUDED.note, user_bookmarks.note), updated_at = NOW()
+             RETURNING id`,
+            [userId, mcqId, cleanedNote]
+        );
+        return { bookmark: await getBookmark(userId, result.rows[0].id) };
+    }
+
+    // Live questions only exist inside the session that served them
+    if (!sessionId) {
+        return { error: { status: 400, body: { message: 'session_id is required for live questions' } } };
+    }
+    const sessionRes = await query('SELECT questions FROM practice_sessions WHERE id = $1 AND user_id = $2', [sessionId, userId]);
+    const question = sessionRes.rows.length > 0
+        ? sessionRes.rows[0].questions.find(q => String(q.id) === String(mcqId))
+        : null;
+    if (!question) {
+        return { error: { status: 404, body: { message: 'MCQ not part of this session' } } };
+    }
+
+    const snapshot = {
+        question: question.question,
+        options: question.options,
+        correct_option: question.correct_option,
+        explanation: question.explanation || null,
+        subject: question.subject || null,
+        chapter: question.chapter || null
+    };
+    const result = await query(
+        `INSERT INTO user_bookmarks (user_id, snapshot, question_hash, note)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, question_hash) WHERE mcq_id IS NULL
+         DO UPDATE SET note = COALESCE(EXCLUDED.note, user_bookmarks.note), updated_at = NOW()
+         RETURNING id`,
+        [userId, JSON.stringify(snapshot), questionHash(snapshot.question), cleanedNote]
+    );
+    return { bookmark: await getBookmark(userId, result.rows[0].id) };
+};
+
+const getBookmark = async (userId, bookmarkId) => {
+    const result = await query(
+        `SELECT ${BOOKMARK_COLUMNS}
+         FROM user_bookmarks b
+         LEFT JOIN mcq_pool m ON m.id = b.mcq_id
+         WHERE b.user_id = $1 AND b.id = $2`,
+        [userId, bookmarkId]
+    );
+    return result.rows[0] || null;
+};
+
+// Newest first, optionally narrowed to a subject name
+const listBookmarks = async (userId, { subject = null, offset = 0, limit = null } = {}) => {
+    const result = await query(
+        `SELECT ${BOOKMARK_COLUMNS}, COUNT(*) OVER() as total_count
+         FROM user_bookmarks b
+         LEFT JOIN mcq_pool m ON m.id = b.mcq_id
+         WHERE b.user_id = $1 AND ($2::text IS NULL OR COALESCE(m.subject, b.snapshot->>'subject') = $2)
+         ORDER BY b.created_at DESC
+         OFFSET $3 LIMIT $4`,
+        [userId, subject, offset, limit]
+    );
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+    return { bookmarks: result.rows.map(({ total_count, ...b }) => b), total };
+};
+
+const updateBookmarkNote = async (userId, bookmarkId, note) => {
+    const result = await query(
+        'UPDATE user_bookmarks SET note = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3 RETURNING id',
+        [cleanNote(note), bookmarkId, userId]
+    );
+    return result.rowCount > 0 ? getBookmark(userId, bookmarkId) : null;
+};
+
+const deleteBookmark = async (userId, bookmarkId) => {
+    const result = await query('DELETE FROM user_bookmarks WHERE id = $1 AND user_id = $2', [bookmarkId, userId]);
+    return result.rowCount > 0;
+};
+
+// Random practice set from the user's bookmarks. Snapshots get live_ IDs so /submit grades them in-session only.
+const getBookmarkPracticeQuestions = async (userId, limit, subject = null) => {
+    const result = await query(
+        `SELECT ${BOOKMARK_COLUMNS}
+         FROM user_bookmarks b
+         LEFT JOIN mcq_pool m ON m.id = b.mcq_id
+         WHERE b.user_id = $1 AND ($2::text IS NULL OR COALESCE(m.subject, b.snapshot->>'subject') = $2)
+         ORDER BY RANDOM()
+         LIMIT $3`,
+        [userId, subject, limit]
+    );
+    return result.rows.map(({ id, mcq_id, note, created_at, updated_at, ...q }) => ({
+        id: mcq_id || `live_bm_${id}`,
+        ...q
+    }));
+};
+
+const countBookmarks = async (userId, subject = null) => {
+    const result = await query(
+        `SELECT COUNT(*) FROM user_bookmarks b
+         LEFT JOIN mcq_pool m ON m.id = b.mcq_id
+         WHERE b.user_id = $1 AND ($2::text IS NULL OR COALESCE(m.subject, b.snapshot->>'subject') = $2)`,
+        [userId, subject]
+    );
+    return parseInt(result.rows[0].count);
+};
+
+module.exports = {
+    saveBookmark,
+    listBookmarks,
+    updateBookmarkNote,
+    deleteBookmark,
+    getBookmarkPracticeQuestions,
+    countBookmarks
+};
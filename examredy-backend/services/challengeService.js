@@ -0,0 +1,293 @@
+const { pool, query } = require('../db');
+const { DEFAULT_SECONDS_PER_QUESTION, toPublicGroupQuestion } = require('./groupBattleService');
+const { recordActivity, BATTLE_PLAYED_XP } = require('./gamificationService');
+
+// Async "challenge a friend" battles: the creator freezes a question set (mcq_data, as in group sessions) and
+// everyone with the code plays the same set later in one timed attempt. Finished attempts are compared pairwise
+// into challenge_head_to_head: more correct answers win, then the faster attempt; anything else is a draw.
+
+const CHALLENGE_TTL_DAYS = 7;
+// Answers arriving this long after an attempt's time ran out are still accepted (network latency)
+const SUBMIT_GRACE_SECONDS = 5;
+
+const isExpired = (attempt, graceSeconds = 0) =>
+    Date.now() > new Date(attempt.expires_at).getTime() + graceSeconds * 1000;
+
+const getQuestions = (challenge) =>
+    typeof challenge.mcq_data === 'string' ? JSON.parse(challenge.mcq_data) : challenge.mcq_data;
+
+// Time allowed for a whole attempt
+const getAttemptSeconds = (challenge) =>
+    challenge.question_count * (challenge.seconds_per_question || DEFAULT_SECONDS_PER_QUESTION);
+
+// 1 when a beat b, -1 when b won, 0 for a draw
+const compareAttempts = (a, b) => {
+    if (a.correct !== b.correct) return a.correct > b.correct ? 1 : -1;
+    if (a.time_taken_seconds !== b.time_taken_seconds) return a.time_taken_seconds < b.time_taken_seconds ? 1 : -1;
+    return 0;
+};
+
+// Finished attempts best-first with competition ranks (draws share a rank)
+const rankAttempts = (attempts) => {
+    const finished = attempts.filter(a => a.status !== 'in_progress').sort((a, b) => compareAttempts(b, a));
+    let rank = 0;
+    return finished.map((a, i) => {
+        if (i === 0 || compareAttempts(finished[i - 1], a) !== 0) rank = i + 1;
+        return { ...a, rank };
+    });
+};
+
+// Add one result to both directions of a pair's record
+const recordHeadToHead = async (client, userId, opponentId, outcome, challengeId) => {
+    for (const [user, opponent, result] of [[userId, opponentId, outcome], [opponentId, userId, -outcome]]) {
+        const column = result > 0 ? 'wins' : result < 0 ? 'losses' : 'draws';
+        await client.query(
+            `INSERT INTO challenge_head_to_head (user_id, opponent_id, ${column}, last_challenge_id)
+             VALUES ($1, $2, 1, $3)
+             ON CONFLICT (user_id, opponent_id) DO UPDATE
+             SET ${column} = challenge_head_to_head.${column} + 1, last_challenge_id = $3, updated_at = NOW()`,
+            [user, opponent, challengeId]
+        );
+    }
+};
+
+// Grade an attempt and settle it against everyone who finished before. Runs inside the caller's transaction;
+// the challenge row is locked so two attempts finishing together still meet each other exactly once.
+const finalizeAttempt = async (client, challenge, attempt, status = 'submitted') => {
+    await client.query('SELECT id FROM challenges WHERE id = $1 FOR UPDATE', [challenge.id]);
+
+    const questions = getQuestions(challenge);
+    const answers = attempt.answers || {};
+    const correct = questions.filter((q, index) => {
+        const answer = answers[String(index)];
+        return answer && answer.selected_option !== null && parseInt(answer.selected_option) === parseInt(q.correct_option);
+    }).length;
+    const submittedAt = new Date(Math.min(Date.now(), new Date(attempt.expires_at).getTime()));
+    const timeTaken = Math.max(0, Math.round((submittedAt.getTime() - new Date(attempt.started_at).getTime()) / 1000));
+
+    const updated = await client.query(
+        `UPDATE challenge_attempts SET status = $1, submitted_at = $2, correct = $3, time_taken_seconds = $4
+         WHERE id = $5 RETURNING *`,
+        [status, submittedAt, correct, timeTaken, attempt.id]
+    );
+    const finished = updated.rows[0];
+
+    const others = await client.query(
+        `SELECT user_id, correct, time_taken_seconds FROM challenge_attempts
+         WHERE challenge_id = $1 AND user_id <> $2 AND status <> 'in_progress'`,
+        [challenge.id, finished.user_id]
+    );
+    for (const other of others.rows) {
+        await recordHeadToHead(client, finished.user_id, other.user_id, compareAttempts(finished, other), challenge.id);
+    }
+    return finished;
+};
+
+// Settle attempts whose time ran out without a submit (players who closed the app)
+const finalizeExpiredAttempts = async (client, challenge) => {
+    const stale = await client.query(
+        `SELECT * FROM challenge_attempts
+         WHERE challenge_id = $1 AND status = 'in_progress' AND expires_at < NOW() - $2 * INTERVAL '1 second'
+         FOR UPDATE`,
+        [challenge.id, SUBMIT_GRACE_SECONDS]
+    );
+    const finalized = [];
+    for (const attempt of stale.rows) {
+        finalized.push(await finalizeAttempt(client, challenge, attempt, 'expired'));
+    }
+    return finalized;
+};
+
+// Participation XP once per challenge for players who answered at least once
+const awardChallengeXp = async (challenge, attempt) => {
+    if (Object.keys(attempt.answers || {}).length === 0) return null;
+    try {
+        return await recordActivity(pool, attempt.user_id, [{
+            xp: BATTLE_PLAYED_XP,
+            source: 'battle',
+            ref: `challenge_${challenge.id}`,
+            categoryId: challenge.category_id,
+            subjectId: challenge.subject_id
+        }]);
+    } catch (error) {
+        console.error(`[Challenge] XP award failed for user ${attempt.user_id}:`, error.message);
+        return null;
+    }
+};
+
+// Attempts of a challenge with usernames
+const loadAttempts = async (challengeId) => {
+    const result = await query(
+        `SELECT a.*, u.username FROM challenge_attempts a
+         JOIN users u ON u.id = a.user_id
+         WHERE a.challenge_id = $1
+         ORDER BY a.started_at ASC`,
+        [challengeId]
+    );
+    return result.rows;
+};
+
+const toPublicStanding = (a) => ({
+    userId: a.user_id,
+    username: a.username,
+    status: a.status,
+    correct: a.correct,
+    timeTakenSeconds: a.time_taken_seconds,
+    rank: a.rank
+});
+
+// Player's view of an attempt: no answer key until it is finished
+const toPublicAttempt = (challenge, attempt) => {
+    if (!attempt) return null;
+    const finished = attempt.status !== 'in_progress';
+    return {
+        status: attempt.status,
+        startedAt: attempt.started_at,
+        expiresAt: attempt.expires_at,
+        serverTime: new Date(),
+        remainingSeconds: finished ? 0 : Math.max(0, Math.floor((new Date(attempt.expires_at).getTime() - Date.now()) / 1000)),
+        correct: attempt.correct,
+        timeTakenSeconds: attempt.time_taken_seconds,
+        answers: attempt.answers,
+        questions: finished ? getQuestions(challenge) : getQuestions(challenge).map(toPublicGroupQuestion)
+    };
+};
+
+// Challenge card: who made it, who played and how they did (answers stay private until you have played)
+const toPublicChallenge = (challenge, attempts, userId) => {
+    const creatorAttempt = attempts.find(a => a.user_id === challenge.creator_id);
+    const mine = attempts.find(a => a.user_id === userId);
+    return {
+        code: challenge.id,
+        topic: challenge.topic_name,
+        language: challenge.language,
+        questionCount: challenge.question_count,
+        secondsPerQuestion: challenge.seconds_per_question,
+        createdAt: challenge.created_at,
+        expiresAt: challenge.expires_at,
+        expired: new Date(challenge.expires_at) < new Date(),
+        creator: { userId: challenge.creator_id, username: challenge.creator_name },
+        isCreator: challenge.creator_id === userId,
+        // Friends can play once the creator has set a score to beat
+        ready: !!creatorAttempt && creatorAttempt.status !== 'in_progress',
+        standings: rankAttempts(attempts).map(toPublicStanding),
+        playersInProgress: attempts.filter(a => a.status === 'in_progress').length,
+        myAttempt: mine ? { status: mine.status, correct: mine.correct, timeTakenSeconds: mine.time_taken_seconds } : null
+    };
+};
+
+// Full results for a player who finished: standings, the key with everyone's picks and this player's results
+// against each opponent
+const buildChallengeResults = (challenge, attempts, userId) => {
+    const ranked = rankAttempts(attempts);
+    const me = ranked.find(a => a.user_id === userId);
+    return {
+        ...toPublicChallenge(challenge, attempts, userId),
+        versus: ranked
+            .filter(a => a.user_id !== userId)
+            .map(a => ({ userId: a.user_id, username: a.username, outcome: ['loss', 'draw', 'win'][compareAttempts(me, a) + 1] })),
+        questions: getQuestions(challenge).map((q, index) => ({
+            index,
+            question: q.question,
+            options: q.options,
+            correct_option: q.correct_option,
+            explanation: q.explanation,
+            picks: ranked.map(a => {
+                const answer = (a.answers || {})[String(index)];
+                const selected = answer ? answer.selected_option : null;
+                return {
+                    userId: a.user_id,
+                    username: a.username,
+                    selected_option: selected,
+                    is_correct: selected !== null && parseInt(selected) === parseInt(q.correct_option)
+                };
+            })
+        }))
+    };
+};
+
+// Everyone the user has a challenge record with, most recent first
+const listRivals = async (userId, { offset = 0, limit = 20 } = {}) => {
+    const result = await query(
+        `SELECT h.opponent_id, u.username, h.wins, h.losses, h.draws, h.last_challenge_id, h.updated_at,
+            COUNT(*) OVER() as total_count
+         FROM challenge_head_to_head h
+         JOIN users u ON u.id = h.opponent_id
+         WHERE h.user_id = $1
+         ORDER BY h.updated_at DESC
+         OFFSET $2 LIMIT $3`,
+        [userId, offset, limit]
+    );
+    return {
+        rivals: result.rows.map(r => ({
+            userId: r.opponent_id,
+            username: r.username,
+            wins: r.wins,
+            losses: r.losses,
+            draws: r.draws,
+            lastChallengeCode: r.last_challenge_id,
+            lastPlayedAt: r.updated_at
+        })),
+        total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+};
+
+// The record against one opponent plus the challenges both finished (newest first)
+const getHeadToHead = async (userId, opponentId) => {
+    const [recordRes, opponentRes, sharedRes] = await Promise.all([
+        query('SELECT wins, losses, draws, updated_at FROM challenge_head_to_head WHERE user_id = $1 AND opponent_id = $2', [userId, opponentId]),
+        query('SELECT id, username FROM users WHERE id = $1', [opponentId]),
+        query(
+            `SELECT c.id, c.topic_name, c.question_count, mine.submitted_at,
+                mine.correct as my_correct, mine.time_taken_seconds as my_time,
+                theirs.correct as their_correct, theirs.time_taken_seconds as their_time
+             FROM challenge_attempts mine
+             JOIN challenge_attempts theirs ON theirs.challenge_id = mine.challenge_id AND theirs.user_id = $2
+             JOIN challenges c ON c.id = mine.challenge_id
+             WHERE mine.user_id = $1 AND mine.status <> 'in_progress' AND theirs.status <> 'in_progress'
+             ORDER BY GREATEST(mine.submitted_at, theirs.submitted_at) DESC
+             LIMIT 20`,
+            [userId, opponentId]
+        )
+    ]);
+    if (opponentRes.rows.length === 0) return null;
+
+    const record = recordRes.rows[0] || { wins: 0, losses: 0, draws: 0, updated_at: null };
+    return {
+        opponent: { userId: opponentRes.rows[0].id, username: opponentRes.rows[0].username },
+        wins: record.wins,
+        losses: record.losses,
+        draws: record.draws,
+        lastPlayedAt: record.updated_at,
+        challenges: sharedRes.rows.map(r => ({
+            code: r.id,
+            topic: r.topic_name,
+            questionCount: r.question_count,
+            myCorrect: r.my_correct,
+            myTimeSeconds: r.my_time,
+            theirCorrect: r.their_correct,
+            theirTimeSeconds: r.their_time,
+            outcome: ['loss', 'draw', 'win'][compareAttempts(
+                { correct: r.my_correct, time_taken_seconds: r.my_time },
+                { correct: r.their_correct, time_taken_seconds: r.their_time }
+            ) + 1]
+        }))
+    };
+};
+
+module.exports = {
+    CHALLENGE_TTL_DAYS,
+    SUBMIT_GRACE_SECONDS,
+    isExpired,
+    getQuestions,
+    getAttemptSeconds,
+    finalizeAttempt,
+    finalizeExpiredAttempts,
+    awardChallengeXp,
+    loadAttempts,
+    toPublicAttempt,
+    toPublicChallenge,
+    buildChallengeResults,
+    listRivals,
+    getHeadToHead
+};
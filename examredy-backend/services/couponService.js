@@ -0,0 +1,190 @@
+const { query } = require('../db');
+const { refreshPremiumFlag } = require('./entitlementService');
+
+// Promo codes for one-off Prime purchases. A coupon takes a percentage or a flat amount off the plan price
+// and/or adds bonus sessions. It is checked when the order is created (the payments row stores the coupon and
+// the discounted amount) and redeemed when that payment is captured, so abandoned checkouts use up nothing.
+// Caps are checked at order time, counting the user's unpaid orders with the code as uses, and again under the
+// coupon's row lock when the payment is captured; a capture that would exceed a cap is rejected and refunded.
+
+const DISCOUNT_TYPES = ['percent', 'flat'];
+// Gateways refuse zero and sub-unit charges, so a discount never takes the price below this
+const MIN_CHARGE_AMOUNT = 1;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const couponError = (message, code, status = 400) => ({ error: { status, body: { message, code } } });
+
+// Admin input -> column values, or { error }
+const parseCouponInput = (body) => {
+    const code = normalizeCode(body.code);
+    if (!/^[A-Z0-9_-]{3,40}$/.test(code)) return { error: 'code must be 3-40 letters, digits, - or _' };
+
+    const discountType = body.discount_type || 'percent';
+    if (!DISCOUNT_TYPES.includes(discountType)) return { error: `discount_type must be one of ${DISCOUNT_TYPES.join(', ')}` };
+    const discountValue = parseFloat(body.discount_value) || 0;
+    if (discountValue < 0 || (discountType === 'percent' && discountValue > 100)) {
+        return { error: 'discount_value must be between 0 and 100 for percentage coupons and positive for flat ones' };
+    }
+    const bonusSessions = parseInt(body.bonus_sessions) || 0;
+    if (discountValue === 0 && bonusSessions <= 0) return { error: 'A coupon needs a discount or bonus sessions' };
+
+    const planIds = (Array.isArray(body.plan_ids) ? body.plan_ids : [])
+        .map(id => parseInt(id))
+        .filter(id => id > 0);
+    const maxRedemptions = parseInt(body.max_redemptions) || null;
+    const perUserLimit = parseInt(body.per_user_limit) || null;
+    const startsAt = body.starts_at ? new Date(body.starts_at) : null;
+    const expiresAt = body.expires_at ? new Date(body.expires_at) : null;
+    if ((startsAt && isNaN(startsAt)) || (expiresAt && isNaN(expiresAt))) return { error: 'starts_at and expires_at must be dates' };
+    if (startsAt && expiresAt && expiresAt <= startsAt) return { error: 'expires_at must be after starts_at' };
+
+    return {
+        values: {
+            code,
+            description: body.description || null,
+            discountType,
+            discountValue,
+            // Flat discounts are an amount in one currency; percentages apply to any
+            currency: discountType === 'flat' ? String(body.currency || 'INR').toUpperCase() : null,
+            bonusSessions,
+            planIds: planIds.length > 0 ? planIds : null,
+            maxRedemptions,
+            perUserLimit,
+            firstPurchaseOnly: body.first_purchase_only === true,
+            startsAt,
+            expiresAt,
+            isActive: body.is_active !== false
+        }
+    };
+};
+
+// Check a code for this user, plan and list price. Returns { coupon, listAmount, discount, amount, bonusSessions }
+// or { error }.
+const evaluateCoupon = async ({ code, userId, plan, currency, listAmount }) => {
+    const couponRes = await query('SELECT * FROM coupons WHERE code = $1', [normalizeCode(code)]);
+    const coupon = couponRes.rows[0];
+    if (!coupon || !coupon.is_active) return couponError('This coupon code is not valid', 'COUPON_INVALID', 404);
+
+    const now = new Date();
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) return couponError('This coupon is not active yet', 'COUPON_NOT_STARTED');
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) return couponError('This coupon has expired', 'COUPON_EXPIRED');
+    if (plan.billing_interval) return couponError('Coupons apply to one-off purchases only', 'COUPON_NOT_ELIGIBLE');
+    if (coupon.plan_ids && coupon.plan_ids.length > 0 && !coupon.plan_ids.includes(plan.id)) {
+        return couponError('This coupon does not apply to this plan', 'COUPON_NOT_ELIGIBLE');
+    }
+    if (coupon.discount_type === 'flat' && parseFloat(coupon.discount_value) > 0 && coupon.currency !== currency) {
+        return couponError(`This coupon can only be used for payments in ${coupon.currency}`, 'COUPON_CURRENCY');
+    }
+    if (coupon.max_redemptions !== null && coupon.redemption_count >= coupon.max_redemptions) {
+        return couponError('This coupon has been fully redeemed', 'COUPON_EXHAUSTED');
+    }
+
+    const [usedRes, pendingRes, purchasesRes] = await Promise.all([
+        query('SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id = $1 AND user_id = $2', [coupon.id, userId]),
+        query("SELECT COUNT(*) FROM payments WHERE coupon_id = $1 AND user_id = $2 AND status = 'created'", [coupon.id, userId]),
+        coupon.first_purchase_only
+            ? query("SELECT COUNT(*) FROM payments WHERE user_id = $1 AND status IN ('captured', 'refunded')", [userId])
+            : Promise.resolve({ rows: [{ count: 0 }] })
+    ]);
+    const used = parseInt(usedRes.rows[0].count);
+    const pending = parseInt(pendingRes.rows[0].count);
+    if (coupon.per_user_limit !== null && used >= coupon.per_user_limit) {
+        return couponError('You have already used this coupon', 'COUPON_LIMIT_REACHED');
+    }
+    if (parseInt(purchasesRes.rows[0].count) > 0) {
+        return couponError('This coupon is only for your first purchase', 'COUPON_FIRST_PURCHASE_ONLY');
+    }
+    // Each unpaid order with the code could still be paid, so it counts as a use
+    if ((coupon.per_user_limit !== null && used + pending >= coupon.per_user_limit) || (coupon.first_purchase_only && pending > 0)) {
+        return couponError('You already have an unpaid order with this coupon; complete it or try again later', 'COUPON_PENDING_ORDER', 409);
+    }
+
+    const value = parseFloat(coupon.discount_value);
+    const rawDiscount = coupon.discount_type === 'percent' ? listAmount * value / 100 : value;
+    const discount = roundAmount(Math.max(Math.min(rawDiscount, listAmount - MIN_CHARGE_AMOUNT), 0));
+    return {
+        coupon,
+        listAmount,
+        discount,
+        amount: roundAmount(listAmount - discount),
+        bonusSessions: coupon.bonus_sessions || 0
+    };
+};
+
+// Re-check a paying order's coupon caps under the coupon's row lock (inside the capture transaction, before
+// the payment is redeemed), so concurrent captures of the same code are counted one after another.
+// Returns {} or { error }.
+const checkCouponCaps = async (client, payment) => {
+    const couponRes = await client.query('SELECT * FROM coupons WHERE id = $1 FOR UPDATE', [payment.coupon_id]);
+    const coupon = couponRes.rows[0];
+    if (!coupon) return {};
+    if (coupon.max_redemptions !== null && coupon.redemption_count >= coupon.max_redemptions) {
+        return couponError('This coupon has been fully redeemed', 'COUPON_EXHAUSTED', 409);
+    }
+    if (coupon.per_user_limit !== null) {
+        const usedRes = await client.query('SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id = $1 AND user_id = $2', [coupon.id, payment.user_id]);
+        if (parseInt(usedRes.rows[0].count) >= coupon.per_user_limit) {
+            return couponError('You have already used this coupon', 'COUPON_LIMIT_REACHED', 409);
+        }
+    }
+    if (coupon.first_purchase_only) {
+        const purchasesRes = await client.query(
+            "SELECT COUNT(*) FROM payments WHERE user_id = $1 AND id <> $2 AND status IN ('captured', 'refunded')",
+            [payment.user_id, payment.id]
+        );
+        if (parseInt(purchasesRes.rows[0].count) > 0) {
+            return couponError('This coupon is only for your first purchase', 'COUPON_FIRST_PURCHASE_ONLY', 409);
+        }
+    }
+    return {};
+};
+
+// Record the coupon on a captured payment and grant its bonus sessions, once per payment (inside the
+// caller's transaction)
+const redeemCoupon = async (client, payment) => {
+    const couponRes = await client.query('SELECT bonus_sessions FROM coupons WHERE id = $1', [payment.coupon_id]);
+    const bonusSessions = couponRes.rows[0]?.bonus_sessions || 0;
+    const inserted = await client.query(
+        `INSERT INTO coupon_redemptions (coupon_id, user_id, payment_id, discount_amount, bonus_sessions)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (payment_id) DO NOTHING RETURNING id`,
+        [payment.coupon_id, payment.user_id, payment.id, payment.discount_amount || 0, bonusSessions]
+    );
+    if (inserted.rows.length === 0) return;
+
+    await client.query('UPDATE coupons SET redemption_count = redemption_count + 1, updated_at = NOW() WHERE id = $1', [payment.coupon_id]);
+    if (bonusSessions > 0) {
+        await client.query(
+            `UPDATE users SET sessions_left = CASE WHEN sessions_left = -1 THEN -1 ELSE sessions_left + $1 END WHERE id = $2`,
+            [bonusSessions, payment.user_id]
+        );
+        await refreshPremiumFlag(client, payment.user_id);
+    }
+};
+
+// Take back the bonus sessions of a fully refunded payment (inside the caller's transaction). The redemption
+// itself stays on record and keeps counting towards the caps.
+const revokeCouponBonus = async (client, payment) => {
+    const res = await client.query('SELECT bonus_sessions FROM coupon_redemptions WHERE payment_id = $1', [payment.id]);
+    const bonusSessions = res.rows[0]?.bonus_sessions || 0;
+    if (bonusSessions > 0) {
+        await client.query(
+            `UPDATE users SET sessions_left = GREATEST(sessions_left - $1, 0) WHERE id = $2 AND sessions_left <> -1`,
+            [bonusSessions, payment.user_id]
+        );
+        await refreshPremiumFlag(client, payment.user_id);
+    }
+};
+
+module.exports = {
+    DISCOUNT_TYPES,
+    normalizeCode,
+    parseCouponInput,
+    evaluateCoupon,
+    checkCouponCaps,
+    redeemCoupon,
+    revokeCouponBonus
+};
@@ -0,0 +1,217 @@
+const { pool, query } = require('../db');
+
+// Prime access for every plan type. A user has access while any of these holds:
+//   sessions_left > 0 or -1 (unlimited)          session packs, referral bonuses, admin grants
+//   premium_expiry in the future                  time passes (and admin "extend"), unlimited use until then
+//   pass_sessions_left > 0 before pass_sessions_expiry   hybrid plans: N sessions that lapse at the expiry
+// users.is_premium mirrors this for listings and counts; the premium-expiry job keeps it current and records
+// each lapse in premium_transitions.
+
+const PLAN_TYPES = ['sessions', 'time', 'hybrid'];
+const UNLIMITED_SESSIONS = -1;
+const EXPIRY_BATCH_SIZE = 100;
+
+// Columns hasPremiumAccess needs on the user object
+const ENTITLEMENT_COLUMNS = 'role, is_premium, premium_expiry, sessions_left, pass_sessions_left, pass_sessions_expiry';
+
+const isFuture = (date, now) => !!date && new Date(date) > now;
+
+const hasPremiumAccess = (user, now = new Date()) => !!user && (
+    user.role === 'admin' ||
+    user.sessions_left > 0 ||
+    user.sessions_left === UNLIMITED_SESSIONS ||
+    isFuture(user.premium_expiry, now) ||
+    (user.pass_sessions_left > 0 && isFuture(user.pass_sessions_expiry, now))
+);
+
+const refreshPremiumFlag = async (client, userId) => {
+    const res = await client.query(
+        `UPDATE users SET is_premium = (
+            sessions_left <> 0
+            OR COALESCE(premium_expiry > NOW(), FALSE)
+            OR (pass_sessions_left > 0 AND COALESCE(pass_sessions_expiry > NOW(), FALSE))
+         ) WHERE id = $1 RETURNING is_premium`,
+        [userId]
+    );
+    return res.rows[0]?.is_premium || false;
+};
+
+// What a purchase of the plan grants; duration only applies to time and hybrid plans
+const getPlanGrant = (plan) => {
+    const type = PLAN_TYPES.includes(plan.plan_type) ? plan.plan_type : 'sessions';
+    return {
+        type,
+        sessions: type === 'time' ? 0 : plan.sessions_limit || 0,
+        hours: type === 'sessions' ? 0 : plan.duration_hours || 0
+    };
+};
+
+// Apply a plan grant (inside the caller's transaction). Passes bought before the current one runs out
+// stack on top of it; hybrid sessions left over from a lapsed pass are not carried forward.
+const applyPlanGrant = async (client, userId, grant) => {
+    if (grant.type === 'sessions') {
+        await client.query(
+            `UPDATE users SET sessions_left = CASE WHEN sessions_left = -1 THEN -1 ELSE sessions_left + $1 END WHERE id = $2`,
+            [grant.sessions, userId]
+        );
+    } else if (grant.type === 'time') {
+        await client.query(
+            `UPDATE users SET premium_expiry = GREATEST(COALESCE(premium_expiry, NOW()), NOW()) + make_interval(hours => $1) WHERE id = $2`,
+            [grant.hours, userId]
+        );
+    } else {
+        await client.query(
+            `UPDATE users SET
+                pass_sessions_left = CASE WHEN pass_sessions_expiry > NOW() THEN pass_sessions_left ELSE 0 END + $1,
+                pass_sessions_expiry = GREATEST(COALESCE(pass_sessions_expiry, NOW()), NOW()) + make_interval(hours => $2)
+             WHERE id = $3`,
+            [grant.sessions, grant.hours, userId]
+        );
+    }
+    await refreshPremiumFlag(client, userId);
+};
+
+// Hours from the end of the user's current access of this type (or now) to `until`, for grants that must end
+// at a fixed time such as a billing period end. Locks the user row (inside the caller's transaction).
+const hoursUntil = async (client, userId, type, until) => {
+    const column = type === 'hybrid' ? 'pass_sessions_expiry' : 'premium_expiry';
+    const res = await client.query(`SELECT ${column} AS expiry FROM users WHERE id = $1 FOR UPDATE`, [userId]);
+    const from = Math.max(Date.now(), res.rows[0].expiry ? new Date(res.rows[0].expiry).getTime() : 0);
+    return Math.max(Math.ceil((new Date(until).getTime() - from) / (60 * 60 * 1000)), 0);
+};
+
+// Take back a refunded grant (inside the caller's transaction); sessions already used are not clawed back
+const revokePlanGrant = async (client, userId, grant) => {
+    if (grant.type === 'sessions' && grant.sessions > 0) {
+        await client.query(
+            `UPDATE users SET sessions_left = GREATEST(sessions_left - $1, 0) WHERE id = $2 AND sessions_left <> -1`,
+            [grant.sessions, userId]
+        );
+    } else if (grant.type === 'time' && grant.hours > 0) {
+        await client.query(
+            `UPDATE users SET premium_expiry = premium_expiry - make_interval(hours => $1) WHERE id = $2 AND premium_expiry IS NOT NULL`,
+            [grant.hours, userId]
+        );
+    } else if (grant.type === 'hybrid') {
+        await client.query(
+            `UPDATE users SET pass_sessions_left = GREATEST(pass_sessions_left - $1, 0),
+                pass_sessions_expiry = pass_sessions_expiry - make_interval(hours => $2)
+             WHERE id = $3 AND pass_sessions_expiry IS NOT NULL`,
+            [grant.sessions, grant.hours, userId]
+        );
+    }
+    await refreshPremiumFlag(client, userId);
+};
+
+// Use one Prime session (inside the caller's transaction). Unlimited accounts and running time passes use
+// nothing; otherwise hybrid sessions go first since they lapse. Returns { source } or { error }.
+const consumeSession = async (client, userId) => {
+    const res = await client.query(`SELECT ${ENTITLEMENT_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`, [userId]);
+    const user = res.rows[0];
+    const now = new Date();
+
+    if (user.sessions_left === UNLIMITED_SESSIONS || isFuture(user.premium_expiry, now)) return { source: 'unlimited' };
+
+    if (user.pass_sessions_left > 0 && isFuture(user.pass_sessions_expiry, now)) {
+        await client.query('UPDATE users SET pass_sessions_left = pass_sessions_left - 1 WHERE id = $1', [userId]);
+        await refreshPremiumFlag(client, userId);
+        return { source: 'pass' };
+    }
+
+    if (user.sessions_left > 0) {
+        await client.query('UPDATE users SET sessions_left = sessions_left - 1 WHERE id = $1', [userId]);
+        await refreshPremiumFlag(client, userId);
+        return { source: 'sessions' };
+    }
+
+    return { error: { status: 403, body: { message: 'Sessions exhausted. Please renew.', code: 'SESSIONS_EXHAUSTED' } } };
+};
+
+// The users column each lapse is keyed on; read in SQL so the timestamp keeps its full precision
+const EXPIRY_COLUMNS = { pass_expired: 'premium_expiry', sessions_expired: 'pass_sessions_expiry' };
+
+// Record one lapse and bring is_premium up to date; the unique (user, reason, expired_at) key makes reruns no-ops
+const recordTransition = async (client, userId, reason, sessionsForfeited) => {
+    const isPremium = await refreshPremiumFlag(client, userId);
+    const res = await client.query(
+        `INSERT INTO premium_transitions (user_id, reason, expired_at, sessions_forfeited, is_premium_after)
+         SELECT id, $2, ${EXPIRY_COLUMNS[reason]}, $3, $4 FROM users WHERE id = $1
+         ON CONFLICT (user_id, reason, expired_at) DO NOTHING RETURNING id`,
+        [userId, reason, sessionsForfeited, isPremium]
+    );
+    return res.rows.length > 0;
+};
+
+// Forfeit lapsed hybrid sessions and close out ended time passes. Returns how many of each were processed.
+const expireEntitlements = async () => {
+    let sessionsExpired = 0;
+    let passesExpired = 0;
+
+    const lapsedSessions = await query(
+        `SELECT id FROM users WHERE pass_sessions_left > 0 AND pass_sessions_expiry <= NOW() LIMIT $1`,
+        [EXPIRY_BATCH_SIZE]
+    );
+    const endedPasses = await query(
+        `SELECT u.id FROM users u
+         WHERE u.premium_expiry <= NOW()
+           AND NOT EXISTS (
+               SELECT 1 FROM premium_transitions t
+               WHERE t.user_id = u.id AND t.reason = 'pass_expired' AND t.expired_at = u.premium_expiry
+           )
+         LIMIT $1`,
+        [EXPIRY_BATCH_SIZE]
+    );
+
+    for (const { id } of lapsedSessions.rows) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            // Re-checked under the row lock: a purchase may have renewed the pass since the scan
+            const res = await client.query(
+                `SELECT pass_sessions_left FROM users
+                 WHERE id = $1 AND pass_sessions_left > 0 AND pass_sessions_expiry <= NOW() FOR UPDATE`,
+                [id]
+            );
+            if (res.rows.length > 0) {
+                await client.query('UPDATE users SET pass_sessions_left = 0 WHERE id = $1', [id]);
+                if (await recordTransition(client, id, 'sessions_expired', res.rows[0].pass_sessions_left)) sessionsExpired++;
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            try { await client.query('ROLLBACK'); } catch (e) { }
+            console.error(`[Premium] Failed to expire pass sessions for user ${id}:`, error.message);
+        } finally {
+            client.release();
+        }
+    }
+
+    for (const { id } of endedPasses.rows) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const res = await client.query('SELECT id FROM users WHERE id = $1 AND premium_expiry <= NOW() FOR UPDATE', [id]);
+            if (res.rows.length > 0 && await recordTransition(client, id, 'pass_expired', 0)) passesExpired++;
+            await client.query('COMMIT');
+        } catch (error) {
+            try { await client.query('ROLLBACK'); } catch (e) { }
+            console.error(`[Premium] Failed to expire time pass for user ${id}:`, error.message);
+        } finally {
+            client.release();
+        }
+    }
+
+    return { sessionsExpired, passesExpired };
+};
+
+module.exports = {
+    PLAN_TYPES,
+    ENTITLEMENT_COLUMNS,
+    hasPremiumAccess,
+    refreshPremiumFlag,
+    getPlanGrant,
+    applyPlanGrant,
+    revokePlanGrant,
+    hoursUntil,
+    consumeSession,
+    expireEntitlements
+};
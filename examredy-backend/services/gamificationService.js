@@ -0,0 +1,193 @@
+const { pool } = require('../db');
+
+const XP_BY_DIFFICULTY = { easy: 5, medium: 10, hard: 20 };
+const BATTLE_PLAYED_XP = 10;
+
+const BADGE_RULE_TYPES = ['correct_answers', 'subject_correct', 'battles_played', 'battles_won', 'streak_days', 'xp_total', 'mock_tests_completed'];
+
+// Level n starts at 50 * (n - 1)^2 XP
+const LEVEL_STEP_XP = 50;
+const levelForXp = (xp) => Math.floor(Math.sqrt(Math.max(0, xp) / LEVEL_STEP_XP)) + 1;
+const xpForLevel = (level) => LEVEL_STEP_XP * (level - 1) ** 2;
+
+const xpForAnswer = (difficulty) => XP_BY_DIFFICULTY[difficulty] || XP_BY_DIFFICULTY.medium;
+
+// Current value of a badge rule for a user; db is a pool or transaction client
+const getRuleValue = async (db, userId, badge, stats) => {
+    switch (badge.rule_type) {
+        case 'correct_answers': {
+            const r = await db.query(`SELECT COUNT(*) FROM user_xp_events WHERE user_id = $1 AND source = 'answer'`, [userId]);
+            return parseInt(r.rows[0].count);
+        }
+        case 'subject_correct': {
+            const r = await db.query(`SELECT COUNT(*) FROM user_xp_events WHERE user_id = $1 AND source = 'answer' AND subject_id = $2`, [userId, badge.subject_id]);
+            return parseInt(r.rows[0].count);
+        }
+        case 'battles_played': {
+            // Finished battles the user played in (not lobbies that never started, nor moderated classrooms)
+            const r = await db.query(
+                `SELECT COUNT(*) FROM group_participants gp
+                 JOIN group_sessions gs ON gs.id = gp.session_id
+                 WHERE gp.user_id = $1 AND gp.role = 'player' AND gs.status = 'finished'`,
+                [userId]
+            );
+            return parseInt(r.rows[0].count);
+        }
+        case 'battles_won': {
+            // Top score in a finished battle with at least two players
+            const r = await db.query(
+                `SELECT COUNT(*) FROM group_participants gp
+                 JOIN group_sessions gs ON gs.id = gp.session_id
+                 WHERE gp.user_id = $1 AND gp.role = 'player' AND gs.status = 'finished' AND gp.score > 0
+                   AND gp.score = (SELECT MAX(o.score) FROM group_participants o WHERE o.session_id = gp.session_id AND o.role = 'player')
+                   AND (SELECT COUNT(*) FROM group_participants o WHERE o.session_id = gp.session_id AND o.role = 'player') > 1`,
+                [userId]
+            );
+            return parseInt(r.rows[0].count);
+        }
+        case 'streak_days':
+            return stats ? stats.longest_streak : 0;
+        case 'xp_total':
+            return stats ? stats.xp_total : 0;
+        case 'mock_tests_completed': {
+            const r = await db.query(`SELECT COUNT(*) FROM mock_test_attempts WHERE user_id = $1 AND status IN ('submitted', 'expired')`, [userId]);
+            return parseInt(r.rows[0].count);
+        }
+        default:
+            return 0;
+    }
+};
+
+// Award every active badge whose threshold the user has now reached. Badge XP goes through the same ledger.
+const evaluateBadges = async (client, userId, stats) => {
+    const pending = await client.query(
+        `SELECT b.* FROM badges b
+         WHERE b.is_active = TRUE
+           AND NOT EXISTS (SELECT 1 FROM user_badges ub WHERE ub.user_id = $1 AND ub.badge_id = b.id)
+         ORDER BY b.threshold ASC`,
+        [userId]
+    );
+
+    const awarded = [];
+    for (const badge of pending.rows) {
+        if (await getRuleValue(client, userId, badge, stats) < badge.threshold) continue;
+
+        const inserted = await client.query(
+            'INSERT INTO user_badges (user_id, badge_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING awarded_at',
+            [userId, badge.id]
+        );
+        if (inserted.rows.length === 0) continue;
+
+        if (badge.xp_reward > 0) {
+            await client.query(
+                `INSERT INTO user_xp_events (user_id, amount, source, ref) VALUES ($1, $2, 'badge', $3)
+                 ON CONFLICT (user_id, source, ref) WHERE ref IS NOT NULL DO NOTHING`,
+                [userId, badge.xp_reward, String(badge.id)]
+            );
+            await client.query('UPDATE user_stats SET xp_total = xp_total + $1 WHERE user_id = $2', [badge.xp_reward, userId]);
+        }
+        awarded.push({ id: badge.id, name: badge.name, description: badge.description, icon: badge.icon, xpReward: badge.xp_reward, awardedAt: inserted.rows[0].awarded_at });
+    }
+    return awarded;
+};
+
+// Record study activity: extends the daily streak, adds XP awards and checks badges.
+// awards: [{ xp, source, ref, categoryId, subjectId }]; a repeated (source, ref) earns nothing.
+// client is a transaction client (or the pool when no transaction is open).
+const recordActivity = async (client, userId, awards = []) => {
+    let xpGained = 0;
+    for (const award of awards) {
+        if (!(award.xp > 0)) continue;
+        const inserted = await client.query(
+            `INSERT INTO user_xp_events (user_id, amount, source, ref, category_id, subject_id)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (user_id, source, ref) WHERE ref IS NOT NULL DO NOTHING
+             RETURNING amount`,
+            [userId, award.xp, award.source, award.ref || null, award.categoryId || null, award.subjectId || null]
+        );
+        if (inserted.rows.length > 0) xpGained += award.xp;
+    }
+
+    // Same day keeps the streak, the day after extends it, anything later restarts it
+    const statsRes = await client.query(
+        `INSERT INTO user_stats (user_id, xp_total, current_streak, longest_streak, last_active_date)
+         VALUES ($1, $2, 1, 1, CURRENT_DATE)
+         ON CONFLICT (user_id) DO UPDATE SET
+            xp_total = user_stats.xp_total + EXCLUDED.xp_total,
+            current_streak = CASE
+                WHEN user_stats.last_active_date = CURRENT_DATE THEN user_stats.current_streak
+                WHEN user_stats.last_active_date = CURRENT_DATE - 1 THEN user_stats.current_streak + 1
+                ELSE 1 END,
+            longest_streak = GREATEST(user_stats.longest_streak, CASE
+                WHEN user_stats.last_active_date = CURRENT_DATE THEN user_stats.current_streak
+                WHEN user_stats.last_active_date = CURRENT_DATE - 1 THEN user_stats.current_streak + 1
+                ELSE 1 END),
+            last_active_date = CURRENT_DATE,
+            updated_at = NOW()
+         RETURNING *`,
+        [userId, xpGained]
+    );
+    const stats = statsRes.rows[0];
+
+    const newBadges = await evaluateBadges(client, userId, stats);
+    const badgeXp = newBadges.reduce((sum, b) => sum + b.xpReward, 0);
+    const xpTotal = stats.xp_total + badgeXp;
+
+    return {
+        xpGained: xpGained + badgeXp,
+        xpTotal,
+        level: levelForXp(xpTotal),
+        streak: stats.current_streak,
+        newBadges
+    };
+};
+
+// XP, level, streak and every active badge with the user's progress towards it
+const getUserProgress = async (userId) => {
+    const statsRes = await pool.query('SELECT * FROM user_stats WHERE user_id = $1', [userId]);
+    const stats = statsRes.rows[0] || { xp_total: 0, current_streak: 0, longest_streak: 0, last_active_date: null };
+
+    // A streak is only current if the user was active today or yesterday
+    const yesterday = new Date();
+    yesterday.setHours(0, 0, 0, 0);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const streakAlive = stats.last_active_date && new Date(stats.last_active_date) >= yesterday;
+
+    const badgesRes = await pool.query(
+        `SELECT b.id, b.name, b.description, b.icon, b.rule_type, b.threshold, b.subject_id, s.name as subject_name, b.xp_reward, ub.awarded_at
+         FROM badges b
+         LEFT JOIN user_badges ub ON ub.badge_id = b.id AND ub.user_id = $1
+         LEFT JOIN subjects s ON b.subject_id = s.id
+         WHERE b.is_active = TRUE OR ub.awarded_at IS NOT NULL
+         ORDER BY ub.awarded_at DESC NULLS LAST, b.threshold ASC`,
+        [userId]
+    );
+    const badges = [];
+    for (const b of badgesRes.rows) {
+        const earned = !!b.awarded_at;
+        const value = earned ? b.threshold : await getRuleValue(pool, userId, b, stats);
+        badges.push({ ...b, earned, progress: Math.min(value, b.threshold) });
+    }
+
+    const level = levelForXp(stats.xp_total);
+    return {
+        xp: stats.xp_total,
+        level,
+        currentLevelXp: xpForLevel(level),
+        nextLevelXp: xpForLevel(level + 1),
+        streak: {
+            current: streakAlive ? stats.current_streak : 0,
+            longest: stats.longest_streak,
+            lastActiveDate: stats.last_active_date
+        },
+        badges
+    };
+};
+
+module.exports = {
+    BADGE_RULE_TYPES,
+    BATTLE_PLAYED_XP,
+    xpForAnswer,
+    recordActivity,
+    getUserProgress
+};
@@ -0,0 +1,187 @@
+const { query } = require('../db');
+const { hasPremiumAccess, consumeSession } = require('./entitlementService');
+const groupEvents = require('./groupEventService');
+
+// Server-side grading for group battles: every answer is checked against the session's mcq_data
+// and the participant's score is always the sum of their graded answers.
+
+const DEFAULT_SECONDS_PER_QUESTION = 30;
+// Answers arriving this long after the deadline are still accepted (network latency)
+const ANSWER_GRACE_SECONDS = 2;
+
+const BASE_POINTS = 10;
+const MAX_SPEED_BONUS = 10;
+
+// Battle format limits for /start
+const QUESTION_COUNT_RANGE = { min: 1, max: 50, default: 10 };
+const SECONDS_PER_QUESTION_RANGE = { min: 5, max: 300, default: DEFAULT_SECONDS_PER_QUESTION };
+
+// Validate the host's battle format; returns { error } or { questionCount, secondsPerQuestion, revealAnswers }
+const parseBattleConfig = ({ questionCount, secondsPerQuestion, revealAnswers } = {}) => {
+    const inRange = (value, range, label) => {
+        if (value === undefined || value === null || value === '') return { value: range.default };
+        const n = parseInt(value);
+        if (!Number.isInteger(n) || n < range.min || n > range.max) {
+            return { error: `${label} must be between ${range.min} and ${range.max}` };
+        }
+        return { value: n };
+    };
+
+    const count = inRange(questionCount, QUESTION_COUNT_RANGE, 'questionCount');
+    const seconds = inRange(secondsPerQuestion, SECONDS_PER_QUESTION_RANGE, 'secondsPerQuestion');
+    const message = count.error || seconds.error;
+    if (message) return { error: { status: 400, body: { message } } };
+
+    return {
+        questionCount: count.value,
+        secondsPerQuestion: seconds.value,
+        revealAnswers: revealAnswers === undefined ? true : revealAnswers === true || revealAnswers === 'true'
+    };
+};
+
+const SESSIONS_EXHAUSTED = { status: 403, body: { message: 'Prime subscription required or sessions exhausted.', code: 'SESSIONS_EXHAUSTED' } };
+
+// Cheap pre-check before preparing a battle the host could not pay for; req.user carries the entitlement columns
+const canHostSession = (user) => hasPremiumAccess(user) ? {} : { error: SESSIONS_EXHAUSTED };
+
+// Hosting a battle or a challenge uses one Prime session (inside the caller's transaction, once the questions are
+// ready; admins are exempt). Returns {} or { error }.
+const chargeHost = async (client, userId) => {
+    const roleRes = await client.query('SELECT role FROM users WHERE id = $1', [userId]);
+    if (roleRes.rows[0].role === 'admin') return {};
+
+    const used = await consumeSession(client, userId);
+    return used.error ? { error: SESSIONS_EXHAUSTED } : {};
+};
+
+// Participants in join order, flagged with host and live-connection status (classroom moderators have role 'moderator')
+const loadParticipants = async (code, creatorId) => {
+    const participantsRes = await query(`
+        SELECT u.username, u.id as user_id, gp.score, gp.role, gp.team
+        FROM group_participants gp
+        JOIN users u ON gp.user_id = u.id
+        WHERE gp.session_id = $1
+        ORDER BY gp.joined_at ASC
+    `, [code]);
+    const online = groupEvents.getConnectedUserIds(code);
+    return participantsRes.rows.map(p => ({
+        username: p.username,
+        userId: p.user_id,
+        score: p.score,
+        isHost: p.user_id === creatorId,
+        role: p.role || 'player',
+        team: p.team,
+        online: online.includes(p.user_id)
+    }));
+};
+
+// Questions of a started session, from the mcq_data snapshot or (older sessions) mcq_ids
+const loadSessionQuestions = async (session) => {
+    if (session.status === 'lobby') return [];
+    if (session.mcq_data) {
+        return typeof session.mcq_data === 'string' ? JSON.parse(session.mcq_data) : session.mcq_data;
+    }
+    if (session.mcq_ids) {
+        const ids = typeof session.mcq_ids === 'string' ? JSON.parse(session.mcq_ids) : session.mcq_ids;
+        const mcqRes = await query(`
+            SELECT id, question, options, correct_option, explanation 
+            FROM mcq_pool 
+            WHERE id = ANY($1)
+        `, [ids]);
+        // Sort to match mcq_ids order
+        return ids.map(id => mcqRes.rows.find(r => r.id === id)).filter(Boolean);
+    }
+    return [];
+};
+
+// Client view of a battle question: the answer key stays on the server until the player answers
+const toPublicGroupQuestion = ({ correct_option, explanation, ...question }) => question;
+
+// Deadline for a question, or null for questions served before deadlines existed
+const getQuestionDeadline = (question, secondsPerQuestion) => {
+    if (!question.served_at) return null;
+    return new Date(new Date(question.served_at).getTime() + secondsPerQuestion * 1000);
+};
+
+// Correct answers earn BASE_POINTS plus a bonus that shrinks linearly to zero at the deadline
+const scoreAnswer = (isCorrect, question, secondsPerQuestion, answeredAt) => {
+    if (!isCorrect) return 0;
+    const deadline = getQuestionDeadline(question, secondsPerQuestion);
+    if (!deadline) return BASE_POINTS;
+    const remaining = Math.max(0, (deadline.getTime() - answeredAt.getTime()) / 1000);
+    return BASE_POINTS + Math.round(MAX_SPEED_BONUS * Math.min(1, remaining / secondsPerQuestion));
+};
+
+// Grade and store one answer inside a transaction; returns { error } or the graded result
+const gradeGroupAnswer = async (client, session, questions, userId, questionIndex, selectedOption) => {
+    const question = questions[questionIndex];
+    if (!question) {
+        return { error: { status: 404, body: { message: 'Question not found in this battle' } } };
+    }
+
+    // Only the open round takes answers
+    if (questionIndex > session.current_round) {
+        return { error: { status: 400, body: { message: 'This question is not open yet', code: 'ROUND_NOT_OPEN' } } };
+    }
+    if (questionIndex < session.current_round || session.round_phase !== 'question') {
+        return { error: { status: 409, body: { message: 'Time is up for this question', code: 'DEADLINE_PASSED' } } };
+    }
+
+    const secondsPerQuestion = session.seconds_per_question || DEFAULT_SECONDS_PER_QUESTION;
+    const answeredAt = new Date();
+    const deadline = getQuestionDeadline(question, secondsPerQuestion);
+    if (deadline && answeredAt.getTime() > deadline.getTime() + ANSWER_GRACE_SECONDS * 1000) {
+        return { error: { status: 409, body: { message: 'Time is up for this question', code: 'DEADLINE_PASSED', deadline } } };
+    }
+
+    const selected = Number.isInteger(selectedOption) ? selectedOption : null;
+    const isCorrect = selected !== null && selected === parseInt(question.correct_option);
+    const points = scoreAnswer(isCorrect, question, secondsPerQuestion, answeredAt);
+
+    const inserted = await client.query(
+        `INSERT INTO group_answers (session_id, user_id, question_index, question_id, selected_option, is_correct, points, answered_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (session_id, user_id, question_index) DO NOTHING
+         RETURNING question_index`,
+        [session.id, userId, questionIndex, String(question.id), selected, isCorrect, points, answeredAt]
+    );
+    if (inserted.rows.length === 0) {
+        return { error: { status: 409, body: { message: 'Question already answered', code: 'ALREADY_ANSWERED' } } };
+    }
+
+    const { score, answered } = await refreshParticipantScore(client, session.id, userId);
+    // Without reveal_answers the key is only published with the final results
+    return {
+        is_correct: isCorrect,
+        ...(session.reveal_answers ? { correct_option: question.correct_option, explanation: question.explanation } : {}),
+        points,
+        score,
+        answered
+    };
+};
+
+// Recompute a participant's score from their graded answers and store it
+const refreshParticipantScore = async (client, sessionId, userId) => {
+    const totals = await client.query(
+        `SELECT COALESCE(SUM(points), 0)::int as score, COUNT(*)::int as answered
+         FROM group_answers WHERE session_id = $1 AND user_id = $2`,
+        [sessionId, userId]
+    );
+    const { score, answered } = totals.rows[0];
+    await client.query('UPDATE group_participants SET score = $1 WHERE session_id = $2 AND user_id = $3', [score, sessionId, userId]);
+    return { score, answered };
+};
+
+module.exports = {
+    DEFAULT_SECONDS_PER_QUESTION,
+    ANSWER_GRACE_SECONDS,
+    parseBattleConfig,
+    canHostSession,
+    chargeHost,
+    loadParticipants,
+    loadSessionQuestions,
+    toPublicGroupQuestion,
+    getQuestionDeadline,
+    gradeGroupAnswer,
+    refreshParticipantScore
+};
@@ -0,0 +1,102 @@
+const { query } = require('../db');
+
+// Classroom mode for group sessions: the host moderates instead of playing, rooms are larger
+// (CLASSROOM_SIZE_LIMIT instead of GROUP_SIZE_LIMIT) and players can be split into teams.
+
+const MODES = ['battle', 'classroom'];
+const TEAM_COUNT_RANGE = { min: 2, max: 10 };
+
+// Player cap for a room; the moderator does not count towards it
+const getRoomLimit = async (mode) => {
+    const key = mode === 'classroom' ? 'CLASSROOM_SIZE_LIMIT' : 'GROUP_SIZE_LIMIT';
+    const settings = await query('SELECT value FROM system_settings WHERE key = $1', [key]);
+    return parseInt(settings.rows[0]?.value || (mode === 'classroom' ? '200' : '10'));
+};
+
+const teamName = (index) => `Team ${index + 1}`;
+
+// Spread the players over teamCount teams in random order (0 clears the teams); returns the team names
+const assignTeams = async (client, sessionId, teamCount) => {
+    if (!teamCount) {
+        await client.query('UPDATE group_participants SET team = NULL WHERE session_id = $1', [sessionId]);
+        return [];
+    }
+    const players = await client.query(
+        `SELECT user_id FROM group_participants WHERE session_id = $1 AND role = 'player' ORDER BY RANDOM()`,
+        [sessionId]
+    );
+    for (const [i, { user_id }] of players.rows.entries()) {
+        await client.query(
+            'UPDATE group_participants SET team = $1 WHERE session_id = $2 AND user_id = $3',
+            [teamName(i % teamCount), sessionId, user_id]
+        );
+    }
+    return Array.from({ length: teamCount }, (_, i) => teamName(i));
+};
+
+// Team for a late joiner: the smallest existing team, or null when the room has no teams
+const pickTeamForNewcomer = async (client, sessionId) => {
+    const teams = await client.query(
+        `SELECT team, COUNT(*)::int as members FROM group_participants
+         WHERE session_id = $1 AND role = 'player' AND team IS NOT NULL
+         GROUP BY team ORDER BY members ASC, team ASC LIMIT 1`,
+        [sessionId]
+    );
+    return teams.rows[0]?.team || null;
+};
+
+// Team standings from the player standings; teams are ranked by average score so uneven teams compare fairly
+const buildTeamStandings = (standings) => {
+    const teams = new Map();
+    for (const player of standings) {
+        if (!player.team) continue;
+        const team = teams.get(player.team) || { team: player.team, members: 0, score: 0, correct: 0 };
+        team.members += 1;
+        team.score += player.score;
+        team.correct += player.correct;
+        teams.set(player.team, team);
+    }
+
+    const ranked = [...teams.values()]
+        .map(t => ({ ...t, average: Math.round((t.score / t.members) * 10) / 10 }))
+        .sort((a, b) => b.average - a.average || a.team.localeCompare(b.team));
+    let rank = 0;
+    return ranked.map((t, i) => {
+        if (i === 0 || ranked[i - 1].average !== t.average) rank = i + 1;
+        return { ...t, rank };
+    });
+};
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Results sheet (CSV): one row per player with their rank, team, totals and the option picked for every question
+const buildResultsSheet = (results, answers) => {
+    const questions = results.questions || [];
+    const letter = (option) => (option === null || option === undefined ? '-' : String.fromCharCode(65 + option));
+
+    const header = ['Rank', 'Name', 'Team', 'Score', 'Answered', 'Correct',
+        ...questions.map(q => `Q${q.index + 1} (${letter(parseInt(q.correct_option))})`)];
+    const rows = (results.standings || []).map(player => {
+        const picks = questions.map(q => {
+            const answer = answers.find(a => a.user_id === player.userId && a.question_index === q.index);
+            if (!answer) return '';
+            return `${letter(answer.selected_option)}${answer.is_correct ? ' ✓' : ''}`;
+        });
+        return [player.rank, player.username, player.team || '', player.score, player.answered, player.correct, ...picks];
+    });
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+};
+
+module.exports = {
+    MODES,
+    TEAM_COUNT_RANGE,
+    getRoomLimit,
+    assignTeams,
+    pickTeamForNewcomer,
+    buildTeamStandings,
+    buildResultsSheet
+};
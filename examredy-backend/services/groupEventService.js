@@ -0,0 +1,89 @@
+// Server-Sent Events channels for group battles, one per session code.
+// Subscribers live in this process's memory, so every client of a session must reach the same instance;
+// clients fall back to REST polling whenever their stream drops.
+
+const HEARTBEAT_MS = 25000;
+
+const channels = new Map(); // code -> Set<{ userId, res }>
+
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Turn an Express response into an event stream for the session; returns the subscriber
+const subscribe = (code, userId, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const subscriber = { userId, res };
+    if (!channels.has(code)) channels.set(code, new Set());
+    channels.get(code).add(subscriber);
+
+    // Comment lines keep proxies from closing an idle stream
+    subscriber.heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    return subscriber;
+};
+
+const unsubscribe = (code, subscriber) => {
+    clearInterval(subscriber.heartbeat);
+    const channel = channels.get(code);
+    if (!channel) return;
+    channel.delete(subscriber);
+    if (channel.size === 0) channels.delete(code);
+};
+
+const send = (subscriber, event, data) => writeEvent(subscriber.res, event, data);
+
+// Push an event to everyone connected to the session
+const publish = (code, event, data) => {
+    const channel = channels.get(code);
+    if (!channel) return;
+    for (const subscriber of channel) {
+        try {
+            writeEvent(subscriber.res, event, data);
+        } catch (e) {
+            console.error(`[GroupEvents] Failed to push ${event} to ${code}:`, e.message);
+        }
+    }
+};
+
+// End a user's streams for the session (e.g. after a kick); their clients see the stream close
+const disconnectUser = (code, userId) => {
+    const channel = channels.get(code);
+    if (!channel) return;
+    for (const subscriber of [...channel]) {
+        if (subscriber.userId !== userId) continue;
+        unsubscribe(code, subscriber);
+        subscriber.res.end();
+    }
+};
+
+const isUserConnected = (code, userId) => {
+    const channel = channels.get(code);
+    if (!channel) return false;
+    for (const subscriber of channel) {
+        if (subscriber.userId === userId) return true;
+    }
+    return false;
+};
+
+const getConnectedUserIds = (code) => {
+    const channel = channels.get(code);
+    return channel ? [...new Set([...channel].map(s => s.userId))] : [];
+};
+
+module.exports = {
+    subscribe,
+    unsubscribe,
+    send,
+    publish,
+    disconnectUser,
+    isUserConnected,
+    getConnectedUserIds
+};
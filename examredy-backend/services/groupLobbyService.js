@@ -0,0 +1,144 @@
+const { pool, query } = require('../db');
+const groupEvents = require('./groupEventService');
+const { loadParticipants } = require('./groupBattleService');
+
+// Lobby management for group sessions: leaving, kicks, host hand-over and clean-up of abandoned sessions.
+// A participant counts as present while their event stream is open in this process (see groupEventService)
+// or when last_seen_at (stamped by /status polls and when a stream opens or closes) is recent.
+
+// An absent host loses host rights to the next present participant after this long
+const HOST_TIMEOUT_SECONDS = 60;
+// Sessions nobody has been present in for this long are closed (is_active = FALSE)
+const ABANDONED_LOBBY_MINUTES = 30;
+const ABANDONED_BATTLE_MINUTES = 10;
+
+const touchPresence = (code, userId) => query(
+    'UPDATE group_participants SET last_seen_at = NOW() WHERE session_id = $1 AND user_id = $2',
+    [code, userId]
+);
+
+const isPresent = (code, participant) => groupEvents.isUserConnected(code, participant.user_id) || (
+    participant.last_seen_at && Date.now() - new Date(participant.last_seen_at).getTime() < HOST_TIMEOUT_SECONDS * 1000
+);
+
+// Make userId the host. In classroom lobbies the moderator role moves with host rights
+// (once the quiz runs, a new host keeps playing rather than losing their answers).
+const transferHost = async (client, session, userId) => {
+    await client.query('UPDATE group_sessions SET creator_id = $1 WHERE id = $2', [userId, session.id]);
+    if (session.mode === 'classroom' && session.status === 'lobby') {
+        await client.query(
+            `UPDATE group_participants SET role = CASE WHEN user_id = $2 THEN 'moderator' ELSE 'player' END,
+                team = CASE WHEN user_id = $2 THEN NULL ELSE team END
+             WHERE session_id = $1 AND user_id IN ($2, $3)`,
+            [session.id, userId, session.creator_id]
+        );
+    }
+    return { ...session, creator_id: userId };
+};
+
+// Next host: the earliest-joined participant who is present, else the earliest-joined one
+const pickSuccessor = async (client, session, excludeUserId) => {
+    const candidates = await client.query(
+        `SELECT user_id, last_seen_at FROM group_participants
+         WHERE session_id = $1 AND user_id <> $2
+         ORDER BY joined_at ASC`,
+        [session.id, excludeUserId]
+    );
+    return candidates.rows.find(p => isPresent(session.id, p)) || candidates.rows[0] || null;
+};
+
+// Remove a participant (leave or kick) inside a transaction. A departing host hands over to a successor;
+// the session closes when nobody is left. Returns { session, hostChanged, closed }.
+const removeParticipant = async (client, session, userId) => {
+    await client.query('DELETE FROM group_participants WHERE session_id = $1 AND user_id = $2', [session.id, userId]);
+    if (session.creator_id !== userId) return { session, hostChanged: false, closed: false };
+
+    const successor = await pickSuccessor(client, session, userId);
+    if (!successor) {
+        await client.query('UPDATE group_sessions SET is_active = FALSE WHERE id = $1', [session.id]);
+        return { session: { ...session, is_active: false }, hostChanged: false, closed: true };
+    }
+    // The leaving host has no participant row any more, so only the successor's role changes
+    return { session: await transferHost(client, session, successor.user_id), hostChanged: true, closed: false };
+};
+
+// Tell everyone about a changed lobby
+const publishLobbyChange = async (session, event, data) => {
+    const participants = await loadParticipants(session.id, session.creator_id);
+    groupEvents.publish(session.id, event, { ...data, hostId: session.creator_id, participants });
+};
+
+// Hand host rights away from hosts who disappeared from their lobby (the lobby cannot start without them)
+const migrateAbsentHosts = async () => {
+    const lobbies = await query(
+        `SELECT gs.id, gs.creator_id
+         FROM group_sessions gs
+         JOIN group_participants gp ON gp.session_id = gs.id AND gp.user_id = gs.creator_id
+         WHERE gs.status = 'lobby' AND gs.is_active = TRUE
+           AND COALESCE(gp.last_seen_at, gp.joined_at) < NOW() - $1 * INTERVAL '1 second'`,
+        [HOST_TIMEOUT_SECONDS]
+    );
+
+    let migrated = 0;
+    for (const lobby of lobbies.rows) {
+        if (groupEvents.isUserConnected(lobby.id, lobby.creator_id)) continue;
+
+        const client = await pool.connect();
+        let session;
+        try {
+            await client.query('BEGIN');
+            const locked = await client.query('SELECT * FROM group_sessions WHERE id = $1 AND creator_id = $2 FOR UPDATE', [lobby.id, lobby.creator_id]);
+            const successor = locked.rows[0] && await pickSuccessor(client, locked.rows[0], lobby.creator_id);
+            if (!successor || !isPresent(lobby.id, successor)) {
+                await client.query('ROLLBACK');
+                continue;
+            }
+            session = await transferHost(client, locked.rows[0], successor.user_id);
+            await client.query('COMMIT');
+        } catch (error) {
+            try { await client.query('ROLLBACK'); } catch (e) { }
+            console.error(`[GroupLobby] Host migration failed for ${lobby.id}:`, error.message);
+            continue;
+        } finally {
+            client.release();
+        }
+
+        migrated += 1;
+        await publishLobbyChange(session, 'host_changed', { previousHostId: lobby.creator_id, reason: 'host_absent' });
+    }
+    return migrated;
+};
+
+// Close lobbies and running battles that nobody has been present in for a while
+const closeAbandonedSessions = async () => {
+    const candidates = await query(
+        `SELECT gs.id, gs.status, MAX(COALESCE(gp.last_seen_at, gp.joined_at)) as last_seen_at
+         FROM group_sessions gs
+         LEFT JOIN group_participants gp ON gp.session_id = gs.id
+         WHERE gs.is_active = TRUE AND gs.status IN ('lobby', 'active')
+         GROUP BY gs.id, gs.status
+         HAVING MAX(COALESCE(gp.last_seen_at, gp.joined_at)) IS NULL
+             OR MAX(COALESCE(gp.last_seen_at, gp.joined_at)) < NOW() - (CASE WHEN gs.status = 'lobby' THEN $1 ELSE $2 END) * INTERVAL '1 minute'`,
+        [ABANDONED_LOBBY_MINUTES, ABANDONED_BATTLE_MINUTES]
+    );
+
+    let closed = 0;
+    for (const session of candidates.rows) {
+        // Someone still has the stream open
+        if (groupEvents.getConnectedUserIds(session.id).length > 0) continue;
+        await query('UPDATE group_sessions SET is_active = FALSE, round_phase = NULL, phase_ends_at = NULL WHERE id = $1', [session.id]);
+        groupEvents.publish(session.id, 'session_closed', { reason: 'abandoned' });
+        closed += 1;
+    }
+    return closed;
+};
+
+module.exports = {
+    HOST_TIMEOUT_SECONDS,
+    touchPresence,
+    transferHost,
+    removeParticipant,
+    publishLobbyChange,
+    migrateAbsentHosts,
+    closeAbandonedSessions
+};
@@ -0,0 +1,196 @@
+const { query } = require('../db');
+const { generateMCQInitial } = require('./aiService');
+const { drawPoolQuestions, getRepeatWindowDays } = require('./practiceService');
+
+// Question supply for group battles: approved pool questions in the battle's scope come first and AI only
+// tops up the rest. Pooled questions carry no language, so they are preferred for English battles and only
+// used in other languages when the AI provider is unavailable.
+
+// Largest number of questions requested from the AI provider in one call
+const AI_BATCH_SIZE = 10;
+
+const POOL_LANGUAGE = 'English';
+
+const toBattleQuestion = (q, id, source) => ({
+    id,
+    question: q.question,
+    options: q.options,
+    correct_option: q.correct_option,
+    explanation: q.explanation || null,
+    subject: q.subject || null,
+    chapter: q.chapter || null,
+    source
+});
+
+// Approved pool questions for the battle scope, skipping ones already in the battle
+const drawFromPool = async ({ creatorId, filters, count, exclude = [] }) => {
+    if (count <= 0) return [];
+    const excludeIds = exclude.map(q => q.id).filter(Number.isInteger);
+    const { questions } = await drawPoolQuestions({
+        userId: creatorId,
+        filters,
+        limit: count,
+        excludeIds,
+        windowDays: await getRepeatWindowDays()
+    });
+    return questions.map(q => toBattleQuestion(q, q.id, 'pool'));
+};
+
+// AI questions (never the provider-down placeholders); [] when the provider fails
+const generateFromAI = async ({ topic, language, count, offset }) => {
+    if (count <= 0) return [];
+    try {
+        const generated = await generateMCQInitial(topic, Math.min(count, AI_BATCH_SIZE), language);
+        return (generated || [])
+            .filter(q => !q.is_mock)
+            .map((q, i) => toBattleQuestion(q, `live_${Date.now()}_${offset + i}`, 'ai'));
+    } catch (error) {
+        console.error('[GroupBattle] AI generation failed:', error.message);
+        return [];
+    }
+};
+
+// Questions to open a battle with: the pool's share of the set, or a single AI question to start quickly
+const buildInitialQuestions = async ({ creatorId, filters, topic, language, questionCount }) => {
+    if (language === POOL_LANGUAGE) {
+        const pooled = await drawFromPool({ creatorId, filters, count: questionCount });
+        if (pooled.length > 0) return pooled;
+    }
+
+    const generated = await generateFromAI({ topic, language, count: 1, offset: 0 });
+    if (generated.length > 0) return generated;
+
+    // Provider down: any pooled question in scope beats no battle
+    return language === POOL_LANGUAGE ? [] : drawFromPool({ creatorId, filters, count: questionCount });
+};
+
+// A complete set up front (async challenges have no rounds to top up during): pool first, then AI in batches,
+// then the pool without the chapter. May return fewer than questionCount when nothing else is available.
+const buildFullQuestionSet = async ({ creatorId, filters, topic, language, questionCount }) => {
+    let questions = await buildInitialQuestions({ creatorId, filters, topic, language, questionCount });
+
+    while (questions.length < questionCount) {
+        const remaining = questionCount - questions.length;
+        let batch = await generateFromAI({ topic, language, count: remaining, offset: questions.length });
+        if (batch.length === 0) {
+            batch = await drawFromPool({ creatorId, filters, count: remaining, exclude: questions });
+        }
+        if (batch.length === 0 && filters.chapterId) {
+            batch = await drawFromPool({ creatorId, filters: { ...filters, chapterId: null }, count: remaining, exclude: questions });
+        }
+        if (batch.length === 0) break;
+        questions = questions.concat(batch.slice(0, remaining));
+    }
+    return questions.slice(0, questionCount);
+};
+
+// Append questions unless the set changed since it was read (another instance topped it up first)
+const appendQuestions = async (sessionId, expectedLength, questions) => {
+    const updated = await query(
+        `UPDATE group_sessions SET mcq_data = COALESCE(mcq_data, '[]'::jsonb) || $1::jsonb
+         WHERE id = $2 AND jsonb_array_length(COALESCE(mcq_data, '[]'::jsonb)) = $3
+         RETURNING mcq_data`,
+        [JSON.stringify(questions), sessionId, expectedLength]
+    );
+    return updated.rows[0]?.mcq_data || null;
+};
+
+// Fill a running battle up to its question_count: AI in batches, then the pool (chapter dropped) if the provider fails.
+// Returns the number of questions added.
+const topUpQuestions = async (session, questions) => {
+    const scope = {
+        creatorId: session.creator_id,
+        filters: { categoryId: session.category_id, subjectId: session.subject_id, chapterId: session.chapter_id }
+    };
+    let current = questions;
+    let added = 0;
+
+    while (current.length < session.question_count) {
+        const remaining = session.question_count - current.length;
+        let batch = await generateFromAI({
+            topic: session.topic_name || 'General Knowledge',
+            language: session.language || POOL_LANGUAGE,
+            count: remaining,
+            offset: current.length
+        });
+        if (batch.length === 0) {
+            batch = await drawFromPool({ ...scope, count: remaining, exclude: current });
+        }
+        if (batch.length === 0 && scope.filters.chapterId) {
+            batch = await drawFromPool({ ...scope, filters: { ...scope.filters, chapterId: null }, count: remaining, exclude: current });
+        }
+        if (batch.length === 0) break;
+
+        const updated = await appendQuestions(session.id, current.length, batch.slice(0, remaining));
+        if (!updated) break;
+        added += updated.length - current.length;
+        current = updated;
+    }
+    return added;
+};
+
+// Largest fixed question set a host can load into a lobby (the battle question_count limit)
+const MAX_SET_SIZE = 50;
+
+// Validate a host-written question; returns an error message or null
+const checkCustomQuestion = (q, index) => {
+    const label = `Question ${index + 1}`;
+    if (!q || typeof q.question !== 'string' || !q.question.trim()) return `${label}: text is required`;
+    if (!Array.isArray(q.options) || q.options.length < 2 || q.options.length > 6 || q.options.some(o => typeof o !== 'string' || !o.trim())) {
+        return `${label}: 2 to 6 non-empty options are required`;
+    }
+    const correct = parseInt(q.correct_option);
+    if (!Number.isInteger(correct) || correct < 0 || correct >= q.options.length) return `${label}: correct_option must point at an option`;
+    return null;
+};
+
+// Fixed question set for a lobby, from host-written questions, pool ids or a previous-year paper (in that order).
+// Returns { error } or { questions } in the order given.
+const buildQuestionSet = async ({ questions, mcqIds, paperId } = {}) => {
+    let set = [];
+    if (Array.isArray(questions) && questions.length > 0) {
+        const message = questions.map(checkCustomQuestion).find(Boolean);
+        if (message) return { error: { status: 400, body: { message } } };
+        set = questions.map((q, i) => toBattleQuestion({ ...q, correct_option: parseInt(q.correct_option) }, `set_${Date.now()}_${i}`, 'set'));
+    } else if (Array.isArray(mcqIds) && mcqIds.length > 0) {
+        const ids = mcqIds.map(id => parseInt(id));
+        if (ids.some(id => !Number.isInteger(id))) {
+            return { error: { status: 400, body: { message: 'mcqIds must be question ids' } } };
+        }
+        const found = await query(
+            'SELECT id, question, options, correct_option, explanation, subject, chapter FROM mcq_pool WHERE id = ANY($1) AND is_approved = TRUE',
+            [ids]
+        );
+        const missing = ids.filter(id => !found.rows.some(r => r.id === id));
+        if (missing.length > 0) {
+            return { error: { status: 400, body: { message: `Questions not found: ${missing.join(', ')}` } } };
+        }
+        set = ids.map(id => toBattleQuestion(found.rows.find(r => r.id === id), id, 'pool'));
+    } else if (paperId) {
+        const paper = await query(
+            `SELECT m.id, m.question, m.options, m.correct_option, m.explanation, m.subject, m.chapter
+             FROM previous_year_paper_questions pq
+             JOIN previous_year_papers p ON p.id = pq.paper_id
+             JOIN mcq_pool m ON m.id = pq.mcq_id
+             WHERE pq.paper_id = $1 AND p.is_active = TRUE
+             ORDER BY pq.position ASC`,
+            [paperId]
+        );
+        if (paper.rows.length === 0) {
+            return { error: { status: 404, body: { message: 'Paper not found or has no questions' } } };
+        }
+        set = paper.rows.map(q => toBattleQuestion(q, q.id, 'pool'));
+    }
+
+    if (set.length > MAX_SET_SIZE) {
+        return { error: { status: 400, body: { message: `A question set holds at most ${MAX_SET_SIZE} questions` } } };
+    }
+    return { questions: set };
+};
+
+module.exports = {
+    buildInitialQuestions,
+    buildFullQuestionSet,
+    topUpQuestions,
+    buildQuestionSet
+};
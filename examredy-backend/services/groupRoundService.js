@@ -0,0 +1,286 @@
+const { pool, query } = require('../db');
+const groupEvents = require('./groupEventService');
+const {
+    DEFAULT_SECONDS_PER_QUESTION,
+    ANSWER_GRACE_SECONDS,
+    loadParticipants,
+    loadSessionQuestions,
+    toPublicGroupQuestion
+} = require('./groupBattleService');
+const { topUpQuestions } = require('./groupQuestionService');
+const { buildTeamStandings } = require('./groupClassroomService');
+const { recordActivity, BATTLE_PLAYED_XP } = require('./gamificationService');
+
+// Server-driven battle rounds. Each round is a 'question' phase (seconds_per_question) followed by an
+// 'intermission' (answer reveal, or a short wait while the next question is still being fetched). A timer in this
+// process advances the session; the group-rounds job picks up sessions whose timer was lost (restarts).
+
+const REVEAL_SECONDS = 5;
+// How often a round re-checks for a next question that is still being fetched
+const QUESTION_WAIT_SECONDS = 2;
+// Give up and finish early if the next question never arrives
+const MAX_QUESTION_WAIT_SECONDS = 60;
+
+const timers = new Map(); // code -> timeout
+const pendingTopUps = new Map(); // code -> in-flight question top-up
+
+const addSeconds = (date, seconds) => new Date(new Date(date).getTime() + seconds * 1000);
+
+// Top the battle's question set up to question_count in the background; one top-up per session at a time
+const prefetchQuestions = async (session) => {
+    const questions = await loadSessionQuestions(session);
+    if (questions.length >= session.question_count || pendingTopUps.has(session.id)) return;
+
+    pendingTopUps.set(session.id, topUpQuestions(session, questions)
+        .catch(error => {
+            console.error(`[GroupBattle] Question top-up failed for ${session.id}:`, error.message);
+            return 0;
+        })
+        .finally(() => pendingTopUps.delete(session.id)));
+};
+
+// When the current phase stops taking input (question phases keep the answer grace period)
+const getPhaseDueAt = (session) => session.round_phase === 'question'
+    ? addSeconds(session.phase_ends_at, ANSWER_GRACE_SECONDS)
+    : new Date(session.phase_ends_at);
+
+// Arm this process's timer for the session's current phase and keep the question set topped up
+const scheduleRound = (session) => {
+    clearTimeout(timers.get(session.id));
+    if (session.status !== 'active' || !session.phase_ends_at) {
+        timers.delete(session.id);
+        return;
+    }
+
+    const delay = Math.max(0, getPhaseDueAt(session).getTime() - Date.now());
+    timers.set(session.id, setTimeout(() => {
+        timers.delete(session.id);
+        advanceSession(session.id).catch(error => console.error(`[GroupBattle] Advance failed for ${session.id}:`, error.message));
+    }, delay));
+
+    prefetchQuestions(session).catch(error => console.error(error));
+};
+
+// Answer counts for a round, with the key when answers are revealed
+const buildRoundSummary = async (client, session, questions, withKey) => {
+    const round = session.current_round;
+    const stats = await client.query(
+        `SELECT COUNT(*)::int as answered, COUNT(*) FILTER (WHERE is_correct)::int as correct
+         FROM group_answers WHERE session_id = $1 AND question_index = $2`,
+        [session.id, round]
+    );
+    const question = questions[round] || {};
+    return {
+        round,
+        ...stats.rows[0],
+        ...(withKey ? { correct_option: question.correct_option, explanation: question.explanation } : {}),
+        participants: await loadParticipants(session.id, session.creator_id)
+    };
+};
+
+// Final standings and per-question stats, persisted on the session when the battle finishes
+const buildResultsSnapshot = async (client, session, questions, roundsPlayed) => {
+    const standings = await client.query(
+        `SELECT u.id as user_id, u.username, gp.score, gp.team,
+            COUNT(a.question_index)::int as answered,
+            COUNT(a.question_index) FILTER (WHERE a.is_correct)::int as correct,
+            RANK() OVER (ORDER BY gp.score DESC)::int as rank
+         FROM group_participants gp
+         JOIN users u ON u.id = gp.user_id
+         LEFT JOIN group_answers a ON a.session_id = gp.session_id AND a.user_id = gp.user_id
+         WHERE gp.session_id = $1 AND gp.role = 'player'
+         GROUP BY u.id, u.username, gp.score, gp.team
+         ORDER BY rank ASC, u.username ASC`,
+        [session.id]
+    );
+    const perQuestion = await client.query(
+        `SELECT question_index, COUNT(*)::int as answered, COUNT(*) FILTER (WHERE is_correct)::int as correct
+         FROM group_answers WHERE session_id = $1 GROUP BY question_index`,
+        [session.id]
+    );
+
+    const players = standings.rows.map(r => ({
+        userId: r.user_id,
+        username: r.username,
+        team: r.team,
+        score: r.score,
+        answered: r.answered,
+        correct: r.correct,
+        rank: r.rank
+    }));
+
+    return {
+        finishedAt: new Date(),
+        mode: session.mode || 'battle',
+        questionCount: roundsPlayed,
+        secondsPerQuestion: session.seconds_per_question || DEFAULT_SECONDS_PER_QUESTION,
+        standings: players,
+        teams: buildTeamStandings(players),
+        questions: questions.slice(0, roundsPlayed).map((q, index) => {
+            const stats = perQuestion.rows.find(r => r.question_index === index) || { answered: 0, correct: 0 };
+            return {
+                index,
+                id: q.id,
+                question: q.question,
+                options: q.options,
+                correct_option: q.correct_option,
+                explanation: q.explanation,
+                answered: stats.answered,
+                correct: stats.correct
+            };
+        })
+    };
+};
+
+// Open a round: stamp its question with served_at (answer deadlines and speed bonus count from here)
+const openRound = async (client, session, questions, round) => {
+    const servedAt = new Date();
+    const endsAt = addSeconds(servedAt, session.seconds_per_question || DEFAULT_SECONDS_PER_QUESTION);
+    questions[round] = { ...questions[round], served_at: servedAt.toISOString() };
+
+    const updated = await client.query(
+        `UPDATE group_sessions SET mcq_data = $1, current_round = $2, round_phase = 'question', phase_ends_at = $3
+         WHERE id = $4 RETURNING *`,
+        [JSON.stringify(questions), round, endsAt, session.id]
+    );
+    const event = ['question', {
+        round,
+        index: round,
+        endsAt,
+        question: toPublicGroupQuestion(questions[round]),
+        questions: questions.slice(0, round + 1).map(toPublicGroupQuestion)
+    }];
+    return { session: updated.rows[0], event };
+};
+
+const enterIntermission = async (client, session, seconds) => {
+    const updated = await client.query(
+        `UPDATE group_sessions SET round_phase = 'intermission', phase_ends_at = $1 WHERE id = $2 RETURNING *`,
+        [addSeconds(new Date(), seconds), session.id]
+    );
+    return { session: updated.rows[0] };
+};
+
+const finishBattle = async (client, session, questions, roundsPlayed) => {
+    const results = await buildResultsSnapshot(client, session, questions, roundsPlayed);
+    const updated = await client.query(
+        `UPDATE group_sessions SET status = 'finished', round_phase = NULL, phase_ends_at = NULL, finished_at = NOW(), results = $1
+         WHERE id = $2 RETURNING *`,
+        [JSON.stringify(results), session.id]
+    );
+    return { session: updated.rows[0], event: ['battle_finished', { results }] };
+};
+
+// Participation XP for everyone who answered at least once (same ref as /submit, so it is only earned once)
+const awardBattleXp = async (session) => {
+    const players = await query('SELECT DISTINCT user_id FROM group_answers WHERE session_id = $1', [session.id]);
+    for (const { user_id } of players.rows) {
+        try {
+            await recordActivity(pool, user_id, [{
+                xp: BATTLE_PLAYED_XP,
+                source: 'battle',
+                ref: session.id,
+                categoryId: session.category_id,
+                subjectId: session.subject_id
+            }]);
+        } catch (error) {
+            console.error(`[GroupBattle] XP award failed for user ${user_id}:`, error.message);
+        }
+    }
+};
+
+// Move a battle to its next phase if the current one is over (or every participant has answered).
+// Safe to call at any time and from any instance: the session row is locked while it is advanced.
+const advanceSession = async (code) => {
+    const client = await pool.connect();
+    const events = [];
+    let session;
+    try {
+        await client.query('BEGIN');
+        const sessionRes = await client.query('SELECT * FROM group_sessions WHERE id = $1 FOR UPDATE', [code]);
+        session = sessionRes.rows[0];
+        if (!session || !session.is_active || session.status !== 'active' || !session.round_phase) {
+            await client.query('COMMIT');
+            return session || null;
+        }
+
+        let due = getPhaseDueAt(session) <= new Date();
+        if (!due && session.round_phase === 'question') {
+            const counts = await client.query(
+                `SELECT (SELECT COUNT(*) FROM group_participants WHERE session_id = $1 AND role = 'player')::int as players,
+                        (SELECT COUNT(*) FROM group_answers WHERE session_id = $1 AND question_index = $2)::int as answered`,
+                [code, session.current_round]
+            );
+            due = counts.rows[0].players > 0 && counts.rows[0].answered >= counts.rows[0].players;
+        }
+        if (!due) {
+            await client.query('COMMIT');
+            scheduleRound(session);
+            return session;
+        }
+
+        const questions = await loadSessionQuestions(session);
+        if (session.round_phase === 'question') {
+            events.push(['round_ended', await buildRoundSummary(client, session, questions, session.reveal_answers)]);
+        }
+
+        const nextRound = session.current_round + 1;
+        const roundEndedAt = addSeconds(questions[session.current_round]?.served_at || session.phase_ends_at, session.seconds_per_question || DEFAULT_SECONDS_PER_QUESTION);
+        const waitedTooLong = Date.now() - roundEndedAt.getTime() > MAX_QUESTION_WAIT_SECONDS * 1000;
+
+        let step;
+        if (session.round_phase === 'question' && session.reveal_answers) {
+            step = await enterIntermission(client, session, REVEAL_SECONDS);
+        } else if (nextRound >= session.question_count) {
+            step = await finishBattle(client, session, questions, session.question_count);
+        } else if (questions[nextRound]) {
+            step = await openRound(client, session, questions, nextRound);
+        } else if (waitedTooLong) {
+            console.warn(`[GroupBattle] No question ${nextRound + 1} for ${code}; finishing after ${nextRound} rounds.`);
+            step = await finishBattle(client, session, questions, nextRound);
+        } else {
+            step = await enterIntermission(client, session, QUESTION_WAIT_SECONDS);
+        }
+        session = step.session;
+        if (step.event) events.push(step.event);
+        await client.query('COMMIT');
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    events.forEach(([event, data]) => groupEvents.publish(code, event, data));
+    if (session.status === 'finished') {
+        clearTimeout(timers.get(code));
+        timers.delete(code);
+        await awardBattleXp(session);
+    } else {
+        scheduleRound(session);
+    }
+    return session;
+};
+
+// Advance every running battle whose phase is overdue (timers are per process and lost on restart)
+const advanceDueSessions = async () => {
+    const due = await query(
+        `SELECT id FROM group_sessions
+         WHERE status = 'active' AND is_active = TRUE AND phase_ends_at < NOW() - $1 * INTERVAL '1 second'`,
+        [ANSWER_GRACE_SECONDS + 1]
+    );
+    for (const { id } of due.rows) {
+        try {
+            await advanceSession(id);
+        } catch (error) {
+            console.error(`[GroupBattle] Advance failed for ${id}:`, error.message);
+        }
+    }
+    return due.rows.length;
+};
+
+module.exports = {
+    scheduleRound,
+    advanceSession,
+    advanceDueSessions
+};
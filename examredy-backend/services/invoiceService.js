@@ -0,0 +1,369 @@
+const PDFDocument = require('pdfkit');
+const { pool, query } = require('../db');
+
+// GST tax invoices for captured payments. Each captured payment (one-off order or subscription renewal) gets one
+// invoice right after the capture commits, in a transaction of its own so an invoice problem never undoes a paid
+// plan; the invoice-backfill job issues whatever is still missing (failed attempts and payments captured before
+// invoicing existed). Invoices are numbered sequentially within the Indian financial year (April-March) with no
+// gaps: the per-year counter row stays locked until the invoice commits. Prices are GST-inclusive, so the paid
+// amount is split into the taxable value and the tax. The tax is CGST + SGST when the buyer is in the seller's
+// state (or gave no state), IGST when elsewhere in India, and nil for foreign-currency payments (export of
+// services). Seller and buyer details are copied onto the invoice so later edits do not change issued invoices.
+// Refunds do not touch the invoice; the export shows refunded amounts for credit notes.
+
+const DEFAULT_GST_RATE = 18;
+const DEFAULT_PREFIX = 'ER';
+// Commercial training and coaching services
+const DEFAULT_SAC_CODE = '999293';
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const SETTING_KEYS = ['INVOICE_SELLER_NAME', 'INVOICE_SELLER_GSTIN', 'INVOICE_SELLER_ADDRESS', 'INVOICE_SELLER_STATE', 'INVOICE_PREFIX', 'INVOICE_SAC_CODE', 'GST_RATE'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Invoice dates and financial years follow Indian time whatever the server's zone
+const istDate = (date = new Date()) => new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+const financialYear = (dateString) => {
+    const [year, month] = dateString.split('-').map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `${String(start % 100).padStart(2, '0')}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+const sameState = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const getInvoiceSettings = async (client) => {
+    const res = await client.query('SELECT key, value FROM system_settings WHERE key = ANY($1)', [SETTING_KEYS]);
+    const settings = Object.fromEntries(res.rows.map(row => [row.key, row.value]));
+    const rate = parseFloat(settings.GST_RATE);
+    return {
+        sellerName: settings.INVOICE_SELLER_NAME || 'ExamRedy',
+        sellerGstin: settings.INVOICE_SELLER_GSTIN || null,
+        sellerAddress: settings.INVOICE_SELLER_ADDRESS || null,
+        sellerState: settings.INVOICE_SELLER_STATE || null,
+        // GST caps invoice numbers at 16 characters; 'ER/26-27/00001' leaves room for a 4-character prefix
+        prefix: String(settings.INVOICE_PREFIX || '').replace(/[^A-Za-z0-9]/g, '').slice(0, 4).toUpperCase() || DEFAULT_PREFIX,
+        sacCode: settings.INVOICE_SAC_CODE || DEFAULT_SAC_CODE,
+        gstRate: rate >= 0 ? rate : DEFAULT_GST_RATE
+    };
+};
+
+// Split a GST-inclusive total. Returns { supplyType, gstRate, taxable, cgst, sgst, igst }.
+const splitTax = ({ total, currency, gstRate, sellerState, buyerState }) => {
+    if (currency !== 'INR') {
+        return { supplyType: 'export', gstRate: 0, taxable: roundAmount(total), cgst: 0, sgst: 0, igst: 0 };
+    }
+    const taxable = roundAmount(total / (1 + gstRate / 100));
+    const tax = roundAmount(total - taxable);
+    if (!buyerState || !sellerState || sameState(buyerState, sellerState)) {
+        const cgst = roundAmount(tax / 2);
+        return { supplyType: 'intra_state', gstRate, taxable, cgst, sgst: roundAmount(tax - cgst), igst: 0 };
+    }
+    return { supplyType: 'inter_state', gstRate, taxable, cgst: 0, sgst: 0, igst: tax };
+};
+
+const BACKFILL_BATCH_SIZE = 50;
+
+// Write the invoice for a captured payment (inside the caller's transaction). Returns the invoice, the existing
+// one when the payment already has it, or null when the payment is not captured or its user is gone.
+const writeInvoice = async (client, paymentId) => {
+    // Locking the payment serialises concurrent issuers of the same invoice
+    const locked = await client.query(
+        `SELECT id FROM payments WHERE id = $1 AND status IN ('captured', 'refunded') FOR UPDATE`,
+        [paymentId]
+    );
+    if (locked.rows.length === 0) return null;
+    const existing = await client.query('SELECT * FROM invoices WHERE payment_id = $1', [paymentId]);
+    if (existing.rows.length > 0) return existing.rows[0];
+
+    const paymentRes = await client.query(
+        `SELECT p.*, sp.name AS plan_name, u.username, u.email,
+            b.legal_name, b.gstin, b.address, b.state, b.postal_code
+         FROM payments p
+         JOIN users u ON u.id = p.user_id
+         LEFT JOIN subscription_plans sp ON sp.id = p.plan_id
+         LEFT JOIN billing_profiles b ON b.user_id = p.user_id
+         WHERE p.id = $1`,
+        [paymentId]
+    );
+    const payment = paymentRes.rows[0];
+    if (!payment) return null;
+    const settings = await getInvoiceSettings(client);
+
+    const invoiceDate = istDate();
+    const year = financialYear(invoiceDate);
+    const seq = await client.query(
+        `INSERT INTO invoice_sequences (financial_year, last_number) VALUES ($1, 1)
+         ON CONFLICT (financial_year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+         RETURNING last_number`,
+        [year]
+    );
+    const sequence = seq.rows[0].last_number;
+    const invoiceNumber = `${settings.prefix}/${year}/${String(sequence).padStart(5, '0')}`;
+
+    const currency = payment.currency || 'INR';
+    const total = parseFloat(payment.amount);
+    const tax = splitTax({ total, currency, gstRate: settings.gstRate, sellerState: settings.sellerState, buyerState: payment.state });
+    const description = `ExamRedy Prime - ${payment.plan_name || 'Plan'}${payment.subscription_id ? ' (subscription)' : ''}`;
+    const buyerAddress = [payment.address, payment.postal_code].filter(Boolean).join(' - ') || null;
+
+    const inserted = await client.query(
+        `INSERT INTO invoices (invoice_number, financial_year, sequence, payment_id, user_id, invoice_date, currency, description, sac_code,
+            buyer_name, buyer_email, buyer_gstin, buyer_address, buyer_state,
+            seller_name, seller_gstin, seller_address, seller_state,
+            supply_type, gst_rate, discount_amount, taxable_amount, cgst_amount, sgst_amount, igst_amount, total_amount)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26)
+         RETURNING *`,
+        [invoiceNumber, year, sequence, payment.id, payment.user_id, invoiceDate, currency, description, settings.sacCode,
+            payment.legal_name || payment.username, payment.email, payment.gstin || null, buyerAddress, payment.state || null,
+            settings.sellerName, settings.sellerGstin, settings.sellerAddress, settings.sellerState,
+            tax.supplyType, tax.gstRate, parseFloat(payment.discount_amount) || 0, tax.taxable, tax.cgst, tax.sgst, tax.igst, total]
+    );
+    return inserted.rows[0];
+};
+
+// Issue the invoice for a captured payment once its capture has committed. Never throws: a failure is logged
+// and left to the invoice-backfill job. Returns the invoice or null.
+const issueInvoice = async (paymentId) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const invoice = await writeInvoice(client, paymentId);
+        await client.query('COMMIT');
+        return invoice;
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        console.error(`[Invoices] Failed to issue the invoice for payment ${paymentId}:`, error.message);
+        return null;
+    } finally {
+        client.release();
+    }
+};
+
+// Invoice captured payments that have none yet, oldest first. Returns how many were issued.
+const issueMissingInvoices = async () => {
+    const missing = await query(
+        `SELECT p.id FROM payments p
+         JOIN users u ON u.id = p.user_id
+         WHERE p.status IN ('captured', 'refunded')
+           AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.payment_id = p.id)
+         ORDER BY p.created_at ASC
+         LIMIT $1`,
+        [BACKFILL_BATCH_SIZE]
+    );
+    let issued = 0;
+    for (const { id } of missing.rows) {
+        if (await issueInvoice(id)) issued++;
+    }
+    return issued;
+};
+
+const getBillingProfile = async (userId) => {
+    const res = await query('SELECT legal_name, gstin, address, state, postal_code FROM billing_profiles WHERE user_id = $1', [userId]);
+    return res.rows[0] || { legal_name: null, gstin: null, address: null, state: null, postal_code: null };
+};
+
+// Buyer details for future invoices. Returns the saved profile or { error }.
+const saveBillingProfile = async (userId, body) => {
+    const clean = (value, max) => {
+        const text = String(value || '').trim();
+        return text ? text.slice(0, max) : null;
+    };
+    const gstin = clean(body.gstin, 15)?.toUpperCase() || null;
+    if (gstin && !GSTIN_PATTERN.test(gstin)) return { error: { status: 400, body: { message: 'GSTIN is not valid', code: 'GSTIN_INVALID' } } };
+    const state = clean(body.state, 100);
+    if (gstin && !state) return { error: { status: 400, body: { message: 'Select the state your GSTIN is registered in', code: 'STATE_REQUIRED' } } };
+    if (state) {
+        const known = await query('SELECT 1 FROM states WHERE LOWER(name) = LOWER($1)', [state]);
+        if (known.rows.length === 0) return { error: { status: 400, body: { message: 'Unknown state', code: 'STATE_INVALID' } } };
+    }
+
+    const res = await query(
+        `INSERT INTO billing_profiles (user_id, legal_name, gstin, address, state, postal_code, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         ON CONFLICT (user_id) DO UPDATE SET legal_name = $2, gstin = $3, address = $4, state = $5, postal_code = $6, updated_at = NOW()
+         RETURNING legal_name, gstin, address, state, postal_code`,
+        [userId, clean(body.legal_name, 200), gstin, clean(body.address, 500), state, clean(body.postal_code, 10)]
+    );
+    return { profile: res.rows[0] };
+};
+
+const formatAmount = (amount) => parseFloat(amount || 0).toFixed(2);
+
+const SUPPLY_NOTES = {
+    intra_state: 'Place of supply within the supplier\'s state',
+    inter_state: 'Inter-state supply',
+    export: 'Export of services - zero rated, supplied without payment of IGST'
+};
+
+const placeOfSupply = (invoice) => invoice.supply_type === 'export'
+    ? 'Outside India'
+    : invoice.buyer_state || invoice.seller_state || '-';
+
+// Lines shared by the HTML and PDF layouts
+const invoiceRows = (invoice) => {
+    const rate = parseFloat(invoice.gst_rate);
+    const rows = [['Taxable value', formatAmount(invoice.taxable_amount)]];
+    if (invoice.supply_type === 'intra_state') {
+        rows.push([`CGST @ ${rate / 2}%`, formatAmount(invoice.cgst_amount)], [`SGST @ ${rate / 2}%`, formatAmount(invoice.sgst_amount)]);
+    } else if (invoice.supply_type === 'inter_state') {
+        rows.push([`IGST @ ${rate}%`, formatAmount(invoice.igst_amount)]);
+    }
+    rows.push([`Total (${invoice.currency})`, formatAmount(invoice.total_amount)]);
+    return rows;
+};
+
+// pg returns DATE columns as local midnight; read them back as the calendar date they hold
+const dateText = (date) => typeof date === 'string'
+    ? date.slice(0, 10)
+    : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const formatDate = (date) => new Date(`${dateText(date)}T00:00:00Z`).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[c]));
+
+const renderInvoiceHtml = (invoice) => {
+    const party = (title, name, lines) => `
+        <div class="party"><h3>${title}</h3><p><strong>${escapeHtml(name)}</strong></p>
+        ${lines.filter(Boolean).map(line => `<p>${escapeHtml(line)}</p>`).join('')}</div>`;
+    return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Invoice ${escapeHtml(invoice.invoice_number)}</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; max-width: 760px; margin: 32px auto; padding: 0 16px; }
+    h1 { font-size: 22px; letter-spacing: 2px; margin: 0; }
+    h3 { font-size: 11px; text-transform: uppercase; letter-spacing: 1px; color: #6b7280; margin: 0 0 6px; }
+    p { margin: 2px 0; font-size: 13px; }
+    .head, .parties { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 24px; }
+    .party { flex: 1; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; margin-bottom: 16px; }
+    th, td { border: 1px solid #e5e7eb; padding: 8px; text-align: left; }
+    td.num, th.num { text-align: right; }
+    tr.total td { font-weight: bold; background: #f9fafb; }
+    .note { font-size: 11px; color: #6b7280; }
+    @media print { body { margin: 0; } }
+</style></head>
+<body>
+    <div class="head">
+        <div><h1>TAX INVOICE</h1><p>${escapeHtml(SUPPLY_NOTES[invoice.supply_type])}</p></div>
+        <div><p><strong>Invoice No:</strong> ${escapeHtml(invoice.invoice_number)}</p><p><strong>Date:</strong> ${formatDate(invoice.invoice_date)}</p><p><strong>Place of Supply:</strong> ${escapeHtml(placeOfSupply(invoice))}</p></div>
+    </div>
+    <div class="parties">
+        ${party('Seller', invoice.seller_name, [invoice.seller_address, invoice.seller_state, invoice.seller_gstin && `GSTIN: ${invoice.seller_gstin}`])}
+        ${party('Bill To', invoice.buyer_name, [invoice.buyer_email, invoice.buyer_address, invoice.buyer_state, invoice.buyer_gstin && `GSTIN: ${invoice.buyer_gstin}`])}
+    </div>
+    <table>
+        <tr><th>Description</th><th>SAC</th><th class="num">Qty</th><th class="num">Amount (${escapeHtml(invoice.currency)})</th></tr>
+        <tr><td>${escapeHtml(invoice.description)}</td><td>${escapeHtml(invoice.sac_code)}</td><td class="num">1</td><td class="num">${formatAmount(invoice.taxable_amount)}</td></tr>
+    </table>
+    <table>
+        ${invoiceRows(invoice).map(([label, value], i, rows) => `<tr${i === rows.length - 1 ? ' class="total"' : ''}><td>${escapeHtml(label)}</td><td class="num">${value}</td></tr>`).join('')}
+    </table>
+    ${parseFloat(invoice.discount_amount) > 0 ? `<p class="note">Includes a coupon discount of ${escapeHtml(invoice.currency)} ${formatAmount(invoice.discount_amount)}.</p>` : ''}
+    <p class="note">Prices are inclusive of GST. This is a computer-generated invoice and needs no signature.</p>
+</body></html>`;
+};
+
+// Same layout as the HTML invoice; resolves to the PDF bytes. The built-in fonts have no rupee sign, so
+// amounts carry the currency code.
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const right = doc.page.width - 50;
+    doc.font('Helvetica-Bold').fontSize(20).text('TAX INVOICE', 50, 50);
+    doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(SUPPLY_NOTES[invoice.supply_type]);
+    doc.fillColor('#111827').fontSize(10)
+        .text(`Invoice No: ${invoice.invoice_number}`, 330, 50, { width: right - 330, align: 'right' })
+        .text(`Date: ${formatDate(invoice.invoice_date)}`, { width: right - 330, align: 'right' })
+        .text(`Place of Supply: ${placeOfSupply(invoice)}`, { width: right - 330, align: 'right' });
+
+    const party = (title, name, lines, x) => {
+        doc.font('Helvetica-Bold').fontSize(8).fillColor('#6b7280').text(title.toUpperCase(), x, 110, { width: 230 });
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827').text(name, { width: 230 });
+        doc.font('Helvetica');
+        lines.filter(Boolean).forEach(line => doc.text(line, { width: 230 }));
+        return doc.y;
+    };
+    const partiesEnd = Math.max(
+        party('Seller', invoice.seller_name, [invoice.seller_address, invoice.seller_state, invoice.seller_gstin && `GSTIN: ${invoice.seller_gstin}`], 50),
+        party('Bill To', invoice.buyer_name, [invoice.buyer_email, invoice.buyer_address, invoice.buyer_state, invoice.buyer_gstin && `GSTIN: ${invoice.buyer_gstin}`], 315)
+    );
+
+    let y = partiesEnd + 30;
+    doc.font('Helvetica-Bold').fontSize(9)
+        .text('Description', 50, y).text('SAC', 330, y).text('Qty', 400, y)
+        .text(`Amount (${invoice.currency})`, 430, y, { width: right - 430, align: 'right' });
+    y += 16;
+    doc.moveTo(50, y).lineTo(right, y).strokeColor('#e5e7eb').stroke();
+    y += 8;
+    doc.font('Helvetica').fontSize(10)
+        .text(invoice.description, 50, y, { width: 270 }).text(invoice.sac_code, 330, y).text('1', 400, y)
+        .text(formatAmount(invoice.taxable_amount), 430, y, { width: right - 430, align: 'right' });
+    y = doc.y + 24;
+
+    invoiceRows(invoice).forEach(([label, value], i, rows) => {
+        const isTotal = i === rows.length - 1;
+        if (isTotal) {
+            doc.moveTo(300, y - 4).lineTo(right, y - 4).stroke();
+        }
+        doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+            .text(label, 300, y).text(value, 430, y, { width: right - 430, align: 'right' });
+        y += 18;
+    });
+
+    doc.font('Helvetica').fontSize(8).fillColor('#6b7280');
+    if (parseFloat(invoice.discount_amount) > 0) {
+        doc.text(`Includes a coupon discount of ${invoice.currency} ${formatAmount(invoice.discount_amount)}.`, 50, y + 20);
+    }
+    doc.text('Prices are inclusive of GST. This is a computer-generated invoice and needs no signature.', 50, y + 32);
+    doc.end();
+});
+
+// Invoices issued in a calendar month (YYYY-MM, Indian time), oldest first, with the payment's refunds
+const listInvoicesForMonth = async (month) => {
+    const res = await query(
+        `SELECT i.*, COALESCE(p.refunded_amount, 0) AS refunded_amount, p.gateway, p.razorpay_payment_id AS gateway_payment_id
+         FROM invoices i
+         JOIN payments p ON p.id = i.payment_id
+         WHERE to_char(i.invoice_date, 'YYYY-MM') = $1
+         ORDER BY i.financial_year, i.sequence`,
+        [month]
+    );
+    return res.rows;
+};
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Monthly register (CSV) for the accountant: one row per invoice with the tax split and any refund
+const buildInvoiceRegister = (invoices) => {
+    const header = ['Invoice No', 'Date', 'Buyer', 'Email', 'Buyer GSTIN', 'Place of Supply', 'Supply Type', 'SAC', 'Currency',
+        'Taxable Value', 'GST Rate', 'CGST', 'SGST', 'IGST', 'Total', 'Discount', 'Refunded', 'Gateway', 'Gateway Payment ID'];
+    const rows = invoices.map(inv => [
+        inv.invoice_number, dateText(inv.invoice_date), inv.buyer_name, inv.buyer_email, inv.buyer_gstin,
+        placeOfSupply(inv), inv.supply_type, inv.sac_code, inv.currency,
+        formatAmount(inv.taxable_amount), inv.gst_rate, formatAmount(inv.cgst_amount), formatAmount(inv.sgst_amount),
+        formatAmount(inv.igst_amount), formatAmount(inv.total_amount), formatAmount(inv.discount_amount),
+        formatAmount(inv.refunded_amount), inv.gateway, inv.gateway_payment_id
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+};
+
+module.exports = {
+    GSTIN_PATTERN,
+    splitTax,
+    issueInvoice,
+    issueMissingInvoices,
+    getBillingProfile,
+    saveBillingProfile,
+    renderInvoiceHtml,
+    renderInvoicePdf,
+    listInvoicesForMonth,
+    buildInvoiceRegister
+};
@@ -0,0 +1,76 @@
+const { query } = require('../db');
+const { buildHierarchyConditions } = require('./practiceService');
+
+// Calendar periods: weeks start on Monday, months on the 1st
+const PERIOD_START_SQL = {
+    week: "date_trunc('week', CURRENT_DATE)",
+    month: "date_trunc('month', CURRENT_DATE)",
+    all: null
+};
+
+const VISIBLE_USER_SQL = `u.is_active = TRUE AND u.role <> 'admin' AND COALESCE(u.leaderboard_opt_out, FALSE) = FALSE`;
+
+// Per-user points and correct answers from graded-answer XP, within the period and scope
+const buildScoresCte = (period, filters, params) => {
+    const conditions = [`e.source = 'answer'`];
+    if (PERIOD_START_SQL[period]) conditions.push(`e.created_at >= ${PERIOD_START_SQL[period]}`);
+    // XP events carry category and subject, not chapter
+    conditions.push(...buildHierarchyConditions({ ...filters, chapterId: null }, params, 'e.'));
+
+    return `scores AS (
+        SELECT e.user_id, SUM(e.amount)::int AS points, COUNT(*)::int AS correct
+        FROM user_xp_events e
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY e.user_id
+    )`;
+};
+
+// One page of the leaderboard; opted-out, inactive and admin accounts are left out of the ranking
+const getLeaderboard = async ({ period = 'week', filters = {}, offset = 0, limit = 20 }) => {
+    const params = [];
+    const scores = buildScoresCte(period, filters, params);
+    const result = await query(
+        `WITH ${scores}
+         SELECT u.id as user_id, u.username, sc.points, sc.correct,
+            RANK() OVER (ORDER BY sc.points DESC, sc.correct DESC) as rank,
+            COUNT(*) OVER() as total_count
+         FROM scores sc
+         JOIN users u ON u.id = sc.user_id
+         WHERE ${VISIBLE_USER_SQL}
+         ORDER BY rank ASC, u.id ASC
+         OFFSET $${params.length + 1} LIMIT $${params.length + 2}`,
+        [...params, offset, limit]
+    );
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+    return {
+        entries: result.rows.map(({ total_count, rank, ...r }) => ({ ...r, rank: parseInt(rank) })),
+        total
+    };
+};
+
+// The caller's own standing among visible users (shown even when the caller has opted out)
+const getUserRank = async (userId, { period = 'week', filters = {} }) => {
+    const params = [];
+    const scores = buildScoresCte(period, filters, params);
+    params.push(userId);
+    const userParam = `$${params.length}`;
+
+    const result = await query(
+        `WITH ${scores},
+         me AS (SELECT points, correct FROM scores WHERE user_id = ${userParam})
+         SELECT me.points, me.correct,
+            1 + (SELECT COUNT(*) FROM scores sc JOIN users u ON u.id = sc.user_id
+                 WHERE ${VISIBLE_USER_SQL} AND sc.user_id <> ${userParam}
+                   AND (sc.points > me.points OR (sc.points = me.points AND sc.correct > me.correct)))::int as rank
+         FROM me`,
+        params
+    );
+    const row = result.rows[0];
+    return row ? { rank: row.rank, points: row.points, correct: row.correct } : { rank: null, points: 0, correct: 0 };
+};
+
+module.exports = {
+    PERIODS: Object.keys(PERIOD_START_SQL),
+    getLeaderboard,
+    getUserRank
+};
@@ -0,0 +1,246 @@
+const { query } = require('../db');
+const { drawPoolQuestions, getRepeatWindowDays, toPublicQuestion } = require('./practiceService');
+const { recordPooledAnswer } = require('./answerService');
+const { paperToBlueprint } = require('./paperService');
+const { recordActivity, xpForAnswer } = require('./gamificationService');
+const { consumeSession } = require('./entitlementService');
+
+// Answers arriving this long after expiry are still accepted (network latency)
+const SUBMIT_GRACE_SECONDS = 5;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const isExpired = (attempt, graceSeconds = 0) =>
+    Date.now() > new Date(attempt.expires_at).getTime() + graceSeconds * 1000;
+
+// An attempt is started from a blueprint (mock test) or a previous-year paper
+const ATTEMPT_SOURCES = ['blueprint_id', 'paper_id'];
+
+// The user's unfinished, unexpired attempt at a blueprint or paper, if any
+const findOpenAttempt = async (client, userId, source, sourceId) => {
+    if (!ATTEMPT_SOURCES.includes(source)) throw new Error(`Unknown attempt source: ${source}`);
+    const res = await client.query(
+        `SELECT * FROM mock_test_attempts
+         WHERE ${source} = $1 AND user_id = $2 AND status = 'in_progress' AND expires_at > NOW()
+         ORDER BY started_at DESC LIMIT 1`,
+        [sourceId, userId]
+    );
+    return res.rows[0] || null;
+};
+
+// Charge one Prime session and create the attempt in a single transaction. The user's row lock serializes
+// concurrent starts, so a request that lost the race resumes the attempt the other one created.
+// Returns { attempt, resumed } or { error }.
+const startAttempt = async (client, userId, { source, sourceId, questions, durationMinutes }) => {
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+        const open = await findOpenAttempt(client, userId, source, sourceId);
+        if (open) {
+            await client.query('COMMIT');
+            return { attempt: open, resumed: true };
+        }
+
+        const used = await consumeSession(client, userId);
+        if (used.error) {
+            await client.query('ROLLBACK');
+            return used;
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO mock_test_attempts (${source}, user_id, questions, expires_at)
+             VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+             RETURNING *`,
+            [sourceId, userId, JSON.stringify(questions), durationMinutes]
+        );
+        await client.query('COMMIT');
+        return { attempt: inserted.rows[0], resumed: false };
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        throw error;
+    }
+};
+
+// Draw each blueprint section from the pool. Questions carry their section index and marking scheme.
+const buildAttemptQuestions = async (userId, blueprint) => {
+    const windowDays = await getRepeatWindowDays();
+    const questions = [];
+
+    for (const [index, section] of blueprint.sections.entries()) {
+        const { questions: drawn } = await drawPoolQuestions({
+            userId,
+            filters: {
+                categoryId: blueprint.category_id,
+                subjectId: section.subject_id || null,
+                chapterId: section.chapter_id || null
+            },
+            limit: parseInt(section.question_count) || 0,
+            excludeIds: questions.map(q => q.id),
+            windowDays
+        });
+
+        for (const q of drawn) {
+            questions.push({
+                ...q,
+                section: index,
+                marks_per_correct: parseFloat(section.marks_per_correct ?? blueprint.marks_per_correct),
+                negative_marks: parseFloat(section.negative_marks ?? blueprint.negative_marks)
+            });
+        }
+    }
+    return questions;
+};
+
+// Blueprint (or blueprint-shaped past paper) an attempt was built from
+const getAttemptBlueprint = async (client, attempt) => {
+    if (attempt.paper_id) {
+        const paperRes = await client.query('SELECT * FROM previous_year_papers WHERE id = $1', [attempt.paper_id]);
+        return paperToBlueprint(paperRes.rows[0], attempt.questions);
+    }
+    const blueprintRes = await client.query('SELECT * FROM mock_test_blueprints WHERE id = $1', [attempt.blueprint_id]);
+    return blueprintRes.rows[0];
+};
+
+// Client view of an attempt: no answer keys until it has been submitted
+const toPublicAttempt = (attempt, blueprint) => {
+    const finished = attempt.status !== 'in_progress';
+    return {
+        id: attempt.id,
+        blueprintId: attempt.blueprint_id,
+        paperId: attempt.paper_id,
+        title: blueprint?.title,
+        sections: (blueprint?.sections || []).map(s => ({ name: s.name, questionCount: parseInt(s.question_count) || 0 })),
+        status: attempt.status,
+        startedAt: attempt.started_at,
+        expiresAt: attempt.expires_at,
+        serverTime: new Date(),
+        remainingSeconds: finished ? 0 : Math.max(0, Math.floor((new Date(attempt.expires_at).getTime() - Date.now()) / 1000)),
+        questions: finished ? attempt.questions : attempt.questions.map(toPublicQuestion),
+        answers: attempt.answers
+    };
+};
+
+// Grade an attempt, store its report, record pooled answers and award XP. Runs inside the caller's transaction.
+const finalizeAttempt = async (client, attempt, blueprint, status = 'submitted') => {
+    const submittedAt = new Date(Math.min(Date.now(), new Date(attempt.expires_at).getTime()));
+    const sections = (blueprint.sections || []).map(s => ({
+        name: s.name, total: 0, attempted: 0, correct: 0, wrong: 0, score: 0, maxScore: 0, timeSpentSeconds: 0
+    }));
+
+    let score = 0;
+    let maxScore = 0;
+    const questionResults = [];
+    const xpAwards = [];
+
+    for (const q of attempt.questions) {
+        const answer = attempt.answers[String(q.id)] || {};
+        const attempted = answer.selected_option !== undefined && answer.selected_option !== null;
+        const isCorrect = attempted && Number(answer.selected_option) === Number(q.correct_option);
+        const marks = !attempted ? 0 : (isCorrect ? q.marks_per_correct : -q.negative_marks);
+        const timeSpent = answer.time_spent_seconds || 0;
+
+        score += marks;
+        maxScore += q.marks_per_correct;
+
+        const section = sections[q.section];
+        if (section) {
+            section.total++;
+            section.maxScore += q.marks_per_correct;
+            section.score += marks;
+            section.timeSpentSeconds += timeSpent;
+            if (attempted) {
+                section.attempted++;
+                if (isCorrect) section.correct++;
+                else section.wrong++;
+            }
+        }
+
+        questionResults.push({
+            id: q.id,
+            section: q.section,
+            selected_option: attempted ? answer.selected_option : null,
+            correct_option: q.correct_option,
+            is_correct: isCorrect,
+            marks: round2(marks),
+            time_spent_seconds: timeSpent
+        });
+
+        if (attempted && typeof q.id === 'number') {
+            const recorded = await recordPooledAnswer(client, attempt.user_id, q.id, isCorrect);
+            if (recorded && isCorrect) {
+                xpAwards.push({
+                    xp: xpForAnswer(recorded.mcq.difficulty),
+                    source: 'answer',
+                    ref: `mock:${attempt.id}:${q.id}`,
+                    categoryId: recorded.mcq.category_id,
+                    subjectId: recorded.mcq.subject_id
+                });
+            }
+        }
+    }
+
+    const totals = sections.reduce((acc, s) => ({
+        attempted: acc.attempted + s.attempted,
+        correct: acc.correct + s.correct,
+        wrong: acc.wrong + s.wrong
+    }), { attempted: 0, correct: 0, wrong: 0 });
+
+    const report = {
+        score: round2(score),
+        maxScore: round2(maxScore),
+        correct: totals.correct,
+        wrong: totals.wrong,
+        unanswered: attempt.questions.length - totals.attempted,
+        accuracy: totals.attempted > 0 ? round2((totals.correct / totals.attempted) * 100) : 0,
+        timeTakenSeconds: Math.round((submittedAt.getTime() - new Date(attempt.started_at).getTime()) / 1000),
+        avgTimePerQuestionSeconds: totals.attempted > 0
+            ? round2(questionResults.reduce((sum, q) => sum + q.time_spent_seconds, 0) / totals.attempted)
+            : 0,
+        sections: sections.map(s => ({
+            ...s,
+            score: round2(s.score),
+            maxScore: round2(s.maxScore),
+            accuracy: s.attempted > 0 ? round2((s.correct / s.attempted) * 100) : 0
+        })),
+        questions: questionResults
+    };
+
+    const result = await client.query(
+        `UPDATE mock_test_attempts SET status = $1, submitted_at = $2, score = $3, max_score = $4, report = $5
+         WHERE id = $6 RETURNING *`,
+        [status, submittedAt, report.score, report.maxScore, JSON.stringify(report), attempt.id]
+    );
+
+    // XP for correct answers; runs after the status update so completion badges see this attempt
+    const gamification = await recordActivity(client, attempt.user_id, xpAwards);
+    return { ...result.rows[0], gamification };
+};
+
+// Share of finished attempts on the same blueprint or paper that scored below this one (ties count half)
+const getPercentile = async (attempt) => {
+    const column = attempt.paper_id ? 'paper_id' : 'blueprint_id';
+    const result = await query(
+        `SELECT
+            COUNT(*) FILTER (WHERE score < $2) AS below,
+            COUNT(*) FILTER (WHERE score = $2) AS equal,
+            COUNT(*) AS total
+         FROM mock_test_attempts WHERE ${column} = $1 AND status IN ('submitted', 'expired')`,
+        [attempt[column], attempt.score]
+    );
+    const { below, equal, total } = result.rows[0];
+    if (parseInt(total) === 0) return null;
+    return { percentile: round2(((parseInt(below) + parseInt(equal) / 2) / parseInt(total)) * 100), totalAttempts: parseInt(total) };
+};
+
+module.exports = {
+    SUBMIT_GRACE_SECONDS,
+    isExpired,
+    buildAttemptQuestions,
+    findOpenAttempt,
+    startAttempt,
+    getAttemptBlueprint,
+    toPublicAttempt,
+    finalizeAttempt,
+    getPercentile
+};
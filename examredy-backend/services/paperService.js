@@ -0,0 +1,122 @@
+const { query } = require('../db');
+const { questionHash } = require('../utils/helpers');
+
+const PAPER_QUESTION_COLUMNS = 'm.id, m.question, m.options, m.correct_option, m.explanation, m.subject, m.chapter, pq.position, pq.section';
+
+// Ordered questions of a paper (answer keys included; callers decide what to reveal)
+const getPaperQuestions = async (paperId, { offset = 0, limit = null } = {}) => {
+    const result = await query(
+        `SELECT ${PAPER_QUESTION_COLUMNS}
+         FROM previous_year_paper_questions pq
+         JOIN mcq_pool m ON m.id = pq.mcq_id
+         WHERE pq.paper_id = $1
+         ORDER BY pq.position ASC
+         OFFSET $2 LIMIT $3`,
+        [paperId, offset, limit]
+    );
+    return result.rows;
+};
+
+// Attempt questions for a full paper: original order, one section per distinct section label
+const buildPaperAttemptQuestions = (paper, rows) => {
+    const sectionNames = [];
+    return rows.map(({ position, section, ...q }) => {
+        const name = section || paper.title;
+        let index = sectionNames.indexOf(name);
+        if (index === -1) index = sectionNames.push(name) - 1;
+        return {
+            ...q,
+            position,
+            section: index,
+            section_name: name,
+            marks_per_correct: parseFloat(paper.marks_per_correct),
+            negative_marks: parseFloat(paper.negative_marks)
+        };
+    });
+};
+
+// Blueprint-shaped view of a paper so mock-test timing, grading and reports apply unchanged
+const paperToBlueprint = (paper, attemptQuestions = []) => {
+    const sections = [];
+    for (const q of attemptQuestions) {
+        if (!sections[q.section]) sections[q.section] = { name: q.section_name, question_count: 0 };
+        sections[q.section].question_count++;
+    }
+    return {
+        id: paper.id,
+        title: paper.title,
+        year: paper.year,
+        duration_minutes: paper.duration_minutes,
+        marks_per_correct: paper.marks_per_correct,
+        negative_marks: paper.negative_marks,
+        sections
+    };
+};
+
+const sameOptions = (a, b) =>
+    Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((option, i) => String(option).trim() === String(b[i]).trim());
+
+// Why a pooled question (same hash) cannot stand in for an imported one, or null when it can
+const poolConflict = (existing, q) => {
+    if (!existing.is_approved) return 'not approved in the pool';
+    if (!sameOptions(existing.options, q.options)) return 'options differ from the pool';
+    if (existing.correct_option !== q.correct_option) return 'answer key differs from the pool';
+    return null;
+};
+
+// Import a paper with its ordered questions. A question already in the pool (same hash) is reused only when it is
+// approved with the same options and answer key; otherwise the import returns { conflicts } and the caller rolls back.
+// Must run inside the caller's transaction.
+const importPaper = async (client, paper, questions) => {
+    const paperRes = await client.query(
+        `INSERT INTO previous_year_papers (title, year, category_id, paper_stage_id, duration_minutes, marks_per_correct, negative_marks, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [paper.title, paper.year, paper.category_id, paper.paper_stage_id, paper.duration_minutes,
+            paper.marks_per_correct, paper.negative_marks, paper.is_active]
+    );
+    const saved = paperRes.rows[0];
+
+    let created = 0;
+    let reused = 0;
+    const conflicts = [];
+    for (const [index, q] of questions.entries()) {
+        const hash = questionHash(q.question);
+        let mcqId;
+
+        const existing = await client.query('SELECT id, options, correct_option, is_approved FROM mcq_pool WHERE question_hash = $1', [hash]);
+        if (existing.rows.length > 0) {
+            const reason = poolConflict(existing.rows[0], q);
+            if (reason) {
+                conflicts.push({ position: index + 1, mcq_id: existing.rows[0].id, reason });
+                continue;
+            }
+            mcqId = existing.rows[0].id;
+            reused++;
+        } else {
+            const inserted = await client.query(
+                `INSERT INTO mcq_pool (question, options, correct_option, explanation, category_id, subject, chapter, difficulty, is_approved, question_hash, subject_id, chapter_id)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, TRUE, $9, $10, $11)
+                 RETURNING id`,
+                [q.question, JSON.stringify(q.options), q.correct_option, q.explanation || null, paper.category_id,
+                    q.subject || null, q.chapter || null, q.difficulty || 'medium', hash, q.subject_id || null, q.chapter_id || null]
+            );
+            mcqId = inserted.rows[0].id;
+            created++;
+        }
+
+        await client.query(
+            'INSERT INTO previous_year_paper_questions (paper_id, position, mcq_id, section) VALUES ($1, $2, $3, $4)',
+            [saved.id, index + 1, mcqId, q.section || null]
+        );
+    }
+
+    if (conflicts.length > 0) return { conflicts };
+    return { paper: saved, created, reused };
+};
+
+module.exports = {
+    getPaperQuestions,
+    buildPaperAttemptQuestions,
+    paperToBlueprint,
+    importPaper
+};
@@ -0,0 +1,478 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const Stripe = require('stripe');
+const { query } = require('../db');
+
+// Payment gateways behind one interface, so orders, verification, webhooks and refunds work the same for each
+// provider. Amounts going in and out are in major units (rupees, dollars); adapters convert to minor units.
+//
+//   createOrder({ userId, plan, amount, currency }) -> { orderId, checkout }   checkout is sent to the client
+//   verifyCheckout(params)                          -> { orderId, paymentId } | null
+//   parseWebhook(rawBody, headers)                  -> null (no secret) | { valid, eventId, type, orderId,
+//                                                      paymentId, refundId, amount, reason }
+//   refund(paymentId, amount)                       -> { refundId, amount, settled }
+//   findCapturedPayment(orderId)                    -> paymentId | null
+//   fetchOrder(orderId)                             -> { orderId, userId, planId, amount, currency } (Razorpay only)
+//
+// Auto-renewing plans (see subscriptionService):
+//   createSubscription({ reference, userId, plan, amount, currency }) -> { subscriptionId, checkoutId, checkout }
+//   verifySubscriptionCheckout(params)              -> { subscriptionId, reference, charge } | null
+//   cancelSubscription(subscriptionId, atPeriodEnd)
+// A charge is { chargeId, paymentId, amount, periodEnd }; chargeId identifies one billing cycle's payment the
+// same way on every path, and reference is our user_subscriptions id, carried in the gateway's notes/metadata.
+//
+// Webhook types are normalised to 'captured', 'failed', 'refunded', 'subscription_charged',
+// 'subscription_charge_failed', 'subscription_updated', 'subscription_ended' or 'ignored'.
+// payments.razorpay_order_id / razorpay_payment_id hold the order and payment ids of whichever gateway was used.
+
+const PROVIDERS = ['razorpay', 'stripe'];
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND'];
+
+const toMinorUnits = (amount, currency) =>
+    Math.round(parseFloat(amount) * (ZERO_DECIMAL_CURRENCIES.includes(currency) ? 1 : 100));
+const fromMinorUnits = (amount, currency) =>
+    amount / (ZERO_DECIMAL_CURRENCIES.includes(currency) ? 1 : 100);
+
+// Order and subscription checkouts are signed over "a|b" with the same key, so a subscription signature
+// (payment_id|subscription_id) would also pass as an order signature with the ids swapped. The id prefixes tell
+// them apart.
+const hasRazorpayIds = (orderId, paymentId) =>
+    typeof orderId === 'string' && orderId.startsWith('order_') && typeof paymentId === 'string' && paymentId.startsWith('pay_');
+const hasRazorpaySubscriptionIds = (paymentId, subscriptionId) =>
+    typeof paymentId === 'string' && paymentId.startsWith('pay_') && typeof subscriptionId === 'string' && subscriptionId.startsWith('sub_');
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://examredy-frontend.vercel.app';
+
+// Keys saved by admins for an active gateway win over environment variables
+const getGatewaySettings = async (provider) => {
+    const res = await query('SELECT api_key, api_secret, webhook_secret, is_active FROM payment_gateway_settings WHERE provider = $1', [provider]);
+    const row = res.rows[0] || {};
+    return row.is_active ? row : { is_active: false };
+};
+
+// --- Razorpay (INR) ---
+
+const getRazorpayCredentials = async () => {
+    const settings = await getGatewaySettings('razorpay');
+    return {
+        key_id: settings.api_key || process.env.RAZORPAY_KEY_ID || 'rzp_test_placeholder',
+        key_secret: settings.api_secret || process.env.RAZORPAY_KEY_SECRET || 'secret_placeholder',
+        webhook_secret: settings.webhook_secret || process.env.RAZORPAY_WEBHOOK_SECRET || null
+    };
+};
+
+const getRazorpayInstance = async () => {
+    const { key_id, key_secret } = await getRazorpayCredentials();
+    return new Razorpay({ key_id, key_secret });
+};
+
+const RAZORPAY_WEBHOOK_TYPES = {
+    'payment.captured': 'captured',
+    'payment.failed': 'failed',
+    'refund.processed': 'refunded',
+    'subscription.charged': 'subscription_charged',
+    'subscription.pending': 'subscription_charge_failed',
+    'subscription.halted': 'subscription_ended',
+    'subscription.cancelled': 'subscription_ended',
+    'subscription.completed': 'subscription_ended'
+};
+
+const RAZORPAY_PERIODS = { month: 'monthly', year: 'yearly' };
+// Razorpay stops a subscription after this many cycles, so it is set well past any realistic lifetime
+const RAZORPAY_TOTAL_COUNTS = { month: 120, year: 10 };
+
+// Razorpay bills against its own plan objects: one per (plan, price) is created on first use and cached on the plan
+const getRazorpayPlanId = async (rzp, plan, amount, currency) => {
+    const key = `razorpay:${currency}:${amount}`;
+    if (plan.gateway_plan_ids && plan.gateway_plan_ids[key]) return plan.gateway_plan_ids[key];
+
+    const created = await rzp.plans.create({
+        period: RAZORPAY_PERIODS[plan.billing_interval],
+        interval: 1,
+        item: { name: `ExamRedy Prime - ${plan.name}`, amount: toMinorUnits(amount, currency), currency }
+    });
+    await query(
+        `UPDATE subscription_plans SET gateway_plan_ids = COALESCE(gateway_plan_ids, '{}'::jsonb) || jsonb_build_object($1::text, $2::text) WHERE id = $3`,
+        [key, created.id, plan.id]
+    );
+    return created.id;
+};
+
+const razorpayGateway = {
+    provider: 'razorpay',
+    currencies: ['INR'],
+
+    isConfigured: async () => true, // falls back to the environment keys, as before gateways were configurable
+
+    publicConfig: async () => ({ key_id: (await getRazorpayCredentials()).key_id }),
+
+    // The checkout is the Razorpay order itself (the web client opens it with checkout.js)
+    createOrder: async ({ userId, plan, amount, currency }) => {
+        const rzp = await getRazorpayInstance();
+        const order = await rzp.orders.create({
+            amount: toMinorUnits(amount, currency),
+            currency,
+            receipt: `order_rcptid_${Date.now()}_${userId}`,
+            notes: { user_id: String(userId), plan_id: String(plan.id) }
+        });
+        return { orderId: order.id, checkout: { ...order, key_id: (await getRazorpayCredentials()).key_id } };
+    },
+
+    verifyCheckout: async ({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) => {
+        if (!hasRazorpayIds(razorpay_order_id, razorpay_payment_id)) return null;
+        const { key_secret } = await getRazorpayCredentials();
+        const expected = crypto.createHmac('sha256', key_secret).update(`${razorpay_order_id}|${razorpay_payment_id}`).digest('hex');
+        return safeEqual(expected, razorpay_signature) ? { orderId: razorpay_order_id, paymentId: razorpay_payment_id } : null;
+    },
+
+    // Who placed an order, for which plan and for how much, as Razorpay holds it. The oldest orders carry the
+    // user only in the receipt (order_rcptid_{timestamp}_{userId}) and no plan.
+    fetchOrder: async (orderId) => {
+        const rzp = await getRazorpayInstance();
+        const order = await rzp.orders.fetch(orderId);
+        const receiptParts = order.receipt?.split('_') || [];
+        return {
+            orderId: order.id,
+            userId: parseInt(order.notes?.user_id || receiptParts[receiptParts.length - 1]) || null,
+            planId: parseInt(order.notes?.plan_id) || null,
+            amount: fromMinorUnits(order.amount, order.currency),
+            currency: order.currency
+        };
+    },
+
+    parseWebhook: async (rawBody, headers) => {
+        const { webhook_secret } = await getRazorpayCredentials();
+        if (!webhook_secret) return null;
+        const expected = crypto.createHmac('sha256', webhook_secret).update(rawBody).digest('hex');
+        if (!safeEqual(expected, headers['x-razorpay-signature'])) return { valid: false };
+
+        const body = JSON.parse(rawBody.toString());
+        const payment = body.payload?.payment?.entity;
+        const refund = body.payload?.refund?.entity;
+        const subscription = body.payload?.subscription?.entity;
+        let type = RAZORPAY_WEBHOOK_TYPES[body.event] || 'ignored';
+        // Renewal payments also raise payment.* events; they are settled through the subscription.* ones
+        if ((type === 'captured' || type === 'failed') && payment?.invoice_id) type = 'ignored';
+
+        return {
+            valid: true,
+            event: body.event,
+            eventId: headers['x-razorpay-event-id'] || `${body.event}:${refund?.id || payment?.id || subscription?.id}`,
+            type,
+            orderId: payment?.order_id || null,
+            paymentId: refund?.payment_id || payment?.id || null,
+            refundId: refund?.id || null,
+            amount: refund ? fromMinorUnits(refund.amount, refund.currency) : null,
+            reason: payment?.error_description || (subscription ? subscription.status : null),
+            subscriptionId: subscription?.id || null,
+            reference: subscription?.notes?.subscription_ref || null,
+            charge: type === 'subscription_charged' && payment ? {
+                chargeId: payment.id,
+                paymentId: payment.id,
+                amount: fromMinorUnits(payment.amount, payment.currency),
+                periodEnd: new Date(subscription.current_end * 1000)
+            } : null,
+            payload: body
+        };
+    },
+
+    refund: async (paymentId, amount, currency) => {
+        const rzp = await getRazorpayInstance();
+        const refund = await rzp.payments.refund(paymentId, { amount: toMinorUnits(amount, currency) });
+        return { refundId: refund.id, amount: fromMinorUnits(refund.amount, currency), settled: refund.status === 'processed' };
+    },
+
+    findCapturedPayment: async (orderId) => {
+        const rzp = await getRazorpayInstance();
+        const payments = await rzp.orders.fetchPayments(orderId);
+        return (payments.items || []).find(p => p.status === 'captured')?.id || null;
+    },
+
+    // The web client opens checkout.js with subscription_id; the app WebView redirects to short_url
+    createSubscription: async ({ reference, userId, plan, amount, currency }) => {
+        const rzp = await getRazorpayInstance();
+        const subscription = await rzp.subscriptions.create({
+            plan_id: await getRazorpayPlanId(rzp, plan, amount, currency),
+            total_count: RAZORPAY_TOTAL_COUNTS[plan.billing_interval],
+            customer_notify: 1,
+            notes: { subscription_ref: String(reference), user_id: String(userId), plan_id: String(plan.id) }
+        });
+        return {
+            subscriptionId: subscription.id,
+            checkoutId: subscription.id,
+            checkout: {
+                subscription_id: subscription.id,
+                short_url: subscription.short_url,
+                key_id: (await getRazorpayCredentials()).key_id
+            }
+        };
+    },
+
+    verifySubscriptionCheckout: async ({ razorpay_payment_id, razorpay_subscription_id, razorpay_signature }) => {
+        if (!hasRazorpaySubscriptionIds(razorpay_payment_id, razorpay_subscription_id)) return null;
+        const { key_secret } = await getRazorpayCredentials();
+        const expected = crypto.createHmac('sha256', key_secret).update(`${razorpay_payment_id}|${razorpay_subscription_id}`).digest('hex');
+        if (!safeEqual(expected, razorpay_signature)) return null;
+
+        const rzp = await getRazorpayInstance();
+        const [subscription, payment] = await Promise.all([
+            rzp.subscriptions.fetch(razorpay_subscription_id),
+            rzp.payments.fetch(razorpay_payment_id)
+        ]);
+        if (!subscription.current_end || payment.status !== 'captured') return null;
+        return {
+            subscriptionId: subscription.id,
+            reference: subscription.notes?.subscription_ref || null,
+            charge: {
+                chargeId: payment.id,
+                paymentId: payment.id,
+                amount: fromMinorUnits(payment.amount, payment.currency),
+                periodEnd: new Date(subscription.current_end * 1000)
+            }
+        };
+    },
+
+    cancelSubscription: async (subscriptionId, atPeriodEnd) => {
+        const rzp = await getRazorpayInstance();
+        await rzp.subscriptions.cancel(subscriptionId, atPeriodEnd);
+    }
+};
+
+// --- Stripe (cards, any currency a plan is priced in) ---
+
+const getStripeCredentials = async () => {
+    const settings = await getGatewaySettings('stripe');
+    return {
+        publishable_key: settings.api_key || process.env.STRIPE_PUBLISHABLE_KEY || null,
+        secret_key: settings.api_secret || process.env.STRIPE_SECRET_KEY || null,
+        webhook_secret: settings.webhook_secret || process.env.STRIPE_WEBHOOK_SECRET || null,
+        is_active: settings.is_active
+    };
+};
+
+const getStripeInstance = async () => {
+    const { secret_key } = await getStripeCredentials();
+    return new Stripe(secret_key);
+};
+
+const STRIPE_WEBHOOK_TYPES = {
+    'checkout.session.completed': 'captured',
+    'checkout.session.async_payment_succeeded': 'captured',
+    'checkout.session.async_payment_failed': 'failed',
+    'checkout.session.expired': 'failed',
+    'refund.created': 'refunded',
+    'refund.updated': 'refunded',
+    'invoice.paid': 'subscription_charged',
+    'invoice.payment_failed': 'subscription_charge_failed',
+    'customer.subscription.updated': 'subscription_updated',
+    'customer.subscription.deleted': 'subscription_ended'
+};
+
+// Invoices name their subscription under parent.subscription_details on current API versions, at the top level on older ones
+const getInvoiceSubscription = (invoice) => {
+    const details = invoice.parent?.subscription_details || invoice.subscription_details || {};
+    return {
+        subscriptionId: details.subscription || invoice.subscription || null,
+        reference: details.metadata?.subscription_ref || null
+    };
+};
+
+// One billing cycle's payment, keyed by the invoice so the checkout return and invoice.paid agree
+const toStripeCharge = (invoice) => ({
+    chargeId: invoice.id,
+    paymentId: invoice.payment_intent || invoice.id,
+    amount: fromMinorUnits(invoice.amount_paid, invoice.currency.toUpperCase()),
+    periodEnd: new Date(invoice.lines.data[0].period.end * 1000)
+});
+
+// Refunds need the payment intent; renewal payments may be stored under their invoice id
+const resolvePaymentIntent = async (stripe, paymentId) => {
+    if (!paymentId.startsWith('in_')) return paymentId;
+    const invoice = await stripe.invoices.retrieve(paymentId, { expand: ['payments'] });
+    return invoice.payment_intent || invoice.payments?.data?.[0]?.payment?.payment_intent;
+};
+
+const stripeGateway = {
+    provider: 'stripe',
+    currencies: null, // any currency
+
+    isConfigured: async () => {
+        const { secret_key, is_active } = await getStripeCredentials();
+        return !!secret_key && (is_active || !!process.env.STRIPE_SECRET_KEY);
+    },
+
+    publicConfig: async () => ({ publishable_key: (await getStripeCredentials()).publishable_key }),
+
+    // A hosted Checkout Session; the client redirects to checkout.url and Stripe returns to /prime with the session id
+    createOrder: async ({ userId, plan, amount, currency }) => {
+        const stripe = await getStripeInstance();
+        const frontendUrl = getFrontendUrl();
+        const metadata = { user_id: String(userId), plan_id: String(plan.id) };
+        const session = await stripe.checkout.sessions.create({
+            mode: 'payment',
+            line_items: [{
+                quantity: 1,
+                price_data: {
+                    currency: currency.toLowerCase(),
+                    unit_amount: toMinorUnits(amount, currency),
+                    product_data: { name: `ExamRedy Prime - ${plan.name}` }
+                }
+            }],
+            client_reference_id: String(userId),
+            metadata,
+            payment_intent_data: { metadata },
+            success_url: `${frontendUrl}/prime?payment=success&provider=stripe&session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${frontendUrl}/prime?payment=failed&reason=cancelled`
+        });
+        return { orderId: session.id, checkout: { id: session.id, url: session.url, amount: session.amount_total, currency } };
+    },
+
+    verifyCheckout: async ({ session_id }) => {
+        if (!session_id) return null;
+        const stripe = await getStripeInstance();
+        const session = await stripe.checkout.sessions.retrieve(session_id);
+        // Subscription checkouts are confirmed through verifySubscriptionCheckout
+        if (session.mode !== 'payment') return null;
+        return session.payment_status === 'paid' ? { orderId: session.id, paymentId: session.payment_intent } : null;
+    },
+
+    parseWebhook: async (rawBody, headers) => {
+        const { webhook_secret } = await getStripeCredentials();
+        if (!webhook_secret) return null;
+        const stripe = await getStripeInstance();
+        let event;
+        try {
+            event = stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], webhook_secret);
+        } catch (e) {
+            return { valid: false };
+        }
+
+        const object = event.data.object;
+        let type = STRIPE_WEBHOOK_TYPES[event.type] || 'ignored';
+        // Card sessions complete paid; delayed methods complete unpaid and settle with async_payment_succeeded
+        if (event.type === 'checkout.session.completed' && object.payment_status !== 'paid') type = 'ignored';
+        // Subscription checkouts are settled by their invoice.paid
+        if (object.object === 'checkout.session' && object.mode === 'subscription') type = 'ignored';
+        if (type === 'refunded' && object.status !== 'succeeded') type = 'ignored';
+
+        if (object.object === 'invoice' || object.object === 'subscription') {
+            const { subscriptionId, reference } = object.object === 'invoice'
+                ? getInvoiceSubscription(object)
+                : { subscriptionId: object.id, reference: object.metadata?.subscription_ref || null };
+            return {
+                valid: true,
+                event: event.type,
+                eventId: event.id,
+                type: subscriptionId ? type : 'ignored',
+                subscriptionId,
+                reference,
+                charge: type === 'subscription_charged' && subscriptionId ? toStripeCharge(object) : null,
+                cancelAtPeriodEnd: object.object === 'subscription' ? !!object.cancel_at_period_end : null,
+                reason: object.last_finalization_error?.message || null,
+                payload: event
+            };
+        }
+
+        const isRefund = object.object === 'refund';
+        return {
+            valid: true,
+            event: event.type,
+            eventId: event.id,
+            type,
+            orderId: isRefund ? null : object.id,
+            paymentId: isRefund ? object.payment_intent : object.payment_intent || null,
+            refundId: isRefund ? object.id : null,
+            amount: isRefund ? fromMinorUnits(object.amount, object.currency.toUpperCase()) : null,
+            reason: event.type === 'checkout.session.expired' ? 'Checkout expired' : null,
+            payload: event
+        };
+    },
+
+    refund: async (paymentId, amount, currency) => {
+        const stripe = await getStripeInstance();
+        const refund = await stripe.refunds.create({
+            payment_intent: await resolvePaymentIntent(stripe, paymentId),
+            amount: toMinorUnits(amount, currency)
+        });
+        return { refundId: refund.id, amount: fromMinorUnits(refund.amount, currency), settled: refund.status === 'succeeded' };
+    },
+
+    findCapturedPayment: async (orderId) => {
+        const stripe = await getStripeInstance();
+        const session = await stripe.checkout.sessions.retrieve(orderId);
+        return session.payment_status === 'paid' ? session.payment_intent : null;
+    },
+
+    // Stripe creates the subscription when the hosted checkout completes, so only the session id is known here
+    createSubscription: async ({ reference, userId, plan, amount, currency }) => {
+        const stripe = await getStripeInstance();
+        const frontendUrl = getFrontendUrl();
+        const metadata = { subscription_ref: String(reference), user_id: String(userId), plan_id: String(plan.id) };
+        const session = await stripe.checkout.sessions.create({
+            mode: 'subscription',
+            line_items: [{
+                quantity: 1,
+                price_data: {
+                    currency: currency.toLowerCase(),
+                    unit_amount: toMinorUnits(amount, currency),
+                    recurring: { interval: plan.billing_interval },
+                    product_data: { name: `ExamRedy Prime - ${plan.name}` }
+                }
+            }],
+            client_reference_id: String(userId),
+            metadata,
+            subscription_data: { metadata },
+            success_url: `${frontendUrl}/prime?subscription=success&provider=stripe&session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${frontendUrl}/prime?payment=failed&reason=cancelled`
+        });
+        return { subscriptionId: null, checkoutId: session.id, checkout: { id: session.id, url: session.url } };
+    },
+
+    verifySubscriptionCheckout: async ({ session_id }) => {
+        if (!session_id) return null;
+        const stripe = await getStripeInstance();
+        const session = await stripe.checkout.sessions.retrieve(session_id, { expand: ['subscription.latest_invoice'] });
+        const invoice = session.subscription?.latest_invoice;
+        if (session.mode !== 'subscription' || !invoice || invoice.status !== 'paid') return null;
+        return { subscriptionId: session.subscription.id, reference: session.metadata?.subscription_ref || null, charge: toStripeCharge(invoice) };
+    },
+
+    cancelSubscription: async (subscriptionId, atPeriodEnd) => {
+        const stripe = await getStripeInstance();
+        if (atPeriodEnd) await stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true });
+        else await stripe.subscriptions.cancel(subscriptionId);
+    }
+};
+
+const GATEWAYS = { razorpay: razorpayGateway, stripe: stripeGateway };
+
+const getGateway = (provider) => GATEWAYS[provider] || null;
+
+const supportsCurrency = (gateway, currency) => !gateway.currencies || gateway.currencies.includes(currency);
+
+// Gateway for a purchase: the admin's PAYMENT_GATEWAY setting when it handles the currency, else any other
+// configured gateway that does. Returns { gateway } or { error }.
+const resolveGateway = async (currency = 'INR') => {
+    const setting = await query("SELECT value FROM system_settings WHERE key = 'PAYMENT_GATEWAY'");
+    const preferred = PROVIDERS.includes(setting.rows[0]?.value) ? setting.rows[0].value : 'razorpay';
+
+    for (const provider of [preferred, ...PROVIDERS.filter(p => p !== preferred)]) {
+        const gateway = GATEWAYS[provider];
+        if (supportsCurrency(gateway, currency) && await gateway.isConfigured()) return { gateway };
+    }
+    return { error: { status: 400, body: { message: `Payments in ${currency} are not available right now`, code: 'CURRENCY_UNAVAILABLE' } } };
+};
+
+module.exports = {
+    PROVIDERS,
+    getRazorpayInstance,
+    getGateway,
+    resolveGateway,
+    getFrontendUrl
+};
@@ -0,0 +1,362 @@
+const { pool, query } = require('../db');
+const { getGateway, resolveGateway } = require('./paymentGatewayService');
+const { getPlanGrant, applyPlanGrant, revokePlanGrant } = require('./entitlementService');
+const { evaluateCoupon, checkCouponCaps, redeemCoupon, revokeCouponBonus } = require('./couponService');
+const { issueInvoice } = require('./invoiceService');
+
+// Payment lifecycle for Prime plans, for every gateway (see paymentGatewayService). Every order gets a payments
+// row when it is created (status 'created'); the checkout callback, verify-payment, the gateway webhook and the
+// stale-order job all settle it through capturePayment, which locks the row by order id so the plan is granted
+// exactly once whichever of them arrives first.
+// Statuses: created -> captured | failed | stale (never completed) | rejected (paid, but its coupon was used up
+// meanwhile; refunded in full without granting the plan) ; captured -> refunded
+
+// Orders left in 'created' this long are looked up at their gateway and flagged 'stale' when nothing was captured
+const STALE_ORDER_MINUTES = 30;
+const STALE_BATCH_SIZE = 20;
+
+// Price of a plan in a currency: plan.price is INR, plan.prices holds admin-set prices in other currencies
+const getPlanPrice = (plan, currency) => {
+    if (currency === 'INR') return parseFloat(plan.price);
+    const price = (plan.prices || {})[currency];
+    return price ? parseFloat(price) : null;
+};
+
+// Price of a one-off purchase, after the coupon when one is given.
+// Returns { listAmount, amount, discount, coupon, bonusSessions } or { error }.
+const quoteOrder = async (userId, plan, currency = 'INR', couponCode = null) => {
+    if (plan.billing_interval) {
+        return { error: { status: 400, body: { message: 'This plan renews automatically; subscribe to it instead', code: 'PLAN_IS_RECURRING' } } };
+    }
+    const listAmount = getPlanPrice(plan, currency);
+    if (!listAmount) {
+        return { error: { status: 400, body: { message: `This plan is not sold in ${currency}`, code: 'CURRENCY_UNAVAILABLE' } } };
+    }
+    if (!couponCode) return { listAmount, amount: listAmount, discount: 0, coupon: null, bonusSessions: 0 };
+    return evaluateCoupon({ code: couponCode, userId, plan, currency, listAmount });
+};
+
+// Create an order with the gateway chosen for the currency and record it. Returns { payment, checkout } or { error }.
+const createOrder = async (userId, plan, currency = 'INR', couponCode = null) => {
+    const quote = await quoteOrder(userId, plan, currency, couponCode);
+    if (quote.error) return quote;
+    const resolved = await resolveGateway(currency);
+    if (resolved.error) return resolved;
+
+    const { gateway } = resolved;
+    const { amount, listAmount, discount, coupon } = quote;
+    const { orderId, checkout } = await gateway.createOrder({ userId, plan, amount, currency });
+    const inserted = await query(
+        `INSERT INTO payments (user_id, plan_id, gateway, razorpay_order_id, amount, list_amount, discount_amount, coupon_id, currency, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'created') RETURNING *`,
+        [userId, plan.id, gateway.provider, orderId, amount, listAmount, discount, coupon ? coupon.id : null, currency]
+    );
+    return { payment: inserted.rows[0], checkout: { ...checkout, provider: gateway.provider } };
+};
+
+// Grant a plan (sessions, time pass or both) plus the first-purchase referral reward (inside the caller's
+// transaction). Renewals pass their own grant, sized to the billing period.
+const grantPlan = async (client, userId, plan, grant = getPlanGrant(plan)) => {
+    await applyPlanGrant(client, userId, grant);
+
+    const sysResult = await client.query("SELECT key, value FROM system_settings WHERE key IN ('REFERRAL_ENABLED', 'REFERRAL_MIN_PURCHASE_RS')");
+    const sys = Object.fromEntries(sysResult.rows.map(r => [r.key, r.value]));
+    if (sys.REFERRAL_ENABLED !== 'true' || parseFloat(plan.price) < parseFloat(sys.REFERRAL_MIN_PURCHASE_RS || 0)) return;
+
+    const referralCheck = await client.query(
+        'SELECT * FROM referrals WHERE referred_user_id = $1 AND reward_given = FALSE', [userId]
+    );
+    if (referralCheck.rows.length === 0) return;
+
+    const { id: refId, referrer_id: referrerId } = referralCheck.rows[0];
+    // Referral bonus sessions go to both the referrer and the referred user
+    if (plan.referral_bonus_sessions > 0) {
+        await client.query('UPDATE users SET sessions_left = sessions_left + $1, is_premium = TRUE WHERE id = $2', [plan.referral_bonus_sessions, referrerId]);
+        await client.query('UPDATE users SET sessions_left = sessions_left + $1 WHERE id = $2', [plan.referral_bonus_sessions, userId]);
+    }
+    await client.query("UPDATE referrals SET reward_given = TRUE, status = 'completed' WHERE id = $1", [refId]);
+};
+
+const ORDER_UNKNOWN = { error: { status: 404, body: { message: 'Unknown order', code: 'ORDER_UNKNOWN' } } };
+
+// A Razorpay order placed before payments rows were written at order time, as Razorpay holds it. The user, plan
+// and amount come from the order's notes and amount, never from the client. Returns the order or null.
+const fetchLegacyOrder = async (provider, orderId) => {
+    if (provider !== 'razorpay') return null;
+    try {
+        const order = await getGateway('razorpay').fetchOrder(orderId);
+        return order.userId && order.planId ? order : null;
+    } catch (error) {
+        if (error.statusCode >= 400 && error.statusCode < 500) return null;
+        throw error;
+    }
+};
+
+const couponRejection = (reason) => ({
+    error: { status: 409, body: { message: `${reason || 'This coupon can no longer be used'}. Your payment will be refunded.`, code: 'COUPON_REJECTED' } }
+});
+
+// Return the whole of a rejected payment; a refund the gateway refuses is left for an admin to issue
+const refundRejectedPayment = async (payment) => {
+    try {
+        const refund = await getGateway(payment.gateway).refund(payment.razorpay_payment_id, parseFloat(payment.amount), payment.currency);
+        if (refund.settled) await refundPayment({ paymentId: payment.razorpay_payment_id, refundId: refund.refundId, amount: refund.amount });
+    } catch (error) {
+        console.error(`[Payments] Could not refund rejected payment ${payment.id}:`, error.message);
+    }
+};
+
+// Mark an order paid and grant its plan, once. userId, when given, must own the order. provider names the
+// gateway that confirmed the order id; only Razorpay orders can be recorded here without a payments row.
+// Returns { payment, alreadyCaptured } or { error }.
+const capturePayment = async ({ orderId, paymentId, userId = null, provider = null, source }) => {
+    // Looked up before the transaction so the gateway round trip does not hold a connection
+    const known = await query('SELECT 1 FROM payments WHERE razorpay_order_id = $1', [orderId]);
+    const legacyOrder = known.rows.length === 0 ? await fetchLegacyOrder(provider, orderId) : null;
+    if (known.rows.length === 0 && !legacyOrder) return ORDER_UNKNOWN;
+
+    const client = await pool.connect();
+    let captured;
+    let rejected;
+    try {
+        await client.query('BEGIN');
+        let paymentRes = await client.query('SELECT * FROM payments WHERE razorpay_order_id = $1 FOR UPDATE', [orderId]);
+
+        if (paymentRes.rows.length === 0) {
+            if (!legacyOrder) {
+                await client.query('ROLLBACK');
+                return ORDER_UNKNOWN;
+            }
+            const planRes = await client.query('SELECT id FROM subscription_plans WHERE id = $1', [legacyOrder.planId]);
+            if (planRes.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return { error: { status: 404, body: { message: 'Plan not found' } } };
+            }
+            // Two settlements of the same legacy order race here; the loser waits on the unique order index
+            paymentRes = await client.query(
+                `INSERT INTO payments (user_id, plan_id, gateway, razorpay_order_id, amount, currency, status)
+                 VALUES ($1, $2, 'razorpay', $3, $4, $5, 'created')
+                 ON CONFLICT (razorpay_order_id) WHERE razorpay_order_id IS NOT NULL DO NOTHING
+                 RETURNING *`,
+                [legacyOrder.userId, legacyOrder.planId, orderId, legacyOrder.amount, legacyOrder.currency]
+            );
+            if (paymentRes.rows.length === 0) {
+                paymentRes = await client.query('SELECT * FROM payments WHERE razorpay_order_id = $1 FOR UPDATE', [orderId]);
+            }
+        }
+
+        const payment = paymentRes.rows[0];
+        if (userId && payment.user_id !== parseInt(userId)) {
+            await client.query('ROLLBACK');
+            return { error: { status: 403, body: { message: 'Order belongs to another user' } } };
+        }
+        if (payment.status === 'captured' || payment.status === 'refunded') {
+            await client.query('ROLLBACK');
+            return { payment, alreadyCaptured: true };
+        }
+        if (payment.status === 'rejected') {
+            await client.query('ROLLBACK');
+            return couponRejection(payment.failure_reason);
+        }
+
+        const planRes = await client.query('SELECT * FROM subscription_plans WHERE id = $1', [payment.plan_id]);
+        const plan = planRes.rows[0];
+        if (!plan) {
+            await client.query('ROLLBACK');
+            return { error: { status: 404, body: { message: 'Plan not found' } } };
+        }
+
+        // The coupon's caps may have been reached since the order was created (e.g. two orders paid at once)
+        const caps = payment.coupon_id ? await checkCouponCaps(client, payment) : {};
+        if (caps.error) {
+            const updated = await client.query(
+                `UPDATE payments SET status = 'rejected', razorpay_payment_id = $1, failure_reason = $2, updated_at = NOW()
+                 WHERE id = $3 RETURNING *`,
+                [paymentId, caps.error.body.message, payment.id]
+            );
+            await client.query('COMMIT');
+            console.warn(`[Payments] Order ${orderId} rejected via ${source}: ${caps.error.body.message}`);
+            rejected = updated.rows[0];
+        } else {
+            const grant = getPlanGrant(plan);
+            const updated = await client.query(
+                `UPDATE payments SET status = 'captured', razorpay_payment_id = $1, plan_type = $2, sessions_granted = $3,
+                    hours_granted = $4, failure_reason = NULL, updated_at = NOW()
+                 WHERE id = $5 RETURNING *`,
+                [paymentId, grant.type, grant.sessions, grant.hours, payment.id]
+            );
+            await grantPlan(client, payment.user_id, plan);
+            if (payment.coupon_id) await redeemCoupon(client, updated.rows[0]);
+            await client.query('COMMIT');
+
+            console.log(`[Payments] Order ${orderId} captured via ${source} for user ${payment.user_id}, plan ${plan.id}`);
+            captured = updated.rows[0];
+        }
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        throw error;
+    } finally {
+        client.release();
+    }
+    if (rejected) {
+        await refundRejectedPayment(rejected);
+        return couponRejection(rejected.failure_reason);
+    }
+    // Invoiced once the capture has committed and its connection is back in the pool
+    await issueInvoice(captured.id);
+    return { payment: captured, alreadyCaptured: false };
+};
+
+// A failed attempt only marks orders that were not paid (the user may still retry and pay the same order)
+const failPayment = async ({ orderId, paymentId, reason }) => {
+    const result = await query(
+        `UPDATE payments SET status = 'failed', razorpay_payment_id = COALESCE(razorpay_payment_id, $2),
+            failure_reason = $3, updated_at = NOW()
+         WHERE razorpay_order_id = $1 AND status IN ('created', 'stale', 'failed')
+         RETURNING *`,
+        [orderId, paymentId, reason || null]
+    );
+    return result.rows[0] || null;
+};
+
+// Record a refund once per gateway refund id; a full refund takes the granted sessions back
+const refundPayment = async ({ paymentId, refundId, amount }) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const paymentRes = await client.query('SELECT * FROM payments WHERE razorpay_payment_id = $1 FOR UPDATE', [paymentId]);
+        const payment = paymentRes.rows[0];
+        if (!payment) {
+            await client.query('ROLLBACK');
+            return { error: { status: 404, body: { message: 'Unknown payment', code: 'PAYMENT_UNKNOWN' } } };
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO payment_refunds (payment_id, gateway_refund_id, amount)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (gateway_refund_id) DO NOTHING
+             RETURNING id`,
+            [payment.id, refundId, amount]
+        );
+        if (inserted.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { payment, alreadyRecorded: true };
+        }
+
+        const refundedAmount = parseFloat(payment.refunded_amount || 0) + parseFloat(amount);
+        const fullyRefunded = payment.status === 'captured' && refundedAmount >= parseFloat(payment.amount);
+        const updated = await client.query(
+            `UPDATE payments SET refunded_amount = $1, status = $2, updated_at = NOW() WHERE id = $3 RETURNING *`,
+            [refundedAmount, fullyRefunded ? 'refunded' : payment.status, payment.id]
+        );
+
+        if (fullyRefunded) {
+            // Unlimited (-1) accounts keep their sessions; referral rewards already paid out are not clawed back
+            if (payment.coupon_id) await revokeCouponBonus(client, payment);
+            await revokePlanGrant(client, payment.user_id, {
+                type: payment.plan_type || 'sessions',
+                sessions: payment.sessions_granted || 0,
+                hours: payment.hours_granted || 0
+            });
+        }
+        await client.query('COMMIT');
+
+        if (fullyRefunded) console.log(`[Payments] Payment ${paymentId} refunded, plan reverted for user ${payment.user_id}`);
+        return { payment: updated.rows[0], alreadyRecorded: false };
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Refund (part of) a captured payment through its gateway; recorded right away when the gateway settles it
+// immediately, else when its refund webhook arrives. Returns { refund, payment } or { error }.
+const issueRefund = async (paymentRowId, amount = null) => {
+    const paymentRes = await query('SELECT * FROM payments WHERE id = $1', [paymentRowId]);
+    const payment = paymentRes.rows[0];
+    if (!payment) return { error: { status: 404, body: { message: 'Payment not found' } } };
+    if (payment.status !== 'captured' && payment.status !== 'rejected') {
+        return { error: { status: 400, body: { message: 'Only captured or rejected payments can be refunded' } } };
+    }
+
+    const refundable = parseFloat(payment.amount) - parseFloat(payment.refunded_amount || 0);
+    const refundAmount = amount === null || amount === undefined || amount === '' ? refundable : parseFloat(amount);
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+        return { error: { status: 400, body: { message: `Refund amount must be between 0 and ${refundable}` } } };
+    }
+
+    const gateway = getGateway(payment.gateway);
+    const refund = await gateway.refund(payment.razorpay_payment_id, refundAmount, payment.currency);
+    if (!refund.settled) return { refund, payment };
+
+    const recorded = await refundPayment({ paymentId: payment.razorpay_payment_id, refundId: refund.refundId, amount: refund.amount });
+    return { refund, payment: recorded.payment || payment };
+};
+
+// Remember a webhook event; returns false when it was already processed (gateways redeliver)
+const beginWebhookEvent = async (provider, eventId, eventType, payload) => {
+    const result = await query(
+        `INSERT INTO payment_webhook_events (provider, event_id, event_type, payload)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (provider, event_id) DO UPDATE SET attempts = payment_webhook_events.attempts + 1
+         RETURNING processed_at`,
+        [provider, eventId, eventType, JSON.stringify(payload)]
+    );
+    return !result.rows[0].processed_at;
+};
+
+const completeWebhookEvent = (provider, eventId, outcome) => query(
+    'UPDATE payment_webhook_events SET processed_at = NOW(), outcome = $3 WHERE provider = $1 AND event_id = $2',
+    [provider, eventId, outcome]
+);
+
+// Settle orders nobody came back for: capture the ones their gateway reports paid (missed callback and
+// webhook), flag the rest 'stale'. Returns { captured, flagged }.
+const reconcileStaleOrders = async () => {
+    const stale = await query(
+        `SELECT id, gateway, razorpay_order_id FROM payments
+         WHERE status = 'created' AND razorpay_order_id IS NOT NULL
+           AND created_at < NOW() - $1 * INTERVAL '1 minute'
+         ORDER BY created_at ASC
+         LIMIT $2`,
+        [STALE_ORDER_MINUTES, STALE_BATCH_SIZE]
+    );
+
+    let captured = 0;
+    let flagged = 0;
+    for (const order of stale.rows) {
+        try {
+            const paymentId = await getGateway(order.gateway).findCapturedPayment(order.razorpay_order_id);
+            if (paymentId) {
+                const result = await capturePayment({ orderId: order.razorpay_order_id, paymentId, source: 'reconciliation' });
+                if (!result.error && !result.alreadyCaptured) captured += 1;
+                continue;
+            }
+        } catch (error) {
+            // Unreachable gateway or unknown order: flag it so it shows up for review either way
+            console.error(`[Payments] Could not look up ${order.gateway} order ${order.razorpay_order_id}:`, error.description || error.message);
+        }
+        await query(
+            "UPDATE payments SET status = 'stale', flagged_at = NOW(), updated_at = NOW() WHERE id = $1 AND status = 'created'",
+            [order.id]
+        );
+        flagged += 1;
+    }
+    return { captured, flagged };
+};
+
+module.exports = {
+    getPlanPrice,
+    quoteOrder,
+    createOrder,
+    grantPlan,
+    capturePayment,
+    failPayment,
+    refundPayment,
+    issueRefund,
+    beginWebhookEvent,
+    completeWebhookEvent,
+    reconcileStaleOrders
+};
@@ -0,0 +1,247 @@
+const { query } = require('../db');
+const { QUESTION_RATING_SQL } = require('./skillService');
+const { consumeSession } = require('./entitlementService');
+
+// Check the free daily limit or deduct a Prime session before serving a practice set.
+// Returns { error: { status, body } } when access is denied, otherwise { requestedLimit, sessionInfo }.
+// With draw(requestedLimit), the questions are drawn before any session is deducted and returned as `drawn`;
+// an empty draw deducts nothing.
+const reservePracticeQuota = async (client, req, limit, draw = null) => {
+    if (!req.isPremium) {
+        // Free user check via Transaction (Avoid Race Condition)
+        await client.query('BEGIN');
+
+        const settingsResult = await client.query('SELECT key, value FROM free_limit_settings');
+        const settings = Object.fromEntries(settingsResult.rows.map(r => [r.key, r.value]));
+        const freeLimit = parseInt(settings['FREE_SESSIONS_COUNT'] || '2');
+        const mcqsPerSession = parseInt(settings['FREE_SESSION_MCQS'] || '10');
+        const totalAllowedFreeMcqs = freeLimit * mcqsPerSession;
+
+        // Check how many questions they have submitted today
+        const usageResult = await client.query(
+            `SELECT count FROM user_daily_usage WHERE user_id = $1 AND date = CURRENT_DATE`,
+            [req.user.id]
+        );
+        const dailyCount = usageResult.rows.length > 0 ? usageResult.rows[0].count : 0;
+
+        if (dailyCount >= totalAllowedFreeMcqs) {
+            await client.query('ROLLBACK');
+            return {
+                error: {
+                    status: 403,
+                    body: {
+                        message: 'Daily free limit reached',
+                        code: 'LIMIT_REACHED',
+                        popup: {
+                            heading: settings['POPUP_HEADING'],
+                            text: settings['POPUP_TEXT']
+                        }
+                    }
+                }
+            };
+        }
+
+        // Note: The count is incremented per answer in /api/mcq/submit, not here
+        await client.query('COMMIT');
+
+        // Free users always get a fixed session size
+        return {
+            requestedLimit: mcqsPerSession,
+            sessionInfo: { used: Math.floor(dailyCount / mcqsPerSession), total: freeLimit, isPremium: false },
+            drawn: draw ? await draw(mcqsPerSession) : null
+        };
+    }
+
+    const requestedLimit = parseInt(limit) || 10;
+    const drawn = draw ? await draw(requestedLimit) : null;
+    if (drawn && drawn.length === 0) {
+        return { requestedLimit, sessionInfo: null, drawn };
+    }
+
+    // PRIME USER Logic: use a session (time passes and unlimited accounts use none)
+    await client.query('BEGIN');
+    const used = await consumeSession(client, req.user.id);
+    if (used.error) {
+        await client.query('ROLLBACK');
+        return used;
+    }
+    await client.query('COMMIT');
+
+    return { requestedLimit, sessionInfo: null, drawn };
+};
+
+const POOL_COLUMNS = 'id, question, options, correct_option, explanation, subject, chapter';
+// Half-width of the rating window used for adaptive draws
+const RATING_BAND = 150;
+
+// Hierarchy filters that narrow the pool through the subjects table
+const SUBJECT_HIERARCHY_COLUMNS = {
+    boardId: 'board_id',
+    classId: 'class_id',
+    streamId: 'stream_id',
+    universityId: 'university_id',
+    semesterId: 'semester_id',
+    paperStageId: 'paper_stage_id'
+};
+
+// Read pool filters from request query/body (snake_case IDs as used by the structure API)
+const parsePoolFilters = (source = {}) => {
+    const toId = (v) => (v === undefined || v === null || v === '') ? null : parseInt(v) || null;
+    return {
+        categoryId: toId(source.category_id),
+        boardId: toId(source.board_id),
+        classId: toId(source.class_id),
+        streamId: toId(source.stream_id),
+        universityId: toId(source.university_id),
+        semesterId: toId(source.semester_id),
+        paperStageId: toId(source.paper_stage_id),
+        subjectId: toId(source.subject_id),
+        chapterId: toId(source.chapter_id)
+    };
+};
+
+// Category/subject/chapter/hierarchy conditions for any table with category_id and subject_id (and chapter_id when filtered on)
+const buildHierarchyConditions = (filters, params, alias = '') => {
+    const conditions = [];
+    const addCondition = (column, value) => {
+        params.push(value);
+        conditions.push(`${alias}${column} = $${params.length}`);
+    };
+
+    if (filters.categoryId) addCondition('category_id', filters.categoryId);
+    if (filters.subjectId) addCondition('subject_id', filters.subjectId);
+    if (filters.chapterId) addCondition('chapter_id', filters.chapterId);
+
+    const hierarchy = Object.entries(SUBJECT_HIERARCHY_COLUMNS).filter(([key]) => filters[key]);
+    if (hierarchy.length > 0) {
+        const subjectConditions = hierarchy.map(([key, column]) => {
+            params.push(filters[key]);
+            return `${column} = $${params.length}`;
+        });
+        conditions.push(`${alias}subject_id IN (SELECT id FROM subjects WHERE ${subjectConditions.join(' AND ')})`);
+    }
+
+    return conditions;
+};
+
+// Build the WHERE conditions for approved pooled questions, appending values to params
+const buildPoolFilter = (filters, params, alias = '') =>
+    [`${alias}is_approved = TRUE`, ...buildHierarchyConditions(filters, params, alias)].join(' AND ');
+
+const getRepeatWindowDays = async () => {
+    const result = await query("SELECT value FROM system_settings WHERE key = 'PRACTICE_REPEAT_WINDOW_DAYS'");
+    const days = parseInt(result.rows[0]?.value);
+    return isNaN(days) ? 7 : Math.max(0, days);
+};
+
+// Draw approved pooled questions for a user.
+// Questions answered within the repeat window are skipped and the rest are sampled uniformly; with a targetRating,
+// questions near that rating are preferred. If too few unseen questions remain, the least recently seen ones fill the set.
+// Exclusion and sampling run in SQL so only the drawn ids leave the database.
+// Returns { questions, coverage }; coverage.exhausted means no unseen questions remain in the filtered scope (e.g. a chapter).
+const drawPoolQuestions = async ({ userId, filters, limit, excludeIds = [], targetRating = null, windowDays = 0 }) => {
+    const params = [excludeIds, userId, windowDays];
+    const where = `p.id <> ALL($1::int[]) AND ${buildPoolFilter(filters, params, 'p.')}`;
+    const unseenSql = `NOT EXISTS (
+        SELECT 1 FROM user_mcq_history h
+        WHERE h.user_id = $2 AND h.mcq_id = p.id AND h.attempted_at > NOW() - make_interval(days => $3)
+    )`;
+    const next = params.length;
+
+    const [drawRes, countRes] = await Promise.all([
+        query(
+            `SELECT p.id FROM mcq_pool p
+             WHERE ${where} AND ${unseenSql}
+             ORDER BY CASE WHEN ABS(${QUESTION_RATING_SQL} - $${next + 1}::float) <= ${RATING_BAND} THEN 0 ELSE 1 END, random()
+             LIMIT $${next + 2}`,
+            [...params, targetRating, limit]
+        ),
+        query(
+            `SELECT COUNT(*)::int AS total, (COUNT(*) FILTER (WHERE ${unseenSql}))::int AS unseen
+             FROM mcq_pool p WHERE ${where}`,
+            params
+        )
+    ]);
+    let ids = drawRes.rows.map(r => r.id);
+    const { total, unseen } = countRes.rows[0];
+    const remainingUnseen = unseen - ids.length;
+
+    // Exhausted scope: repeat the questions the user has not seen for the longest time
+    if (ids.length < limit) {
+        const seenRes = await query(
+            `SELECT h.mcq_id FROM user_mcq_history h
+             JOIN mcq_pool p ON p.id = h.mcq_id
+             WHERE h.user_id = $2 AND h.attempted_at > NOW() - make_interval(days => $3)
+               AND ${where} AND h.mcq_id <> ALL($${next + 1}::int[])
+             GROUP BY h.mcq_id ORDER BY MAX(h.attempted_at) ASC LIMIT $${next + 2}`,
+            [...params, ids, limit - ids.length]
+        );
+        ids = [...ids, ...seenRes.rows.map(r => r.mcq_id)];
+    }
+
+    let questions = [];
+    if (ids.length > 0) {
+        const rowsRes = await query(`SELECT ${POOL_COLUMNS} FROM mcq_pool WHERE id = ANY($1::int[])`, [ids]);
+        const byId = new Map(rowsRes.rows.map(r => [r.id, r]));
+        questions = ids.map(id => byId.get(id)).filter(Boolean);
+    }
+
+    const scope = filters.chapterId ? 'chapter' : filters.subjectId ? 'subject' : 'pool';
+    return {
+        questions,
+        coverage: {
+            scope,
+            total,
+            unseen: remainingUnseen,
+            exhausted: total > 0 && remainingUnseen === 0,
+            windowDays
+        }
+    };
+};
+
+// Strip the answer key before questions are sent to the client
+const toPublicQuestion = ({ correct_option, explanation, ...rest }) => rest;
+
+// Persist the served questions with their answer keys and return the client-safe view
+const createPracticeSession = async (userId, source, questions, topic = null) => {
+    const stored = questions.map(q => ({
+        id: q.id,
+        question: q.question,
+        options: q.options,
+        correct_option: q.correct_option,
+        explanation: q.explanation || null,
+        subject: q.subject || null,
+        chapter: q.chapter || null
+    }));
+
+    const result = await query(
+        `INSERT INTO practice_sessions (user_id, source, topic, questions, total_questions)
+         VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+        [userId, source, topic, JSON.stringify(stored), stored.length]
+    );
+
+    return { sessionId: result.rows[0].id, mcqs: questions.map(toPublicQuestion) };
+};
+
+// Count an answered question against the free daily allowance
+const recordDailyUsage = async (userId, client = null) => {
+    const run = client ? client.query.bind(client) : query;
+    await run(`
+        INSERT INTO user_daily_usage (user_id, date, count)
+        VALUES ($1, CURRENT_DATE, 1)
+        ON CONFLICT (user_id, date)
+        DO UPDATE SET count = user_daily_usage.count + 1
+    `, [userId]);
+};
+
+module.exports = {
+    reservePracticeQuota,
+    parsePoolFilters,
+    buildHierarchyConditions,
+    buildPoolFilter,
+    getRepeatWindowDays,
+    drawPoolQuestions,
+    toPublicQuestion,
+    createPracticeSession,
+    recordDailyUsage
+};
@@ -0,0 +1,89 @@
+const { query } = require('../db');
+const { buildPoolFilter } = require('./practiceService');
+
+const MIN_EASE = 1.3;
+
+// SM-2 step: quality is 0-5, where >= 3 counts as a successful recall
+const nextSchedule = (card, quality) => {
+    let { ease_factor: ease, interval_days: interval, repetitions, lapses } = card;
+
+    if (quality >= 3) {
+        if (repetitions === 0) interval = 1;
+        else if (repetitions === 1) interval = 6;
+        else interval = Math.round(interval * ease);
+        repetitions += 1;
+    } else {
+        repetitions = 0;
+        interval = 1;
+        lapses += 1;
+    }
+
+    ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    return { ease_factor: ease, interval_days: interval, repetitions, lapses };
+};
+
+// Update the review schedule after a pooled answer.
+// Wrong answers enter (or reset) the queue; correct answers only advance cards already queued.
+const scheduleReview = async (client, userId, mcqId, isCorrect) => {
+    const existing = await client.query(
+        'SELECT * FROM user_review_queue WHERE user_id = $1 AND mcq_id = $2 FOR UPDATE',
+        [userId, mcqId]
+    );
+
+    if (existing.rows.length === 0 && isCorrect) return null;
+
+    const card = existing.rows[0] || { ease_factor: 2.5, interval_days: 0, repetitions: 0, lapses: 0 };
+    const next = nextSchedule(card, isCorrect ? 4 : 1);
+
+    const result = await client.query(
+        `INSERT INTO user_review_queue (user_id, mcq_id, ease_factor, interval_days, repetitions, lapses, due_at, last_reviewed_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $4), NOW())
+         ON CONFLICT (user_id, mcq_id) DO UPDATE SET
+            ease_factor = EXCLUDED.ease_factor,
+            interval_days = EXCLUDED.interval_days,
+            repetitions = EXCLUDED.repetitions,
+            lapses = EXCLUDED.lapses,
+            due_at = EXCLUDED.due_at,
+            last_reviewed_at = EXCLUDED.last_reviewed_at
+         RETURNING *`,
+        [userId, mcqId, next.ease_factor, next.interval_days, next.repetitions, next.lapses]
+    );
+    return result.rows[0];
+};
+
+// Due review questions for a user, most overdue first (filters as in practiceService.parsePoolFilters)
+const getDueReviewQuestions = async (userId, limit, { filters = {}, excludeIds = [] } = {}) => {
+    const params = [userId, excludeIds];
+    const where = buildPoolFilter(filters, params, 'm.');
+    const result = await query(
+        `SELECT m.id, m.question, m.options, m.correct_option, m.explanation, m.subject, m.chapter
+         FROM user_review_queue rq
+         JOIN mcq_pool m ON m.id = rq.mcq_id
+         WHERE rq.user_id = $1 AND rq.due_at <= NOW() AND m.id <> ALL($2::int[]) AND ${where}
+         ORDER BY rq.due_at ASC
+         LIMIT $${params.length + 1}`,
+        [...params, limit]
+    );
+    return result.rows;
+};
+
+const getReviewSummary = async (userId) => {
+    const result = await query(
+        `SELECT
+            COUNT(*) FILTER (WHERE due_at <= NOW()) AS due,
+            COUNT(*) AS total,
+            MIN(due_at) FILTER (WHERE due_at > NOW()) AS next_due_at
+         FROM user_review_queue WHERE user_id = $1`,
+        [userId]
+    );
+    const row = result.rows[0];
+    return { due: parseInt(row.due), total: parseInt(row.total), nextDueAt: row.next_due_at };
+};
+
+module.exports = {
+    nextSchedule,
+    scheduleReview,
+    getDueReviewQuestions,
+    getReviewSummary
+};
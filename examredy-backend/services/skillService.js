@@ -0,0 +1,98 @@
+const { query } = require('../db');
+
+// Seed ratings for questions that have not been answered yet
+const DIFFICULTY_RATINGS = { easy: 1000, medium: 1200, hard: 1400 };
+const DEFAULT_RATING = 1200;
+const K_USER = 32;
+const K_QUESTION = 16;
+// Serve questions slightly below the user's rating (~64% expected success)
+const TARGET_OFFSET = -100;
+// Answers needed before a question's difficulty label is re-estimated from its answer rate
+const MIN_ATTEMPTS_FOR_DIFFICULTY = 20;
+
+// SQL expression for a pooled question's effective rating
+const QUESTION_RATING_SQL = `COALESCE(rating, CASE difficulty WHEN 'easy' THEN ${DIFFICULTY_RATINGS.easy} WHEN 'hard' THEN ${DIFFICULTY_RATINGS.hard} ELSE ${DIFFICULTY_RATINGS.medium} END)`;
+
+const subjectKey = (subject) => (subject && subject.trim()) ? subject.trim().substring(0, 100) : 'General';
+
+const expectedScore = (userRating, questionRating) => 1 / (1 + Math.pow(10, (questionRating - userRating) / 400));
+
+const ratingToDifficulty = (rating) => {
+    if (rating < (DIFFICULTY_RATINGS.easy + DIFFICULTY_RATINGS.medium) / 2) return 'easy';
+    if (rating > (DIFFICULTY_RATINGS.medium + DIFFICULTY_RATINGS.hard) / 2) return 'hard';
+    return 'medium';
+};
+
+// Update the user's subject rating and the question's rating after a pooled answer
+const updateSkillRatings = async (client, userId, mcq, isCorrect) => {
+    const subject = subjectKey(mcq.subject);
+
+    const userRes = await client.query(
+        `INSERT INTO user_skill_ratings (user_id, subject) VALUES ($1, $2)
+         ON CONFLICT (user_id, subject) DO UPDATE SET subject = EXCLUDED.subject
+         RETURNING rating, attempts`,
+        [userId, subject]
+    );
+    const userRating = userRes.rows[0].rating;
+    const questionRating = mcq.rating ?? DIFFICULTY_RATINGS[mcq.difficulty] ?? DEFAULT_RATING;
+
+    const score = isCorrect ? 1 : 0;
+    const delta = score - expectedScore(userRating, questionRating);
+    const newUserRating = userRating + K_USER * delta;
+    const newQuestionRating = questionRating - K_QUESTION * delta;
+
+    await client.query(
+        `UPDATE user_skill_ratings SET rating = $1, attempts = attempts + 1, updated_at = NOW()
+         WHERE user_id = $2 AND subject = $3`,
+        [newUserRating, userId, subject]
+    );
+
+    // Re-label difficulty from the real answer rate once enough answers exist
+    await client.query(
+        `UPDATE mcq_pool SET
+            rating = $1,
+            attempts_count = attempts_count + 1,
+            correct_count = correct_count + $2,
+            difficulty = CASE
+                WHEN attempts_count + 1 < $3 THEN difficulty
+                WHEN (correct_count + $2)::float / (attempts_count + 1) >= 0.7 THEN 'easy'
+                WHEN (correct_count + $2)::float / (attempts_count + 1) <= 0.4 THEN 'hard'
+                ELSE 'medium'
+            END
+         WHERE id = $4`,
+        [newQuestionRating, score, MIN_ATTEMPTS_FOR_DIFFICULTY, mcq.id]
+    );
+
+    return { subject, rating: Math.round(newUserRating) };
+};
+
+// Rating to aim question selection at: the subject rating if known, else the user's mean across subjects
+const getTargetRating = async (userId, subject = null) => {
+    const result = subject
+        ? await query('SELECT rating FROM user_skill_ratings WHERE user_id = $1 AND subject = $2', [userId, subjectKey(subject)])
+        : await query('SELECT AVG(rating) AS rating FROM user_skill_ratings WHERE user_id = $1', [userId]);
+    const userRating = parseFloat(result.rows[0]?.rating) || DEFAULT_RATING;
+    return { userRating: Math.round(userRating), targetRating: userRating + TARGET_OFFSET };
+};
+
+const getUserSkills = async (userId) => {
+    const result = await query(
+        'SELECT subject, rating, attempts, updated_at FROM user_skill_ratings WHERE user_id = $1 ORDER BY attempts DESC',
+        [userId]
+    );
+    return result.rows.map(r => ({
+        subject: r.subject,
+        rating: Math.round(r.rating),
+        level: ratingToDifficulty(r.rating),
+        attempts: r.attempts,
+        updatedAt: r.updated_at
+    }));
+};
+
+module.exports = {
+    QUESTION_RATING_SQL,
+    ratingToDifficulty,
+    updateSkillRatings,
+    getTargetRating,
+    getUserSkills
+};
@@ -0,0 +1,349 @@
+const { pool, query } = require('../db');
+const { getGateway, resolveGateway } = require('./paymentGatewayService');
+const { getPlanPrice, grantPlan } = require('./paymentService');
+const { ENTITLEMENT_COLUMNS, hasPremiumAccess, getPlanGrant, applyPlanGrant, hoursUntil } = require('./entitlementService');
+const { issueInvoice } = require('./invoiceService');
+
+// Auto-renewing Prime plans on top of the gateways' subscription APIs. A user_subscriptions row is written
+// before checkout (status 'pending') and its id travels with the gateway subscription as the reference.
+// Every paid billing cycle, whether seen first by the checkout return or the webhook, goes through recordCharge:
+// it writes a captured payments row keyed by the gateway's charge id (so each cycle is granted once) and grants
+// the plan up to the new period end. A failed renewal starts a grace period in which access continues while the
+// gateway retries; the subscription-grace job cancels subscriptions still unpaid when it runs out.
+
+const BILLING_INTERVALS = ['month', 'year'];
+const DEFAULT_GRACE_DAYS = 3;
+const GRACE_BATCH_SIZE = 20;
+
+const getGraceDays = async (client) => {
+    const res = await client.query("SELECT value FROM system_settings WHERE key = 'SUBSCRIPTION_GRACE_DAYS'");
+    const days = parseInt(res.rows[0]?.value);
+    return days >= 0 ? days : DEFAULT_GRACE_DAYS;
+};
+
+const findLiveSubscription = async (userId) => {
+    const res = await query(
+        `SELECT * FROM user_subscriptions WHERE user_id = $1 AND status IN ('active', 'past_due') ORDER BY created_at DESC LIMIT 1`,
+        [userId]
+    );
+    return res.rows[0] || null;
+};
+
+// Minutes a started checkout blocks a new one; after that the pending row is treated as abandoned
+const PENDING_CHECKOUT_MINUTES = 30;
+
+// A checkout still in progress blocks a new one. An older pending row is marked 'abandoned' (and its gateway
+// subscription cancelled when we know it) so the user can start over. Returns { error } when blocked.
+const clearPendingCheckout = async (userId) => {
+    const res = await query(
+        `SELECT *, created_at > NOW() - make_interval(mins => $2) AS recent
+         FROM user_subscriptions WHERE user_id = $1 AND status = 'pending'`,
+        [userId, PENDING_CHECKOUT_MINUTES]
+    );
+    const pending = res.rows[0];
+    if (!pending) return {};
+    if (pending.recent) {
+        return { error: { status: 409, body: { message: 'A subscription checkout is already in progress. Finish it or try again shortly.', code: 'SUBSCRIPTION_PENDING' } } };
+    }
+
+    const abandoned = await query(
+        `UPDATE user_subscriptions SET status = 'abandoned', ended_at = NOW(), updated_at = NOW() WHERE id = $1 AND status = 'pending' RETURNING id`,
+        [pending.id]
+    );
+    if (abandoned.rows.length > 0 && pending.gateway_subscription_id) {
+        try {
+            await getGateway(pending.gateway).cancelSubscription(pending.gateway_subscription_id, false);
+        } catch (error) {
+            console.error(`[Subscriptions] Could not cancel abandoned subscription ${pending.id}:`, error.message);
+        }
+    }
+    return {};
+};
+
+const toPublicSubscription = (row) => ({
+    id: row.id,
+    planId: row.plan_id,
+    planName: row.plan_name,
+    billingInterval: row.billing_interval,
+    gateway: row.gateway,
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    status: row.status,
+    currentPeriodEnd: row.current_period_end,
+    graceUntil: row.grace_until,
+    cancelAtPeriodEnd: row.cancel_at_period_end,
+    renews: row.status === 'active' && !row.cancel_at_period_end
+});
+
+const subscriptionExists = () =>
+    ({ error: { status: 409, body: { message: 'You already have an active subscription', code: 'SUBSCRIPTION_EXISTS' } } });
+
+// Start a subscription checkout for { plan, currency }. Returns { subscription, checkout } or { error }.
+const startSubscription = async (userId, plan, currency = 'INR') => {
+    if (!BILLING_INTERVALS.includes(plan.billing_interval)) {
+        return { error: { status: 400, body: { message: 'This plan is a one-off purchase', code: 'PLAN_NOT_RECURRING' } } };
+    }
+    if (await findLiveSubscription(userId)) {
+        return subscriptionExists();
+    }
+    const amount = getPlanPrice(plan, currency);
+    if (!amount) {
+        return { error: { status: 400, body: { message: `This plan is not sold in ${currency}`, code: 'CURRENCY_UNAVAILABLE' } } };
+    }
+    const resolved = await resolveGateway(currency);
+    if (resolved.error) return resolved;
+
+    const cleared = await clearPendingCheckout(userId);
+    if (cleared.error) return cleared;
+
+    // The unique index on a user's pending/active/past_due row turns a concurrent second start into a conflict
+    const { gateway } = resolved;
+    let inserted;
+    try {
+        inserted = await query(
+            `INSERT INTO user_subscriptions (user_id, plan_id, gateway, amount, currency) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [userId, plan.id, gateway.provider, amount, currency]
+        );
+    } catch (error) {
+        if (error.code === '23505') return subscriptionExists();
+        throw error;
+    }
+    const subscription = inserted.rows[0];
+
+    let created;
+    try {
+        created = await gateway.createSubscription({ reference: subscription.id, userId, plan, amount, currency });
+    } catch (error) {
+        await query('DELETE FROM user_subscriptions WHERE id = $1', [subscription.id]);
+        throw error;
+    }
+    const updated = await query(
+        `UPDATE user_subscriptions SET gateway_subscription_id = $1, checkout_id = $2, updated_at = NOW() WHERE id = $3 RETURNING *`,
+        [created.subscriptionId, created.checkoutId, subscription.id]
+    );
+    return { subscription: updated.rows[0], checkout: { ...created.checkout, provider: gateway.provider } };
+};
+
+// Lock the row a gateway event belongs to: by our reference when the gateway carried it, else by its subscription id
+const lockSubscription = async (client, provider, { subscriptionId, reference }) => {
+    const res = reference
+        ? await client.query('SELECT * FROM user_subscriptions WHERE id = $1 AND gateway = $2 FOR UPDATE', [parseInt(reference), provider])
+        : await client.query('SELECT * FROM user_subscriptions WHERE gateway_subscription_id = $1 AND gateway = $2 FOR UPDATE', [subscriptionId, provider]);
+    const subscription = res.rows[0] || null;
+
+    // Stripe only reveals the subscription id once checkout completes
+    if (subscription && subscriptionId && !subscription.gateway_subscription_id) {
+        await client.query('UPDATE user_subscriptions SET gateway_subscription_id = $1 WHERE id = $2', [subscriptionId, subscription.id]);
+        subscription.gateway_subscription_id = subscriptionId;
+    }
+    return subscription;
+};
+
+// Run work(client, subscription) in a transaction holding the subscription's row lock
+const withLockedSubscription = async (provider, ids, work) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const subscription = await lockSubscription(client, provider, ids);
+        if (!subscription) {
+            await client.query('ROLLBACK');
+            return { error: { status: 404, body: { message: 'Subscription not found', code: 'SUBSCRIPTION_UNKNOWN' } } };
+        }
+        const result = await work(client, subscription);
+        await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+        return result;
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (e) { }
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Record one paid billing cycle and grant the plan until its period end. userId is set when the user's own
+// checkout return reports the charge. Returns { subscription, alreadyRecorded } or { error }.
+const recordCharge = async ({ provider, subscriptionId, reference, charge, userId = null, source }) => {
+    let paymentId = null;
+    const result = await withLockedSubscription(provider, { subscriptionId, reference }, async (client, subscription) => {
+        if (userId && subscription.user_id !== parseInt(userId)) {
+            return { error: { status: 403, body: { message: 'Subscription belongs to another user' } } };
+        }
+        const planRes = await client.query('SELECT * FROM subscription_plans WHERE id = $1', [subscription.plan_id]);
+        const plan = planRes.rows[0];
+        if (!plan) return { error: { status: 404, body: { message: 'Plan not found' } } };
+
+        const inserted = await client.query(
+            `INSERT INTO payments (user_id, plan_id, subscription_id, gateway, razorpay_order_id, razorpay_payment_id, amount, currency, status)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'captured')
+             ON CONFLICT (razorpay_order_id) WHERE razorpay_order_id IS NOT NULL DO NOTHING
+             RETURNING id`,
+            [subscription.user_id, plan.id, subscription.id, provider, charge.chargeId, charge.paymentId,
+                charge.amount || subscription.amount, subscription.currency]
+        );
+        if (inserted.rows.length === 0) return { subscription, alreadyRecorded: true };
+        paymentId = inserted.rows[0].id;
+
+        const planGrant = getPlanGrant(plan);
+        const grant = { ...planGrant, hours: await hoursUntil(client, subscription.user_id, planGrant.type, charge.periodEnd) };
+        await grantPlan(client, subscription.user_id, plan, grant);
+        await client.query(
+            'UPDATE payments SET plan_type = $1, sessions_granted = $2, hours_granted = $3 WHERE id = $4',
+            [grant.type, grant.sessions, grant.hours, paymentId]
+        );
+
+        // A charge arriving after we ended the subscription still pays for its period, but does not revive it.
+        // A late-paid abandoned checkout becomes active unless the user has since started another subscription.
+        const updated = await client.query(
+            `UPDATE user_subscriptions s SET
+                status = CASE
+                    WHEN s.status IN ('cancelled', 'expired') THEN s.status
+                    WHEN s.status = 'abandoned' AND EXISTS (
+                        SELECT 1 FROM user_subscriptions o
+                        WHERE o.user_id = s.user_id AND o.id <> s.id AND o.status IN ('pending', 'active', 'past_due')
+                    ) THEN s.status
+                    ELSE 'active' END,
+                current_period_end = $1, grace_until = NULL, updated_at = NOW()
+             WHERE s.id = $2 RETURNING *`,
+            [charge.periodEnd, subscription.id]
+        );
+        console.log(`[Subscriptions] Subscription ${subscription.id} charged via ${source} for user ${subscription.user_id}, paid until ${charge.periodEnd.toISOString()}`);
+        return { subscription: updated.rows[0], alreadyRecorded: false };
+    });
+    // Invoiced once the charge has committed, so an invoice failure never undoes the paid period
+    if (paymentId && !result.error) await issueInvoice(paymentId);
+    return result;
+};
+
+// A renewal charge failed: keep access for the grace period while the gateway retries. Later failures in the
+// same period do not extend it. Returns { subscription, changed } or { error }.
+const recordChargeFailure = async ({ provider, subscriptionId, reference, reason }) =>
+    withLockedSubscription(provider, { subscriptionId, reference }, async (client, subscription) => {
+        if (subscription.status !== 'active') return { subscription, changed: false };
+
+        const graceDays = await getGraceDays(client);
+        const periodEnd = subscription.current_period_end ? new Date(subscription.current_period_end).getTime() : 0;
+        const graceUntil = new Date(Math.max(Date.now(), periodEnd) + graceDays * 24 * 60 * 60 * 1000);
+
+        const planRes = await client.query('SELECT * FROM subscription_plans WHERE id = $1', [subscription.plan_id]);
+        if (planRes.rows[0]) {
+            const { type } = getPlanGrant(planRes.rows[0]);
+            await applyPlanGrant(client, subscription.user_id, { type, sessions: 0, hours: await hoursUntil(client, subscription.user_id, type, graceUntil) });
+        }
+        const updated = await client.query(
+            `UPDATE user_subscriptions SET status = 'past_due', grace_until = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+            [graceUntil, subscription.id]
+        );
+        console.log(`[Subscriptions] Renewal failed for subscription ${subscription.id} (${reason || 'no reason given'}), grace until ${graceUntil.toISOString()}`);
+        return { subscription: updated.rows[0], changed: true };
+    });
+
+// The gateway reports a change made on its side (e.g. cancel-at-period-end set from its dashboard)
+const recordSubscriptionUpdate = async ({ provider, subscriptionId, reference, cancelAtPeriodEnd }) =>
+    withLockedSubscription(provider, { subscriptionId, reference }, async (client, subscription) => {
+        if (cancelAtPeriodEnd === null || cancelAtPeriodEnd === subscription.cancel_at_period_end) {
+            return { subscription, changed: false };
+        }
+        const updated = await client.query(
+            `UPDATE user_subscriptions SET cancel_at_period_end = $1,
+                cancelled_at = CASE WHEN $1 THEN COALESCE(cancelled_at, NOW()) ELSE NULL END, updated_at = NOW()
+             WHERE id = $2 RETURNING *`,
+            [cancelAtPeriodEnd, subscription.id]
+        );
+        return { subscription: updated.rows[0], changed: true };
+    });
+
+// The gateway stopped billing. Access already granted runs to its end; a subscription the user cancelled ends
+// 'cancelled', one the gateway gave up on ends 'expired'.
+const recordSubscriptionEnd = async ({ provider, subscriptionId, reference }) =>
+    withLockedSubscription(provider, { subscriptionId, reference }, async (client, subscription) => {
+        if (subscription.status === 'cancelled' || subscription.status === 'expired') return { subscription, changed: false };
+        const updated = await client.query(
+            `UPDATE user_subscriptions SET status = CASE WHEN cancelled_at IS NOT NULL THEN 'cancelled' ELSE 'expired' END,
+                ended_at = NOW(), updated_at = NOW()
+             WHERE id = $1 RETURNING *`,
+            [subscription.id]
+        );
+        return { subscription: updated.rows[0], changed: true };
+    });
+
+// User-initiated cancel. An active subscription stops renewing at the end of the paid period; one in its grace
+// period is cancelled at once so the gateway stops retrying (access still runs to the end of the grace period).
+const cancelSubscription = async (userId) => {
+    const subscription = await findLiveSubscription(userId);
+    if (!subscription) return { error: { status: 404, body: { message: 'No active subscription', code: 'NO_SUBSCRIPTION' } } };
+    if (subscription.cancel_at_period_end) return { subscription };
+
+    const atPeriodEnd = subscription.status === 'active';
+    await getGateway(subscription.gateway).cancelSubscription(subscription.gateway_subscription_id, atPeriodEnd);
+    const updated = await query(
+        `UPDATE user_subscriptions SET cancel_at_period_end = TRUE, cancelled_at = NOW(), updated_at = NOW(),
+            status = CASE WHEN $2 THEN status ELSE 'cancelled' END,
+            ended_at = CASE WHEN $2 THEN ended_at ELSE NOW() END
+         WHERE id = $1 RETURNING *`,
+        [subscription.id, atPeriodEnd]
+    );
+    return { subscription: updated.rows[0] };
+};
+
+// Cancel subscriptions whose grace period ran out without a successful retry. Returns how many were expired.
+const expireLapsedGrace = async () => {
+    const res = await query(
+        `SELECT * FROM user_subscriptions WHERE status = 'past_due' AND grace_until <= NOW() ORDER BY grace_until ASC LIMIT $1`,
+        [GRACE_BATCH_SIZE]
+    );
+    let expired = 0;
+    for (const subscription of res.rows) {
+        try {
+            await getGateway(subscription.gateway).cancelSubscription(subscription.gateway_subscription_id, false);
+        } catch (error) {
+            // Retried on the next run
+            console.error(`[Subscriptions] Could not cancel subscription ${subscription.id} at ${subscription.gateway}:`, error.message);
+            continue;
+        }
+        const updated = await query(
+            `UPDATE user_subscriptions SET status = 'expired', ended_at = NOW(), updated_at = NOW() WHERE id = $1 AND status = 'past_due'`,
+            [subscription.id]
+        );
+        expired += updated.rowCount;
+    }
+    return expired;
+};
+
+// What the Prime page shows: current access from every plan type plus the latest subscription, if any
+const getSubscriptionStatus = async (userId) => {
+    const [userRes, subscriptionRes] = await Promise.all([
+        query(`SELECT ${ENTITLEMENT_COLUMNS} FROM users WHERE id = $1`, [userId]),
+        query(
+            `SELECT s.*, p.name AS plan_name, p.billing_interval
+             FROM user_subscriptions s
+             LEFT JOIN subscription_plans p ON s.plan_id = p.id
+             WHERE s.user_id = $1 AND s.status NOT IN ('pending', 'abandoned')
+             ORDER BY s.created_at DESC LIMIT 1`,
+            [userId]
+        )
+    ]);
+    const user = userRes.rows[0];
+    const now = new Date();
+    return {
+        access: {
+            isPremium: hasPremiumAccess(user, now),
+            sessionsLeft: user.sessions_left,
+            premiumExpiry: user.premium_expiry && new Date(user.premium_expiry) > now ? user.premium_expiry : null,
+            passSessionsLeft: user.pass_sessions_expiry && new Date(user.pass_sessions_expiry) > now ? user.pass_sessions_left : 0,
+            passSessionsExpiry: user.pass_sessions_expiry && new Date(user.pass_sessions_expiry) > now ? user.pass_sessions_expiry : null
+        },
+        subscription: subscriptionRes.rows[0] ? toPublicSubscription(subscriptionRes.rows[0]) : null
+    };
+};
+
+module.exports = {
+    BILLING_INTERVALS,
+    startSubscription,
+    recordCharge,
+    recordChargeFailure,
+    recordSubscriptionUpdate,
+    recordSubscriptionEnd,
+    cancelSubscription,
+    expireLapsedGrace,
+    getSubscriptionStatus
+};
@@ -0,0 +1,50 @@
+const { query } = require('../db');
+const { listBookmarks } = require('./bookmarkService');
+const { getUserProgress } = require('./gamificationService');
+
+// Everything a user can download about their own account and study activity
+const buildUserExport = async (userId) => {
+    const [profile, history, practiceSessions, mockAttempts, skills, payments, bookmarks, achievements, xpEvents] = await Promise.all([
+        query('SELECT id, username, email, role, is_premium, premium_expiry, sessions_left, leaderboard_opt_out, created_at FROM users WHERE id = $1', [userId]),
+        query(
+            `SELECT h.mcq_id, m.question, m.subject, m.chapter, h.is_correct, h.attempted_at
+             FROM user_mcq_history h
+             LEFT JOIN mcq_pool m ON m.id = h.mcq_id
+             WHERE h.user_id = $1
+             ORDER BY h.attempted_at DESC`,
+            [userId]
+        ),
+        query(
+            `SELECT id, source, topic, correct_count, total_questions, status, created_at, completed_at
+             FROM practice_sessions WHERE user_id = $1 ORDER BY created_at DESC`,
+            [userId]
+        ),
+        query(
+            `SELECT a.id, COALESCE(b.title, p.title) as title, a.status, a.started_at, a.submitted_at, a.score, a.max_score
+             FROM mock_test_attempts a
+             LEFT JOIN mock_test_blueprints b ON a.blueprint_id = b.id
+             LEFT JOIN previous_year_papers p ON a.paper_id = p.id
+             WHERE a.user_id = $1 ORDER BY a.started_at DESC`,
+            [userId]
+        ),
+        query('SELECT subject, rating, attempts, updated_at FROM user_skill_ratings WHERE user_id = $1 ORDER BY subject ASC', [userId]),
+        query('SELECT razorpay_order_id, razorpay_payment_id, amount, status, created_at FROM payments WHERE user_id = $1 ORDER BY created_at DESC', [userId]),
+        listBookmarks(userId),
+        getUserProgress(userId),
+        query('SELECT amount, source, ref, created_at FROM user_xp_events WHERE user_id = $1 ORDER BY created_at DESC', [userId])
+    ]);
+
+    return {
+        exportedAt: new Date(),
+        profile: profile.rows[0],
+        bookmarks: bookmarks.bookmarks,
+        answerHistory: history.rows,
+        practiceSessions: practiceSessions.rows,
+        mockTestAttempts: mockAttempts.rows,
+        skillRatings: skills.rows,
+        achievements: { ...achievements, xpHistory: xpEvents.rows },
+        payments: payments.rows
+    };
+};
+
+module.exports = { buildUserExport };
@@ -0,0 +1,106 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+const db = installFakeDb();
+const { pool } = require('../db');
+const { evaluateCoupon, redeemCoupon } = require('../services/couponService');
+
+const PLAN = { id: 2, price: '499' };
+const COUPON = {
+    id: 5, code: 'WELCOME20', is_active: true, discount_type: 'percent', discount_value: '20', currency: null,
+    bonus_sessions: 0, plan_ids: null, max_redemptions: null, redemption_count: 0, per_user_limit: null,
+    first_purchase_only: false, starts_at: null, expires_at: null
+};
+
+// The coupon, the user's earlier redemptions of it, their unpaid orders with it and their paid purchases
+const useCoupon = (overrides = {}, { usedByUser = 0, pending = 0, purchases = 0 } = {}) => {
+    db.on(/FROM coupons WHERE code/, [{ ...COUPON, ...overrides }])
+        .on(/FROM coupon_redemptions WHERE coupon_id/, [{ count: String(usedByUser) }])
+        .on(/FROM payments WHERE coupon_id/, [{ count: String(pending) }])
+        .on(/FROM payments WHERE user_id/, [{ count: String(purchases) }]);
+};
+
+const evaluate = (code = 'welcome20 ', listAmount = 499) => evaluateCoupon({ code, userId: 7, plan: PLAN, currency: 'INR', listAmount });
+
+beforeEach(() => db.reset());
+
+test('a valid coupon takes its discount off the list price', async () => {
+    useCoupon();
+    const quote = await evaluate();
+    assert.equal(quote.discount, 99.8);
+    assert.equal(quote.amount, 399.2);
+    assert.equal(db.calls[0].params[0], 'WELCOME20');
+});
+
+test('a coupon is refused once its total redemptions reach the cap', async () => {
+    useCoupon({ max_redemptions: 100, redemption_count: 100 });
+    assert.equal((await evaluate()).error.body.code, 'COUPON_EXHAUSTED');
+});
+
+test('a coupon under its total cap is accepted', async () => {
+    useCoupon({ max_redemptions: 100, redemption_count: 99 });
+    assert.equal((await evaluate()).error, undefined);
+});
+
+test('a user cannot redeem a coupon more often than its per-user limit', async () => {
+    useCoupon({ per_user_limit: 1 }, { usedByUser: 1 });
+    assert.equal((await evaluate()).error.body.code, 'COUPON_LIMIT_REACHED');
+});
+
+test('an unpaid order with the code counts towards the per-user limit', async () => {
+    useCoupon({ per_user_limit: 2 }, { usedByUser: 1, pending: 1 });
+    const quote = await evaluate();
+    assert.equal(quote.error.body.code, 'COUPON_PENDING_ORDER');
+    assert.equal(quote.error.status, 409);
+});
+
+test('a first-purchase coupon allows a single unpaid order', async () => {
+    useCoupon({ first_purchase_only: true, per_user_limit: null }, { pending: 1 });
+    assert.equal((await evaluate()).error.body.code, 'COUPON_PENDING_ORDER');
+});
+
+test('a first-purchase coupon is refused after a paid purchase', async () => {
+    useCoupon({ first_purchase_only: true }, { purchases: 1 });
+    assert.equal((await evaluate()).error.body.code, 'COUPON_FIRST_PURCHASE_ONLY');
+});
+
+test('unknown, inactive, expired and not yet started coupons are refused', async () => {
+    assert.equal((await evaluate('NOPE')).error.body.code, 'COUPON_INVALID');
+
+    const cases = [
+        [{ is_active: false }, 'COUPON_INVALID'],
+        [{ expires_at: new Date(Date.now() - 1000) }, 'COUPON_EXPIRED'],
+        [{ starts_at: new Date(Date.now() + 60 * 60 * 1000) }, 'COUPON_NOT_STARTED'],
+        [{ plan_ids: [3] }, 'COUPON_NOT_ELIGIBLE']
+    ];
+    for (const [overrides, code] of cases) {
+        db.reset();
+        useCoupon(overrides);
+        assert.equal((await evaluate()).error.body.code, code);
+    }
+});
+
+test('a flat discount never takes the price below the minimum charge', async () => {
+    useCoupon({ discount_type: 'flat', discount_value: '1000', currency: 'INR' });
+    const quote = await evaluate();
+    assert.equal(quote.amount, 1);
+    assert.equal(quote.discount, 498);
+});
+
+test('redeeming counts the use once per payment and grants its bonus sessions', async () => {
+    let redemptions = 0;
+    db.on(/SELECT bonus_sessions FROM coupons/, [{ bonus_sessions: 3 }])
+        .on(/INSERT INTO coupon_redemptions/, () => redemptions++ === 0 ? [{ id: 1 }] : []);
+    const payment = { id: 11, user_id: 7, coupon_id: COUPON.id, discount_amount: '99.80' };
+
+    const client = await pool.connect();
+    await redeemCoupon(client, payment);
+    await redeemCoupon(client, payment);
+
+    assert.equal(db.ran(/UPDATE coupons SET redemption_count/).length, 1);
+    assert.deepEqual(db.ran(/UPDATE users SET sessions_left/).map(c => c.params), [[3, 7]]);
+    // is_premium is derived by the entitlement service, not set here
+    assert.equal(db.ran(/is_premium = TRUE/).length, 0);
+    assert.equal(db.ran(/UPDATE users SET is_premium = \(/).length, 1);
+});
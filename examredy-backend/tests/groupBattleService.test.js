@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+const db = installFakeDb();
+const { pool } = require('../db');
+const { gradeGroupAnswer } = require('../services/groupBattleService');
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+
+// A running 30-second-per-question battle on round 1; question 1 was served `servedSecondsAgo` ago
+const battle = ({ servedSecondsAgo = 0, ...overrides } = {}) => ({
+    session: { id: 'ABC123', status: 'active', current_round: 1, round_phase: 'question', seconds_per_question: 30, reveal_answers: false, ...overrides },
+    questions: [
+        { id: 20, correct_option: 0, explanation: 'First', served_at: secondsAgo(60) },
+        { id: 21, correct_option: 2, explanation: 'Second', served_at: secondsAgo(servedSecondsAgo) },
+        { id: 22, correct_option: 1, explanation: 'Third' }
+    ]
+});
+
+// group_answers for one player, with the unique (session, user, question) key
+const useAnswers = () => {
+    const answers = [];
+    db.on(/INSERT INTO group_answers/, ([, userId, questionIndex, questionId, selected, isCorrect, points]) => {
+        if (answers.some(a => a.userId === userId && a.questionIndex === questionIndex)) return [];
+        answers.push({ userId, questionIndex, questionId, selected, isCorrect, points });
+        return [{ question_index: questionIndex }];
+    })
+        .on(/FROM group_answers WHERE session_id/, () => [{
+            score: answers.reduce((sum, a) => sum + a.points, 0),
+            answered: answers.length
+        }]);
+    return answers;
+};
+
+const grade = async ({ session, questions }, questionIndex, selectedOption) =>
+    gradeGroupAnswer(await pool.connect(), session, questions, 7, questionIndex, selectedOption);
+
+beforeEach(() => db.reset());
+
+test('a correct answer is graded on the server with a bonus that shrinks towards the deadline', async () => {
+    useAnswers();
+
+    const fast = await grade(battle({ servedSecondsAgo: 0 }), 1, 2);
+    assert.equal(fast.is_correct, true);
+    assert.equal(fast.points, 20);
+    assert.equal(fast.score, 20);
+    assert.equal(fast.correct_option, undefined);
+
+    db.reset();
+    useAnswers();
+    const slow = await grade(battle({ servedSecondsAgo: 24 }), 1, 2);
+    assert.equal(slow.points, 12);
+});
+
+test('wrong or malformed answers score nothing, and the key is only revealed when the host allows it', async () => {
+    useAnswers();
+
+    const wrong = await grade(battle({ reveal_answers: true }), 1, 0);
+    assert.deepEqual([wrong.is_correct, wrong.points, wrong.correct_option, wrong.explanation], [false, 0, 2, 'Second']);
+
+    db.reset();
+    const stored = useAnswers();
+    const malformed = await grade(battle(), 1, '2');
+    assert.equal(malformed.is_correct, false);
+    assert.equal(stored[0].selected, null);
+});
+
+test('only the open round takes answers, and only until its deadline plus the grace period', async () => {
+    const answers = useAnswers();
+
+    assert.equal((await grade(battle(), 2, 1)).error.body.code, 'ROUND_NOT_OPEN');
+    assert.equal((await grade(battle(), 0, 0)).error.body.code, 'DEADLINE_PASSED');
+    assert.equal((await grade(battle({ round_phase: 'intermission' }), 1, 2)).error.body.code, 'DEADLINE_PASSED');
+    assert.equal((await grade(battle({ servedSecondsAgo: 35 }), 1, 2)).error.body.code, 'DEADLINE_PASSED');
+    assert.equal((await grade(battle(), 5, 0)).error.status, 404);
+    assert.equal(answers.length, 0);
+
+    // Inside the grace period the answer counts, without a speed bonus
+    const late = await grade(battle({ servedSecondsAgo: 31 }), 1, 2);
+    assert.equal(late.points, 10);
+});
+
+test('a question is graded once per player', async () => {
+    const answers = useAnswers();
+
+    assert.equal((await grade(battle(), 1, 2)).is_correct, true);
+    const again = await grade(battle(), 1, 2);
+    assert.equal(again.error.body.code, 'ALREADY_ANSWERED');
+    assert.equal(answers.length, 1);
+});
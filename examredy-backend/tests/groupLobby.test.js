@@ -0,0 +1,156 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+process.env.JWT_SECRET = 'test_jwt_secret';
+const db = installFakeDb();
+const groupRoutes = require('../routes/group');
+const { migrateAbsentHosts } = require('../services/groupLobbyService');
+
+const CODE = 'ABC123';
+const USERS = [1, 2, 3].map(id => ({ id, username: `player${id}`, role: 'user', is_active: true }));
+const tokenFor = (id) => jwt.sign({ id }, process.env.JWT_SECRET);
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/group', groupRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// A lobby hosted by user 1 with players 2 and 3 (joined in that order), kept in memory as the routes change it
+const useLobby = ({ status = 'lobby', lastSeen = {} } = {}) => {
+    const state = {
+        session: { id: CODE, creator_id: 1, status, mode: 'battle', is_active: true, is_locked: false, kicked_user_ids: [] },
+        participants: [1, 2, 3].map((userId, i) => ({ user_id: userId, joined_at: i, last_seen_at: lastSeen[userId] ?? new Date() }))
+    };
+    db.on(/FROM users WHERE id = \$1/, ([id]) => USERS.filter(u => u.id === id))
+        .on(/FROM group_sessions WHERE id = \$1( AND is_active = TRUE)? FOR UPDATE/, ([id]) =>
+            id === CODE && state.session.is_active ? [{ ...state.session }] : [])
+        .on(/SELECT 1 FROM group_participants WHERE session_id = \$1 AND user_id = \$2/, ([, userId]) =>
+            state.participants.filter(p => p.user_id === userId).map(() => ({ '?column?': 1 })))
+        .on(/DELETE FROM group_participants/, ([, userId]) => {
+            const removed = state.participants.filter(p => p.user_id === userId);
+            state.participants = state.participants.filter(p => p.user_id !== userId);
+            return removed.map(p => ({ user_id: p.user_id }));
+        })
+        .on(/SET kicked_user_ids/, ([userId]) => {
+            state.session.kicked_user_ids.push(userId);
+            return [];
+        })
+        .on(/SELECT user_id, last_seen_at FROM group_participants/, ([, excludeUserId]) =>
+            state.participants.filter(p => p.user_id !== excludeUserId))
+        .on(/UPDATE group_sessions SET creator_id = \$1/, ([userId]) => {
+            state.session.creator_id = userId;
+            return [];
+        })
+        .on(/UPDATE group_sessions SET is_active = FALSE/, () => {
+            state.session.is_active = false;
+            return [];
+        })
+        .on(/FROM group_participants gp\s+JOIN users u/, () =>
+            state.participants.map(p => ({ user_id: p.user_id, username: `player${p.user_id}`, score: 0, role: 'player', team: null })));
+    return state;
+};
+
+const post = async (userId, path, body = {}) => {
+    const res = await fetch(`${baseUrl}/api/group/${CODE}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenFor(userId)}` },
+        body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+beforeEach(() => db.reset());
+
+test('the host kicks a player, who is removed and recorded so they cannot rejoin', async () => {
+    const state = useLobby();
+
+    const res = await post(1, 'kick', { userId: 2 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.participants.map(p => p.userId), [1, 3]);
+    assert.deepEqual(state.participants.map(p => p.user_id), [1, 3]);
+    assert.deepEqual(state.session.kicked_user_ids, [2]);
+});
+
+test('only the host can kick, and nobody kicks themselves', async () => {
+    const state = useLobby();
+
+    assert.equal((await post(2, 'kick', { userId: 3 })).status, 403);
+    assert.equal((await post(1, 'kick', { userId: 1 })).status, 400);
+    assert.equal((await post(1, 'kick', { userId: 9 })).status, 404);
+    assert.equal(state.participants.length, 3);
+    assert.deepEqual(state.session.kicked_user_ids, []);
+});
+
+test('a kick that committed still succeeds when notifying the lobby fails', async () => {
+    db.on(/FROM group_participants gp\s+JOIN users u/, () => {
+        throw new Error('connection reset');
+    });
+    const state = useLobby();
+
+    const res = await post(1, 'kick', { userId: 2 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.participants, null);
+    assert.deepEqual(state.participants.map(p => p.user_id), [1, 3]);
+});
+
+test('a player leaving keeps the host; a host leaving with only an absent player left still hands over', async () => {
+    const state = useLobby({ lastSeen: { 2: minutesAgo(10) } });
+
+    const left = await post(3, 'leave');
+    assert.equal(left.status, 200);
+    assert.equal(left.body.hostId, 1);
+    assert.deepEqual(state.participants.map(p => p.user_id), [1, 2]);
+
+    // Player 2 has been away, but is the only one left to take over
+    const hostLeft = await post(1, 'leave');
+    assert.equal(hostLeft.status, 200);
+    assert.equal(hostLeft.body.hostId, 2);
+    assert.equal(state.session.creator_id, 2);
+});
+
+test('a departing host skips an absent player for a present one', async () => {
+    const state = useLobby({ lastSeen: { 2: minutesAgo(10) } });
+
+    const res = await post(1, 'leave');
+    assert.equal(res.body.hostId, 3);
+    assert.equal(state.session.creator_id, 3);
+    assert.equal(res.body.closed, false);
+});
+
+test('the last player out closes the session', async () => {
+    const state = useLobby();
+    state.participants = state.participants.filter(p => p.user_id === 1);
+
+    const res = await post(1, 'leave');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.closed, true);
+    assert.equal(state.session.is_active, false);
+});
+
+test('an absent host loses host rights to a present player, but not to another absent one', async () => {
+    const state = useLobby({ lastSeen: { 1: minutesAgo(5), 2: minutesAgo(5) } });
+    db.on(/FROM group_sessions gs\s+JOIN group_participants gp/, () => [{ id: CODE, creator_id: state.session.creator_id }])
+        .on(/FROM group_sessions WHERE id = \$1 AND creator_id = \$2 FOR UPDATE/, ([, creatorId]) =>
+            creatorId === state.session.creator_id ? [{ ...state.session }] : []);
+
+    assert.equal(await migrateAbsentHosts(), 1);
+    assert.equal(state.session.creator_id, 3);
+
+    state.participants.find(p => p.user_id === 3).last_seen_at = minutesAgo(5);
+    assert.equal(await migrateAbsentHosts(), 0);
+    assert.equal(state.session.creator_id, 3);
+});
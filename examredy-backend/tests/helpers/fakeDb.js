@@ -0,0 +1,43 @@
+const Module = require('module');
+
+// Stand-in for ../db so services and routes run without Postgres. Each statement is answered by the first
+// handler whose pattern matches its SQL (rows, or a function of the params returning rows; unmatched
+// statements get no rows) and recorded in calls. Install it before requiring the code under test.
+const installFakeDb = () => {
+    const handlers = [];
+    const calls = [];
+
+    const query = async (sql, params = []) => {
+        calls.push({ sql, params });
+        const handler = handlers.find(h => h.pattern.test(sql));
+        const rows = handler ? (typeof handler.rows === 'function' ? await handler.rows(params, sql) : handler.rows) : [];
+        return { rows: rows || [], rowCount: (rows || []).length };
+    };
+
+    const db = {
+        calls,
+        on: (pattern, rows) => {
+            handlers.push({ pattern, rows });
+            return db;
+        },
+        reset: () => {
+            handlers.length = 0;
+            calls.length = 0;
+        },
+        // Statements run so far whose SQL matches
+        ran: (pattern) => calls.filter(c => pattern.test(c.sql))
+    };
+
+    const dbPath = require.resolve('../../db');
+    const fake = new Module(dbPath);
+    fake.filename = dbPath;
+    fake.loaded = true;
+    fake.exports = {
+        query,
+        pool: { query, connect: async () => ({ query, release: () => { } }) }
+    };
+    require.cache[dbPath] = fake;
+    return db;
+};
+
+module.exports = { installFakeDb };
@@ -0,0 +1,83 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+const db = installFakeDb();
+const { splitTax, issueInvoice, issueMissingInvoices } = require('../services/invoiceService');
+
+const PAYMENT = {
+    id: 11, user_id: 7, plan_id: 2, plan_name: 'Starter', amount: '590.00', currency: 'INR', discount_amount: '0',
+    username: 'asha', email: 'asha@example.com', state: 'Karnataka'
+};
+
+// One captured payment without an invoice, and an invoice counter at 41
+const useCapturedPayment = () => {
+    db.on(/FROM payments WHERE id = \$1 AND status IN/, [{ id: PAYMENT.id }])
+        .on(/FROM invoices WHERE payment_id/, [])
+        .on(/FROM payments p\s+JOIN users/, [PAYMENT])
+        .on(/FROM system_settings/, [{ key: 'INVOICE_SELLER_STATE', value: 'Karnataka' }])
+        .on(/INSERT INTO invoice_sequences/, [{ last_number: 42 }])
+        .on(/INSERT INTO invoices/, (params) => [{ id: 3, invoice_number: params[0], payment_id: params[3] }]);
+};
+
+beforeEach(() => db.reset());
+
+test('GST-inclusive totals split into CGST and SGST within the seller state and IGST outside it', () => {
+    assert.deepEqual(
+        splitTax({ total: 590, currency: 'INR', gstRate: 18, sellerState: 'Karnataka', buyerState: 'karnataka' }),
+        { supplyType: 'intra_state', gstRate: 18, taxable: 500, cgst: 45, sgst: 45, igst: 0 }
+    );
+    assert.deepEqual(
+        splitTax({ total: 590, currency: 'INR', gstRate: 18, sellerState: 'Karnataka', buyerState: 'Kerala' }),
+        { supplyType: 'inter_state', gstRate: 18, taxable: 500, cgst: 0, sgst: 0, igst: 90 }
+    );
+    assert.equal(splitTax({ total: 10, currency: 'USD', gstRate: 18, sellerState: 'Karnataka' }).supplyType, 'export');
+});
+
+test('a captured payment gets the next invoice number of the financial year', async () => {
+    useCapturedPayment();
+
+    const invoice = await issueInvoice(PAYMENT.id);
+    assert.match(invoice.invoice_number, /^ER\/\d{2}-\d{2}\/00042$/);
+    assert.equal(invoice.payment_id, PAYMENT.id);
+    assert.equal(db.ran(/^COMMIT/).length, 1);
+});
+
+test('a payment that already has an invoice gets it back without using a number', async () => {
+    db.on(/FROM payments WHERE id = \$1 AND status IN/, [{ id: PAYMENT.id }])
+        .on(/FROM invoices WHERE payment_id/, [{ id: 3, invoice_number: 'ER/26-27/00042' }]);
+
+    const invoice = await issueInvoice(PAYMENT.id);
+    assert.equal(invoice.invoice_number, 'ER/26-27/00042');
+    assert.equal(db.ran(/INSERT INTO invoice_sequences/).length, 0);
+});
+
+test('no invoice is issued for a payment that is not captured or has no user', async () => {
+    assert.equal(await issueInvoice(PAYMENT.id), null);
+
+    db.on(/FROM payments WHERE id = \$1 AND status IN/, [{ id: PAYMENT.id }]);
+    assert.equal(await issueInvoice(PAYMENT.id), null);
+    assert.equal(db.ran(/INSERT INTO invoices/).length, 0);
+});
+
+test('an invoice failure is rolled back and reported as no invoice instead of thrown', async () => {
+    db.on(/INSERT INTO invoices/, () => { throw new Error('invoices unavailable'); });
+    useCapturedPayment();
+    const logged = console.error;
+    console.error = () => { };
+    try {
+        assert.equal(await issueInvoice(PAYMENT.id), null);
+    } finally {
+        console.error = logged;
+    }
+    assert.equal(db.ran(/^ROLLBACK/).length, 1);
+    assert.equal(db.ran(/^COMMIT/).length, 0);
+});
+
+test('the backfill invoices captured payments that have none', async () => {
+    db.on(/NOT EXISTS \(SELECT 1 FROM invoices/, [{ id: 11 }, { id: 12 }]);
+    db.on(/FROM payments WHERE id = \$1 AND status IN/, ([id]) => id === 11 ? [{ id }] : []);
+    useCapturedPayment();
+
+    assert.equal(await issueMissingInvoices(), 1);
+});
@@ -0,0 +1,102 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+process.env.JWT_SECRET = 'test_jwt_secret';
+const db = installFakeDb();
+const mcqRoutes = require('../routes/mcq');
+
+// A Prime user paying per session
+const USER = { id: 7, username: 'asha', role: 'user', is_active: true, sessions_left: 5 };
+const QUESTION = { id: 21, question: '2 + 2?', options: ['3', '4', '5', '6'], correct_option: 1, explanation: 'Basic sums' };
+const token = jwt.sign({ id: USER.id }, process.env.JWT_SECRET);
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/mcq', mcqRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// The signed-in user and a pool holding the given questions
+const usePool = (questions) => {
+    db.on(/FROM users WHERE id = \$1/, [USER])
+        .on(/SELECT p\.id FROM mcq_pool p/, questions.map(q => ({ id: q.id })))
+        .on(/AS total/, [{ total: questions.length, unseen: questions.length }])
+        .on(/FROM mcq_pool WHERE id = ANY/, questions)
+        .on(/INSERT INTO practice_sessions/, [{ id: 9 }]);
+};
+
+const practice = async (qs) => {
+    const res = await fetch(`${baseUrl}/api/mcq/practice?adaptive=false&${qs || ''}`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+const chargedSessions = () => db.ran(/UPDATE users SET sessions_left = sessions_left - 1/).length;
+
+beforeEach(() => db.reset());
+
+test('a practice set is served from the pool and uses one session', async () => {
+    usePool([QUESTION]);
+
+    const res = await practice('subject_id=3');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.sessionId, 9);
+    assert.deepEqual(res.body.mcqs.map(q => q.id), [21]);
+    assert.equal(res.body.mcqs[0].correct_option, undefined);
+    assert.equal(chargedSessions(), 1);
+});
+
+test('filters that match no questions return an empty set without using a session', async () => {
+    usePool([]);
+
+    const res = await practice('subject_id=3');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.sessionId, null);
+    assert.deepEqual(res.body.mcqs, []);
+    assert.equal(chargedSessions(), 0);
+    assert.equal(db.ran(/^BEGIN/).length, 0);
+    assert.equal(db.ran(/INSERT INTO practice_sessions/).length, 0);
+});
+
+test('a review filtered to a scope with nothing due uses no session even when other cards are due', async () => {
+    db.on(/FROM users WHERE id = \$1/, [USER])
+        .on(/FROM user_review_queue rq/, (params, sql) => (/subject_id = /.test(sql) ? [] : [QUESTION]))
+        .on(/FROM user_review_queue WHERE user_id/, [{ due: '4', total: '6', next_due_at: null }]);
+
+    const res = await fetch(`${baseUrl}/api/mcq/review?subject_id=3`, { headers: { Authorization: `Bearer ${token}` } });
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(body.sessionId, null);
+    assert.deepEqual(body.mcqs, []);
+    assert.equal(chargedSessions(), 0);
+    assert.equal(db.ran(/INSERT INTO practice_sessions/).length, 0);
+});
+
+test('completing a session needs a numeric session id', async () => {
+    db.on(/FROM users WHERE id = \$1/, [USER])
+        .on(/UPDATE practice_sessions/, ([id, userId]) =>
+            id === 9 && userId === USER.id ? [{ id: 9, correct_count: 1, total_questions: 1, answers: {}, questions: [QUESTION] }] : []);
+    const complete = (id) => fetch(`${baseUrl}/api/mcq/sessions/${id}/complete`, { method: 'POST', headers: { Authorization: `Bearer ${token}` } });
+
+    for (const id of ['abc', '1.5', '-1', '0', '9%3B%20DROP']) {
+        assert.equal((await complete(id)).status, 400, `id ${id}`);
+    }
+    assert.equal(db.ran(/UPDATE practice_sessions/).length, 0);
+
+    assert.equal((await complete(10)).status, 404);
+    const res = await complete(9);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).sessionId, 9);
+});
@@ -0,0 +1,101 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+process.env.JWT_SECRET = 'test_jwt_secret';
+const db = installFakeDb();
+const mcqRoutes = require('../routes/mcq');
+
+const USER = { id: 7, username: 'asha', role: 'user', is_active: true, sessions_left: 5 };
+const QUESTION = { id: 21, question: '2 + 2?', options: ['3', '4', '5', '6'], correct_option: 1, explanation: 'Basic sums' };
+const token = jwt.sign({ id: USER.id }, process.env.JWT_SECRET);
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/mcq', mcqRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// The signed-in user and their practice session 9 holding QUESTION
+const useSession = (overrides = {}) => {
+    db.on(/FROM users WHERE id = \$1/, [USER])
+        .on(/FROM practice_sessions WHERE id = \$1 AND user_id = \$2 FOR UPDATE/, ([id, userId]) =>
+            id === 9 && userId === USER.id ? [{ id: 9, user_id: USER.id, status: 'active', questions: [QUESTION], answers: {}, ...overrides }] : [])
+        .on(/INSERT INTO user_stats/, [{ xp_total: 5, current_streak: 1, longest_streak: 1 }]);
+};
+
+const submit = async (body) => {
+    const res = await fetch(`${baseUrl}/api/mcq/submit`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+const wroteAnswer = () => db.ran(/UPDATE practice_sessions/).length + db.ran(/INSERT INTO user_mcq_history/).length + db.ran(/INSERT INTO user_xp_events/).length;
+
+beforeEach(() => db.reset());
+
+test('an answer to a session question is graded and stored once', async () => {
+    useSession();
+    db.on(/FROM mcq_pool WHERE id = \$1 FOR UPDATE/, [{ id: 21, subject: 'Maths', difficulty: 'easy', rating: 1000 }])
+        .on(/INSERT INTO user_skill_ratings/, [{ rating: 1000, attempts: 0 }]);
+
+    const res = await submit({ session_id: 9, mcq_id: 21, selected_option: 1 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.is_correct, true);
+    assert.equal(res.body.correct_option, 1);
+    assert.deepEqual(db.ran(/UPDATE practice_sessions/)[0].params, ['21', 1, true, 1, 9]);
+    assert.equal(db.ran(/INSERT INTO user_mcq_history/).length, 1);
+});
+
+test('an answer without a session is refused without grading or recording anything', async () => {
+    useSession();
+    for (const session_id of [undefined, null, '', 'abc', 0, -1, 1.5]) {
+        const res = await submit({ session_id, mcq_id: 21, selected_option: 1 });
+        assert.equal(res.status, 400, `session_id ${session_id}`);
+        assert.equal(res.body.correct_option, undefined);
+    }
+    assert.equal(db.ran(/^BEGIN/).length, 0);
+    assert.equal(wroteAnswer(), 0);
+});
+
+test('selected_option must be an option index', async () => {
+    useSession();
+    for (const selected_option of [undefined, null, '', 'x', '1; DROP TABLE users', 1.5, -1, true, 4]) {
+        const res = await submit({ session_id: 9, mcq_id: 21, selected_option });
+        assert.equal(res.status, 400, `selected_option ${selected_option}`);
+    }
+    assert.equal(wroteAnswer(), 0);
+});
+
+test('a question already answered in the session cannot be resubmitted', async () => {
+    useSession({ answers: { 21: { selected_option: 0, is_correct: false } } });
+
+    const res = await submit({ session_id: 9, mcq_id: 21, selected_option: 1 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.correct_option, undefined);
+    assert.equal(wroteAnswer(), 0);
+});
+
+test('answers are refused for completed sessions, other users\' sessions and questions outside the session', async () => {
+    useSession({ status: 'completed' });
+    assert.equal((await submit({ session_id: 9, mcq_id: 21, selected_option: 1 })).status, 400);
+
+    db.reset();
+    useSession();
+    assert.equal((await submit({ session_id: 10, mcq_id: 21, selected_option: 1 })).status, 404);
+    assert.equal((await submit({ session_id: 9, mcq_id: 22, selected_option: 1 })).status, 404);
+    assert.equal(wroteAnswer(), 0);
+});
@@ -0,0 +1,119 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+const db = installFakeDb();
+const { pool } = require('../db');
+const { startAttempt, finalizeAttempt } = require('../services/mockTestService');
+
+const QUESTIONS = [{ id: 21, correct_option: 1, marks: 4, negative_marks: 1 }];
+const START = { source: 'blueprint_id', sourceId: 3, questions: QUESTIONS, durationMinutes: 60 };
+
+// A Prime user with `sessions` left and the open attempt (if any) found under their row lock
+const useUser = (sessions, openAttempt = null) => {
+    db.on(/FROM users WHERE id = \$1 FOR UPDATE/, [{ id: 7, sessions_left: sessions, pass_sessions_left: 0 }])
+        .on(/FROM mock_test_attempts\s+WHERE blueprint_id = \$1/, () => (openAttempt ? [openAttempt] : []))
+        .on(/INSERT INTO mock_test_attempts/, ([sourceId, userId]) => [{ id: 40, blueprint_id: sourceId, user_id: userId, status: 'in_progress' }]);
+};
+
+const charged = () => db.ran(/UPDATE users SET sessions_left = sessions_left - 1/).length;
+
+beforeEach(() => db.reset());
+
+test('starting an attempt charges one session and inserts it in the same transaction', async () => {
+    useUser(3);
+    const client = await pool.connect();
+
+    const started = await startAttempt(client, 7, START);
+    assert.equal(started.resumed, false);
+    assert.equal(started.attempt.id, 40);
+    assert.equal(charged(), 1);
+
+    const order = db.calls.map(c => c.sql.trim().split(/\s+/)[0]);
+    assert.equal(order[0], 'BEGIN');
+    assert.equal(order[order.length - 1], 'COMMIT');
+    assert.ok(order.indexOf('INSERT') < order.lastIndexOf('COMMIT'));
+});
+
+test('a start that finds an attempt created by a concurrent request resumes it without charging', async () => {
+    useUser(3, { id: 39, blueprint_id: 3, user_id: 7, status: 'in_progress' });
+    const client = await pool.connect();
+
+    const started = await startAttempt(client, 7, START);
+    assert.equal(started.resumed, true);
+    assert.equal(started.attempt.id, 39);
+    assert.equal(charged(), 0);
+    assert.equal(db.ran(/INSERT INTO mock_test_attempts/).length, 0);
+});
+
+test('a user without sessions gets no attempt', async () => {
+    useUser(0);
+    const client = await pool.connect();
+
+    const started = await startAttempt(client, 7, START);
+    assert.equal(started.error.body.code, 'SESSIONS_EXHAUSTED');
+    assert.equal(db.ran(/INSERT INTO mock_test_attempts/).length, 0);
+    assert.equal(db.ran(/^ROLLBACK/).length, 1);
+});
+
+test('a previous-year paper attempt is started and resumed by its paper id', async () => {
+    db.on(/FROM users WHERE id = \$1 FOR UPDATE/, [{ id: 7, sessions_left: 3, pass_sessions_left: 0 }])
+        .on(/FROM mock_test_attempts\s+WHERE paper_id = \$1/, ([paperId]) => (paperId === 5 ? [{ id: 41, paper_id: 5, user_id: 7 }] : []))
+        .on(/INSERT INTO mock_test_attempts \(paper_id/, ([paperId]) => [{ id: 42, paper_id: paperId, user_id: 7 }]);
+    const client = await pool.connect();
+
+    const resumed = await startAttempt(client, 7, { ...START, source: 'paper_id', sourceId: 5 });
+    assert.deepEqual([resumed.resumed, resumed.attempt.id], [true, 41]);
+
+    const started = await startAttempt(client, 7, { ...START, source: 'paper_id', sourceId: 6 });
+    assert.deepEqual([started.resumed, started.attempt.id], [false, 42]);
+    assert.equal(charged(), 1);
+});
+
+// Two sections marked +2 per correct answer; the second section deducts 0.66 per wrong one
+const BLUEPRINT = { id: 3, title: 'Full mock', sections: [{ name: 'Reasoning', question_count: 2 }, { name: 'Maths', question_count: 2 }] };
+const MARKED = [
+    { id: 31, section: 0, correct_option: 1, marks_per_correct: 2, negative_marks: 0.5 },
+    { id: 32, section: 0, correct_option: 2, marks_per_correct: 2, negative_marks: 0.5 },
+    { id: 33, section: 1, correct_option: 0, marks_per_correct: 2, negative_marks: 0.66 },
+    { id: 34, section: 1, correct_option: 3, marks_per_correct: 2, negative_marks: 0.66 }
+];
+
+const finalize = async (answers) => {
+    db.on(/INSERT INTO user_stats/, [{ xp_total: 0, current_streak: 1, longest_streak: 1 }])
+        .on(/UPDATE mock_test_attempts SET status/, ([status, submittedAt, score, maxScore, report]) =>
+            [{ id: 40, status, score, max_score: maxScore, report: JSON.parse(report) }]);
+    const attempt = {
+        id: 40, user_id: 7, questions: MARKED, answers,
+        started_at: new Date(Date.now() - 600 * 1000), expires_at: new Date(Date.now() + 600 * 1000)
+    };
+    return finalizeAttempt(await pool.connect(), attempt, BLUEPRINT);
+};
+
+test('wrong answers lose their negative marks, unanswered ones lose nothing', async () => {
+    const result = await finalize({
+        31: { selected_option: 1, time_spent_seconds: 20 },
+        32: { selected_option: 0, time_spent_seconds: 10 },
+        34: { selected_option: 2, time_spent_seconds: 30 }
+    });
+
+    assert.equal(result.status, 'submitted');
+    assert.equal(result.score, 0.84);
+    assert.equal(result.max_score, 8);
+    const { report } = result;
+    assert.deepEqual([report.correct, report.wrong, report.unanswered, report.accuracy], [1, 2, 1, 33.33]);
+    assert.deepEqual(report.sections.map(s => [s.name, s.score, s.maxScore, s.attempted]), [['Reasoning', 1.5, 4, 2], ['Maths', -0.66, 4, 1]]);
+    assert.deepEqual(report.questions.map(q => q.marks), [2, -0.5, 0, -0.66]);
+});
+
+test('an attempt with only wrong answers scores below zero', async () => {
+    const result = await finalize({
+        31: { selected_option: 0 },
+        32: { selected_option: 0 },
+        33: { selected_option: 1 },
+        34: { selected_option: 0 }
+    });
+
+    assert.equal(result.score, -2.32);
+    assert.equal(result.report.accuracy, 0);
+});
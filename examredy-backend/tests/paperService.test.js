@@ -0,0 +1,52 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+const db = installFakeDb();
+const { pool } = require('../db');
+const { importPaper } = require('../services/paperService');
+const { questionHash } = require('../utils/helpers');
+
+const PAPER = { title: 'Prelims 2024', year: 2024, category_id: 1, duration_minutes: 120, marks_per_correct: 2, negative_marks: 0.66, is_active: true };
+const question = (text, correct_option = 1) => ({ question: text, options: ['A', 'B', 'C', 'D'], correct_option });
+
+// A pool keyed by question hash; imports of new questions get ids from 100
+const usePool = (pooled) => {
+    const byHash = new Map(pooled.map(row => [questionHash(row.question), row]));
+    db.on(/INSERT INTO previous_year_papers/, [{ id: 5, ...PAPER }])
+        .on(/FROM mcq_pool WHERE question_hash = \$1/, ([hash]) => (byHash.has(hash) ? [byHash.get(hash)] : []))
+        .on(/INSERT INTO mcq_pool/, () => [{ id: 100 + db.ran(/INSERT INTO mcq_pool/).length }]);
+};
+
+const linked = () => db.ran(/INSERT INTO previous_year_paper_questions/).map(c => c.params[2]);
+
+beforeEach(() => db.reset());
+
+test('questions already approved in the pool with the same key are reused', async () => {
+    usePool([{ id: 7, question: 'Capital of India?', options: ['A', 'B', 'C', 'D'], correct_option: 1, is_approved: true }]);
+    const client = await pool.connect();
+
+    const result = await importPaper(client, PAPER, [question('capital of  INDIA?'), question('Longest river?')]);
+    assert.equal(result.conflicts, undefined);
+    assert.deepEqual([result.created, result.reused], [1, 1]);
+    assert.deepEqual(linked(), [7, 101]);
+});
+
+test('pooled questions with another answer key, other options or no approval are reported as conflicts', async () => {
+    usePool([
+        { id: 7, question: 'Capital of India?', options: ['A', 'B', 'C', 'D'], correct_option: 2, is_approved: true },
+        { id: 8, question: 'Longest river?', options: ['A', 'B', 'C', 'E'], correct_option: 1, is_approved: true },
+        { id: 9, question: 'Highest peak?', options: ['A', 'B', 'C', 'D'], correct_option: 1, is_approved: false }
+    ]);
+    const client = await pool.connect();
+
+    const result = await importPaper(client, PAPER, [
+        question('Capital of India?'), question('Longest river?'), question('Highest peak?'), question('Largest desert?')
+    ]);
+    assert.equal(result.paper, undefined);
+    assert.deepEqual(result.conflicts, [
+        { position: 1, mcq_id: 7, reason: 'answer key differs from the pool' },
+        { position: 2, mcq_id: 8, reason: 'options differ from the pool' },
+        { position: 3, mcq_id: 9, reason: 'not approved in the pool' }
+    ]);
+});
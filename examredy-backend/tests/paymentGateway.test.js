@@ -0,0 +1,93 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+const db = installFakeDb();
+const { getGateway } = require('../services/paymentGatewayService');
+
+const KEY_SECRET = 'test_key_secret';
+const WEBHOOK_SECRET = 'test_webhook_secret';
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const razorpay = getGateway('razorpay');
+
+beforeEach(() => {
+    db.reset();
+    process.env.RAZORPAY_KEY_SECRET = KEY_SECRET;
+    process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+});
+
+test('a correctly signed order checkout verifies', async () => {
+    const result = await razorpay.verifyCheckout({
+        razorpay_order_id: 'order_A1',
+        razorpay_payment_id: 'pay_B2',
+        razorpay_signature: sign(KEY_SECRET, 'order_A1|pay_B2')
+    });
+    assert.deepEqual(result, { orderId: 'order_A1', paymentId: 'pay_B2' });
+});
+
+test('a tampered or foreign signature is rejected', async () => {
+    const base = { razorpay_order_id: 'order_A1', razorpay_payment_id: 'pay_B2' };
+    assert.equal(await razorpay.verifyCheckout({ ...base, razorpay_signature: sign(KEY_SECRET, 'order_A1|pay_OTHER') }), null);
+    assert.equal(await razorpay.verifyCheckout({ ...base, razorpay_signature: sign('another_secret', 'order_A1|pay_B2') }), null);
+    assert.equal(await razorpay.verifyCheckout({ ...base, razorpay_signature: undefined }), null);
+});
+
+test('keys saved by an admin for the active gateway take precedence over the environment', async () => {
+    db.on(/FROM payment_gateway_settings/, [{ api_key: 'rzp_live', api_secret: 'admin_secret', is_active: true }]);
+    const params = { razorpay_order_id: 'order_A1', razorpay_payment_id: 'pay_B2' };
+    assert.equal(await razorpay.verifyCheckout({ ...params, razorpay_signature: sign(KEY_SECRET, 'order_A1|pay_B2') }), null);
+    assert.ok(await razorpay.verifyCheckout({ ...params, razorpay_signature: sign('admin_secret', 'order_A1|pay_B2') }));
+});
+
+test('a subscription signature cannot be replayed as an order signature', async () => {
+    // Subscription checkouts sign payment_id|subscription_id with the same key
+    const signature = sign(KEY_SECRET, 'pay_B2|sub_C3');
+    const result = await razorpay.verifyCheckout({
+        razorpay_order_id: 'pay_B2',
+        razorpay_payment_id: 'sub_C3',
+        razorpay_signature: signature
+    });
+    assert.equal(result, null);
+});
+
+test('an order signature cannot be replayed as a subscription signature', async () => {
+    const result = await razorpay.verifySubscriptionCheckout({
+        razorpay_payment_id: 'order_A1',
+        razorpay_subscription_id: 'pay_B2',
+        razorpay_signature: sign(KEY_SECRET, 'order_A1|pay_B2')
+    });
+    assert.equal(result, null);
+});
+
+test('a subscription checkout with a bad signature is rejected before the gateway is asked', async () => {
+    const result = await razorpay.verifySubscriptionCheckout({
+        razorpay_payment_id: 'pay_B2',
+        razorpay_subscription_id: 'sub_C3',
+        razorpay_signature: sign(KEY_SECRET, 'pay_B2|sub_OTHER')
+    });
+    assert.equal(result, null);
+});
+
+test('webhooks are parsed only with a valid signature', async () => {
+    const rawBody = Buffer.from(JSON.stringify({
+        event: 'payment.captured',
+        payload: { payment: { entity: { id: 'pay_B2', order_id: 'order_A1', amount: 49900, currency: 'INR' } } }
+    }));
+
+    const forged = await razorpay.parseWebhook(rawBody, { 'x-razorpay-signature': sign('another_secret', rawBody) });
+    assert.deepEqual(forged, { valid: false });
+
+    const event = await razorpay.parseWebhook(rawBody, { 'x-razorpay-signature': sign(WEBHOOK_SECRET, rawBody) });
+    assert.equal(event.valid, true);
+    assert.equal(event.type, 'captured');
+    assert.equal(event.orderId, 'order_A1');
+    assert.equal(event.paymentId, 'pay_B2');
+});
+
+test('webhooks are not accepted while no webhook secret is configured', async () => {
+    delete process.env.RAZORPAY_WEBHOOK_SECRET;
+    const rawBody = Buffer.from('{}');
+    assert.equal(await razorpay.parseWebhook(rawBody, { 'x-razorpay-signature': sign('', rawBody) }), null);
+});
@@ -0,0 +1,226 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+const db = installFakeDb();
+const { getGateway } = require('../services/paymentGatewayService');
+const { createOrder, capturePayment } = require('../services/paymentService');
+
+const razorpay = getGateway('razorpay');
+const PLAN = { id: 2, name: 'Starter', price: '499', plan_type: 'sessions', sessions_limit: 10 };
+
+// A payments table holding at most one order, which captures update in place
+const usePaymentsTable = (payment) => {
+    const table = { payment };
+    db.on(/^SELECT 1 FROM payments/, () => table.payment ? [{ '?column?': 1 }] : [])
+        .on(/FROM payments WHERE razorpay_order_id = \$1 FOR UPDATE/, () => table.payment ? [table.payment] : [])
+        .on(/^\s*INSERT INTO payments/, ([userId, planId, orderId, amount, currency]) => {
+            table.payment = { id: 11, user_id: userId, plan_id: planId, razorpay_order_id: orderId, amount, currency, status: 'created' };
+            return [table.payment];
+        })
+        .on(/^\s*UPDATE payments SET status = 'captured'/, ([paymentId, type, sessions, hours]) => {
+            table.payment = { ...table.payment, status: 'captured', razorpay_payment_id: paymentId, plan_type: type, sessions_granted: sessions, hours_granted: hours };
+            return [table.payment];
+        })
+        .on(/FROM subscription_plans WHERE id = \$1/, ([planId]) => planId === PLAN.id ? [PLAN] : []);
+    return table;
+};
+
+const grantsApplied = () => db.ran(/UPDATE users SET sessions_left = CASE/).length;
+
+const gatewayMethods = { ...razorpay };
+
+beforeEach(() => {
+    db.reset();
+    Object.assign(razorpay, gatewayMethods);
+});
+
+test('capturing an order grants its plan once, however often it is reported', async () => {
+    const table = usePaymentsTable({ id: 11, user_id: 7, plan_id: PLAN.id, razorpay_order_id: 'order_A1', status: 'created' });
+
+    const first = await capturePayment({ orderId: 'order_A1', paymentId: 'pay_B2', userId: 7, provider: 'razorpay', source: 'checkout' });
+    assert.equal(first.alreadyCaptured, false);
+    assert.equal(first.payment.status, 'captured');
+    assert.equal(first.payment.sessions_granted, 10);
+
+    const again = await capturePayment({ orderId: 'order_A1', paymentId: 'pay_B2', provider: 'razorpay', source: 'webhook' });
+    assert.equal(again.alreadyCaptured, true);
+    assert.equal(grantsApplied(), 1);
+    assert.equal(db.ran(/UPDATE payments SET status = 'captured'/).length, 1);
+    assert.equal(table.payment.status, 'captured');
+});
+
+test('a refunded order is not captured again', async () => {
+    usePaymentsTable({ id: 11, user_id: 7, plan_id: PLAN.id, razorpay_order_id: 'order_A1', status: 'refunded' });
+
+    const result = await capturePayment({ orderId: 'order_A1', paymentId: 'pay_B2', provider: 'razorpay', source: 'webhook' });
+    assert.equal(result.alreadyCaptured, true);
+    assert.equal(grantsApplied(), 0);
+});
+
+test('an order is not captured for another user', async () => {
+    usePaymentsTable({ id: 11, user_id: 7, plan_id: PLAN.id, razorpay_order_id: 'order_A1', status: 'created' });
+
+    const result = await capturePayment({ orderId: 'order_A1', paymentId: 'pay_B2', userId: 8, provider: 'razorpay', source: 'checkout' });
+    assert.equal(result.error.status, 403);
+    assert.equal(grantsApplied(), 0);
+});
+
+test('an order without a payments row is rejected unless it is a Razorpay order', async () => {
+    usePaymentsTable(null);
+    razorpay.fetchOrder = async () => assert.fail('only Razorpay orders are looked up');
+
+    for (const provider of ['stripe', null]) {
+        const result = await capturePayment({ orderId: 'cs_test_1', paymentId: 'pi_1', userId: 7, provider, source: 'checkout' });
+        assert.equal(result.error.body.code, 'ORDER_UNKNOWN');
+    }
+    assert.equal(db.ran(/^BEGIN/).length, 0);
+});
+
+test('a Razorpay order without a user and plan in its notes is rejected', async () => {
+    usePaymentsTable(null);
+    razorpay.fetchOrder = async (orderId) => ({ orderId, userId: 7, planId: null, amount: 1, currency: 'INR' });
+
+    const result = await capturePayment({ orderId: 'order_A1', paymentId: 'pay_B2', userId: 7, provider: 'razorpay', source: 'checkout' });
+    assert.equal(result.error.body.code, 'ORDER_UNKNOWN');
+    assert.equal(db.ran(/INSERT INTO payments/).length, 0);
+});
+
+test('a Razorpay order the gateway does not know is rejected', async () => {
+    usePaymentsTable(null);
+    razorpay.fetchOrder = async () => {
+        throw Object.assign(new Error('The id provided does not exist'), { statusCode: 400 });
+    };
+
+    const result = await capturePayment({ orderId: 'order_FAKE', paymentId: 'pay_B2', userId: 7, provider: 'razorpay', source: 'checkout' });
+    assert.equal(result.error.body.code, 'ORDER_UNKNOWN');
+});
+
+test('a legacy Razorpay order is recorded from the order as Razorpay holds it', async () => {
+    const table = usePaymentsTable(null);
+    razorpay.fetchOrder = async (orderId) => ({ orderId, userId: 7, planId: PLAN.id, amount: 499, currency: 'INR' });
+
+    const result = await capturePayment({ orderId: 'order_A1', paymentId: 'pay_B2', userId: 7, provider: 'razorpay', source: 'checkout' });
+    assert.equal(result.alreadyCaptured, false);
+    assert.deepEqual(db.ran(/INSERT INTO payments/)[0].params, [7, PLAN.id, 'order_A1', 499, 'INR']);
+    assert.equal(table.payment.status, 'captured');
+    assert.equal(grantsApplied(), 1);
+});
+
+test('a legacy Razorpay order placed by someone else is not captured for the caller', async () => {
+    usePaymentsTable(null);
+    razorpay.fetchOrder = async (orderId) => ({ orderId, userId: 7, planId: PLAN.id, amount: 499, currency: 'INR' });
+
+    const result = await capturePayment({ orderId: 'order_A1', paymentId: 'pay_B2', userId: 8, provider: 'razorpay', source: 'checkout' });
+    assert.equal(result.error.status, 403);
+    assert.equal(grantsApplied(), 0);
+    assert.equal(db.ran(/^COMMIT/).length, 0);
+});
+
+test('a failing invoice does not undo the capture', async () => {
+    const table = usePaymentsTable({ id: 11, user_id: 7, plan_id: PLAN.id, razorpay_order_id: 'order_A1', status: 'created' });
+    db.on(/INSERT INTO invoice_sequences/, () => { throw new Error('invoices unavailable'); });
+    db.on(/FROM payments WHERE id = \$1 AND status IN/, [{ id: 11 }]);
+    db.on(/FROM payments p\s+JOIN users/, [{ id: 11, user_id: 7, amount: '499', currency: 'INR' }]);
+    const logged = console.error;
+    console.error = () => { };
+    try {
+        const result = await capturePayment({ orderId: 'order_A1', paymentId: 'pay_B2', userId: 7, provider: 'razorpay', source: 'checkout' });
+        assert.equal(result.alreadyCaptured, false);
+    } finally {
+        console.error = logged;
+    }
+    assert.equal(table.payment.status, 'captured');
+    // The capture committed before the invoice was attempted
+    const statements = db.calls.map(c => c.sql.trim().split(/\s+/)[0]);
+    assert.deepEqual(statements.filter(s => ['BEGIN', 'COMMIT', 'ROLLBACK'].includes(s)), ['BEGIN', 'COMMIT', 'BEGIN', 'ROLLBACK']);
+});
+
+// Orders, coupon redemptions and refunds for one user and a one-time coupon, kept across calls
+const useCouponCheckout = () => {
+    const state = {
+        coupon: { id: 5, code: 'ONCE', is_active: true, discount_type: 'percent', discount_value: '50', bonus_sessions: 0, plan_ids: null, max_redemptions: null, redemption_count: 0, per_user_limit: 1, first_purchase_only: false },
+        payments: [],
+        redemptions: [],
+        refunds: []
+    };
+    const byOrder = (orderId) => state.payments.filter(p => p.razorpay_order_id === orderId);
+    const update = (id, changes) => {
+        const payment = state.payments.find(p => p.id === id);
+        Object.assign(payment, changes);
+        return [payment];
+    };
+    razorpay.createOrder = async () => ({ orderId: `order_${state.payments.length + 1}`, checkout: {} });
+    razorpay.refund = async (paymentId, amount) => {
+        state.refunds.push({ paymentId, amount });
+        return { refundId: `rfnd_${state.refunds.length}`, amount, settled: true };
+    };
+
+    db.on(/FROM coupons WHERE (code = \$1|id = \$1 FOR UPDATE)/, () => [state.coupon])
+        .on(/SELECT bonus_sessions FROM coupons/, () => [state.coupon])
+        .on(/SELECT COUNT\(\*\) FROM coupon_redemptions/, ([, userId]) => [{ count: String(state.redemptions.filter(r => r.user_id === userId).length) }])
+        .on(/INSERT INTO coupon_redemptions/, ([couponId, userId, paymentId]) => {
+            state.redemptions.push({ coupon_id: couponId, user_id: userId, payment_id: paymentId });
+            return [{ id: state.redemptions.length }];
+        })
+        .on(/UPDATE coupons SET redemption_count/, () => {
+            state.coupon.redemption_count += 1;
+            return [];
+        })
+        .on(/FROM payments WHERE coupon_id = \$1 AND user_id = \$2 AND status = 'created'/, ([couponId, userId]) =>
+            [{ count: String(state.payments.filter(p => p.coupon_id === couponId && p.user_id === userId && p.status === 'created').length) }])
+        .on(/^\s*INSERT INTO payments \(user_id, plan_id, gateway, razorpay_order_id, amount, list_amount/,
+            ([userId, planId, gateway, orderId, amount, listAmount, discount, couponId, currency]) => {
+                const payment = { id: state.payments.length + 1, user_id: userId, plan_id: planId, gateway, razorpay_order_id: orderId, amount, list_amount: listAmount, discount_amount: discount, coupon_id: couponId, currency, status: 'created' };
+                state.payments.push(payment);
+                return [payment];
+            })
+        .on(/^SELECT 1 FROM payments WHERE razorpay_order_id/, ([orderId]) => byOrder(orderId))
+        .on(/FROM payments WHERE razorpay_order_id = \$1 FOR UPDATE/, ([orderId]) => byOrder(orderId))
+        .on(/FROM payments WHERE razorpay_payment_id = \$1 FOR UPDATE/, ([paymentId]) => state.payments.filter(p => p.razorpay_payment_id === paymentId))
+        .on(/UPDATE payments SET status = 'rejected'/, ([paymentId, reason, id]) => update(id, { status: 'rejected', razorpay_payment_id: paymentId, failure_reason: reason }))
+        .on(/UPDATE payments SET status = 'captured'/, ([paymentId, , , , id]) => update(id, { status: 'captured', razorpay_payment_id: paymentId }))
+        .on(/INSERT INTO payment_refunds/, [{ id: 1 }])
+        .on(/UPDATE payments SET refunded_amount/, ([amount, status, id]) => update(id, { refunded_amount: amount, status }))
+        .on(/FROM subscription_plans WHERE id = \$1/, [PLAN]);
+    return state;
+};
+
+test('a one-time coupon cannot be put on a second order while the first is unpaid', async () => {
+    const state = useCouponCheckout();
+
+    const first = await createOrder(7, PLAN, 'INR', 'once');
+    assert.equal(first.payment.amount, 249.5);
+    const second = await createOrder(7, PLAN, 'INR', 'once');
+    assert.equal(second.error.body.code, 'COUPON_PENDING_ORDER');
+    assert.equal(state.payments.length, 1);
+});
+
+test('when two orders with a one-time coupon are both paid, only the first is granted and the second is refunded', async () => {
+    const state = useCouponCheckout();
+    // Both orders were created before either was paid (e.g. two checkouts opened at the same moment)
+    state.coupon.per_user_limit = null;
+    await createOrder(7, PLAN, 'INR', 'once');
+    await createOrder(7, PLAN, 'INR', 'once');
+    state.coupon.per_user_limit = 1;
+    const warn = console.warn;
+    console.warn = () => { };
+    try {
+        const first = await capturePayment({ orderId: 'order_1', paymentId: 'pay_1', userId: 7, provider: 'razorpay', source: 'checkout' });
+        assert.equal(first.alreadyCaptured, false);
+
+        const second = await capturePayment({ orderId: 'order_2', paymentId: 'pay_2', userId: 7, provider: 'razorpay', source: 'checkout' });
+        assert.equal(second.error.body.code, 'COUPON_REJECTED');
+        const again = await capturePayment({ orderId: 'order_2', paymentId: 'pay_2', provider: 'razorpay', source: 'webhook' });
+        assert.equal(again.error.body.code, 'COUPON_REJECTED');
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.deepEqual(state.payments.map(p => p.status), ['captured', 'rejected']);
+    assert.equal(state.redemptions.length, 1);
+    assert.equal(state.coupon.redemption_count, 1);
+    assert.equal(grantsApplied(), 1);
+    assert.deepEqual(state.refunds, [{ paymentId: 'pay_2', amount: 249.5 }]);
+    assert.ok(db.ran(/FROM coupons WHERE id = \$1 FOR UPDATE/).length >= 2);
+});
@@ -0,0 +1,101 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+const db = installFakeDb();
+const { getGateway } = require('../services/paymentGatewayService');
+const { startSubscription } = require('../services/subscriptionService');
+
+const razorpay = getGateway('razorpay');
+const PLAN = { id: 4, name: 'Monthly', price: '299', plan_type: 'time', billing_interval: 'month' };
+const gatewayMethods = { ...razorpay };
+
+// A configured Razorpay that records the subscriptions it creates and cancels
+const useGateway = () => {
+    const gateway = { created: [], cancelled: [] };
+    Object.assign(razorpay, {
+        isConfigured: async () => true,
+        createSubscription: async ({ reference }) => {
+            gateway.created.push(reference);
+            return { subscriptionId: `sub_${reference}`, checkoutId: null, checkout: { subscription_id: `sub_${reference}` } };
+        },
+        cancelSubscription: async (subscriptionId, atPeriodEnd) => gateway.cancelled.push({ subscriptionId, atPeriodEnd })
+    });
+    return gateway;
+};
+
+// The user's subscription rows, as startSubscription reads and writes them
+const useSubscriptions = (rows) => {
+    db.on(/status IN \('active', 'past_due'\)/, () => rows.filter(r => ['active', 'past_due'].includes(r.status)))
+        .on(/status = 'pending'$/m, () => rows.filter(r => r.status === 'pending'))
+        .on(/SET status = 'abandoned'/, ([id]) => {
+            const row = rows.find(r => r.id === id && r.status === 'pending');
+            if (row) row.status = 'abandoned';
+            return row ? [{ id }] : [];
+        })
+        .on(/INSERT INTO user_subscriptions/, ([userId, planId, gateway, amount, currency]) => {
+            if (rows.some(r => ['pending', 'active', 'past_due'].includes(r.status))) {
+                throw Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+            }
+            const row = { id: 50 + rows.length, user_id: userId, plan_id: planId, gateway, amount, currency, status: 'pending' };
+            rows.push(row);
+            return [row];
+        })
+        .on(/UPDATE user_subscriptions SET gateway_subscription_id/, ([subscriptionId, checkoutId, id]) => {
+            const row = rows.find(r => r.id === id);
+            Object.assign(row, { gateway_subscription_id: subscriptionId, checkout_id: checkoutId });
+            return [row];
+        });
+    return rows;
+};
+
+beforeEach(() => {
+    db.reset();
+    Object.assign(razorpay, gatewayMethods);
+});
+
+test('a checkout started moments ago blocks a second one', async () => {
+    const gateway = useGateway();
+    const rows = useSubscriptions([{ id: 1, user_id: 7, status: 'pending', gateway: 'razorpay', gateway_subscription_id: 'sub_1', recent: true }]);
+
+    const result = await startSubscription(7, PLAN, 'INR');
+    assert.equal(result.error.status, 409);
+    assert.equal(result.error.body.code, 'SUBSCRIPTION_PENDING');
+    assert.equal(rows.length, 1);
+    assert.deepEqual(gateway.created, []);
+});
+
+test('an old unfinished checkout is abandoned and cancelled at the gateway before a new one starts', async () => {
+    const gateway = useGateway();
+    const rows = useSubscriptions([{ id: 1, user_id: 7, status: 'pending', gateway: 'razorpay', gateway_subscription_id: 'sub_1', recent: false }]);
+
+    const result = await startSubscription(7, PLAN, 'INR');
+    assert.equal(result.error, undefined);
+    assert.equal(result.subscription.status, 'pending');
+    assert.equal(rows[0].status, 'abandoned');
+    assert.deepEqual(gateway.cancelled, [{ subscriptionId: 'sub_1', atPeriodEnd: false }]);
+    assert.deepEqual(gateway.created, [result.subscription.id]);
+});
+
+test('a start that loses the race to a concurrent one is refused by the unique index', async () => {
+    const gateway = useGateway();
+    // Both starts pass the checks; the other one inserts its row first
+    db.on(/status IN \('active', 'past_due'\)/, [])
+        .on(/status = 'pending'$/m, [])
+        .on(/INSERT INTO user_subscriptions/, () => {
+            throw Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+        });
+
+    const result = await startSubscription(7, PLAN, 'INR');
+    assert.equal(result.error.status, 409);
+    assert.equal(result.error.body.code, 'SUBSCRIPTION_EXISTS');
+    assert.deepEqual(gateway.created, []);
+});
+
+test('a user with a live subscription cannot start another', async () => {
+    useGateway();
+    useSubscriptions([{ id: 1, user_id: 7, status: 'active', gateway: 'razorpay' }]);
+
+    const result = await startSubscription(7, PLAN, 'INR');
+    assert.equal(result.error.body.code, 'SUBSCRIPTION_EXISTS');
+});
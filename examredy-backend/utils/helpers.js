@@ -1,5 +1,6 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 const hashPassword = async (password) => {
     const salt = await bcrypt.genSalt(10);
@@ -20,8 +21,18 @@ const generateToken = (id, role, email) => {
     });
 };
 
+// Short-lived token for a single purpose (e.g. the group events stream, which must pass it in the URL)
+const generateScopedToken = (id, scope) =>
+    jwt.sign({ id, scope }, process.env.JWT_SECRET || 'examredy_secret_2026_fallback', { expiresIn: '60s' });
+
+// SHA-256 of the normalized question text (matches mcq_pool.question_hash)
+const questionHash = (text) =>
+    crypto.createHash('sha256').update(text.trim().toLowerCase().replace(/\s+/g, ' ')).digest('hex');
+
 module.exports = {
     hashPassword,
     comparePassword,
-    generateToken
+    generateToken,
+    generateScopedToken,
+    questionHash
 };
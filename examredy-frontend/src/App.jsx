@@ -8,6 +8,7 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Practice from './pages/Practice';
 import Group from './pages/Group';
+import Challenge from './pages/Challenge';
 import AdminDashboard from './admin/AdminDashboard';
 import AdminLogin from './admin/AdminLogin';
 import Prime from './pages/Prime';
@@ -85,6 +86,8 @@ function AppRoutes() {
                 <Route path="/register" element={<Register />} />
                 <Route path="/practice" element={<ProtectedRoute><Practice /></ProtectedRoute>} />
                 <Route path="/group" element={<ProtectedRoute><Group /></ProtectedRoute>} />
+                <Route path="/challenge" element={<ProtectedRoute><Challenge /></ProtectedRoute>} />
+                <Route path="/challenge/:code" element={<ProtectedRoute><Challenge /></ProtectedRoute>} />
                 <Route path="/prime" element={<ProtectedRoute><Prime /></ProtectedRoute>} />
                 <Route path="/legal/:slug" element={<LegalPage />} />
                 <Route path="/about-us" element={<Navigate to="/legal/about-us" replace />} />
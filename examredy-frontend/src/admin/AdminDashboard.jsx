@@ -13,11 +13,14 @@ import { SystemSettings } from './modules/SystemSettings';
 import { AdsManagement } from './modules/AdsManagement';
 import { DashboardOverview } from './modules/DashboardOverview';
 import { ReferralManagement } from './modules/ReferralManagement';
+import { BadgeManagement } from './modules/BadgeManagement';
+import { CouponManagement } from './modules/CouponManagement';
+import { InvoiceManagement } from './modules/InvoiceManagement';
 import {
     LayoutDashboard, School, GraduationCap, Briefcase,
     Users, CreditCard, Cpu, CheckSquare,
     DollarSign, PieChart, FileText, Settings, LogOut,
-    ChevronRight, ShieldCheck
+    ChevronRight, ShieldCheck, Award, Ticket, Receipt
 } from 'lucide-react';
 
 // ─── Sidebar menu definition ───────────────────────────────────────────────
@@ -32,11 +35,14 @@ const MENU = [
     { id: 'ai', label: 'Neural Hub (AI)', icon: Cpu, color: 'text-cyan-400' },
     { id: 'mcq', label: 'MCQ Moderation', icon: CheckSquare, color: 'text-orange-400' },
     { id: 'revenue', label: 'Revenue Analytics', icon: DollarSign, color: 'text-emerald-400' },
+    { id: 'coupons', label: 'Coupons', icon: Ticket, color: 'text-lime-400' },
+    { id: 'invoices', label: 'GST Invoices', icon: Receipt, color: 'text-teal-400' },
     { id: 'ads', label: 'AdSense Core', icon: PieChart, color: 'text-red-400' },
     { id: 'legal', label: 'Legal Compliance', icon: FileText, color: 'text-gray-400' },
     { id: 'settings', label: 'System Settings', icon: Settings, color: 'text-slate-400' },
     { id: 'referral', label: 'Referral Program', icon: Users, color: 'text-pink-400' },
     { id: 'ads_management', label: 'Ads Management', icon: PieChart, color: 'text-emerald-400' },
+    { id: 'badges', label: 'Achievements', icon: Award, color: 'text-amber-400' },
 ];
 
 // ─── Module placeholder renderer ──────────────────────────────────────────
@@ -51,11 +57,14 @@ const MODULE_META = {
     ai: { title: 'Neural Hub (AI)', desc: 'AI provider config and model selection', badge: 'AI' },
     mcq: { title: 'MCQ Moderation', desc: 'Review and approve AI-generated questions', badge: 'CONTENT' },
     revenue: { title: 'Revenue Analytics', desc: 'Transactions, payments and revenue reports', badge: 'ECONOMICS' },
+    coupons: { title: 'Coupons', desc: 'Discount codes, bonus sessions and redemption limits', badge: 'ECONOMICS' },
+    invoices: { title: 'GST Invoices', desc: 'Tax invoices, monthly GST register and seller details', badge: 'ECONOMICS' },
     ads: { title: 'AdSense Core', desc: 'Ad slots, scripts and ads.txt management', badge: 'MARKETING' },
     legal: { title: 'Legal Compliance', desc: 'Privacy Policy, Terms and legal docs editor', badge: 'POLICY' },
     settings: { title: 'System Settings', desc: 'SEO, branding, global toggles and config', badge: 'SYSTEM' },
     referral: { title: 'Referral Program', desc: 'Incentive tracking and reward management', badge: 'GROWTH' },
     ads_management: { title: 'Ads Management', desc: 'Dynamic Ad Mob and Web banner IDs', badge: 'MARKETING' },
+    badges: { title: 'Achievements', desc: 'Badge rules, XP rewards and streak milestones', badge: 'GROWTH' },
 };
 
 const BADGE_COLORS = {
@@ -88,6 +97,9 @@ function ModulePlaceholder({ id }) {
     if (id === 'settings') return <SystemSettings />;
     if (id === 'referral') return <ReferralManagement />;
     if (id === 'ads_management') return <AdsManagement />;
+    if (id === 'badges') return <BadgeManagement />;
+    if (id === 'coupons') return <CouponManagement />;
+    if (id === 'invoices') return <InvoiceManagement />;
 
     const meta = MODULE_META[id] || MODULE_META.dashboard;
     const menuItem = MENU.find(m => m.id === id) || MENU[0];
@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import { Award, Plus, Edit3, Trash2, Power, PowerOff, CheckCircle2, X, Settings, Zap } from 'lucide-react';
+
+const Toast = ({ msg, type }) => {
+    if (!msg) return null;
+    return (
+        <div className={`fixed top-5 right-5 z-50 px-6 py-3 rounded-2xl shadow-2xl border animate-in slide-in-from-right duration-300 ${type === 'error' ? 'bg-red-500/10 border-red-500/20 text-red-400' : 'bg-emerald-500/10 border-emerald-500/20 text-emerald-400'
+            }`}>
+            <p className="text-sm font-black uppercase tracking-widest">{msg}</p>
+        </div>
+    );
+};
+
+const RULE_LABELS = {
+    correct_answers: 'Correct answers (any subject)',
+    subject_correct: 'Correct answers in a subject',
+    battles_played: 'Group battles played',
+    battles_won: 'Group battles won',
+    streak_days: 'Daily streak (days)',
+    xp_total: 'Total XP',
+    mock_tests_completed: 'Mock tests completed'
+};
+
+const EMPTY_FORM = { name: '', description: '', icon: '🏅', rule_type: 'correct_answers', threshold: 10, subject_id: '', xp_reward: 0, is_active: true };
+
+export const BadgeManagement = () => {
+    const [badges, setBadges] = useState([]);
+    const [ruleTypes, setRuleTypes] = useState(Object.keys(RULE_LABELS));
+    const [subjects, setSubjects] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [toast, setToast] = useState({ msg: '', type: 'success' });
+
+    const [showModal, setShowModal] = useState(false);
+    const [editingBadge, setEditingBadge] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+
+    const showToast = (msg, type = 'success') => {
+        setToast({ msg, type });
+        setTimeout(() => setToast({ msg: '', type: 'success' }), 3000);
+    };
+
+    const fetchData = async () => {
+        setLoading(true);
+        try {
+            const [badgeRes, subRes] = await Promise.all([
+                api.get('/admin/badges'),
+                api.get('/admin/subjects')
+            ]);
+            setBadges(badgeRes.data.badges);
+            setRuleTypes(badgeRes.data.ruleTypes);
+            setSubjects(subRes.data);
+        } catch (e) {
+            showToast('Failed to load badges', 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { fetchData(); }, []);
+
+    const openEditor = (badge = null) => {
+        setEditingBadge(badge);
+        setForm(badge ? { ...badge, subject_id: badge.subject_id || '' } : EMPTY_FORM);
+        setShowModal(true);
+    };
+
+    const handleSave = async () => {
+        if (!form.name) return showToast('Badge name is required', 'error');
+        setLoading(true);
+        try {
+            if (editingBadge) {
+                await api.put(`/admin/badges/${editingBadge.id}`, form);
+                showToast('Badge updated');
+            } else {
+                await api.post('/admin/badges', form);
+                showToast('Badge created');
+            }
+            setShowModal(false);
+            setEditingBadge(null);
+            fetchData();
+        } catch (e) {
+            showToast(e.response?.data?.error || 'Operation failed', 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggleStatus = async (badge) => {
+        try {
+            await api.put(`/admin/badges/${badge.id}`, { ...badge, is_active: !badge.is_active });
+            showToast(`Badge ${badge.is_active ? 'disabled' : 'enabled'}`);
+            fetchData();
+        } catch (e) { showToast('Toggle failed', 'error'); }
+    };
+
+    const deleteBadge = async (id) => {
+        if (!window.confirm('Delete this badge? Users who earned it will lose it.')) return;
+        try {
+            await api.delete(`/admin/badges/${id}`);
+            showToast('Badge deleted');
+            fetchData();
+        } catch (e) { showToast('Delete failed', 'error'); }
+    };
+
+    return (
+        <div className="p-8 space-y-12 animate-in fade-in duration-500">
+            <Toast msg={toast.msg} type={toast.type} />
+
+            {/* Header */}
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-6 bg-gray-900/40 p-8 rounded-[2.5rem] border border-gray-800/50 backdrop-blur-md shadow-2xl">
+                <div>
+                    <h2 className="text-4xl font-black text-white uppercase tracking-tighter flex items-center gap-4">
+                        <Award className="text-amber-500" size={40} />
+                        Achievements
+                    </h2>
+                    <p className="text-gray-500 text-base font-medium mt-2 uppercase tracking-[0.2em]">
+                        Badges, XP Rewards & Streak Milestones
+                    </p>
+                </div>
+                <button
+                    onClick={() => openEditor()}
+                    className="flex items-center gap-3 px-8 py-4 bg-gradient-to-br from-amber-500 to-orange-600 text-white rounded-2xl font-black text-sm uppercase tracking-widest shadow-xl shadow-amber-500/20 hover:scale-[1.02] active:scale-[0.98] transition-all"
+                >
+                    <Plus size={20} /> New Badge
+                </button>
+            </div>
+
+            {/* Badge Grid */}
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                {badges.map(badge => (
+                    <div key={badge.id} className={`relative p-8 rounded-[2rem] border transition-all duration-300 group ${badge.is_active
+                        ? 'bg-gray-900/60 border-gray-800 hover:border-amber-500/30'
+                        : 'bg-gray-900/20 border-gray-800/50 grayscale'
+                        }`}>
+                        <div className="flex justify-between items-start mb-6">
+                            <div className="w-14 h-14 rounded-2xl bg-gray-800 flex items-center justify-center border border-gray-700 text-3xl">
+                                {badge.icon}
+                            </div>
+                            <div className="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                                <button onClick={() => openEditor(badge)} className="p-2 hover:bg-gray-700 rounded-lg text-gray-400 hover:text-white transition-all"><Edit3 size={16} /></button>
+                                <button onClick={() => deleteBadge(badge.id)} className="p-2 hover:bg-red-500/10 rounded-lg text-gray-400 hover:text-red-400 transition-all"><Trash2 size={16} /></button>
+                            </div>
+                        </div>
+
+                        <h4 className="text-white text-xl font-black uppercase tracking-tight mb-2">{badge.name}</h4>
+                        <p className="text-gray-500 text-xs font-medium mb-4">{badge.description}</p>
+                        <p className="text-amber-500 text-[11px] font-bold uppercase tracking-widest mb-8">
+                            {RULE_LABELS[badge.rule_type] || badge.rule_type}: {badge.threshold}
+                            {badge.subject_name && <span className="text-gray-400"> · {badge.subject_name}</span>}
+                        </p>
+
+                        <div className="flex items-center justify-between mt-auto pt-6 border-t border-gray-800">
+                            <div className="text-sm font-black text-white flex items-center gap-2">
+                                <Zap size={14} className="text-amber-400" /> +{badge.xp_reward} XP
+                                <span className="text-gray-500 text-[10px] uppercase tracking-widest ml-2">{badge.awarded_count} earned</span>
+                            </div>
+                            <button
+                                onClick={() => toggleStatus(badge)}
+                                className={`flex items-center gap-2 px-4 py-2 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${badge.is_active
+                                    ? 'bg-emerald-500/10 text-emerald-400 hover:bg-emerald-500/20'
+                                    : 'bg-red-500/10 text-red-400 hover:bg-red-500/20'
+                                    }`}
+                            >
+                                {badge.is_active ? <Power size={12} /> : <PowerOff size={12} />}
+                                {badge.is_active ? 'ACTIVE' : 'DISABLED'}
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {/* MODAL: ADD/EDIT BADGE */}
+            {showModal && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-6 backdrop-blur-md bg-black/60 shadow-2xl">
+                    <div className="bg-gray-900 border border-gray-800 w-full max-w-lg rounded-[2.5rem] shadow-2xl animate-in zoom-in-95 duration-200 overflow-hidden">
+                        <div className="p-8 border-b border-gray-800 flex items-center justify-between bg-gray-800/20">
+                            <h3 className="text-2xl font-black text-white uppercase tracking-tighter flex items-center gap-3">
+                                {editingBadge ? <Settings className="text-amber-500" /> : <Plus className="text-emerald-500" />}
+                                {editingBadge ? 'Edit Badge' : 'New Badge'}
+                            </h3>
+                            <button onClick={() => setShowModal(false)} className="p-2 hover:bg-gray-800 rounded-2xl text-gray-400 hover:text-white transition-all"><X size={24} /></button>
+                        </div>
+
+                        <div className="p-8 space-y-6">
+                            <div className="grid grid-cols-4 gap-4">
+                                <div className="space-y-2">
+                                    <label className="text-[10px] text-gray-500 font-black uppercase tracking-[0.2em] ml-1">Icon</label>
+                                    <input
+                                        className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-4 text-white font-black text-xl text-center focus:ring-2 focus:ring-amber-500/20 outline-none"
+                                        value={form.icon}
+                                        onChange={e => setForm({ ...form, icon: e.target.value })}
+                                    />
+                                </div>
+                                <div className="space-y-2 col-span-3">
+                                    <label className="text-[10px] text-gray-500 font-black uppercase tracking-[0.2em] ml-1">Badge Name</label>
+                                    <input
+                                        className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-amber-500/20 outline-none"
+                                        placeholder="PHYSICS CENTURION..."
+                                        value={form.name}
+                                        onChange={e => setForm({ ...form, name: e.target.value })}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="space-y-2">
+                                <label className="text-[10px] text-gray-500 font-black uppercase tracking-[0.2em] ml-1">Description</label>
+                                <input
+                                    className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-medium text-sm focus:ring-2 focus:ring-amber-500/20 outline-none"
+                                    placeholder="Answer 100 Physics questions correctly"
+                                    value={form.description || ''}
+                                    onChange={e => setForm({ ...form, description: e.target.value })}
+                                />
+                            </div>
+
+                            <div className="space-y-2">
+                                <label className="text-[10px] text-gray-500 font-black uppercase tracking-[0.2em] ml-1">Rule</label>
+                                <select
+                                    className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-amber-500/20 outline-none appearance-none cursor-pointer"
+                                    value={form.rule_type}
+                                    onChange={e => setForm({ ...form, rule_type: e.target.value })}
+                                >
+                                    {ruleTypes.map(type => (
+                                        <option key={type} value={type}>{RULE_LABELS[type] || type}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            {form.rule_type === 'subject_correct' && (
+                                <div className="space-y-2">
+                                    <label className="text-[10px] text-gray-500 font-black uppercase tracking-[0.2em] ml-1">Subject</label>
+                                    <select
+                                        className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-amber-500/20 outline-none appearance-none cursor-pointer"
+                                        value={form.subject_id}
+                                        onChange={e => setForm({ ...form, subject_id: e.target.value })}
+                                    >
+                                        <option value="">SELECT SUBJECT</option>
+                                        {subjects.map(s => (
+                                            <option key={s.id} value={s.id}>
+                                                {s.name}{s.class_name ? ` (${s.class_name})` : ''}{s.category_name ? ` · ${s.category_name}` : ''}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
+                            <div className="grid grid-cols-2 gap-6">
+                                <div className="space-y-2">
+                                    <label className="text-[10px] text-gray-400 font-black uppercase tracking-[0.2em] ml-1">Threshold</label>
+                                    <input
+                                        className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-amber-500/20 outline-none"
+                                        type="number"
+                                        value={form.threshold}
+                                        onChange={e => setForm({ ...form, threshold: parseInt(e.target.value) || 0 })}
+                                    />
+                                </div>
+                                <div className="space-y-2">
+                                    <label className="text-[10px] text-gray-400 font-black uppercase tracking-[0.2em] ml-1">XP Reward</label>
+                                    <input
+                                        className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-amber-500/20 outline-none"
+                                        type="number"
+                                        value={form.xp_reward}
+                                        onChange={e => setForm({ ...form, xp_reward: parseInt(e.target.value) || 0 })}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="flex items-center gap-4 p-4 bg-gray-800/40 rounded-2xl border border-gray-700/50">
+                                <input
+                                    id="badge-active"
+                                    type="checkbox"
+                                    className="w-5 h-5 accent-amber-500"
+                                    checked={form.is_active}
+                                    onChange={e => setForm({ ...form, is_active: e.target.checked })}
+                                />
+                                <label htmlFor="badge-active" className="text-xs font-black text-gray-300 uppercase tracking-widest cursor-pointer">Active</label>
+                            </div>
+
+                            <button
+                                onClick={handleSave}
+                                disabled={loading}
+                                className={`w-full py-5 bg-gradient-to-r from-amber-500 to-orange-600 text-white rounded-2xl font-black text-sm uppercase tracking-[0.2em] shadow-xl shadow-amber-500/20 mt-6 transition-transform active:scale-95 flex items-center justify-center gap-2 ${loading ? 'opacity-50 cursor-not-allowed' : 'hover:scale-[1.01]'}`}
+                            >
+                                {loading ? 'PROCESSING...' : (
+                                    <>
+                                        <CheckCircle2 size={18} />
+                                        {editingBadge ? 'SAVE CHANGES' : 'CREATE BADGE'}
+                                    </>
+                                )}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BadgeManagement;
@@ -0,0 +1,452 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import { Ticket, Plus, Edit3, Trash2, Power, PowerOff, CheckCircle2, X, Settings, Users } from 'lucide-react';
+
+const Toast = ({ msg, type }) => {
+    if (!msg) return null;
+    return (
+        <div className={`fixed top-5 right-5 z-50 px-6 py-3 rounded-2xl shadow-2xl border animate-in slide-in-from-right duration-300 ${type === 'error' ? 'bg-red-500/10 border-red-500/20 text-red-400' : 'bg-emerald-500/10 border-emerald-500/20 text-emerald-400'
+            }`}>
+            <p className="text-sm font-black uppercase tracking-widest">{msg}</p>
+        </div>
+    );
+};
+
+const EMPTY_FORM = {
+    code: '', description: '', discount_type: 'percent', discount_value: 10, currency: 'INR', bonus_sessions: 0,
+    plan_ids: [], max_redemptions: '', per_user_limit: 1, first_purchase_only: false, starts_at: '', expires_at: '', is_active: true
+};
+
+// <input type="datetime-local"> wants local time without a zone
+const toInputDate = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const describeDiscount = (coupon) => {
+    const parts = [];
+    if (parseFloat(coupon.discount_value) > 0) {
+        parts.push(coupon.discount_type === 'percent'
+            ? `${parseFloat(coupon.discount_value)}% OFF`
+            : `${coupon.currency} ${parseFloat(coupon.discount_value)} OFF`);
+    }
+    if (coupon.bonus_sessions > 0) parts.push(`+${coupon.bonus_sessions} SESSIONS`);
+    return parts.join(' · ');
+};
+
+const inputClass = 'w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-lime-500/20 outline-none';
+const labelClass = 'text-[10px] text-gray-500 font-black uppercase tracking-[0.2em] ml-1';
+
+export const CouponManagement = () => {
+    const [coupons, setCoupons] = useState([]);
+    const [plans, setPlans] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [toast, setToast] = useState({ msg: '', type: 'success' });
+
+    const [showModal, setShowModal] = useState(false);
+    const [editingCoupon, setEditingCoupon] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [redemptions, setRedemptions] = useState(null); // { coupon, rows }
+
+    const showToast = (msg, type = 'success') => {
+        setToast({ msg, type });
+        setTimeout(() => setToast({ msg: '', type: 'success' }), 3000);
+    };
+
+    const fetchData = async () => {
+        setLoading(true);
+        try {
+            const [couponRes, planRes] = await Promise.all([
+                api.get('/admin/coupons'),
+                api.get('/admin/plans')
+            ]);
+            setCoupons(couponRes.data);
+            setPlans(planRes.data);
+        } catch (e) {
+            showToast('Failed to load coupons', 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { fetchData(); }, []);
+
+    const openEditor = (coupon = null) => {
+        setEditingCoupon(coupon);
+        setForm(coupon ? {
+            ...coupon,
+            description: coupon.description || '',
+            currency: coupon.currency || 'INR',
+            plan_ids: coupon.plan_ids || [],
+            max_redemptions: coupon.max_redemptions ?? '',
+            per_user_limit: coupon.per_user_limit ?? '',
+            starts_at: toInputDate(coupon.starts_at),
+            expires_at: toInputDate(coupon.expires_at)
+        } : EMPTY_FORM);
+        setShowModal(true);
+    };
+
+    const toPayload = (values) => ({
+        ...values,
+        starts_at: values.starts_at ? new Date(values.starts_at).toISOString() : null,
+        expires_at: values.expires_at ? new Date(values.expires_at).toISOString() : null
+    });
+
+    const handleSave = async () => {
+        if (!form.code) return showToast('Coupon code is required', 'error');
+        setLoading(true);
+        try {
+            if (editingCoupon) {
+                await api.put(`/admin/coupons/${editingCoupon.id}`, toPayload(form));
+                showToast('Coupon updated');
+            } else {
+                await api.post('/admin/coupons', toPayload(form));
+                showToast('Coupon created');
+            }
+            setShowModal(false);
+            setEditingCoupon(null);
+            fetchData();
+        } catch (e) {
+            showToast(e.response?.data?.error || 'Operation failed', 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggleStatus = async (coupon) => {
+        try {
+            await api.put(`/admin/coupons/${coupon.id}`, { ...coupon, is_active: !coupon.is_active });
+            showToast(`Coupon ${coupon.is_active ? 'disabled' : 'enabled'}`);
+            fetchData();
+        } catch (e) { showToast('Toggle failed', 'error'); }
+    };
+
+    const deleteCoupon = async (coupon) => {
+        if (!window.confirm(`Delete coupon ${coupon.code}?`)) return;
+        try {
+            await api.delete(`/admin/coupons/${coupon.id}`);
+            showToast('Coupon deleted');
+            fetchData();
+        } catch (e) { showToast('Redeemed coupons cannot be deleted. Disable it instead.', 'error'); }
+    };
+
+    const openRedemptions = async (coupon) => {
+        try {
+            const res = await api.get(`/admin/coupons/${coupon.id}/redemptions`);
+            setRedemptions({ coupon, rows: res.data });
+        } catch (e) { showToast('Failed to load redemptions', 'error'); }
+    };
+
+    const togglePlan = (planId) => {
+        setForm(prev => ({
+            ...prev,
+            plan_ids: prev.plan_ids.includes(planId) ? prev.plan_ids.filter(id => id !== planId) : [...prev.plan_ids, planId]
+        }));
+    };
+
+    const planName = (id) => plans.find(p => p.id === id)?.name || `#${id}`;
+
+    return (
+        <div className="p-8 space-y-12 animate-in fade-in duration-500">
+            <Toast msg={toast.msg} type={toast.type} />
+
+            {/* Header */}
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-6 bg-gray-900/40 p-8 rounded-[2.5rem] border border-gray-800/50 backdrop-blur-md shadow-2xl">
+                <div>
+                    <h2 className="text-4xl font-black text-white uppercase tracking-tighter flex items-center gap-4">
+                        <Ticket className="text-lime-400" size={40} />
+                        Coupons
+                    </h2>
+                    <p className="text-gray-500 text-base font-medium mt-2 uppercase tracking-[0.2em]">
+                        Discount Codes, Bonus Sessions & Limits
+                    </p>
+                </div>
+                <button
+                    onClick={() => openEditor()}
+                    className="flex items-center gap-3 px-8 py-4 bg-gradient-to-br from-lime-500 to-emerald-600 text-white rounded-2xl font-black text-sm uppercase tracking-widest shadow-xl shadow-lime-500/20 hover:scale-[1.02] active:scale-[0.98] transition-all"
+                >
+                    <Plus size={20} /> New Coupon
+                </button>
+            </div>
+
+            {/* Coupon Grid */}
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                {coupons.map(coupon => {
+                    const expired = coupon.expires_at && new Date(coupon.expires_at) <= new Date();
+                    return (
+                        <div key={coupon.id} className={`relative p-8 rounded-[2rem] border transition-all duration-300 group ${coupon.is_active && !expired
+                            ? 'bg-gray-900/60 border-gray-800 hover:border-lime-500/30'
+                            : 'bg-gray-900/20 border-gray-800/50 grayscale'
+                            }`}>
+                            <div className="flex justify-between items-start mb-6">
+                                <div className="px-4 py-2 rounded-xl bg-gray-800 border border-dashed border-gray-600 font-mono text-lg font-black text-lime-400">
+                                    {coupon.code}
+                                </div>
+                                <div className="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                                    <button onClick={() => openRedemptions(coupon)} className="p-2 hover:bg-gray-700 rounded-lg text-gray-400 hover:text-white transition-all"><Users size={16} /></button>
+                                    <button onClick={() => openEditor(coupon)} className="p-2 hover:bg-gray-700 rounded-lg text-gray-400 hover:text-white transition-all"><Edit3 size={16} /></button>
+                                    <button onClick={() => deleteCoupon(coupon)} className="p-2 hover:bg-red-500/10 rounded-lg text-gray-400 hover:text-red-400 transition-all"><Trash2 size={16} /></button>
+                                </div>
+                            </div>
+
+                            <h4 className="text-white text-xl font-black uppercase tracking-tight mb-2">{describeDiscount(coupon)}</h4>
+                            <p className="text-gray-500 text-xs font-medium mb-4">{coupon.description}</p>
+                            <div className="space-y-1 text-[11px] font-bold uppercase tracking-widest mb-8">
+                                <p className="text-lime-400">{coupon.plan_ids?.length ? coupon.plan_ids.map(planName).join(', ') : 'All one-off plans'}</p>
+                                {coupon.first_purchase_only && <p className="text-amber-400">First purchase only</p>}
+                                <p className="text-gray-400">
+                                    {coupon.per_user_limit ? `${coupon.per_user_limit} per user` : 'No per-user limit'}
+                                    {coupon.expires_at && <span> · {expired ? 'Expired' : 'Ends'} {new Date(coupon.expires_at).toLocaleDateString()}</span>}
+                                </p>
+                            </div>
+
+                            <div className="flex items-center justify-between mt-auto pt-6 border-t border-gray-800">
+                                <div className="text-sm font-black text-white">
+                                    {coupon.redemption_count}{coupon.max_redemptions ? ` / ${coupon.max_redemptions}` : ''}
+                                    <span className="text-gray-500 text-[10px] uppercase tracking-widest ml-2">used · ₹{parseFloat(coupon.total_discount).toLocaleString()} off</span>
+                                </div>
+                                <button
+                                    onClick={() => toggleStatus(coupon)}
+                                    className={`flex items-center gap-2 px-4 py-2 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${coupon.is_active
+                                        ? 'bg-emerald-500/10 text-emerald-400 hover:bg-emerald-500/20'
+                                        : 'bg-red-500/10 text-red-400 hover:bg-red-500/20'
+                                        }`}
+                                >
+                                    {coupon.is_active ? <Power size={12} /> : <PowerOff size={12} />}
+                                    {coupon.is_active ? 'ACTIVE' : 'DISABLED'}
+                                </button>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* MODAL: REDEMPTIONS */}
+            {redemptions && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-6 backdrop-blur-md bg-black/60 shadow-2xl">
+                    <div className="bg-gray-900 border border-gray-800 w-full max-w-2xl rounded-[2.5rem] shadow-2xl animate-in zoom-in-95 duration-200 overflow-hidden">
+                        <div className="p-8 border-b border-gray-800 flex items-center justify-between bg-gray-800/20">
+                            <h3 className="text-2xl font-black text-white uppercase tracking-tighter">{redemptions.coupon.code} Redemptions</h3>
+                            <button onClick={() => setRedemptions(null)} className="p-2 hover:bg-gray-800 rounded-2xl text-gray-400 hover:text-white transition-all"><X size={24} /></button>
+                        </div>
+                        <div className="p-8 max-h-[60vh] overflow-y-auto">
+                            {redemptions.rows.length === 0 ? (
+                                <p className="text-gray-500 text-sm font-bold uppercase tracking-widest text-center py-8">Not redeemed yet</p>
+                            ) : (
+                                <table className="w-full text-left text-sm">
+                                    <thead>
+                                        <tr className="text-[10px] text-gray-500 font-black uppercase tracking-widest">
+                                            <th className="pb-4">User</th>
+                                            <th className="pb-4">Paid</th>
+                                            <th className="pb-4">Discount</th>
+                                            <th className="pb-4">Date</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-800">
+                                        {redemptions.rows.map(r => (
+                                            <tr key={r.id} className="text-gray-300">
+                                                <td className="py-3">
+                                                    <p className="font-bold text-white">{r.username}</p>
+                                                    <p className="text-[11px] text-gray-500">{r.email}</p>
+                                                </td>
+                                                <td className="py-3 font-mono">
+                                                    {r.currency} {r.amount}
+                                                    {r.payment_status === 'refunded' && <span className="ml-2 text-[10px] text-red-400 font-black uppercase">Refunded</span>}
+                                                </td>
+                                                <td className="py-3 font-mono text-lime-400">
+                                                    {r.currency} {r.discount_amount}
+                                                    {r.bonus_sessions > 0 && <span className="text-gray-400"> +{r.bonus_sessions}s</span>}
+                                                </td>
+                                                <td className="py-3 text-gray-500">{new Date(r.redeemed_at).toLocaleDateString()}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* MODAL: ADD/EDIT COUPON */}
+            {showModal && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-6 backdrop-blur-md bg-black/60 shadow-2xl">
+                    <div className="bg-gray-900 border border-gray-800 w-full max-w-lg rounded-[2.5rem] shadow-2xl animate-in zoom-in-95 duration-200 overflow-hidden max-h-[90vh] overflow-y-auto">
+                        <div className="p-8 border-b border-gray-800 flex items-center justify-between bg-gray-800/20">
+                            <h3 className="text-2xl font-black text-white uppercase tracking-tighter flex items-center gap-3">
+                                {editingCoupon ? <Settings className="text-lime-400" /> : <Plus className="text-emerald-500" />}
+                                {editingCoupon ? 'Edit Coupon' : 'New Coupon'}
+                            </h3>
+                            <button onClick={() => setShowModal(false)} className="p-2 hover:bg-gray-800 rounded-2xl text-gray-400 hover:text-white transition-all"><X size={24} /></button>
+                        </div>
+
+                        <div className="p-8 space-y-6">
+                            <div className="space-y-2">
+                                <label className={labelClass}>Code</label>
+                                <input
+                                    className={`${inputClass} font-mono uppercase`}
+                                    placeholder="EXAM50"
+                                    value={form.code}
+                                    onChange={e => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                                />
+                            </div>
+
+                            <div className="space-y-2">
+                                <label className={labelClass}>Description</label>
+                                <input
+                                    className={`${inputClass} font-medium`}
+                                    placeholder="50% off your first pack"
+                                    value={form.description}
+                                    onChange={e => setForm({ ...form, description: e.target.value })}
+                                />
+                            </div>
+
+                            <div className="grid grid-cols-3 gap-4">
+                                <div className="space-y-2">
+                                    <label className={labelClass}>Type</label>
+                                    <select
+                                        className={`${inputClass} appearance-none cursor-pointer`}
+                                        value={form.discount_type}
+                                        onChange={e => setForm({ ...form, discount_type: e.target.value })}
+                                    >
+                                        <option value="percent">PERCENT</option>
+                                        <option value="flat">FLAT</option>
+                                    </select>
+                                </div>
+                                <div className="space-y-2">
+                                    <label className={labelClass}>{form.discount_type === 'percent' ? 'Off (%)' : 'Off (Amount)'}</label>
+                                    <input
+                                        className={inputClass}
+                                        type="number"
+                                        value={form.discount_value}
+                                        onChange={e => setForm({ ...form, discount_value: e.target.value })}
+                                    />
+                                </div>
+                                <div className="space-y-2">
+                                    <label className={labelClass}>Currency</label>
+                                    <input
+                                        className={`${inputClass} uppercase disabled:opacity-40`}
+                                        disabled={form.discount_type !== 'flat'}
+                                        value={form.discount_type === 'flat' ? form.currency : 'ANY'}
+                                        onChange={e => setForm({ ...form, currency: e.target.value.toUpperCase() })}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-3 gap-4">
+                                <div className="space-y-2">
+                                    <label className={labelClass}>Bonus Sessions</label>
+                                    <input
+                                        className={inputClass}
+                                        type="number"
+                                        value={form.bonus_sessions}
+                                        onChange={e => setForm({ ...form, bonus_sessions: parseInt(e.target.value) || 0 })}
+                                    />
+                                </div>
+                                <div className="space-y-2">
+                                    <label className={labelClass}>Total Uses</label>
+                                    <input
+                                        className={inputClass}
+                                        type="number"
+                                        placeholder="∞"
+                                        value={form.max_redemptions}
+                                        onChange={e => setForm({ ...form, max_redemptions: e.target.value })}
+                                    />
+                                </div>
+                                <div className="space-y-2">
+                                    <label className={labelClass}>Per User</label>
+                                    <input
+                                        className={inputClass}
+                                        type="number"
+                                        placeholder="∞"
+                                        value={form.per_user_limit}
+                                        onChange={e => setForm({ ...form, per_user_limit: e.target.value })}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div className="space-y-2">
+                                    <label className={labelClass}>Starts</label>
+                                    <input
+                                        className={inputClass}
+                                        type="datetime-local"
+                                        value={form.starts_at}
+                                        onChange={e => setForm({ ...form, starts_at: e.target.value })}
+                                    />
+                                </div>
+                                <div className="space-y-2">
+                                    <label className={labelClass}>Expires</label>
+                                    <input
+                                        className={inputClass}
+                                        type="datetime-local"
+                                        value={form.expires_at}
+                                        onChange={e => setForm({ ...form, expires_at: e.target.value })}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="space-y-2">
+                                <label className={labelClass}>Plans (none selected = all one-off plans)</label>
+                                <div className="flex flex-wrap gap-2">
+                                    {plans.filter(p => !p.billing_interval).map(plan => (
+                                        <button
+                                            key={plan.id}
+                                            type="button"
+                                            onClick={() => togglePlan(plan.id)}
+                                            className={`px-4 py-2 rounded-xl text-[11px] font-black uppercase tracking-widest border transition-all ${form.plan_ids.includes(plan.id)
+                                                ? 'bg-lime-500/10 border-lime-500/40 text-lime-400'
+                                                : 'bg-gray-950 border-gray-800 text-gray-500 hover:text-gray-300'
+                                                }`}
+                                        >
+                                            {plan.name}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div className="flex items-center gap-4 p-4 bg-gray-800/40 rounded-2xl border border-gray-700/50">
+                                    <input
+                                        id="coupon-first-purchase"
+                                        type="checkbox"
+                                        className="w-5 h-5 accent-lime-500"
+                                        checked={form.first_purchase_only}
+                                        onChange={e => setForm({ ...form, first_purchase_only: e.target.checked })}
+                                    />
+                                    <label htmlFor="coupon-first-purchase" className="text-xs font-black text-gray-300 uppercase tracking-widest cursor-pointer">First Purchase</label>
+                                </div>
+                                <div className="flex items-center gap-4 p-4 bg-gray-800/40 rounded-2xl border border-gray-700/50">
+                                    <input
+                                        id="coupon-active"
+                                        type="checkbox"
+                                        className="w-5 h-5 accent-lime-500"
+                                        checked={form.is_active}
+                                        onChange={e => setForm({ ...form, is_active: e.target.checked })}
+                                    />
+                                    <label htmlFor="coupon-active" className="text-xs font-black text-gray-300 uppercase tracking-widest cursor-pointer">Active</label>
+                                </div>
+                            </div>
+
+                            <button
+                                onClick={handleSave}
+                                disabled={loading}
+                                className={`w-full py-5 bg-gradient-to-r from-lime-500 to-emerald-600 text-white rounded-2xl font-black text-sm uppercase tracking-[0.2em] shadow-xl shadow-lime-500/20 mt-6 transition-transform active:scale-95 flex items-center justify-center gap-2 ${loading ? 'opacity-50 cursor-not-allowed' : 'hover:scale-[1.01]'}`}
+                            >
+                                {loading ? 'PROCESSING...' : (
+                                    <>
+                                        <CheckCircle2 size={18} />
+                                        {editingCoupon ? 'SAVE CHANGES' : 'CREATE COUPON'}
+                                    </>
+                                )}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CouponManagement;
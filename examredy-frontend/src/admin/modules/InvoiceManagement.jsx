@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import { FileText, Download, Save, Receipt } from 'lucide-react';
+
+const Toast = ({ msg, type }) => {
+    if (!msg) return null;
+    return (
+        <div className={`fixed top-5 right-5 z-50 px-6 py-3 rounded-2xl shadow-2xl border animate-in slide-in-from-right duration-300 ${type === 'error' ? 'bg-red-500/10 border-red-500/20 text-red-400' : 'bg-emerald-500/10 border-emerald-500/20 text-emerald-400'
+            }`}>
+            <p className="text-sm font-black uppercase tracking-widest">{msg}</p>
+        </div>
+    );
+};
+
+const SELLER_KEYS = ['INVOICE_SELLER_NAME', 'INVOICE_SELLER_GSTIN', 'INVOICE_SELLER_ADDRESS', 'INVOICE_SELLER_STATE', 'GST_RATE', 'INVOICE_PREFIX', 'INVOICE_SAC_CODE'];
+
+const SUPPLY_LABELS = { intra_state: 'CGST + SGST', inter_state: 'IGST', export: 'Export' };
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const saveBlob = (data, fileName) => {
+    const url = window.URL.createObjectURL(new Blob([data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+};
+
+const inputClass = 'w-full bg-gray-950 border border-gray-800 rounded-2xl py-3 px-5 text-white font-bold text-sm focus:ring-2 focus:ring-emerald-500/20 outline-none';
+const labelClass = 'text-[10px] text-gray-500 font-black uppercase tracking-[0.2em] ml-1';
+
+export const InvoiceManagement = () => {
+    const [month, setMonth] = useState(currentMonth());
+    const [register, setRegister] = useState({ invoices: [], totals: {} });
+    const [seller, setSeller] = useState(Object.fromEntries(SELLER_KEYS.map(key => [key, ''])));
+    const [states, setStates] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [toast, setToast] = useState({ msg: '', type: 'success' });
+
+    const showToast = (msg, type = 'success') => {
+        setToast({ msg, type });
+        setTimeout(() => setToast({ msg: '', type: 'success' }), 3000);
+    };
+
+    const fetchRegister = async () => {
+        setLoading(true);
+        try {
+            const res = await api.get(`/admin/invoices?month=${month}`);
+            setRegister(res.data);
+        } catch (e) {
+            showToast('Failed to load invoices', 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { fetchRegister(); }, [month]);
+
+    useEffect(() => {
+        const fetchSettings = async () => {
+            try {
+                const [settingsRes, statesRes] = await Promise.all([
+                    api.get('/admin/settings'),
+                    api.get('/structure/states')
+                ]);
+                const system = settingsRes.data.system || {};
+                setSeller(Object.fromEntries(SELLER_KEYS.map(key => [key, system[key] || ''])));
+                setStates(statesRes.data);
+            } catch (e) {
+                showToast('Failed to load invoice settings', 'error');
+            }
+        };
+        fetchSettings();
+    }, []);
+
+    const saveSeller = async () => {
+        try {
+            await api.put('/admin/settings/global', { settings: seller });
+            showToast('Invoice details saved');
+        } catch (e) { showToast('Save failed', 'error'); }
+    };
+
+    const exportMonth = async () => {
+        try {
+            const res = await api.get(`/admin/invoices/export?month=${month}`, { responseType: 'blob' });
+            saveBlob(res.data, `examredy-invoices-${month}.csv`);
+        } catch (e) { showToast('Export failed', 'error'); }
+    };
+
+    const downloadInvoice = async (invoice) => {
+        try {
+            const res = await api.get(`/invoices/${invoice.id}/download`, { responseType: 'blob' });
+            saveBlob(res.data, `examredy-invoice-${invoice.invoice_number.replace(/\//g, '-')}.pdf`);
+        } catch (e) { showToast('Download failed', 'error'); }
+    };
+
+    const formatINR = (val) => new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(val || 0);
+
+    return (
+        <div className="p-8 space-y-12 animate-in fade-in duration-500">
+            <Toast msg={toast.msg} type={toast.type} />
+
+            {/* Header */}
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-6 bg-gray-900/40 p-8 rounded-[2.5rem] border border-gray-800/50 backdrop-blur-md shadow-2xl">
+                <div>
+                    <h2 className="text-4xl font-black text-white uppercase tracking-tighter flex items-center gap-4">
+                        <Receipt className="text-emerald-400" size={40} />
+                        GST Invoices
+                    </h2>
+                    <p className="text-gray-500 text-base font-medium mt-2 uppercase tracking-[0.2em]">
+                        Tax Invoices, Monthly Register & Seller Details
+                    </p>
+                </div>
+                <div className="flex items-center gap-3">
+                    <input
+                        type="month"
+                        value={month}
+                        onChange={e => setMonth(e.target.value || currentMonth())}
+                        className="bg-gray-950 border border-gray-800 rounded-2xl py-4 px-5 text-white font-black text-sm outline-none"
+                    />
+                    <button
+                        onClick={exportMonth}
+                        className="flex items-center gap-3 px-8 py-4 bg-gradient-to-br from-emerald-500 to-teal-600 text-white rounded-2xl font-black text-sm uppercase tracking-widest shadow-xl shadow-emerald-500/20 hover:scale-[1.02] active:scale-[0.98] transition-all"
+                    >
+                        <Download size={20} /> Export CSV
+                    </button>
+                </div>
+            </div>
+
+            {/* Month Totals (INR invoices) */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-6">
+                {[['Taxable Value', register.totals.taxable], ['CGST', register.totals.cgst], ['SGST', register.totals.sgst], ['IGST', register.totals.igst], ['Invoiced', register.totals.total]].map(([label, value]) => (
+                    <div key={label} className="p-6 rounded-[2rem] bg-gray-900/60 border border-gray-800">
+                        <p className="text-[10px] text-gray-500 font-black uppercase tracking-[0.2em]">{label}</p>
+                        <p className="text-white text-xl font-black mt-2">{formatINR(value)}</p>
+                    </div>
+                ))}
+            </div>
+
+            {/* Register */}
+            <div className="bg-gray-900/60 border border-gray-800 rounded-[3rem] overflow-hidden shadow-2xl">
+                <div className="p-10 border-b border-gray-800 bg-gray-800/20">
+                    <h3 className="text-2xl font-black text-white uppercase tracking-tighter flex items-center gap-4">
+                        <FileText className="text-emerald-500" /> {register.invoices.length} Invoices · {month}
+                    </h3>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left">
+                        <thead className="bg-gray-950">
+                            <tr>
+                                {['Invoice', 'Buyer', 'Tax', 'Total', ''].map(head => (
+                                    <th key={head} className="px-8 py-5 text-[10px] font-black text-gray-500 uppercase tracking-[0.2em]">{head}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-800/50">
+                            {register.invoices.map(inv => (
+                                <tr key={inv.id} className="hover:bg-gray-800/10 transition-colors">
+                                    <td className="px-8 py-5">
+                                        <p className="font-mono text-xs text-white">{inv.invoice_number}</p>
+                                        <p className="text-gray-600 text-[9px] font-bold uppercase tracking-widest mt-0.5">{new Date(inv.invoice_date).toLocaleDateString('en-IN')}</p>
+                                    </td>
+                                    <td className="px-8 py-5">
+                                        <p className="text-white text-xs font-black">{inv.buyer_name}</p>
+                                        <p className="text-gray-600 text-[9px] font-bold uppercase tracking-widest mt-0.5">{inv.buyer_gstin || inv.buyer_email}</p>
+                                    </td>
+                                    <td className="px-8 py-5 text-[10px] font-black uppercase tracking-widest text-gray-400">
+                                        {SUPPLY_LABELS[inv.supply_type]}
+                                        {inv.supply_type !== 'export' && <span className="text-gray-600"> @ {parseFloat(inv.gst_rate)}%</span>}
+                                    </td>
+                                    <td className="px-8 py-5">
+                                        <p className="text-white text-sm font-black italic">{inv.currency} {parseFloat(inv.total_amount).toFixed(2)}</p>
+                                        {parseFloat(inv.refunded_amount) > 0 && <p className="text-red-400 text-[9px] font-bold uppercase tracking-widest mt-0.5">{parseFloat(inv.refunded_amount).toFixed(2)} refunded</p>}
+                                    </td>
+                                    <td className="px-8 py-5 text-right">
+                                        <button onClick={() => downloadInvoice(inv)} className="p-2 hover:bg-gray-700 rounded-lg text-gray-400 hover:text-white transition-all"><Download size={16} /></button>
+                                    </td>
+                                </tr>
+                            ))}
+                            {register.invoices.length === 0 && (
+                                <tr>
+                                    <td colSpan={5} className="px-8 py-12 text-center text-gray-600 text-xs font-black uppercase tracking-widest">
+                                        {loading ? 'Loading...' : 'No invoices this month'}
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Seller Details */}
+            <div className="bg-gray-900/60 border border-gray-800 rounded-[3rem] p-10 space-y-6 shadow-2xl">
+                <div>
+                    <h3 className="text-2xl font-black text-white uppercase tracking-tighter">Seller Details</h3>
+                    <p className="text-gray-500 text-xs font-medium mt-1">Printed on new invoices. Invoices already issued keep the details they were issued with.</p>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div className="space-y-2">
+                        <label className={labelClass}>Legal Name</label>
+                        <input className={inputClass} value={seller.INVOICE_SELLER_NAME} placeholder="ExamRedy" onChange={e => setSeller({ ...seller, INVOICE_SELLER_NAME: e.target.value })} />
+                    </div>
+                    <div className="space-y-2">
+                        <label className={labelClass}>GSTIN</label>
+                        <input className={`${inputClass} font-mono uppercase`} value={seller.INVOICE_SELLER_GSTIN} onChange={e => setSeller({ ...seller, INVOICE_SELLER_GSTIN: e.target.value.toUpperCase() })} />
+                    </div>
+                    <div className="space-y-2 md:col-span-2">
+                        <label className={labelClass}>Address</label>
+                        <input className={inputClass} value={seller.INVOICE_SELLER_ADDRESS} onChange={e => setSeller({ ...seller, INVOICE_SELLER_ADDRESS: e.target.value })} />
+                    </div>
+                    <div className="space-y-2">
+                        <label className={labelClass}>State (decides CGST/SGST vs IGST)</label>
+                        <select className={`${inputClass} appearance-none cursor-pointer`} value={seller.INVOICE_SELLER_STATE} onChange={e => setSeller({ ...seller, INVOICE_SELLER_STATE: e.target.value })}>
+                            <option value="">SELECT STATE</option>
+                            {states.map(s => <option key={s.id} value={s.name}>{s.name}</option>)}
+                        </select>
+                    </div>
+                    <div className="grid grid-cols-3 gap-4">
+                        <div className="space-y-2">
+                            <label className={labelClass}>GST %</label>
+                            <input className={inputClass} type="number" placeholder="18" value={seller.GST_RATE} onChange={e => setSeller({ ...seller, GST_RATE: e.target.value })} />
+                        </div>
+                        <div className="space-y-2">
+                            <label className={labelClass}>Prefix</label>
+                            <input className={`${inputClass} uppercase`} placeholder="ER" value={seller.INVOICE_PREFIX} maxLength={4} onChange={e => setSeller({ ...seller, INVOICE_PREFIX: e.target.value.toUpperCase() })} />
+                        </div>
+                        <div className="space-y-2">
+                            <label className={labelClass}>SAC</label>
+                            <input className={inputClass} placeholder="999293" value={seller.INVOICE_SAC_CODE} onChange={e => setSeller({ ...seller, INVOICE_SAC_CODE: e.target.value })} />
+                        </div>
+                    </div>
+                </div>
+                <button
+                    onClick={saveSeller}
+                    className="flex items-center gap-3 px-8 py-4 bg-gradient-to-br from-emerald-500 to-teal-600 text-white rounded-2xl font-black text-sm uppercase tracking-widest shadow-xl shadow-emerald-500/20 hover:scale-[1.02] active:scale-[0.98] transition-all"
+                >
+                    <Save size={18} /> Save Details
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default InvoiceManagement;
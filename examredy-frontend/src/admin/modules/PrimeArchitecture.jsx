@@ -26,7 +26,29 @@ export const PrimeArchitecture = () => {
     // Modals
     const [showPlanModal, setShowPlanModal] = useState(false);
     const [editingPlan, setEditingPlan] = useState(null);
-    const [planForm, setPlanForm] = useState({ name: '', duration_hours: 24, price: 99, is_active: true, sessions_limit: 10, referral_bonus_sessions: 2 });
+    const [planForm, setPlanForm] = useState({ name: '', plan_type: 'sessions', duration_hours: 24, price: 99, is_active: true, sessions_limit: 10, referral_bonus_sessions: 2 });
+    // 'sessions' packs, 'time' passes (unlimited until they expire) or 'hybrid' (sessions that expire)
+    const PLAN_TYPES = [
+        { value: 'sessions', label: 'Session Pack' },
+        { value: 'time', label: 'Time Pass' },
+        { value: 'hybrid', label: 'Hybrid' }
+    ];
+    const formatDuration = (hours) => hours % 24 === 0 ? `${hours / 24} DAY${hours === 24 ? '' : 'S'}` : `${hours} HOUR${hours === 1 ? '' : 'S'}`;
+    // Time passes and hybrid plans can renew automatically every month or year
+    const BILLING_INTERVALS = [
+        { value: '', label: 'One-off' },
+        { value: 'month', label: 'Monthly' },
+        { value: 'year', label: 'Yearly' }
+    ];
+    const describePlan = (plan) => {
+        const period = plan.billing_interval ? `EVERY ${plan.billing_interval.toUpperCase()}` : null;
+        if (plan.plan_type === 'time') return period ? `UNLIMITED, RENEWS ${period}` : `UNLIMITED FOR ${formatDuration(plan.duration_hours)}`;
+        if (plan.plan_type === 'hybrid') return `${plan.sessions_limit} SESSIONS ${period || `IN ${formatDuration(plan.duration_hours)}`}`;
+        return `${plan.sessions_limit} PREMIUM SESSIONS`;
+    };
+
+    // Other-currency prices as "USD=4.99, EUR=4.50" (card payments through Stripe)
+    const [pricesText, setPricesText] = useState('');
 
     const showToast = (msg, type = 'success') => {
         setToast({ msg, type });
@@ -62,11 +84,15 @@ export const PrimeArchitecture = () => {
         console.log('[DEBUG-PLAN-SAVE] Payload:', planForm);
         setLoading(true);
         try {
+            const prices = Object.fromEntries(pricesText.split(',')
+                .map(entry => entry.split('=').map(part => part.trim()))
+                .filter(([currency, price]) => currency && price));
+            const payload = { ...planForm, prices };
             if (editingPlan) {
-                await api.put(`/admin/plans/${editingPlan.id}`, planForm);
+                await api.put(`/admin/plans/${editingPlan.id}`, payload);
                 showToast('Plan updated successfully');
             } else {
-                await api.post('/admin/plans', planForm);
+                await api.post('/admin/plans', payload);
                 showToast('New plan added');
             }
             setShowPlanModal(false);
@@ -120,7 +146,7 @@ export const PrimeArchitecture = () => {
                     </p>
                 </div>
                 <button
-                    onClick={() => { setEditingPlan(null); setPlanForm({ name: '', duration_hours: 24, price: 99, is_active: true, sessions_limit: 10, referral_bonus_sessions: 2 }); setShowPlanModal(true); }}
+                    onClick={() => { setEditingPlan(null); setPlanForm({ name: '', plan_type: 'sessions', duration_hours: 24, price: 99, is_active: true, sessions_limit: 10, referral_bonus_sessions: 2 }); setPricesText(''); setShowPlanModal(true); }}
                     className="flex items-center gap-3 px-8 py-4 bg-gradient-to-br from-pink-600 to-rose-600 text-white rounded-2xl font-black text-sm uppercase tracking-widest shadow-xl shadow-pink-500/20 hover:scale-[1.02] active:scale-[0.98] transition-all"
                 >
                     <Plus size={20} /> New Plan
@@ -148,14 +174,14 @@ export const PrimeArchitecture = () => {
                                         <IndianRupee size={24} className={plan.is_active ? 'text-emerald-400' : 'text-gray-600'} />
                                     </div>
                                     <div className="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                                        <button onClick={() => { setEditingPlan(plan); setPlanForm(plan); setShowPlanModal(true); }} className="p-2 hover:bg-gray-700 rounded-lg text-gray-400 hover:text-white transition-all"><Edit3 size={16} /></button>
+                                        <button onClick={() => { setEditingPlan(plan); setPlanForm(plan); setPricesText(Object.entries(plan.prices || {}).map(([c, p]) => `${c}=${p}`).join(', ')); setShowPlanModal(true); }} className="p-2 hover:bg-gray-700 rounded-lg text-gray-400 hover:text-white transition-all"><Edit3 size={16} /></button>
                                         <button onClick={() => deletePlan(plan.id)} className="p-2 hover:bg-red-500/10 rounded-lg text-gray-400 hover:text-red-400 transition-all"><Trash2 size={16} /></button>
                                     </div>
                                 </div>
 
                                 <h4 className="text-white text-xl font-black uppercase tracking-tight mb-2">{plan.name}</h4>
                                 <p className="text-pink-500 text-sm font-bold uppercase tracking-widest flex items-center gap-2 mb-8">
-                                    <TrendingUp size={14} /> {plan.sessions_limit} PREMIUM SESSIONS
+                                    <TrendingUp size={14} /> {describePlan(plan)}
                                 </p>
 
                                 <div className="flex items-center justify-between mt-auto pt-6 border-t border-gray-800">
@@ -200,16 +226,54 @@ export const PrimeArchitecture = () => {
                                 />
                             </div>
 
+                            <div className="grid grid-cols-3 gap-2 p-1 bg-gray-950 rounded-2xl border border-gray-800">
+                                {PLAN_TYPES.map(type => (
+                                    <button
+                                        key={type.value}
+                                        onClick={() => setPlanForm({ ...planForm, plan_type: type.value, billing_interval: type.value === 'sessions' ? null : planForm.billing_interval })}
+                                        className={`py-3 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${(planForm.plan_type || 'sessions') === type.value ? 'bg-pink-600 text-white' : 'text-gray-500 hover:text-white'}`}
+                                    >
+                                        {type.label}
+                                    </button>
+                                ))}
+                            </div>
+
                             <div className="grid grid-cols-2 gap-6">
-                                <div className="space-y-2">
-                                    <label className="text-[10px] text-gray-400 font-black uppercase tracking-[0.2em] ml-1">Sessions Limit</label>
-                                    <input
-                                        className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-pink-500/20 outline-none"
-                                        type="number"
-                                        value={planForm.sessions_limit}
-                                        onChange={e => setPlanForm({ ...planForm, sessions_limit: parseInt(e.target.value) || 0 })}
-                                    />
-                                </div>
+                                {planForm.plan_type !== 'time' && (
+                                    <div className="space-y-2">
+                                        <label className="text-[10px] text-gray-400 font-black uppercase tracking-[0.2em] ml-1">Sessions Limit</label>
+                                        <input
+                                            className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-pink-500/20 outline-none"
+                                            type="number"
+                                            value={planForm.sessions_limit}
+                                            onChange={e => setPlanForm({ ...planForm, sessions_limit: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                )}
+                                {(planForm.plan_type === 'time' || planForm.plan_type === 'hybrid') && (
+                                    <div className="space-y-2">
+                                        <label className="text-[10px] text-gray-400 font-black uppercase tracking-[0.2em] ml-1">Billing</label>
+                                        <select
+                                            className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-pink-500/20 outline-none"
+                                            value={planForm.billing_interval || ''}
+                                            onChange={e => setPlanForm({ ...planForm, billing_interval: e.target.value || null })}
+                                        >
+                                            {BILLING_INTERVALS.map(interval => <option key={interval.value} value={interval.value}>{interval.label}</option>)}
+                                        </select>
+                                    </div>
+                                )}
+                                {(planForm.plan_type === 'time' || planForm.plan_type === 'hybrid') && !planForm.billing_interval && (
+                                    <div className="space-y-2">
+                                        <label className="text-[10px] text-gray-400 font-black uppercase tracking-[0.2em] ml-1">Duration (Hours)</label>
+                                        <input
+                                            className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-pink-500/20 outline-none"
+                                            type="number"
+                                            placeholder="720 = 30 days"
+                                            value={planForm.duration_hours}
+                                            onChange={e => setPlanForm({ ...planForm, duration_hours: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                )}
                                 <div className="space-y-2">
                                     <label className="text-[10px] text-gray-400 font-black uppercase tracking-[0.2em] ml-1">Referral Bonus (Sessions)</label>
                                     <input
@@ -228,6 +292,15 @@ export const PrimeArchitecture = () => {
                                         onChange={e => setPlanForm({ ...planForm, price: parseFloat(e.target.value) || 0 })}
                                     />
                                 </div>
+                                <div className="space-y-2">
+                                    <label className="text-[10px] text-gray-500 font-black uppercase tracking-[0.2em] ml-1">Other Currencies (Cards)</label>
+                                    <input
+                                        className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-black text-sm focus:ring-2 focus:ring-pink-500/20 outline-none"
+                                        placeholder="USD=4.99, EUR=4.50"
+                                        value={pricesText}
+                                        onChange={e => setPricesText(e.target.value)}
+                                    />
+                                </div>
 
                                 <div className="flex items-center gap-4 p-4 bg-gray-800/40 rounded-2xl border border-gray-700/50">
                                     <input
@@ -79,7 +79,18 @@ export const RevenueAnalytics = () => {
 
     useEffect(() => { fetchData(); }, []);
 
-    const formatCurrency = (val) => new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(val);
+    const formatCurrency = (val, currency = 'INR') => new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(val);
+
+    const handleRefund = async (t) => {
+        if (!window.confirm(`Refund ${formatCurrency(t.amount, t.currency || 'INR')} to ${t.user_email || 'this user'}? Their plan sessions are taken back.`)) return;
+        try {
+            const res = await api.post(`/admin/payments/${t.id}/refund`);
+            showToast(res.data.message);
+            fetchData();
+        } catch (e) {
+            showToast(e.response?.data?.message || e.response?.data?.error || 'Refund failed', 'error');
+        }
+    };
 
     return (
         <div className="p-8 space-y-10 animate-in fade-in duration-700">
@@ -265,7 +276,9 @@ export const RevenueAnalytics = () => {
                                         <p className="text-gray-600 text-[9px] font-bold uppercase tracking-widest mt-0.5">Verified Identity</p>
                                     </td>
                                     <td className="px-10 py-6">
-                                        <div className="text-white text-sm font-black italic">{formatCurrency(t.amount)}</div>
+                                        <div className="text-white text-sm font-black italic">{formatCurrency(t.amount, t.currency || 'INR')}</div>
+                                        {t.gateway && <p className="text-gray-600 text-[9px] font-bold uppercase tracking-widest mt-0.5">{t.gateway}</p>}
+                                        {parseFloat(t.discount_amount) > 0 && <p className="text-lime-500 text-[9px] font-bold uppercase tracking-widest mt-0.5">-{formatCurrency(t.discount_amount, t.currency || 'INR')} coupon</p>}
                                     </td>
                                     <td className="px-10 py-6 text-gray-500 text-[10px] font-bold uppercase tracking-widest">
                                         {new Date(t.created_at).toLocaleString('en-IN', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })}
@@ -277,6 +290,9 @@ export const RevenueAnalytics = () => {
                                             }`}>
                                             {t.status}
                                         </span>
+                                        {t.status === 'captured' && t.razorpay_payment_id && (
+                                            <button onClick={() => handleRefund(t)} className="ml-3 text-[9px] font-black uppercase tracking-[0.2em] text-gray-500 hover:text-red-400 transition-colors">Refund</button>
+                                        )}
                                     </td>
                                 </tr>
                             ))}
@@ -29,6 +29,11 @@ export const SystemSettings = () => {
         setTimeout(() => setToast({ msg: '', type: 'success' }), 3000);
     };
 
+    // Gateway used for new orders; purchases in a currency it cannot take fall back to another active one
+    const [defaultGateway, setDefaultGateway] = useState('razorpay');
+    // Days an auto-renewing subscription keeps access after a failed renewal while the gateway retries
+    const [graceDays, setGraceDays] = useState('3');
+
     const fetchConfig = async () => {
         setLoading(true);
         try {
@@ -65,6 +70,8 @@ export const SystemSettings = () => {
 
             // Map Payments
             setPayments(data.payment || []);
+            setDefaultGateway(data.system.PAYMENT_GATEWAY || 'razorpay');
+            setGraceDays(data.system.SUBSCRIPTION_GRACE_DAYS || '3');
 
         } catch (e) {
             console.error(e);
@@ -122,6 +129,25 @@ export const SystemSettings = () => {
         }
     };
 
+    const handleSaveDefaultGateway = async (provider) => {
+        setDefaultGateway(provider);
+        try {
+            await api.put('/admin/settings/global', { settings: { PAYMENT_GATEWAY: provider } });
+            showToast(`${provider} is now the default gateway`);
+        } catch (e) {
+            showToast('Failed to save default gateway', 'error');
+        }
+    };
+
+    const handleSaveGraceDays = async () => {
+        try {
+            await api.put('/admin/settings/global', { settings: { SUBSCRIPTION_GRACE_DAYS: String(parseInt(graceDays) || 0) } });
+            showToast('Renewal grace period updated');
+        } catch (e) {
+            showToast('Failed to save grace period', 'error');
+        }
+    };
+
     const handleSavePayment = async (provider) => {
         const p = payments.find(x => x.provider === provider);
         if (!p) return;
@@ -130,6 +156,7 @@ export const SystemSettings = () => {
             await api.put(`/admin/settings/payments/${provider}`, {
                 api_key: p.api_key,
                 api_secret: p.api_secret,
+                webhook_secret: p.webhook_secret || '',
                 is_active: p.is_active
             });
             showToast(`${provider} configuration updated`);
@@ -384,6 +411,35 @@ export const SystemSettings = () => {
                                     <Shield size={24} /> Financial Gateways
                                 </h3>
 
+                                <div className="flex items-center justify-between p-6 rounded-[2rem] bg-gray-900/50 border border-gray-800">
+                                    <div>
+                                        <p className="text-sm font-black text-white uppercase tracking-wider">Default Gateway</p>
+                                        <p className="text-[10px] text-gray-500 font-bold mt-1">Other currencies use any enabled gateway that supports them.</p>
+                                    </div>
+                                    <select
+                                        className="bg-gray-950 border border-gray-800 rounded-xl px-4 py-3 text-white text-xs font-black uppercase tracking-widest outline-none"
+                                        value={defaultGateway}
+                                        onChange={(e) => handleSaveDefaultGateway(e.target.value)}
+                                    >
+                                        {payments.map(gw => <option key={gw.provider} value={gw.provider}>{gw.provider}</option>)}
+                                    </select>
+                                </div>
+
+                                <div className="flex items-center justify-between p-6 rounded-[2rem] bg-gray-900/50 border border-gray-800">
+                                    <div>
+                                        <p className="text-sm font-black text-white uppercase tracking-wider">Renewal Grace (Days)</p>
+                                        <p className="text-[10px] text-gray-500 font-bold mt-1">Access kept after a failed auto-renewal before the subscription is cancelled.</p>
+                                    </div>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        className="w-24 bg-gray-950 border border-gray-800 rounded-xl px-4 py-3 text-white text-xs font-black outline-none"
+                                        value={graceDays}
+                                        onChange={(e) => setGraceDays(e.target.value)}
+                                        onBlur={handleSaveGraceDays}
+                                    />
+                                </div>
+
                                 <div className="space-y-6">
                                     {payments.map((gw, i) => (
                                         <div key={i} className={`p-8 rounded-[2.5rem] border ${gw.is_active ? 'bg-violet-500/5 border-violet-500/30' : 'bg-gray-900/50 border-gray-800'}`}>
@@ -436,6 +492,21 @@ export const SystemSettings = () => {
                                                         placeholder="•••••••••••••••••"
                                                     />
                                                 </div>
+                                                <div className="space-y-2">
+                                                    <label className="text-[10px] text-gray-500 font-black uppercase tracking-[0.2em] ml-1">Webhook Secret</label>
+                                                    <input
+                                                        value={gw.webhook_secret || ''}
+                                                        onChange={(e) => {
+                                                            const upd = [...payments];
+                                                            upd[i].webhook_secret = e.target.value;
+                                                            setPayments(upd);
+                                                        }}
+                                                        className="w-full bg-gray-950 border border-gray-800 rounded-2xl py-4 px-6 text-white font-bold text-sm outline-none focus:ring-2 focus:ring-violet-500/20"
+                                                        type="password"
+                                                        placeholder="•••••••••••••••••"
+                                                    />
+                                                    <p className="text-[10px] text-gray-600 ml-1">Webhook URL: /api/subscription/webhook/{gw.provider}</p>
+                                                </div>
                                                 <div className="pt-2">
                                                     <button onClick={() => handleSavePayment(gw.provider)} disabled={saving} className={`px-6 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-black text-xs uppercase tracking-[0.2em] shadow-xl shadow-violet-500/20 transition-all flex items-center gap-2 ${saving ? 'opacity-50' : 'active:scale-95'}`}>
                                                         <Save size={14} /> SAVE {gw.provider.toUpperCase()}
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Past group battles of the current user, with the full per-question breakdown of a selected battle
+const BattleHistory = ({ onBack }) => {
+    const [battles, setBattles] = useState([]);
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [detail, setDetail] = useState(null);
+
+    useEffect(() => {
+        const fetchHistory = async () => {
+            setLoading(true);
+            try {
+                const res = await api.get('/group/history', { params: { page, limit: 10 } });
+                setBattles(res.data.battles);
+                setTotalPages(res.data.totalPages || 1);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to load battle history');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchHistory();
+    }, [page]);
+
+    const openBattle = async (code) => {
+        setError('');
+        try {
+            const res = await api.get(`/group/${code}/results`);
+            setDetail(res.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load battle results');
+        }
+    };
+
+    if (detail) {
+        return (
+            <div className="max-w-3xl mx-auto bg-white rounded-3xl shadow-xl p-8">
+                <button onClick={() => setDetail(null)} className="text-sm font-bold text-blue-600 mb-6">← All battles</button>
+                <h2 className="text-2xl font-bold text-gray-900">{detail.topic || 'Group Battle'}</h2>
+                <p className="text-sm text-gray-500 mb-6">
+                    {new Date(detail.finishedAt).toLocaleString()} · {detail.questionCount} questions · {detail.secondsPerQuestion}s each
+                </p>
+
+                <h3 className="text-sm font-bold text-gray-400 uppercase mb-3">Standings</h3>
+                <div className="space-y-2 mb-8">
+                    {detail.standings.map(p => (
+                        <div key={p.userId} className="flex items-center justify-between p-3 rounded-xl bg-gray-50">
+                            <span className="font-medium text-gray-700">{p.rank}. {p.username}</span>
+                            <span className="text-sm text-gray-500">{p.correct}/{detail.questionCount} correct</span>
+                            <span className="font-mono font-bold text-blue-600">{p.score} pts</span>
+                        </div>
+                    ))}
+                </div>
+
+                <h3 className="text-sm font-bold text-gray-400 uppercase mb-3">Questions</h3>
+                <div className="space-y-4">
+                    {detail.questions.map(q => {
+                        const options = typeof q.options === 'string' ? JSON.parse(q.options) : q.options;
+                        return (
+                            <div key={q.index} className="border-2 border-gray-100 rounded-xl p-4">
+                                <p className="font-bold text-gray-800 mb-3">{q.index + 1}. {q.question}</p>
+                                <div className="space-y-1 mb-3">
+                                    {options.map((option, i) => (
+                                        <div key={i} className={`text-sm px-3 py-1 rounded ${i === parseInt(q.correct_option) ? 'bg-green-50 text-green-700 font-medium' : 'text-gray-600'}`}>
+                                            {String.fromCharCode(65 + i)}. {option}
+                                        </div>
+                                    ))}
+                                </div>
+                                <div className="flex flex-wrap gap-2">
+                                    {q.answers.map(a => (
+                                        <span key={a.user_id} className={`text-xs px-2 py-1 rounded-full ${a.is_correct ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                                            {a.username}: {a.selected_option !== null ? String.fromCharCode(65 + a.selected_option) : '–'} (+{a.points})
+                                        </span>
+                                    ))}
+                                    {q.answers.length === 0 && <span className="text-xs text-gray-400">No answers</span>}
+                                </div>
+                                {q.explanation && <p className="text-sm text-gray-600 mt-3">{q.explanation}</p>}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-3xl mx-auto bg-white rounded-3xl shadow-xl p-8">
+            <button onClick={onBack} className="text-sm font-bold text-blue-600 mb-6">← Back</button>
+            <h2 className="text-2xl font-bold text-gray-900 mb-6">My Battles</h2>
+
+            {error && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm mb-4">{error}</div>}
+
+            {loading ? (
+                <div className="text-center text-gray-500 py-10">Loading...</div>
+            ) : battles.length === 0 ? (
+                <div className="text-center text-gray-500 py-10">No finished battles yet.</div>
+            ) : (
+                <div className="space-y-3">
+                    {battles.map(b => (
+                        <button key={b.code} onClick={() => openBattle(b.code)} className="w-full text-left p-4 rounded-xl border-2 border-gray-100 hover:border-blue-300 transition">
+                            <div className="flex items-center justify-between">
+                                <span className="font-bold text-gray-800">{b.topic || 'Group Battle'}</span>
+                                <span className="font-mono font-bold text-blue-600">{b.myScore} pts</span>
+                            </div>
+                            <div className="text-sm text-gray-500 mt-1">
+                                {new Date(b.finishedAt).toLocaleDateString()} · Rank {b.myRank ?? '–'} of {b.participants.length}
+                                {b.wasHost && ' · Host'}
+                            </div>
+                            <div className="text-xs text-gray-400 mt-1 truncate">
+                                {b.participants.map(p => p.username).join(', ')}
+                            </div>
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {totalPages > 1 && (
+                <div className="flex items-center justify-between mt-6">
+                    <button disabled={page <= 1} onClick={() => setPage(p => p - 1)} className="px-4 py-2 rounded-lg bg-gray-100 font-bold disabled:opacity-50">Previous</button>
+                    <span className="text-sm text-gray-500">Page {page} of {totalPages}</span>
+                    <button disabled={page >= totalPages} onClick={() => setPage(p => p + 1)} className="px-4 py-2 rounded-lg bg-gray-100 font-bold disabled:opacity-50">Next</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BattleHistory;
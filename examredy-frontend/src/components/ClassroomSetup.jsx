@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import api from '../services/api';
+
+// Moderator controls for a classroom lobby: split players into teams and load a fixed question set
+const ClassroomSetup = ({ sessionId, participants, questionSetSize, onQuestionSetChange }) => {
+    const [teamCount, setTeamCount] = useState(2);
+    const [source, setSource] = useState('questions'); // 'questions', 'mcqIds', 'paperId'
+    const [title, setTitle] = useState('');
+    const [input, setInput] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const players = participants.filter(p => p.role === 'player');
+    const teams = [...new Set(players.map(p => p.team).filter(Boolean))].sort();
+
+    const run = async (request, success) => {
+        setSaving(true);
+        setError('');
+        setMessage('');
+        try {
+            const res = await request();
+            setMessage(success(res.data));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Request failed');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleTeams = (count) => run(
+        () => api.post(`/group/${sessionId}/teams`, { teamCount: count }),
+        (data) => data.teams.length > 0 ? `Players split into ${data.teams.length} teams` : 'Teams removed'
+    );
+
+    const handleMove = (userId, team) => run(
+        () => api.put(`/group/${sessionId}/teams/${userId}`, { team }),
+        () => 'Player moved'
+    );
+
+    const buildSetBody = () => {
+        if (!input.trim()) return {};
+        if (source === 'questions') return { title, questions: JSON.parse(input) };
+        if (source === 'mcqIds') return { title, mcqIds: input.split(/[\s,]+/).filter(Boolean) };
+        return { title, paperId: input.trim() };
+    };
+
+    const handleSaveSet = () => {
+        let body;
+        try {
+            body = buildSetBody();
+        } catch (e) {
+            setError('Questions must be a JSON list of { question, options, correct_option, explanation }');
+            return;
+        }
+        run(
+            () => api.put(`/group/${sessionId}/question-set`, body),
+            (data) => {
+                onQuestionSetChange(data.questionSetSize);
+                return data.message;
+            }
+        );
+    };
+
+    const handleClearSet = () => {
+        setInput('');
+        run(
+            () => api.put(`/group/${sessionId}/question-set`, {}),
+            (data) => {
+                onQuestionSetChange(0);
+                return data.message;
+            }
+        );
+    };
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <label className="block text-xs font-bold text-gray-400 uppercase mb-2">Teams</label>
+                <div className="flex gap-2">
+                    <select value={teamCount} onChange={e => setTeamCount(parseInt(e.target.value))} className="flex-1 border-2 border-gray-100 rounded-xl px-4 py-3 outline-none focus:border-blue-500">
+                        {[2, 3, 4, 5, 6, 8, 10].map(n => <option key={n} value={n}>{n} teams</option>)}
+                    </select>
+                    <button onClick={() => handleTeams(teamCount)} disabled={saving || players.length < 2} className="px-4 rounded-xl bg-gray-900 text-white font-bold disabled:opacity-50">Split</button>
+                    {teams.length > 0 && (
+                        <button onClick={() => handleTeams(0)} disabled={saving} className="px-4 rounded-xl bg-gray-100 text-gray-700 font-bold">Clear</button>
+                    )}
+                </div>
+                {teams.length > 0 && (
+                    <div className="mt-3 space-y-2 max-h-60 overflow-y-auto">
+                        {players.map(p => (
+                            <div key={p.userId} className="flex items-center justify-between text-sm">
+                                <span className="text-gray-700">{p.username}</span>
+                                <select value={p.team || ''} onChange={e => handleMove(p.userId, e.target.value)} className="border border-gray-200 rounded-lg px-2 py-1">
+                                    {!p.team && <option value="">No team</option>}
+                                    {teams.map(t => <option key={t} value={t}>{t}</option>)}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <div>
+                <label className="block text-xs font-bold text-gray-400 uppercase mb-2">
+                    Fixed Question Set {questionSetSize > 0 && <span className="text-green-600">({questionSetSize} loaded)</span>}
+                </label>
+                <select value={source} onChange={e => setSource(e.target.value)} className="w-full border-2 border-gray-100 rounded-xl px-4 py-3 outline-none focus:border-blue-500 mb-2">
+                    <option value="questions">Paste questions (JSON)</option>
+                    <option value="mcqIds">Question IDs</option>
+                    <option value="paperId">Previous-year paper ID</option>
+                </select>
+                <input type="text" placeholder="Quiz title (optional)" value={title} onChange={e => setTitle(e.target.value)} className="w-full border-2 border-gray-100 rounded-xl px-4 py-2 outline-none focus:border-blue-500 mb-2" />
+                <textarea
+                    rows={source === 'questions' ? 5 : 2}
+                    value={input}
+                    onChange={e => setInput(e.target.value)}
+                    placeholder={source === 'questions'
+                        ? '[{ "question": "...", "options": ["A", "B", "C", "D"], "correct_option": 0, "explanation": "..." }]'
+                        : source === 'mcqIds' ? '12, 45, 78' : 'Paper ID'}
+                    className="w-full border-2 border-gray-100 rounded-xl px-4 py-2 font-mono text-xs outline-none focus:border-blue-500"
+                />
+                <div className="flex gap-2 mt-2">
+                    <button onClick={handleSaveSet} disabled={saving || !input.trim()} className="flex-1 py-2 rounded-xl bg-gray-900 text-white font-bold disabled:opacity-50">Load Set</button>
+                    {questionSetSize > 0 && (
+                        <button onClick={handleClearSet} disabled={saving} className="px-4 rounded-xl bg-gray-100 text-gray-700 font-bold">Clear</button>
+                    )}
+                </div>
+            </div>
+
+            {message && <div className="bg-green-50 text-green-700 p-3 rounded-lg text-sm">{message}</div>}
+            {error && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm">{error}</div>}
+        </div>
+    );
+};
+
+export default ClassroomSetup;
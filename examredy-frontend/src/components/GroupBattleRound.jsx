@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Server-driven group battle: shows the open round with its countdown; the server grades answers and advances rounds.
+// Classroom moderators see the same rounds without answering.
+const GroupBattleRound = ({ sessionId, questions, battle, reveals, participants, isModerator = false }) => {
+    const [answers, setAnswers] = useState({}); // round -> graded answer from the server
+    const [selected, setSelected] = useState({}); // round -> selected option index
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        const tick = setInterval(() => setNow(Date.now()), 250);
+        return () => clearInterval(tick);
+    }, []);
+
+    const round = battle.currentRound ?? questions.length - 1;
+    const question = questions[round];
+    const isOpen = battle.roundPhase === 'question';
+    const secondsLeft = battle.phaseEndsAt ? Math.max(0, Math.ceil((new Date(battle.phaseEndsAt).getTime() - now) / 1000)) : null;
+    const answer = answers[round];
+    const reveal = reveals[round] || (answer?.correct_option !== undefined ? answer : null);
+    const myScore = Object.values(answers).reduce((max, a) => Math.max(max, a.score || 0), 0);
+
+    const handleAnswer = async (index) => {
+        if (isModerator || !isOpen || selected[round] !== undefined) return;
+        setSelected(prev => ({ ...prev, [round]: index }));
+        try {
+            const res = await api.post(`/group/${sessionId}/answer`, { question_index: round, selected_option: index });
+            setAnswers(prev => ({ ...prev, [round]: res.data }));
+        } catch (error) {
+            // Late answers are rejected by the server
+            setAnswers(prev => ({ ...prev, [round]: { rejected: true, message: error.response?.data?.message || 'Answer not accepted' } }));
+        }
+    };
+
+    if (!question) {
+        return <div className="max-w-3xl mx-auto text-center text-gray-500 py-20">Waiting for the first question...</div>;
+    }
+
+    const options = typeof question.options === 'string' ? JSON.parse(question.options) : question.options;
+    const players = participants.filter(p => p.role !== 'moderator');
+    const standings = [...players].sort((a, b) => b.score - a.score);
+    // Team totals, when the classroom is split into teams
+    const teamScores = Object.values(players.reduce((teams, p) => {
+        if (!p.team) return teams;
+        const team = teams[p.team] || { team: p.team, score: 0, members: 0 };
+        teams[p.team] = { ...team, score: team.score + p.score, members: team.members + 1 };
+        return teams;
+    }, {})).sort((a, b) => b.score / b.members - a.score / a.members);
+
+    return (
+        <div className="max-w-5xl mx-auto grid lg:grid-cols-3 gap-6 px-4">
+            <div className="lg:col-span-2 bg-white rounded-xl shadow-lg overflow-hidden">
+                <div className="bg-gray-50 px-6 py-4 border-b flex justify-between items-center text-sm md:text-base">
+                    <span className="text-gray-600 font-medium">Round {round + 1} / {battle.questionCount || questions.length}</span>
+                    {isOpen ? (
+                        <span className={`font-mono font-bold px-3 py-1 rounded-full ${secondsLeft <= 5 ? 'bg-red-100 text-red-600' : 'bg-indigo-100 text-indigo-700'}`}>
+                            ⏱ {secondsLeft}s
+                        </span>
+                    ) : (
+                        <span className="font-bold text-gray-500">{secondsLeft ? `Next round in ${secondsLeft}s` : 'Next round...'}</span>
+                    )}
+                    {isModerator
+                        ? <span className="text-gray-500 font-bold">Moderating</span>
+                        : <span className="text-primary font-bold">Score: {myScore}</span>}
+                </div>
+
+                <div className="p-6 md:p-8">
+                    <h3 className="text-xl md:text-2xl font-bold text-gray-800 mb-6">{question.question}</h3>
+
+                    <div className="space-y-4">
+                        {options.map((option, index) => {
+                            let optionClass = 'w-full text-left p-4 rounded-lg border-2 transition flex items-center';
+                            if (reveal && index === reveal.correct_option) {
+                                optionClass += ' border-green-500 bg-green-50 text-green-700 font-medium';
+                            } else if (selected[round] === index) {
+                                optionClass += answer && !answer.is_correct && !answer.rejected && reveal
+                                    ? ' border-red-500 bg-red-50 text-red-700'
+                                    : ' border-primary bg-indigo-50 text-primary';
+                            } else if (!isOpen || selected[round] !== undefined) {
+                                optionClass += ' border-gray-200 opacity-50';
+                            } else {
+                                optionClass += ' border-gray-200 hover:border-indigo-300 hover:bg-gray-50';
+                            }
+
+                            return (
+                                <button key={index} onClick={() => handleAnswer(index)} disabled={isModerator || !isOpen || selected[round] !== undefined} className={optionClass}>
+                                    <span className="w-8 h-8 rounded-full border-2 border-gray-300 text-gray-500 flex items-center justify-center mr-4 text-sm font-bold">
+                                        {String.fromCharCode(65 + index)}
+                                    </span>
+                                    {option}
+                                </button>
+                            );
+                        })}
+                    </div>
+
+                    {answer && (
+                        <div className={`mt-6 p-4 rounded-lg ${answer.rejected ? 'bg-gray-50 border border-gray-200' : answer.is_correct ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'}`}>
+                            <h4 className="font-black uppercase tracking-wider mb-1">
+                                {answer.rejected ? answer.message : answer.is_correct ? `Correct! +${answer.points} pts` : 'Incorrect'}
+                            </h4>
+                            {reveal?.explanation && <p className="text-gray-900 font-medium leading-relaxed">{reveal.explanation}</p>}
+                        </div>
+                    )}
+                    {!answer && !isOpen && !isModerator && (
+                        <div className="mt-6 p-4 rounded-lg bg-gray-50 border border-gray-200 font-bold text-gray-600">
+                            ⌛ Time is up for this round
+                            {reveal?.explanation && <p className="text-gray-900 font-medium mt-2">{reveal.explanation}</p>}
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg p-6 h-fit">
+                {teamScores.length > 0 && (
+                    <>
+                        <h4 className="text-sm font-bold text-gray-400 uppercase mb-4">Teams (avg)</h4>
+                        <div className="space-y-2 mb-6">
+                            {teamScores.map((t, i) => (
+                                <div key={t.team} className="flex items-center justify-between p-2 rounded-lg bg-indigo-50">
+                                    <span className="font-medium text-gray-700">{i + 1}. {t.team}</span>
+                                    <span className="font-mono font-bold text-indigo-600">{Math.round((t.score / t.members) * 10) / 10}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
+                <h4 className="text-sm font-bold text-gray-400 uppercase mb-4">Live Scores</h4>
+                <div className="space-y-2">
+                    {standings.map((p, i) => (
+                        <div key={p.userId || i} className="flex items-center justify-between p-2 rounded-lg bg-gray-50">
+                            <span className="font-medium text-gray-700">{i + 1}. {p.username}</span>
+                            <span className="font-mono font-bold text-blue-600">{p.score}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default GroupBattleRound;
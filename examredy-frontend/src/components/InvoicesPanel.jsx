@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+
+const EMPTY_DETAILS = { legal_name: '', gstin: '', address: '', state: '', postal_code: '' };
+
+// The user's GST invoices with PDF downloads, and the billing details printed on future invoices
+const InvoicesPanel = () => {
+    const [invoices, setInvoices] = useState([]);
+    const [details, setDetails] = useState(EMPTY_DETAILS);
+    const [states, setStates] = useState([]);
+    const [editing, setEditing] = useState(false);
+    const [message, setMessage] = useState(null); // { text, ok }
+
+    useEffect(() => {
+        const fetchData = async () => {
+            try {
+                const [invoiceRes, detailsRes, statesRes] = await Promise.all([
+                    api.get('/invoices'),
+                    api.get('/invoices/billing-details'),
+                    api.get('/structure/states')
+                ]);
+                setInvoices(invoiceRes.data);
+                setDetails(Object.fromEntries(Object.keys(EMPTY_DETAILS).map(key => [key, detailsRes.data[key] || ''])));
+                setStates(statesRes.data);
+            } catch (err) {
+                console.error("Failed to load invoices:", err);
+            }
+        };
+        fetchData();
+    }, []);
+
+    const saveDetails = async () => {
+        try {
+            await api.put('/invoices/billing-details', details);
+            setMessage({ text: 'Billing details saved. They will appear on your next invoice.', ok: true });
+            setEditing(false);
+        } catch (err) {
+            setMessage({ text: err.response?.data?.message || 'Failed to save billing details', ok: false });
+        }
+    };
+
+    const download = async (invoice) => {
+        try {
+            const res = await api.get(`/invoices/${invoice.id}/download`, { responseType: 'blob' });
+            const url = window.URL.createObjectURL(new Blob([res.data], { type: 'application/pdf' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `examredy-invoice-${invoice.invoice_number.replace(/\//g, '-')}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            alert('Failed to download invoice');
+        }
+    };
+
+    const field = (key, label, props = {}) => (
+        <label className="block">
+            <span className="text-xs font-bold text-gray-500 uppercase tracking-wide">{label}</span>
+            <input
+                value={details[key]}
+                onChange={e => setDetails({ ...details, [key]: e.target.value })}
+                className="mt-1 w-full px-4 py-2 rounded-xl border border-gray-200 outline-none focus:ring-2 focus:ring-blue-500/30"
+                {...props}
+            />
+        </label>
+    );
+
+    return (
+        <div className="max-w-4xl mx-auto bg-white rounded-3xl shadow-xl border border-gray-100 p-8 mb-16">
+            <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-gray-800">🧾 Invoices</h2>
+                <button onClick={() => setEditing(!editing)} className="text-sm font-semibold text-blue-600 hover:text-blue-700">
+                    {editing ? 'Close' : 'Billing details'}
+                </button>
+            </div>
+
+            {message && (
+                <p className={`mb-4 text-sm font-semibold ${message.ok ? 'text-emerald-600' : 'text-red-600'}`}>{message.text}</p>
+            )}
+
+            {editing && (
+                <div className="mb-8 p-6 rounded-2xl bg-gray-50 border border-gray-100 space-y-4">
+                    <p className="text-sm text-gray-500">Add a GSTIN to claim input tax credit. Invoices already issued are not changed.</p>
+                    <div className="grid md:grid-cols-2 gap-4">
+                        {field('legal_name', 'Name on invoice')}
+                        {field('gstin', 'GSTIN (optional)', { maxLength: 15, onChange: e => setDetails({ ...details, gstin: e.target.value.toUpperCase() }) })}
+                        <div className="md:col-span-2">{field('address', 'Address')}</div>
+                        <label className="block">
+                            <span className="text-xs font-bold text-gray-500 uppercase tracking-wide">State</span>
+                            <select
+                                value={details.state}
+                                onChange={e => setDetails({ ...details, state: e.target.value })}
+                                className="mt-1 w-full px-4 py-2 rounded-xl border border-gray-200 bg-white outline-none focus:ring-2 focus:ring-blue-500/30"
+                            >
+                                <option value="">Select state</option>
+                                {states.map(s => <option key={s.id} value={s.name}>{s.name}</option>)}
+                            </select>
+                        </label>
+                        {field('postal_code', 'PIN code', { maxLength: 10 })}
+                    </div>
+                    <button onClick={saveDetails} className="px-6 py-2 rounded-xl font-bold text-sm bg-blue-600 text-white hover:bg-blue-700 transition shadow-lg">
+                        Save
+                    </button>
+                </div>
+            )}
+
+            {invoices.length === 0 ? (
+                <p className="text-gray-500 text-center py-6">Invoices for your Prime purchases will appear here.</p>
+            ) : (
+                <div className="divide-y divide-gray-100">
+                    {invoices.map(invoice => (
+                        <div key={invoice.id} className="flex items-center justify-between py-3">
+                            <div>
+                                <p className="font-mono font-bold text-gray-800">{invoice.invoice_number}</p>
+                                <p className="text-sm text-gray-500">
+                                    {new Date(invoice.invoice_date).toLocaleDateString('en-IN')} · {invoice.description}
+                                    {invoice.payment_status === 'refunded' && <span className="text-red-500 font-semibold"> · Refunded</span>}
+                                </p>
+                            </div>
+                            <div className="flex items-center gap-4">
+                                <span className="font-bold text-gray-800">{invoice.currency} {parseFloat(invoice.total_amount).toFixed(2)}</span>
+                                <button onClick={() => download(invoice)} className="text-sm font-semibold text-blue-600 hover:text-blue-700">
+                                    Download PDF
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default InvoicesPanel;
@@ -1,8 +1,7 @@
 import React, { useState } from 'react';
 import api from '../services/api';
 
-const MCQSession = ({ questions, onComplete, onFetchNext, mode = 'practice', sessionId = null, sessionInfo = null }) => {
-    const [isLoadingNext, setIsLoadingNext] = useState(false);
+const MCQSession = ({ questions, onComplete, mode = 'practice', sessionId = null, sessionInfo = null }) => {
     const [currentIndex, setCurrentIndex] = useState(0);
     const [selectedOption, setSelectedOption] = useState(null);
     const [isChecked, setIsChecked] = useState(false);
@@ -18,9 +17,9 @@ const MCQSession = ({ questions, onComplete, onFetchNext, mode = 'practice', ses
 
         try {
             const res = await api.post('/mcq/submit', {
+                session_id: sessionId,
                 mcq_id: currentQuestion.id,
-                selected_option: index,
-                actual_correct_option: currentQuestion.correct_option
+                selected_option: index
             });
 
             setResult(res.data);
@@ -30,15 +29,6 @@ const MCQSession = ({ questions, onComplete, onFetchNext, mode = 'practice', ses
                 setScore(s => s + 1);
             }
 
-            // If group mode, submit score update
-            if (mode === 'group' && sessionId) {
-                setScore(currentScore => {
-                    const newScore = currentScore + (res.data.is_correct ? 1 : 0);
-                    api.post(`/group/${sessionId}/submit`, { score: newScore });
-                    return newScore;
-                });
-            }
-
         } catch (error) {
             console.error("Failed to submit answer", error);
         }
@@ -49,19 +39,17 @@ const MCQSession = ({ questions, onComplete, onFetchNext, mode = 'practice', ses
         setIsChecked(false);
         setResult(null);
 
-        // If we are at the last available question but not at the total limit (e.g. 10)
-        if (currentIndex === questions.length - 1 && questions.length < 10 && mode === 'group') {
-            if (onFetchNext) {
-                setIsLoadingNext(true);
-                const success = await onFetchNext();
-                setIsLoadingNext(false);
-                if (success) {
-                    setCurrentIndex(currentIndex + 1);
-                }
-            }
-        } else if (currentIndex < questions.length - 1) {
+        if (currentIndex < questions.length - 1) {
             setCurrentIndex(currentIndex + 1);
         } else {
+            if (mode === 'practice' && sessionId) {
+                try {
+                    const res = await api.post(`/mcq/sessions/${sessionId}/complete`);
+                    return onComplete({ score: res.data.score, total: res.data.total });
+                } catch (error) {
+                    console.error("Failed to complete session", error);
+                }
+            }
             onComplete({ score, total: questions.length });
         }
     };
@@ -148,20 +136,9 @@ const MCQSession = ({ questions, onComplete, onFetchNext, mode = 'practice', ses
                     {isChecked && (
                         <button
                             onClick={handleNext}
-                            disabled={isLoadingNext}
-                            className={`${isLoadingNext ? 'bg-gray-400' : 'bg-green-600 hover:bg-green-700'} text-white px-8 py-3 rounded-xl font-bold shadow-lg transition flex items-center`}
+                            className="bg-green-600 hover:bg-green-700 text-white px-8 py-3 rounded-xl font-bold shadow-lg transition flex items-center"
                         >
-                            {isLoadingNext ? (
-                                <>
-                                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                    </svg>
-                                    Generating...
-                                </>
-                            ) : (
-                                <>{currentIndex === questions.length - 1 && questions.length === 10 ? 'Finish' : 'Next Question'}</>
-                            )}
+                            {currentIndex === questions.length - 1 ? 'Finish' : 'Next Question'}
                         </button>
                     )}
                 </div>
@@ -0,0 +1,390 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import api from '../services/api';
+
+const letter = (option) => (option === null || option === undefined ? '–' : String.fromCharCode(65 + option));
+const parseOptions = (options) => (typeof options === 'string' ? JSON.parse(options) : options);
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+const LANGUAGES = ['English', 'Bengali', 'Hindi', 'Urdu', 'Assamese', 'Gujarati', 'Marathi', 'Tamil', 'Telugu'];
+const OUTCOME_STYLES = { win: 'bg-green-100 text-green-700', loss: 'bg-red-100 text-red-700', draw: 'bg-gray-100 text-gray-600' };
+
+// Async challenges: create a frozen question set, play it, share the code and compare with friends who play it later
+const Challenge = () => {
+    const { code } = useParams();
+    const navigate = useNavigate();
+
+    const [categories, setCategories] = useState([]);
+    const [subjects, setSubjects] = useState([]);
+    const [chapters, setChapters] = useState([]);
+    const [form, setForm] = useState({ categoryId: '', subjectId: '', chapterId: '', language: 'English', questionCount: 10, secondsPerQuestion: 30 });
+    const [joinCode, setJoinCode] = useState('');
+    const [mine, setMine] = useState([]);
+    const [rivals, setRivals] = useState([]);
+    const [rival, setRival] = useState(null);
+
+    const [challenge, setChallenge] = useState(null);
+    const [attempt, setAttempt] = useState(null);
+    const [current, setCurrent] = useState(0);
+    const [remaining, setRemaining] = useState(0);
+    const [results, setResults] = useState(null);
+
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [copied, setCopied] = useState(false);
+
+    const fail = (err, fallback) => setError(err.response?.data?.message || fallback);
+
+    // Lists on the start screen
+    useEffect(() => {
+        if (code) return;
+        api.get('/structure/categories').then(res => setCategories(res.data)).catch(() => setCategories([]));
+        api.get('/challenge/mine', { params: { limit: 10 } }).then(res => setMine(res.data.challenges)).catch(() => setMine([]));
+        api.get('/challenge/head-to-head', { params: { limit: 10 } }).then(res => setRivals(res.data.rivals)).catch(() => setRivals([]));
+    }, [code]);
+
+    useEffect(() => {
+        setSubjects([]);
+        if (form.categoryId) api.get(`/structure/subjects?category_id=${form.categoryId}`).then(res => setSubjects(res.data));
+    }, [form.categoryId]);
+
+    useEffect(() => {
+        setChapters([]);
+        if (form.subjectId) api.get(`/structure/chapters/${form.subjectId}`).then(res => setChapters(res.data));
+    }, [form.subjectId]);
+
+    const loadChallenge = useCallback(async () => {
+        setError('');
+        setAttempt(null);
+        setResults(null);
+        try {
+            const res = await api.get(`/challenge/${code}`);
+            setChallenge(res.data);
+            if (res.data.myAttempt && res.data.myAttempt.status !== 'in_progress') {
+                const resultsRes = await api.get(`/challenge/${code}/results`);
+                setResults(resultsRes.data);
+            }
+        } catch (err) {
+            setChallenge(null);
+            fail(err, 'Challenge not found');
+        }
+    }, [code]);
+
+    useEffect(() => {
+        if (code) loadChallenge();
+    }, [code, loadChallenge]);
+
+    const handleSubmit = useCallback(async () => {
+        setLoading(true);
+        try {
+            const res = await api.post(`/challenge/${code}/submit`);
+            setAttempt(null);
+            setResults(res.data);
+            setChallenge(res.data);
+        } catch (err) {
+            fail(err, 'Failed to submit');
+        } finally {
+            setLoading(false);
+        }
+    }, [code]);
+
+    // Overall countdown, re-synced from the server's remaining time whenever an attempt (re)starts
+    useEffect(() => {
+        if (!attempt || attempt.status !== 'in_progress') return;
+        const endsAt = Date.now() + attempt.remainingSeconds * 1000;
+        const timer = setInterval(() => {
+            const left = Math.max(0, Math.round((endsAt - Date.now()) / 1000));
+            setRemaining(left);
+            if (left === 0) {
+                clearInterval(timer);
+                handleSubmit();
+            }
+        }, 1000);
+        setRemaining(attempt.remainingSeconds);
+        return () => clearInterval(timer);
+    }, [attempt?.startedAt, handleSubmit]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    const handleCreate = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const res = await api.post('/challenge', form);
+            navigate(`/challenge/${res.data.code}`);
+        } catch (err) {
+            fail(err, 'Failed to create challenge');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleStart = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const res = await api.post(`/challenge/${code}/start`);
+            if (res.data.attempt.status === 'in_progress') {
+                setAttempt(res.data.attempt);
+                setCurrent(0);
+            } else {
+                await loadChallenge();
+            }
+        } catch (err) {
+            fail(err, 'Failed to start challenge');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleAnswer = async (index, option) => {
+        setAttempt(a => ({ ...a, answers: { ...a.answers, [index]: { selected_option: option } } }));
+        try {
+            await api.post(`/challenge/${code}/answer`, { question_index: index, selected_option: option });
+        } catch (err) {
+            if (err.response?.data?.code === 'ATTEMPT_CLOSED') handleSubmit();
+            else fail(err, 'Failed to save answer');
+        }
+    };
+
+    const openRival = async (userId) => {
+        setError('');
+        try {
+            const res = await api.get(`/challenge/head-to-head/${userId}`);
+            setRival(res.data);
+        } catch (err) {
+            fail(err, 'Failed to load head-to-head');
+        }
+    };
+
+    const copyLink = () => {
+        navigator.clipboard?.writeText(`${window.location.origin}/challenge/${code}`);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+    };
+
+    const setField = (field, value) => setForm(f => ({
+        ...f,
+        [field]: value,
+        ...(field === 'categoryId' ? { subjectId: '', chapterId: '' } : {}),
+        ...(field === 'subjectId' ? { chapterId: '' } : {})
+    }));
+
+    const errorBox = error && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm mb-4">{error}</div>;
+
+    // Playing
+    if (code && attempt) {
+        const question = attempt.questions[current];
+        const selected = attempt.answers?.[current]?.selected_option;
+        const answered = Object.keys(attempt.answers || {}).length;
+        return (
+            <div className="max-w-3xl mx-auto bg-white rounded-3xl shadow-xl p-8">
+                <div className="flex items-center justify-between mb-6">
+                    <span className="text-sm font-bold text-gray-400 uppercase">Question {current + 1} of {attempt.questions.length}</span>
+                    <span className={`font-mono font-bold text-lg ${remaining <= 10 ? 'text-red-600' : 'text-blue-600'}`}>{formatTime(remaining)}</span>
+                </div>
+                {errorBox}
+                <p className="text-xl font-bold text-gray-900 mb-6">{question.question}</p>
+                <div className="space-y-3 mb-8">
+                    {parseOptions(question.options).map((option, i) => (
+                        <button
+                            key={i}
+                            onClick={() => handleAnswer(current, i)}
+                            className={`w-full text-left p-4 rounded-xl border-2 transition ${selected === i ? 'border-blue-500 bg-blue-50' : 'border-gray-100 hover:border-blue-300'}`}
+                        >
+                            <span className="font-bold mr-2">{letter(i)}.</span>{option}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                    <button disabled={current === 0} onClick={() => setCurrent(c => c - 1)} className="px-4 py-2 rounded-lg bg-gray-100 font-bold disabled:opacity-50">Previous</button>
+                    <span className="text-sm text-gray-500">{answered}/{attempt.questions.length} answered</span>
+                    {current < attempt.questions.length - 1 ? (
+                        <button onClick={() => setCurrent(c => c + 1)} className="px-4 py-2 rounded-lg bg-gray-900 text-white font-bold">Next</button>
+                    ) : (
+                        <button onClick={handleSubmit} disabled={loading} className="px-4 py-2 rounded-lg bg-green-600 text-white font-bold disabled:opacity-50">Submit</button>
+                    )}
+                </div>
+            </div>
+        );
+    }
+
+    // One challenge: standings, play button and (once played) the full results
+    if (code) {
+        const canPlay = challenge && !challenge.expired && (!challenge.myAttempt || challenge.myAttempt.status === 'in_progress')
+            && (challenge.ready || challenge.isCreator);
+        return (
+            <div className="max-w-3xl mx-auto bg-white rounded-3xl shadow-xl p-8">
+                <button onClick={() => navigate('/challenge')} className="text-sm font-bold text-blue-600 mb-6">← All challenges</button>
+                {errorBox}
+                {challenge && (
+                    <>
+                        <h2 className="text-2xl font-bold text-gray-900">{challenge.topic || 'Challenge'}</h2>
+                        <p className="text-sm text-gray-500 mb-6">
+                            By {challenge.creator.username} · {challenge.questionCount} questions · {challenge.secondsPerQuestion}s each
+                            {challenge.expired ? ' · Expired' : ` · Open until ${new Date(challenge.expiresAt).toLocaleDateString()}`}
+                        </p>
+
+                        <div className="flex items-center gap-3 mb-6">
+                            <span className="font-mono font-bold text-lg tracking-widest bg-gray-100 px-4 py-2 rounded-xl">{challenge.code}</span>
+                            <button onClick={copyLink} className="text-sm font-bold px-4 py-2 rounded-xl bg-gray-900 text-white">{copied ? 'Copied!' : 'Copy Link'}</button>
+                        </div>
+
+                        {canPlay && (
+                            <button onClick={handleStart} disabled={loading} className="w-full bg-blue-600 text-white py-3 rounded-xl font-bold hover:bg-blue-700 transition mb-6 disabled:opacity-50">
+                                {challenge.myAttempt ? 'Resume' : challenge.isCreator ? 'Play First' : 'Accept Challenge'}
+                            </button>
+                        )}
+                        {!challenge.ready && !challenge.isCreator && (
+                            <div className="bg-amber-50 text-amber-700 p-3 rounded-lg text-sm mb-6">{challenge.creator.username} has not played this challenge yet.</div>
+                        )}
+
+                        <h3 className="text-sm font-bold text-gray-400 uppercase mb-3">Standings</h3>
+                        <div className="space-y-2 mb-8">
+                            {challenge.standings.map(p => {
+                                const versus = results?.versus?.find(v => v.userId === p.userId);
+                                return (
+                                    <div key={p.userId} className="flex items-center justify-between p-3 rounded-xl bg-gray-50">
+                                        <span className="font-medium text-gray-700">{p.rank}. {p.username}</span>
+                                        <span className="text-sm text-gray-500">{p.correct}/{challenge.questionCount} · {formatTime(p.timeTakenSeconds)}</span>
+                                        {versus && <span className={`text-xs font-bold px-2 py-1 rounded-full uppercase ${OUTCOME_STYLES[versus.outcome]}`}>{versus.outcome}</span>}
+                                    </div>
+                                );
+                            })}
+                            {challenge.standings.length === 0 && <div className="text-sm text-gray-400">Nobody has finished yet.</div>}
+                            {challenge.playersInProgress > 0 && <div className="text-sm text-gray-400">{challenge.playersInProgress} playing now</div>}
+                        </div>
+
+                        {results && (
+                            <>
+                                <h3 className="text-sm font-bold text-gray-400 uppercase mb-3">Questions</h3>
+                                <div className="space-y-4">
+                                    {results.questions.map(q => (
+                                        <div key={q.index} className="border-2 border-gray-100 rounded-xl p-4">
+                                            <p className="font-bold text-gray-800 mb-3">{q.index + 1}. {q.question}</p>
+                                            <div className="space-y-1 mb-3">
+                                                {parseOptions(q.options).map((option, i) => (
+                                                    <div key={i} className={`text-sm px-3 py-1 rounded ${i === parseInt(q.correct_option) ? 'bg-green-50 text-green-700 font-medium' : 'text-gray-600'}`}>
+                                                        {letter(i)}. {option}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                            <div className="flex flex-wrap gap-2">
+                                                {q.picks.map(p => (
+                                                    <span key={p.userId} className={`text-xs px-2 py-1 rounded-full ${p.is_correct ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                                                        {p.username}: {letter(p.selected_option)}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                            {q.explanation && <p className="text-sm text-gray-600 mt-3">{q.explanation}</p>}
+                                        </div>
+                                    ))}
+                                </div>
+                            </>
+                        )}
+                    </>
+                )}
+            </div>
+        );
+    }
+
+    // Record against one opponent
+    if (rival) {
+        return (
+            <div className="max-w-3xl mx-auto bg-white rounded-3xl shadow-xl p-8">
+                <button onClick={() => setRival(null)} className="text-sm font-bold text-blue-600 mb-6">← Back</button>
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">You vs {rival.opponent.username}</h2>
+                <p className="text-lg font-mono font-bold text-gray-700 mb-6">{rival.wins}W · {rival.losses}L · {rival.draws}D</p>
+                <div className="space-y-2">
+                    {rival.challenges.map(c => (
+                        <button key={c.code} onClick={() => navigate(`/challenge/${c.code}`)} className="w-full flex items-center justify-between p-3 rounded-xl border-2 border-gray-100 hover:border-blue-300 transition text-left">
+                            <span className="font-medium text-gray-700">{c.topic || 'Challenge'}</span>
+                            <span className="text-sm text-gray-500">{c.myCorrect} – {c.theirCorrect}</span>
+                            <span className={`text-xs font-bold px-2 py-1 rounded-full uppercase ${OUTCOME_STYLES[c.outcome]}`}>{c.outcome}</span>
+                        </button>
+                    ))}
+                </div>
+            </div>
+        );
+    }
+
+    const selectClass = 'w-full border-2 border-gray-100 rounded-xl px-4 py-3 outline-none focus:border-blue-500';
+    return (
+        <div className="max-w-3xl mx-auto space-y-8">
+            <div className="bg-white rounded-3xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">Challenge a Friend</h2>
+                <p className="text-sm text-gray-500 mb-6">Play a set of questions, share the code and see who does better — no need to be online together.</p>
+                {errorBox}
+
+                <div className="flex gap-2 mb-6">
+                    <input type="text" placeholder="Enter challenge code" value={joinCode} onChange={e => setJoinCode(e.target.value.toUpperCase())} className={`${selectClass} font-mono`} />
+                    <button onClick={() => joinCode.trim() && navigate(`/challenge/${joinCode.trim()}`)} className="px-6 rounded-xl bg-gray-900 text-white font-bold">Open</button>
+                </div>
+
+                <div className="space-y-3">
+                    <select value={form.categoryId} onChange={e => setField('categoryId', e.target.value)} className={selectClass}>
+                        <option value="">Select category</option>
+                        {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                    {subjects.length > 0 && (
+                        <select value={form.subjectId} onChange={e => setField('subjectId', e.target.value)} className={selectClass}>
+                            <option value="">Any subject</option>
+                            {subjects.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                        </select>
+                    )}
+                    {chapters.length > 0 && (
+                        <select value={form.chapterId} onChange={e => setField('chapterId', e.target.value)} className={selectClass}>
+                            <option value="">Any chapter</option>
+                            {chapters.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        </select>
+                    )}
+                    <div className="grid grid-cols-3 gap-3">
+                        <select value={form.questionCount} onChange={e => setField('questionCount', parseInt(e.target.value))} className={selectClass}>
+                            {[5, 10, 15, 20, 25].map(n => <option key={n} value={n}>{n} questions</option>)}
+                        </select>
+                        <select value={form.secondsPerQuestion} onChange={e => setField('secondsPerQuestion', parseInt(e.target.value))} className={selectClass}>
+                            {[15, 30, 45, 60].map(n => <option key={n} value={n}>{n}s each</option>)}
+                        </select>
+                        <select value={form.language} onChange={e => setField('language', e.target.value)} className={selectClass}>
+                            {LANGUAGES.map(l => <option key={l} value={l}>{l}</option>)}
+                        </select>
+                    </div>
+                    <button onClick={handleCreate} disabled={loading || !form.categoryId} className="w-full bg-blue-600 text-white py-3 rounded-xl font-bold hover:bg-blue-700 transition disabled:opacity-50">
+                        {loading ? 'Preparing questions...' : 'Create Challenge'}
+                    </button>
+                </div>
+            </div>
+
+            <div className="bg-white rounded-3xl shadow-xl p-8">
+                <h3 className="text-sm font-bold text-gray-400 uppercase mb-3">My Challenges</h3>
+                <div className="space-y-2">
+                    {mine.map(c => (
+                        <button key={c.code} onClick={() => navigate(`/challenge/${c.code}`)} className="w-full text-left p-4 rounded-xl border-2 border-gray-100 hover:border-blue-300 transition">
+                            <div className="flex items-center justify-between">
+                                <span className="font-bold text-gray-800">{c.topic || 'Challenge'}</span>
+                                <span className="font-mono text-sm text-gray-500">{c.code}</span>
+                            </div>
+                            <div className="text-sm text-gray-500 mt-1">
+                                {c.isCreator ? 'Created by you' : `From ${c.creator.username}`} · {c.finishedPlayers} played
+                                {c.myAttempt?.status && c.myAttempt.status !== 'in_progress' && ` · You: ${c.myAttempt.correct}/${c.questionCount}`}
+                            </div>
+                        </button>
+                    ))}
+                    {mine.length === 0 && <div className="text-sm text-gray-400">No challenges yet.</div>}
+                </div>
+            </div>
+
+            <div className="bg-white rounded-3xl shadow-xl p-8">
+                <h3 className="text-sm font-bold text-gray-400 uppercase mb-3">Head-to-Head</h3>
+                <div className="space-y-2">
+                    {rivals.map(r => (
+                        <button key={r.userId} onClick={() => openRival(r.userId)} className="w-full flex items-center justify-between p-3 rounded-xl bg-gray-50 hover:bg-gray-100 transition">
+                            <span className="font-medium text-gray-700">{r.username}</span>
+                            <span className="font-mono font-bold text-gray-700">{r.wins}W · {r.losses}L · {r.draws}D</span>
+                        </button>
+                    ))}
+                    {rivals.length === 0 && <div className="text-sm text-gray-400">Finish a challenge against a friend to start a record.</div>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Challenge;
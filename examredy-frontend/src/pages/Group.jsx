@@ -1,11 +1,15 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import api from '../services/api';
-import MCQSession from '../components/MCQSession';
+import GroupBattleRound from '../components/GroupBattleRound';
+import BattleHistory from '../components/BattleHistory';
+import ClassroomSetup from '../components/ClassroomSetup';
 import PrimePopup from '../components/PrimePopup';
 import AdSlot from '../components/AdSlot';
+import { useAuth } from '../context/AuthContext';
 
 const Group = () => {
-    const [step, setStep] = useState('menu'); // 'menu', 'lobby', 'active', 'results'
+    const { user } = useAuth();
+    const [step, setStep] = useState('menu'); // 'menu', 'lobby', 'active', 'results', 'history'
     const [sessionCode, setSessionCode] = useState('');
     const [inputCode, setInputCode] = useState('');
     const [participants, setParticipants] = useState([]);
@@ -16,6 +20,30 @@ const Group = () => {
     const [showPopup, setShowPopup] = useState(false);
     const [isFetchingAI, setIsFetchingAI] = useState('');
 
+    // Battle format (host) and server-driven round state
+    const [questionCount, setQuestionCount] = useState(10);
+    const [secondsPerQuestion, setSecondsPerQuestion] = useState(30);
+    const [revealAnswers, setRevealAnswers] = useState(true);
+    const [battle, setBattle] = useState({ currentRound: 0, roundPhase: null, phaseEndsAt: null, questionCount: 10 });
+    const [reveals, setReveals] = useState({}); // round -> { correct_option, explanation }
+    const [finalResults, setFinalResults] = useState(null);
+
+    // Rematch lobbies keep the previous battle's settings until the host changes them
+    const [rematchCode, setRematchCode] = useState(null);
+    const [lobbyCategoryId, setLobbyCategoryId] = useState(null);
+    const prefilledFor = useRef(null);
+
+    // Classroom mode: the host moderates, rooms are larger and a fixed question set may replace topic questions
+    const [mode, setMode] = useState('battle');
+    const [sizeLimit, setSizeLimit] = useState(15);
+    const [questionSetSize, setQuestionSetSize] = useState(0);
+    const me = participants.find(p => p.userId === user?.id);
+    const isModerator = mode === 'classroom' && (me ? me.role === 'moderator' : isHost);
+
+    // Lobby management: locked lobbies refuse new players; the host can kick players or hand over host rights
+    const [isLocked, setIsLocked] = useState(false);
+    const playerCount = participants.filter(p => p.role !== 'moderator').length;
+
     // Hierarchy States
     const [categories, setCategories] = useState([]);
     const [states, setStates] = useState([]);
@@ -125,54 +153,167 @@ const Group = () => {
     const classNum = selectedClass && foundClass ? parseInt(foundClass.name.replace(/\D/g, '')) : 0;
     const needsStream = classNum >= 11;
 
-    // Polling for lobby and battle synchronization
+    // Shared by the live snapshot and the polling fallback
+    const applySessionState = (data) => {
+        // Kicked, or removed while the stream was down
+        if (user?.id && !data.participants.some(p => p.userId === user.id)) {
+            resetToMenu('You are no longer in this session.');
+            return;
+        }
+        setParticipants(data.participants);
+        setIsLocked(!!data.isLocked);
+        if (data.mode) setMode(data.mode);
+        if (data.sizeLimit) setSizeLimit(data.sizeLimit);
+        setQuestionSetSize(data.questionSetSize || 0);
+
+        // Core Sync: Update states if backend has data and user is NOT host
+        if (!data.isHost) {
+            setIsHost(false);
+            if (data.language) setSelectedLanguage(data.language);
+
+            // Functional updates to avoid stale closure issues
+            if (data.subjectId) setSelectedSubject(prev => prev || data.subjectId);
+            if (data.chapterId) setSelectedChapter(prev => prev || data.chapterId);
+        } else {
+            setIsHost(true);
+            if (data.status === 'lobby' && prefilledFor.current !== sessionCode) {
+                prefilledFor.current = sessionCode;
+                if (data.questionCount) setQuestionCount(data.questionCount);
+                if (data.secondsPerQuestion) setSecondsPerQuestion(data.secondsPerQuestion);
+                if (data.revealAnswers !== null && data.revealAnswers !== undefined) setRevealAnswers(data.revealAnswers);
+                if (data.language) setSelectedLanguage(data.language);
+            }
+        }
+        setLobbyCategoryId(data.categoryId || null);
+
+        if (data.status === 'active' && data.questions.length > 0) {
+            // For synchronization: only update if the count has changed
+            setBattleQuestions(prev => data.questions.length !== prev.length ? data.questions : prev);
+            setBattle({ currentRound: data.currentRound, roundPhase: data.roundPhase, phaseEndsAt: data.phaseEndsAt, questionCount: data.questionCount });
+            setStep(prev => prev === 'lobby' ? 'active' : prev);
+        }
+
+        if (data.status === 'finished') {
+            setFinalResults(data.results);
+            setRematchCode(data.rematchCode || null);
+            setStep('results');
+        }
+    };
+
+    // Live updates over Server-Sent Events while in the lobby, battle or results
+    const [liveConnected, setLiveConnected] = useState(false);
+    const inSession = step === 'lobby' || step === 'active' || step === 'results';
+
+    useEffect(() => {
+        if (!inSession || !sessionCode || typeof EventSource === 'undefined') return;
+
+        let source;
+        let retry;
+        let cancelled = false;
+
+        // The stream token is short-lived, so every (re)connect fetches a fresh one
+        const connect = async () => {
+            let streamToken;
+            try {
+                const res = await api.post(`/group/${sessionCode}/stream-token`);
+                streamToken = res.data.token;
+            } catch (err) {
+                if (!cancelled) retry = setTimeout(connect, 5000);
+                return;
+            }
+            if (cancelled) return;
+
+            source = new EventSource(`${api.defaults.baseURL}/group/${sessionCode}/events?token=${encodeURIComponent(streamToken)}`);
+            const on = (event, handler) => source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+
+            source.onopen = () => setLiveConnected(true);
+            source.onerror = () => {
+                setLiveConnected(false); // polling covers the gap
+                // EventSource retries dropped connections itself, but gives up once its token has expired
+                if (source.readyState === EventSource.CLOSED && !cancelled) {
+                    source.close();
+                    retry = setTimeout(connect, 5000);
+                }
+            };
+
+            on('snapshot', applySessionState);
+            on('participant_joined', (data) => setParticipants(data.participants));
+            on('participant_left', (data) => setParticipants(data.participants));
+            on('lock', (data) => setIsLocked(data.locked));
+            on('host_changed', (data) => {
+                setParticipants(data.participants);
+                setIsHost(data.hostId === user?.id);
+            });
+            on('kicked', (data) => {
+                if (data.userId === user?.id) {
+                    resetToMenu('You were removed from the session by the host.');
+                } else {
+                    setParticipants(data.participants);
+                }
+            });
+            on('session_closed', () => resetToMenu('This session was closed.'));
+            on('scores', (data) => setParticipants(data.participants));
+            on('battle_started', (data) => {
+                if (data.language) setSelectedLanguage(data.language);
+                setBattleQuestions(data.questions);
+                setBattle({ currentRound: 0, roundPhase: 'question', phaseEndsAt: data.phaseEndsAt, questionCount: data.questionCount });
+                setStep(prev => prev === 'lobby' ? 'active' : prev);
+            });
+            on('question', (data) => {
+                setBattleQuestions(prev => data.questions.length > prev.length ? data.questions : prev);
+                setBattle(prev => ({ ...prev, currentRound: data.round, roundPhase: 'question', phaseEndsAt: data.endsAt }));
+            });
+            on('round_ended', (data) => {
+                setParticipants(data.participants);
+                setBattle(prev => ({ ...prev, roundPhase: 'intermission', phaseEndsAt: null }));
+                if (data.correct_option !== undefined) setReveals(prev => ({ ...prev, [data.round]: data }));
+            });
+            on('battle_finished', (data) => {
+                setFinalResults(data.results);
+                setStep('results');
+            });
+            on('rematch', (data) => setRematchCode(data.code));
+            on('teams', (data) => setParticipants(data.participants));
+            on('question_set', (data) => setQuestionSetSize(data.questionSetSize));
+        };
+
+        connect();
+
+        return () => {
+            cancelled = true;
+            clearTimeout(retry);
+            if (source) source.close();
+            setLiveConnected(false);
+        };
+    }, [inSession, sessionCode, user?.id]);
+
+    // Polling fallback for lobby and battle synchronization when the live stream is down
     useEffect(() => {
         let interval;
-        if ((step === 'lobby' || step === 'active') && sessionCode) {
+        if ((step === 'lobby' || step === 'active') && sessionCode && !liveConnected) {
             interval = setInterval(async () => {
                 try {
                     const res = await api.get(`/group/${sessionCode}/status`);
-                    setParticipants(res.data.participants);
-                    
-                    // Core Sync: Update states if backend has data and user is NOT host
-                    if (!res.data.isHost) {
-                        setIsHost(false);
-                        if (res.data.language) setSelectedLanguage(res.data.language);
-                        
-                        // Functional updates to avoid stale closure issues
-                        if (res.data.subjectId) setSelectedSubject(prev => prev || res.data.subjectId);
-                        if (res.data.chapterId) setSelectedChapter(prev => prev || res.data.chapterId);
-                    } else {
-                        setIsHost(true);
-                    }
-
-                    if (res.data.status === 'active' && res.data.questions.length > 0) {
-                        // For synchronization: only update if the count has changed
-                        setBattleQuestions(prev => {
-                            if (res.data.questions.length !== prev.length) {
-                                return res.data.questions;
-                            }
-                            return prev;
-                        });
-                        if (step === 'lobby') setStep('active');
-                    }
+                    applySessionState(res.data);
                 } catch (err) {
-                    console.error("Polling error", err);
+                    if (err.response?.status === 404) resetToMenu('This session was closed.');
+                    else console.error("Polling error", err);
                 }
             }, 3000); // Poll every 3 seconds
         }
         return () => clearInterval(interval);
-    }, [step, sessionCode]);
+    }, [step, sessionCode, liveConnected]);
 
-    // Create a new session
-    const handleCreate = async () => {
+    // Create a new session ('battle', or 'classroom' with the host as moderator)
+    const handleCreate = async (sessionMode = 'battle') => {
         setLoading(true);
         try {
-            const res = await api.post('/group/create'); // Updated to use axios instance
+            const res = await api.post('/group/create', { mode: sessionMode }); // Updated to use axios instance
             setSessionCode(res.data.code);
+            setMode(sessionMode);
             setStep('lobby');
             setIsHost(true);
-            setParticipants([{ username: 'You (Host)', isHost: true }]);
+            setParticipants([{ username: sessionMode === 'classroom' ? 'You (Moderator)' : 'You (Host)', isHost: true, role: sessionMode === 'classroom' ? 'moderator' : 'player' }]);
         } catch (err) {
             if (err.response?.data?.code === 'SESSIONS_EXHAUSTED') {
                 setShowPopup(true);
@@ -201,7 +342,65 @@ const Group = () => {
         }
     };
 
-    const [selectedLanguage, setSelectedLanguage] = useState('English');
+    // Back to the menu after leaving, being kicked or the session closing
+    const resetToMenu = (message = '') => {
+        setSessionCode('');
+        setIsHost(false);
+        setParticipants([]);
+        setBattleQuestions([]);
+        setReveals({});
+        setFinalResults(null);
+        setRematchCode(null);
+        setMode('battle');
+        setIsLocked(false);
+        setError(message);
+        setStep('menu');
+    };
+
+    const handleLeave = async () => {
+        try {
+            await api.post(`/group/${sessionCode}/leave`);
+        } catch (err) {
+            console.error("Failed to leave session", err.response?.data || err.message);
+        }
+        resetToMenu();
+    };
+
+    // Host controls; the server pushes the updated lobby to everyone
+    const hostAction = async (path, body) => {
+        setError('');
+        try {
+            await api.post(`/group/${sessionCode}/${path}`, body);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Action failed');
+        }
+    };
+
+    // Move everyone from the results screen into the rematch lobby
+    const enterRematch = (code, host) => {
+        setBattleQuestions([]);
+        setReveals({});
+        setFinalResults(null);
+        setBattle({ currentRound: 0, roundPhase: null, phaseEndsAt: null, questionCount });
+        setRematchCode(null);
+        setError('');
+        setSessionCode(code);
+        setIsHost(host);
+        setStep('lobby');
+    };
+
+    // Ask for a rematch; if someone already did, the server returns their lobby
+    const handleRematch = async () => {
+        setLoading(true);
+        try {
+            const res = await api.post(`/group/${sessionCode}/rematch`);
+            enterRematch(res.data.code, res.data.isHost);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to start a rematch');
+        } finally {
+            setLoading(false);
+        }
+    };
 
     // ── USER AI FETCH HANDLER ──
     const handleAIFetch = async (type) => {
@@ -304,7 +503,7 @@ const Group = () => {
 
     const handleStart = async () => {
         console.log("[GroupBattle] Start requested. Category:", selectedCat, "Session:", sessionCode);
-        if (!selectedCat) {
+        if (!selectedCat && !lobbyCategoryId && !questionSetSize) {
             console.warn("[GroupBattle] Category not selected. Aborting.");
             return;
         }
@@ -323,11 +522,15 @@ const Group = () => {
                 paperStageId: selectedPaperStage,
                 subjectId: selectedSubject,
                 chapterId: selectedChapter,
-                language: selectedLanguage
+                language: selectedLanguage,
+                questionCount,
+                secondsPerQuestion,
+                revealAnswers
             });
             console.log("[GroupBattle] Backend responded success. Questions count:", res.data.questions?.length);
             if (res.data.questions && res.data.questions.length > 0) {
                 setBattleQuestions(res.data.questions);
+                setBattle({ currentRound: 0, roundPhase: 'question', phaseEndsAt: res.data.phaseEndsAt, questionCount: res.data.questionCount });
                 setStep('active');
             } else {
                 setError('No questions were generated for this selection. Try a different category or subject.');
@@ -344,31 +547,22 @@ const Group = () => {
         }
     };
 
-    const fetchNextQuestion = async () => {
-        try {
-            const res = await api.post(`/group/${sessionCode}/next`, { 
-                language: selectedLanguage,
-                currentCount: battleQuestions.length
-            });
-            setBattleQuestions(res.data.questions);
-            return true;
-        } catch (err) {
-            console.error("Failed to fetch next question", err);
-            return false;
-        }
-    };
-
-
     if (step === 'active') {
         return (
             <div className="min-h-screen bg-gray-50 py-12">
-                <MCQSession
-                    questions={battleQuestions}
-                    mode="group"
+                <GroupBattleRound
                     sessionId={sessionCode}
-                    onFetchNext={fetchNextQuestion}
-                    onComplete={() => setStep('results')}
+                    questions={battleQuestions}
+                    battle={battle}
+                    reveals={reveals}
+                    participants={participants}
+                    isModerator={isModerator}
                 />
+                <div className="text-center mt-6">
+                    <button onClick={handleLeave} className="text-sm font-bold text-gray-500 hover:text-red-600 transition">
+                        Leave Battle
+                    </button>
+                </div>
             </div>
         );
     }
@@ -382,7 +576,16 @@ const Group = () => {
                 </div>
 
                 <div className="flex-1 w-full max-w-lg mx-auto">
-                    <Leaderboard sessionId={sessionCode} />
+                    <Leaderboard
+                        sessionId={sessionCode}
+                        results={finalResults}
+                        liveParticipants={liveConnected ? participants : null}
+                        rematchCode={rematchCode}
+                        onRematch={handleRematch}
+                        rematchLoading={loading}
+                        error={error}
+                        isModerator={isModerator}
+                    />
                 </div>
 
                 {/* Right Ad Sidebar */}
@@ -393,6 +596,14 @@ const Group = () => {
         );
     }
 
+    if (step === 'history') {
+        return (
+            <div className="min-h-screen bg-gray-50 py-12 px-4">
+                <BattleHistory onBack={() => setStep('menu')} />
+            </div>
+        );
+    }
+
     if (step === 'lobby') {
         return (
             <div className="min-h-screen bg-gray-50 flex flex-col xl:flex-row gap-8 items-center xl:items-start justify-center p-4 w-full max-w-[1400px] mx-auto xl:py-12">
@@ -405,8 +616,8 @@ const Group = () => {
                     <div className="inline-block bg-green-100 text-green-700 px-4 py-1 rounded-full text-sm font-bold mb-6">
                         🟢 Lobby Active
                     </div>
-                    <h2 className="text-3xl font-bold text-gray-900 mb-2">Waiting Room</h2>
-                    <p className="text-gray-500 mb-8">Share code with friends to join.</p>
+                    <h2 className="text-3xl font-bold text-gray-900 mb-2">{mode === 'classroom' ? 'Classroom' : 'Waiting Room'}</h2>
+                    <p className="text-gray-500 mb-8">{mode === 'classroom' ? 'Share the code with your students to join.' : 'Share code with friends to join.'}</p>
 
                     {error && (
                         <div className="bg-red-50 text-red-600 p-3 rounded-xl text-sm mb-6 font-bold border-2 border-red-100">
@@ -422,22 +633,51 @@ const Group = () => {
                     </div>
 
                     <div className="space-y-4 mb-8">
-                        <h3 className="text-left text-sm font-bold text-gray-400 uppercase">Participants ({participants.length})</h3>
-                        {participants.map((p, i) => (
-                            <div key={i} className="flex items-center p-3 bg-gray-50 rounded-xl">
-                                <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center text-blue-600 font-bold mr-3">
-                                    {p.username[0]}
+                        <div className="flex items-center justify-between">
+                            <h3 className="text-left text-sm font-bold text-gray-400 uppercase">Participants ({playerCount})</h3>
+                            {isHost ? (
+                                <button onClick={() => hostAction('lock', { locked: !isLocked })} className={`text-xs font-bold px-3 py-1 rounded-full ${isLocked ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-600'}`}>
+                                    {isLocked ? '🔒 Locked' : '🔓 Open'}
+                                </button>
+                            ) : isLocked && <span className="text-xs font-bold text-gray-500">🔒 Locked</span>}
+                        </div>
+                        <div className="space-y-4 max-h-96 overflow-y-auto">
+                            {participants.map((p, i) => (
+                                <div key={i} className="flex items-center p-3 bg-gray-50 rounded-xl">
+                                    <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center text-blue-600 font-bold mr-3">
+                                        {p.username[0]}
+                                    </div>
+                                    <span className="font-medium text-gray-700">{p.username}</span>
+                                    {p.team && <span className="ml-auto text-xs bg-blue-50 text-blue-600 px-2 py-1 rounded">{p.team}</span>}
+                                    {p.isHost && (
+                                        <span className={`${p.team ? 'ml-2' : 'ml-auto'} text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded`}>
+                                            {p.role === 'moderator' ? 'MODERATOR' : 'HOST'}
+                                        </span>
+                                    )}
+                                    {isHost && !p.isHost && p.userId && (
+                                        <span className={`${p.team ? 'ml-2' : 'ml-auto'} flex gap-1`}>
+                                            <button onClick={() => hostAction('transfer-host', { userId: p.userId })} className="text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded hover:bg-gray-300">Make host</button>
+                                            <button onClick={() => hostAction('kick', { userId: p.userId })} className="text-xs bg-red-100 text-red-600 px-2 py-1 rounded hover:bg-red-200">Kick</button>
+                                        </span>
+                                    )}
                                 </div>
-                                <span className="font-medium text-gray-700">{p.username}</span>
-                                {p.isHost && <span className="ml-auto text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded">HOST</span>}
-                            </div>
-                        ))}
+                            ))}
+                        </div>
                     </div>
 
                     {isHost && (
                         <div className="mb-8 text-left space-y-4">
+                            {isModerator && (
+                                <ClassroomSetup
+                                    sessionId={sessionCode}
+                                    participants={participants}
+                                    questionSetSize={questionSetSize}
+                                    onQuestionSetChange={setQuestionSetSize}
+                                />
+                            )}
+
                             <div>
-                                <label className="block text-xs font-bold text-gray-400 uppercase mb-2">Select Category</label>
+                                <label className="block text-xs font-bold text-gray-400 uppercase mb-2">{questionSetSize > 0 ? 'Category (optional with a question set)' : 'Select Category'}</label>
                                 <select value={selectedCat} onChange={e => setSelectedCat(e.target.value)} className="w-full border-2 border-gray-100 rounded-xl px-4 py-3 outline-none focus:border-blue-500">
                                     <option value="">Choose Category</option>
                                     {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
@@ -594,19 +834,46 @@ const Group = () => {
                                     <p className="text-[10px] text-blue-400 mt-1 font-medium">* AI will generate synchronized questions in this language.</p>
                                 </div>
                             )}
+
+                            {!selectedCat && lobbyCategoryId && (
+                                <p className="text-sm text-gray-500">Rematch: the previous battle's topic is used unless you pick a new category.</p>
+                            )}
+
+                            {(selectedCat || lobbyCategoryId || questionSetSize > 0) && (
+                                <div className="grid grid-cols-2 gap-3">
+                                    <div>
+                                        <label className="block text-xs font-bold text-gray-400 uppercase mb-2">Questions</label>
+                                        {questionSetSize > 0 ? (
+                                            <div className="w-full border-2 border-gray-100 rounded-xl px-4 py-3 text-gray-600">{questionSetSize} (fixed set)</div>
+                                        ) : (
+                                            <input type="number" min="1" max="50" value={questionCount} onChange={e => setQuestionCount(parseInt(e.target.value) || 1)} className="w-full border-2 border-gray-100 rounded-xl px-4 py-3 outline-none focus:border-blue-500" />
+                                        )}
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs font-bold text-gray-400 uppercase mb-2">Seconds / Question</label>
+                                        <select value={secondsPerQuestion} onChange={e => setSecondsPerQuestion(parseInt(e.target.value))} className="w-full border-2 border-gray-100 rounded-xl px-4 py-3 outline-none focus:border-blue-500">
+                                            {[10, 15, 20, 30, 45, 60, 90].map(sec => <option key={sec} value={sec}>{sec}s</option>)}
+                                        </select>
+                                    </div>
+                                    <label className="col-span-2 flex items-center gap-2 text-sm font-medium text-gray-600">
+                                        <input type="checkbox" checked={revealAnswers} onChange={e => setRevealAnswers(e.target.checked)} />
+                                        Reveal answers between rounds
+                                    </label>
+                                </div>
+                            )}
                         </div>
                     )}
 
-                    {participants.length >= 15 && (
+                    {playerCount >= sizeLimit && (
                         <div className="mb-6 p-4 bg-orange-50 border-2 border-orange-100 rounded-2xl text-orange-700 text-sm font-bold flex items-center justify-center gap-2">
-                            ⚠️ Group is full (Maximum 15 players)
+                            ⚠️ Group is full (Maximum {sizeLimit} players)
                         </div>
                     )}
 
                     {isHost ? (
                         <button
                             onClick={handleStart}
-                            disabled={loading || !selectedCat}
+                            disabled={loading || (!selectedCat && !lobbyCategoryId && !questionSetSize)}
                             className="w-full bg-blue-600 text-white py-4 rounded-xl font-bold text-lg hover:bg-blue-700 shadow-lg transition transform hover:-translate-y-1 disabled:opacity-50"
                         >
                             {loading ? (
@@ -622,6 +889,10 @@ const Group = () => {
                         </div>
                     )}
 
+                    <button onClick={handleLeave} className="w-full mt-4 text-sm font-bold text-gray-500 hover:text-red-600 transition">
+                        Leave Lobby
+                    </button>
+
                 </div>
 
                 {/* Right Ad Sidebar */}
@@ -671,13 +942,28 @@ const Group = () => {
 
                     <div className="space-y-6">
                         <button
-                            onClick={handleCreate}
+                            onClick={() => handleCreate()}
                             disabled={loading}
                             className="w-full bg-blue-600 text-white py-4 rounded-xl font-bold flex items-center justify-center hover:bg-blue-700 transition"
                         >
                             {loading ? 'Creating...' : 'Create New Lobby'}
                         </button>
 
+                        <button
+                            onClick={() => handleCreate('classroom')}
+                            disabled={loading}
+                            className="w-full bg-indigo-50 text-indigo-700 py-3 rounded-xl font-bold hover:bg-indigo-100 transition"
+                        >
+                            Create Classroom (Teacher)
+                        </button>
+
+                        <button
+                            onClick={() => setStep('history')}
+                            className="w-full border-2 border-gray-200 text-gray-700 py-3 rounded-xl font-bold hover:bg-gray-50 transition"
+                        >
+                            My Battles
+                        </button>
+
                         <div className="relative flex py-2 items-center">
                             <div className="flex-grow border-t border-gray-200"></div>
                             <span className="flex-shrink-0 mx-4 text-gray-400 text-sm">OR JOIN EXISTING</span>
@@ -714,24 +1000,47 @@ const Group = () => {
     );
 };
 
-const Leaderboard = ({ sessionId }) => {
-    const [results, setResults] = useState([]);
+const Leaderboard = ({ sessionId, results: finalResults, liveParticipants, rematchCode, onRematch, rematchLoading, error, isModerator }) => {
+    const [polledResults, setPolledResults] = useState([]);
+    const isLive = !!liveParticipants || !!finalResults;
 
     useEffect(() => {
         const fetchLeaderboard = async () => {
             try {
                 const res = await api.get(`/group/${sessionId}/leaderboard`);
-                setResults(res.data);
+                setPolledResults(res.data);
             } catch (err) {
                 console.error("Failed to fetch leaderboard");
             }
         };
         fetchLeaderboard();
+        if (isLive) return;
 
-        // Final polling to see if others finished
+        // Final polling to see if others finished (only while the live stream is down)
         const interval = setInterval(fetchLeaderboard, 5000);
         return () => clearInterval(interval);
-    }, [sessionId]);
+    }, [sessionId, isLive]);
+
+    // The server's final snapshot wins; otherwise live or polled scores
+    const results = finalResults
+        ? finalResults.standings
+        : isLive ? liveParticipants.filter(p => p.role !== 'moderator').sort((a, b) => b.score - a.score) : polledResults;
+    const teams = finalResults?.teams || [];
+
+    // Classroom moderators can download the full results sheet (CSV)
+    const handleDownloadSheet = async () => {
+        try {
+            const res = await api.get(`/group/${sessionId}/results/sheet`, { responseType: 'blob' });
+            const url = URL.createObjectURL(res.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `examredy-results-${sessionId}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error("Failed to download results sheet");
+        }
+    };
 
     return (
         <div className="bg-white rounded-3xl shadow-xl p-8 max-w-lg w-full mx-auto border border-gray-100">
@@ -740,6 +1049,21 @@ const Leaderboard = ({ sessionId }) => {
                 <h2 className="text-3xl font-bold text-gray-900">Final Leaderboard</h2>
             </div>
 
+            {teams.length > 0 && (
+                <div className="mb-8">
+                    <h3 className="text-sm font-bold text-gray-400 uppercase mb-3">Teams (average score)</h3>
+                    <div className="space-y-2">
+                        {teams.map(t => (
+                            <div key={t.team} className={`flex items-center p-3 rounded-xl ${t.rank === 1 ? 'bg-yellow-50 border-2 border-yellow-400' : 'bg-indigo-50'}`}>
+                                <span className="font-bold text-gray-800 flex-1">{t.rank}. {t.team}</span>
+                                <span className="text-sm text-gray-500 mr-4">{t.members} players · {t.score} pts</span>
+                                <span className="font-mono font-bold text-indigo-600">{t.average}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             <div className="space-y-4">
                 {results.map((r, i) => (
                     <div key={i} className={`flex items-center p-4 rounded-xl border-2 ${i === 0 ? 'border-yellow-400 bg-yellow-50' : 'border-gray-100 bg-white'}`}>
@@ -752,7 +1076,25 @@ const Leaderboard = ({ sessionId }) => {
                 ))}
             </div>
 
-            <button onClick={() => window.location.href = '/practice'} className="w-full mt-8 bg-gray-100 text-gray-700 py-4 rounded-xl font-bold hover:bg-gray-200 transition">
+            {error && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm mt-6">{error}</div>}
+
+            {finalResults && isModerator && (
+                <button onClick={handleDownloadSheet} className="w-full mt-8 bg-gray-900 text-white py-4 rounded-xl font-bold hover:bg-gray-800 transition">
+                    Download Results Sheet
+                </button>
+            )}
+
+            {finalResults && onRematch && (finalResults.mode !== 'classroom' || isModerator || rematchCode) && (
+                <button
+                    onClick={onRematch}
+                    disabled={rematchLoading}
+                    className="w-full mt-8 bg-blue-600 text-white py-4 rounded-xl font-bold hover:bg-blue-700 transition disabled:opacity-50"
+                >
+                    {rematchCode ? 'Join Rematch' : 'Rematch'}
+                </button>
+            )}
+
+            <button onClick={() => window.location.href = '/practice'} className="w-full mt-4 bg-gray-100 text-gray-700 py-4 rounded-xl font-bold hover:bg-gray-200 transition">
                 Back to Practice
             </button>
         </div>
@@ -17,6 +17,7 @@ const Practice = () => {
     const [showPopup, setShowPopup] = useState(false);
     const [language, setLanguage] = useState('English');
     const [sessionInfo, setSessionInfo] = useState(null);
+    const [practiceSessionId, setPracticeSessionId] = useState(null);
 
     // Global Data States
     const [categories, setCategories] = useState([]);
@@ -232,6 +233,7 @@ const Practice = () => {
             } else {
                 setQuestions(res.data.mcqs);
                 setSessionInfo(res.data.sessionInfo);
+                setPracticeSessionId(res.data.sessionId);
                 setMode('solo');
             }
         } catch (err) {
@@ -374,7 +376,7 @@ const Practice = () => {
     if (mode === 'solo' && questions.length > 0) {
         return (
             <div className="container mx-auto px-4 py-8">
-                <MCQSession questions={questions} sessionInfo={sessionInfo} onComplete={handleSessionComplete} />
+                <MCQSession questions={questions} sessionId={practiceSessionId} sessionInfo={sessionInfo} onComplete={handleSessionComplete} />
             </div>
         );
     }
@@ -1,12 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import api from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import InvoicesPanel from '../components/InvoicesPanel';
 
 const Prime = () => {
     const { user: authUser } = useAuth();
     const [plans, setPlans] = useState([]);
     const [loading, setLoading] = useState(true);
     const [paymentStatus, setPaymentStatus] = useState(null); // 'success' | 'failed' | null
+    const [internationalCards, setInternationalCards] = useState(false);
+    const [currency, setCurrency] = useState('INR');
+    const [status, setStatus] = useState(null); // { access, subscription } from /subscription/status
+    const [couponCode, setCouponCode] = useState('');
+    const [couponQuotes, setCouponQuotes] = useState({}); // planId -> quote from /subscription/validate-coupon
+    const [couponMessage, setCouponMessage] = useState(null); // { text, ok }
     const user = authUser || JSON.parse(localStorage.getItem('user')) || { username: 'Guest', email: 'guest@example.com', id: '1' };
 
     useEffect(() => {
@@ -22,14 +29,91 @@ const Prime = () => {
                 setLoading(false);
             }
         };
+        const fetchConfig = async () => {
+            try {
+                const res = await api.get('/subscription/config');
+                setInternationalCards(!!res.data.internationalCards);
+            } catch (err) {
+                console.error("Failed to load payment config:", err);
+            }
+        };
         fetchPlans();
+        fetchConfig();
+        fetchStatus();
     }, []);
 
+    const fetchStatus = async () => {
+        if (!localStorage.getItem('token')) return;
+        try {
+            const res = await api.get('/subscription/status');
+            setStatus(res.data);
+        } catch (err) {
+            console.error("Failed to load subscription status:", err);
+        }
+    };
+
+    const hasLiveSubscription = ['active', 'past_due'].includes(status?.subscription?.status);
+
+    // INR plus any currency a plan has a card price for
+    const currencies = internationalCards
+        ? ['INR', ...new Set(plans.flatMap(plan => Object.keys(plan.prices || {})))]
+        : ['INR'];
+    const priceIn = (plan, cur) => cur === 'INR' ? plan.price : plan.prices?.[cur];
+    const formatDuration = (hours) => hours % 24 === 0 ? `${hours / 24} Day${hours === 24 ? '' : 's'}` : `${hours} Hour${hours === 1 ? '' : 's'}`;
+    const formatPrice = (amount, cur) => new Intl.NumberFormat('en-IN', { style: 'currency', currency: cur }).format(amount);
+    const appliedCoupon = Object.values(couponQuotes)[0]?.code || null;
+
+    // Prices were quoted for one currency; switching asks for the code again
+    useEffect(() => {
+        setCouponQuotes({});
+        setCouponMessage(null);
+    }, [currency]);
+
+    // Quote the code against every one-off plan shown; plans it doesn't cover keep their list price
+    const handleApplyCoupon = async () => {
+        const code = couponCode.trim();
+        if (!code) return;
+        const eligible = plans.filter(plan => !plan.billing_interval && priceIn(plan, currency) != null);
+        const results = await Promise.allSettled(
+            eligible.map(plan => api.post('/subscription/validate-coupon', { code, planId: plan.id, currency }))
+        );
+        const quotes = {};
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') quotes[eligible[i].id] = result.value.data;
+        });
+        setCouponQuotes(quotes);
+        if (Object.keys(quotes).length > 0) {
+            const quote = Object.values(quotes)[0];
+            setCouponMessage({ text: quote.description || `Coupon ${quote.code} applied`, ok: true });
+        } else {
+            const failed = results.find(result => result.status === 'rejected');
+            setCouponMessage({ text: failed?.reason?.response?.data?.message || 'This coupon code is not valid', ok: false });
+        }
+    };
+
+    const removeCoupon = () => {
+        setCouponCode('');
+        setCouponQuotes({});
+        setCouponMessage(null);
+    };
+
     // Detect payment result from URL after Razorpay redirect
     useEffect(() => {
         const params = new URLSearchParams(window.location.search);
         const payment = params.get('payment');
-        if (payment === 'success') {
+        if (params.get('subscription') === 'success' && params.get('provider') === 'stripe') {
+            // Stripe subscription checkout: confirm the first payment, then show the new status
+            window.history.replaceState({}, '', '/prime');
+            api.post('/subscription/subscriptions/verify', { provider: 'stripe', session_id: params.get('session_id') })
+                .then((res) => { setStatus(res.data); setPaymentStatus('success'); })
+                .catch(() => setPaymentStatus('failed'));
+        } else if (payment === 'success' && params.get('provider') === 'stripe') {
+            // Stripe Checkout returns here with its session id; confirm it before showing success
+            window.history.replaceState({}, '', '/prime');
+            api.post('/subscription/verify-payment', { provider: 'stripe', session_id: params.get('session_id') })
+                .then(() => setPaymentStatus('success'))
+                .catch(() => setPaymentStatus('failed'));
+        } else if (payment === 'success') {
             setPaymentStatus('success');
             // Clean URL without reload
             window.history.replaceState({}, '', '/prime');
@@ -56,7 +140,8 @@ const Prime = () => {
             const { key_id } = configRes.data;
 
             // 1. Create Order on backend
-            const orderRes = await api.post('/subscription/create-order', { planId });
+            const coupon = couponQuotes[planId]?.code || null;
+            const orderRes = await api.post('/subscription/create-order', { planId, currency, couponCode: coupon });
             const order = orderRes.data;
 
             const callbackUrl = `https://examredy-backend1-production.up.railway.app/api/subscription/payment-callback?planId=${planId}`;
@@ -70,12 +155,18 @@ const Prime = () => {
                     alert('Please login again to continue payment.');
                     return;
                 }
-                const payUrl = `https://examredy-backend1-production.up.railway.app/api/subscription/initiate-payment?planId=${planId}&token=${encodeURIComponent(token)}`;
+                const payUrl = `https://examredy-backend1-production.up.railway.app/api/subscription/initiate-payment?planId=${planId}&currency=${currency}${coupon ? `&coupon=${encodeURIComponent(coupon)}` : ''}&token=${encodeURIComponent(token)}`;
                 window.location.href = payUrl;
                 return;
             }
 
-            // 3. Normal Browser: Use Razorpay JS SDK popup
+            // 3. Stripe: hosted checkout page, which returns to /prime with the session id
+            if (order.provider === 'stripe') {
+                window.location.href = order.url;
+                return;
+            }
+
+            // 4. Normal Browser: Use Razorpay JS SDK popup
             const sdkLoaded = await new Promise((resolve) => {
                 if (window.Razorpay) return resolve(true);
                 const script = document.createElement('script');
@@ -91,7 +182,7 @@ const Prime = () => {
             }
 
             const options = {
-                key: key_id,
+                key: order.key_id || key_id,
                 amount: order.amount,
                 currency: order.currency,
                 name: 'ExamRedy',
@@ -104,8 +195,7 @@ const Prime = () => {
                         await api.post('/subscription/verify-payment', {
                             razorpay_order_id: response.razorpay_order_id,
                             razorpay_payment_id: response.razorpay_payment_id,
-                            razorpay_signature: response.razorpay_signature,
-                            planId
+                            razorpay_signature: response.razorpay_signature
                         });
                         alert('Payment Successful! Sessions Added to your account.');
                         window.location.reload();
@@ -123,6 +213,65 @@ const Prime = () => {
         }
     };
 
+    const handleSubscribe = async (plan) => {
+        try {
+            const subRes = await api.post('/subscription/subscriptions', { planId: plan.id, currency });
+            const checkout = subRes.data;
+
+            // Stripe, and Razorpay inside the app WebView, use the gateway's hosted page
+            if (checkout.provider === 'stripe') {
+                window.location.href = checkout.url;
+                return;
+            }
+            if (window.__isFlutterWebView) {
+                window.location.href = checkout.short_url;
+                return;
+            }
+
+            if (!window.Razorpay && !(await loadRazorpay())) {
+                alert('Razorpay SDK failed to load. Are you online?');
+                return;
+            }
+            new window.Razorpay({
+                key: checkout.key_id,
+                subscription_id: checkout.subscription_id,
+                name: 'ExamRedy',
+                description: `${plan.name} (renews every ${plan.billing_interval})`,
+                prefill: { name: user.username, email: user.email },
+                theme: { color: '#2563EB' },
+                handler: async function (response) {
+                    try {
+                        const res = await api.post('/subscription/subscriptions/verify', {
+                            razorpay_payment_id: response.razorpay_payment_id,
+                            razorpay_subscription_id: response.razorpay_subscription_id,
+                            razorpay_signature: response.razorpay_signature
+                        });
+                        setStatus(res.data);
+                        setPaymentStatus('success');
+                    } catch (err) {
+                        alert('Subscription verification failed');
+                    }
+                },
+            }).open();
+        } catch (err) {
+            console.error('Subscription start failed', err);
+            const msg = err.response?.data?.message || err.response?.data?.error || err.message || 'Unknown error';
+            alert(`Failed to start subscription: ${msg}`);
+        }
+    };
+
+    const handleCancelRenewal = async () => {
+        if (!window.confirm('Stop auto-renewal? You keep Prime until the end of the period you have paid for.')) return;
+        try {
+            const res = await api.post('/subscription/subscriptions/cancel');
+            setStatus(res.data);
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to cancel auto-renewal');
+        }
+    };
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
     return (
         <div className="min-h-screen bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
             <div className="max-w-7xl mx-auto">
@@ -156,6 +305,80 @@ const Prime = () => {
                     </p>
                 </div>
 
+                {status && (status.access.isPremium || status.subscription) && (
+                    <div className="max-w-3xl mx-auto mb-12 bg-white rounded-2xl shadow-lg border border-gray-100 p-6">
+                        <h2 className="text-lg font-bold text-gray-800 mb-3">Your Prime</h2>
+                        <div className="space-y-1 text-gray-600 text-sm">
+                            {status.access.premiumExpiry && <p>Unlimited access until <span className="font-semibold">{formatDate(status.access.premiumExpiry)}</span></p>}
+                            {status.access.passSessionsLeft > 0 && <p>{status.access.passSessionsLeft} plan sessions, valid until {formatDate(status.access.passSessionsExpiry)}</p>}
+                            {status.access.sessionsLeft === -1 && <p>Unlimited sessions</p>}
+                            {status.access.sessionsLeft > 0 && <p>{status.access.sessionsLeft} sessions left</p>}
+                        </div>
+
+                        {status.subscription && (
+                            <div className="mt-4 pt-4 border-t border-gray-100 flex flex-wrap items-center gap-3">
+                                <div className="flex-1 text-sm">
+                                    <p className="font-semibold text-gray-800">
+                                        {status.subscription.planName} · {formatPrice(status.subscription.amount, status.subscription.currency)}/{status.subscription.billingInterval}
+                                    </p>
+                                    {status.subscription.status === 'past_due' ? (
+                                        <p className="text-amber-600">Your last renewal failed. We'll retry; Prime stays on until {formatDate(status.subscription.graceUntil)}.</p>
+                                    ) : status.subscription.renews ? (
+                                        <p className="text-gray-500">Renews on {formatDate(status.subscription.currentPeriodEnd)}</p>
+                                    ) : status.subscription.currentPeriodEnd && new Date(status.subscription.currentPeriodEnd) > new Date() ? (
+                                        <p className="text-gray-500">Auto-renewal off · ends on {formatDate(status.subscription.currentPeriodEnd)}</p>
+                                    ) : (
+                                        <p className="text-gray-500">Subscription ended</p>
+                                    )}
+                                </div>
+                                {hasLiveSubscription && !status.subscription.cancelAtPeriodEnd && (
+                                    <button onClick={handleCancelRenewal} className="text-sm font-semibold text-red-600 hover:text-red-700">
+                                        Cancel auto-renewal
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {currencies.length > 1 && (
+                    <div className="flex justify-center gap-2 mb-10">
+                        {currencies.map(cur => (
+                            <button
+                                key={cur}
+                                onClick={() => setCurrency(cur)}
+                                className={`px-4 py-2 rounded-xl font-bold text-sm transition ${currency === cur ? 'bg-blue-600 text-white shadow-lg' : 'bg-white text-gray-600 border border-gray-200 hover:border-blue-300'}`}
+                            >
+                                {cur}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                <div className="max-w-md mx-auto mb-10">
+                    <div className="flex gap-2">
+                        <input
+                            value={couponCode}
+                            onChange={e => setCouponCode(e.target.value.toUpperCase())}
+                            disabled={!!appliedCoupon}
+                            placeholder="Have a coupon code?"
+                            className="flex-1 px-4 py-3 rounded-xl border border-gray-200 bg-white font-mono font-bold text-gray-700 outline-none focus:ring-2 focus:ring-blue-500/30 disabled:bg-gray-50"
+                        />
+                        {appliedCoupon ? (
+                            <button onClick={removeCoupon} className="px-5 py-3 rounded-xl font-bold text-sm bg-white text-gray-600 border border-gray-200 hover:border-red-300 hover:text-red-600 transition">
+                                Remove
+                            </button>
+                        ) : (
+                            <button onClick={handleApplyCoupon} className="px-5 py-3 rounded-xl font-bold text-sm bg-blue-600 text-white hover:bg-blue-700 transition shadow-lg">
+                                Apply
+                            </button>
+                        )}
+                    </div>
+                    {couponMessage && (
+                        <p className={`mt-2 text-sm font-semibold text-center ${couponMessage.ok ? 'text-emerald-600' : 'text-red-600'}`}>{couponMessage.text}</p>
+                    )}
+                </div>
+
                 {loading ? (
                     <div className="flex justify-center items-center py-20">
                         <div className="w-12 h-12 border-4 border-amber-200 border-t-amber-500 rounded-full animate-spin"></div>
@@ -168,31 +391,68 @@ const Prime = () => {
                     </div>
                 ) : (
                     <div className="grid md:grid-cols-3 gap-8 mb-16">
-                        {plans.map((plan) => (
+                        {plans.filter(plan => priceIn(plan, currency) != null).map((plan) => (
                             <div key={plan.id} className="bg-white rounded-2xl shadow-xl overflow-hidden border border-gray-100 hover:shadow-2xl transition-all transform hover:-translate-y-2">
                                 <div className="p-8 text-center flex flex-col h-full">
                                     <h3 className="text-2xl font-bold text-gray-800 mb-4">{plan.name}</h3>
-                                    <div className="text-5xl font-extrabold text-blue-600 mb-2">₹{plan.price}</div>
-                                    <p className="text-emerald-600 font-bold mb-8">{plan.sessions_limit} Premium Sessions</p>
+                                    {couponQuotes[plan.id] && couponQuotes[plan.id].discount > 0 && (
+                                        <div className="text-lg font-bold text-gray-400 line-through">{formatPrice(couponQuotes[plan.id].listAmount, currency)}</div>
+                                    )}
+                                    <div className="text-5xl font-extrabold text-blue-600 mb-2">
+                                        {couponQuotes[plan.id]
+                                            ? formatPrice(couponQuotes[plan.id].amount, currency)
+                                            : currency === 'INR' ? `₹${plan.price}` : formatPrice(priceIn(plan, currency), currency)}
+                                        {plan.billing_interval && <span className="text-lg font-bold text-gray-400">/{plan.billing_interval}</span>}
+                                    </div>
+                                    <p className="text-emerald-600 font-bold mb-8">
+                                        {plan.plan_type === 'time'
+                                            ? (plan.billing_interval ? 'Unlimited, renews automatically' : `Unlimited for ${formatDuration(plan.duration_hours)}`)
+                                            : `${plan.sessions_limit} Premium Sessions`}
+                                    </p>
 
                                     <ul className="text-gray-600 text-left space-y-3 mb-8 flex-1">
-                                        <li className="flex items-center"><span className="text-green-500 mr-2">✓</span> {plan.sessions_limit} AI-Powered Sessions</li>
+                                        {plan.plan_type === 'time' ? (
+                                            <li className="flex items-center"><span className="text-green-500 mr-2">✓</span> Unlimited AI-Powered Sessions</li>
+                                        ) : (
+                                            <li className="flex items-center"><span className="text-green-500 mr-2">✓</span> {plan.sessions_limit} AI-Powered Sessions</li>
+                                        )}
+                                        {plan.plan_type === 'hybrid' && (
+                                            <li className="flex items-center"><span className="text-green-500 mr-2">✓</span> {plan.billing_interval ? `Every ${plan.billing_interval}` : `Valid for ${formatDuration(plan.duration_hours)}`}</li>
+                                        )}
+                                        {plan.billing_interval && (
+                                            <li className="flex items-center"><span className="text-green-500 mr-2">✓</span> Cancel auto-renewal anytime</li>
+                                        )}
+                                        {couponQuotes[plan.id]?.bonusSessions > 0 && (
+                                            <li className="flex items-center"><span className="text-green-500 mr-2">✓</span> +{couponQuotes[plan.id].bonusSessions} Bonus Sessions ({couponQuotes[plan.id].code})</li>
+                                        )}
                                         <li className="flex items-center"><span className="text-green-500 mr-2">✓</span> Instant Analysis</li>
                                         <li className="flex items-center"><span className="text-green-500 mr-2">✓</span> {plan.referral_bonus_sessions} Sessions Referral Bonus</li>
                                     </ul>
 
-                                    <button
-                                        onClick={() => handleBuy(plan.id, plan.price)}
-                                        className="w-full bg-blue-600 text-white py-4 rounded-xl font-bold hover:bg-blue-700 transition shadow-lg transform hover:scale-105"
-                                    >
-                                        Get Started
-                                    </button>
+                                    {plan.billing_interval ? (
+                                        <button
+                                            onClick={() => handleSubscribe(plan)}
+                                            disabled={hasLiveSubscription}
+                                            className="w-full bg-blue-600 text-white py-4 rounded-xl font-bold hover:bg-blue-700 transition shadow-lg transform hover:scale-105 disabled:opacity-50 disabled:hover:scale-100"
+                                        >
+                                            {hasLiveSubscription ? 'Already Subscribed' : 'Subscribe'}
+                                        </button>
+                                    ) : (
+                                        <button
+                                            onClick={() => handleBuy(plan.id, priceIn(plan, currency))}
+                                            className="w-full bg-blue-600 text-white py-4 rounded-xl font-bold hover:bg-blue-700 transition shadow-lg transform hover:scale-105"
+                                        >
+                                            Get Started
+                                        </button>
+                                    )}
                                 </div>
                             </div>
                         ))}
                     </div>
                 )}
 
+                {localStorage.getItem('token') && <InvoicesPanel />}
+
                 {/* Referral Section */}
                 <div className="max-w-4xl mx-auto bg-gradient-to-r from-green-500 to-teal-600 rounded-3xl shadow-2xl p-8 md:p-12 text-white text-center relative overflow-hidden">
                     <div className="relative z-10">